@@ -18,7 +18,7 @@ module.exports = {
     {
       files: ["**/*.spec.*"],
       env: {
-        mocha: true,
+        jest: true,
       },
       rules: {},
     },
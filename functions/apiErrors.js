@@ -0,0 +1,172 @@
+/**
+ * Error taxonomy for the API
+ *
+ * Every failure the API reports is an ApiError with a machine-readable `code` and the HTTP
+ * status it maps to. googleapis errors are classified by their `errors[].reason` (falling
+ * back to the HTTP status), so callers never need to inspect error messages.
+ */
+
+// code -> HTTP status and the message clients see
+const ERRORS = {
+  UNAUTHENTICATED: {status: 401, message: 'A valid Firebase ID token is required'},
+  APP_CHECK_FAILED: {status: 401, message: 'A valid App Check token is required'},
+  USER_MISMATCH: {status: 403, message: 'userId does not match the authenticated user'},
+  AUTH_REQUIRED: {status: 401, message: 'Invalid or expired access token'},
+  FORBIDDEN: {status: 403, message: 'YouTube denied access to this resource'},
+  NOT_FOUND: {status: 404, message: 'YouTube resource not found'},
+  CAPTIONS_NOT_FOUND: {status: 404, message: 'No caption track matches the request'},
+  NOT_SUBSCRIBED: {status: 404, message: 'Not subscribed to this channel'},
+  ALREADY_SUBSCRIBED: {status: 409, message: 'Already subscribed to this channel'},
+  QUOTA_EXCEEDED: {status: 429, message: 'YouTube API quota exceeded'},
+  QUOTA_BUDGET_EXHAUSTED: {status: 429, message: 'Daily quota budget exhausted'},
+  RATE_LIMITED: {status: 429, message: 'YouTube API rate limit exceeded'},
+  TOO_MANY_REQUESTS: {status: 429, message: 'Too many requests, retry later'},
+  YOUTUBE_ERROR: {status: 502, message: 'YouTube API request failed'},
+  YOUTUBE_UNAVAILABLE: {status: 503, message: 'YouTube API is temporarily unavailable'},
+  DEADLINE_EXCEEDED: {status: 504, message: 'YouTube requests did not finish in time'},
+  INTERNAL: {status: 500, message: 'Internal server error'},
+};
+
+// googleapis errors[].reason (or OAuth `error`) -> code
+const REASON_CODES = {
+  authError: 'AUTH_REQUIRED',
+  invalid_grant: 'AUTH_REQUIRED',
+  unauthorized: 'AUTH_REQUIRED',
+  unauthorized_client: 'AUTH_REQUIRED',
+  forbidden: 'FORBIDDEN',
+  insufficientPermissions: 'FORBIDDEN',
+  accountClosed: 'FORBIDDEN',
+  accountSuspended: 'FORBIDDEN',
+  subscriptionForbidden: 'FORBIDDEN',
+  channelClosed: 'FORBIDDEN',
+  channelSuspended: 'FORBIDDEN',
+  notFound: 'NOT_FOUND',
+  channelNotFound: 'NOT_FOUND',
+  subscriberNotFound: 'NOT_FOUND',
+  videoNotFound: 'NOT_FOUND',
+  publisherNotFound: 'NOT_FOUND',
+  subscriptionNotFound: 'NOT_FOUND',
+  subscriptionDuplicate: 'ALREADY_SUBSCRIBED',
+  quotaExceeded: 'QUOTA_EXCEEDED',
+  dailyLimitExceeded: 'QUOTA_EXCEEDED',
+  rateLimitExceeded: 'RATE_LIMITED',
+  userRateLimitExceeded: 'RATE_LIMITED',
+  backendError: 'YOUTUBE_UNAVAILABLE',
+  internalError: 'YOUTUBE_UNAVAILABLE',
+  serviceUnavailable: 'YOUTUBE_UNAVAILABLE',
+};
+
+// Network failures that never reached YouTube
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * An error with a machine-readable code and HTTP status
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERRORS
+   * @param {string} message - Detailed message (for logs; clients see ERRORS[code].message)
+   * @param {Object} details - Optional details
+   * @param {string} details.reason - googleapis reason the error was classified from
+   * @param {Error} details.cause - Original error
+   */
+  constructor(code, message, details = {}) {
+    super(message || ERRORS[code].message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERRORS[code].status;
+    this.reason = details.reason || null;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * Read the reason from a googleapis (gaxios) error
+ * @param {Error} error - Error thrown by a googleapis call
+ * @return {string|null} errors[0].reason, or the OAuth `error` string
+ */
+function youtubeReason(error) {
+  const body = error.response?.data?.error;
+  const errors = error.errors || body?.errors || [];
+  if (errors.length > 0 && errors[0].reason) {
+    return errors[0].reason;
+  }
+  return typeof body === 'string' ? body : null;
+}
+
+/**
+ * Classify an error from a googleapis call
+ * @param {Error} error - Error thrown by a googleapis call
+ * @return {ApiError} Classified error
+ */
+function fromYoutubeError(error) {
+  const reason = youtubeReason(error);
+  const status = error.response?.status || (Number.isInteger(error.code) ? error.code : null);
+
+  let code = REASON_CODES[reason];
+  if (!code) {
+    if (status === 401) {
+      code = 'AUTH_REQUIRED';
+    } else if (status === 403) {
+      code = 'FORBIDDEN';
+    } else if (status === 404) {
+      code = 'NOT_FOUND';
+    } else if (status === 429) {
+      code = 'RATE_LIMITED';
+    } else if (status >= 500 || NETWORK_ERROR_CODES.includes(error.code)) {
+      code = 'YOUTUBE_UNAVAILABLE';
+    } else if (status) {
+      code = 'YOUTUBE_ERROR';
+    } else {
+      code = 'INTERNAL';
+    }
+  }
+
+  return new ApiError(code, error.message, {reason, cause: error});
+}
+
+/**
+ * Convert any error into an ApiError
+ * @param {Error} error - Error to convert
+ * @return {ApiError} The error itself if it already is one, otherwise a classified copy
+ */
+function toApiError(error) {
+  return error instanceof ApiError ? error : fromYoutubeError(error);
+}
+
+/**
+ * Get the message clients see for a code
+ * @param {string} code - Key of ERRORS
+ * @return {string} Public message
+ */
+function publicMessage(code) {
+  return ERRORS[code].message;
+}
+
+/**
+ * Describe a failed channel (or a channel's video details) for a response's partialFailures
+ * @param {string} channelId - Channel that failed
+ * @param {string} method - YouTube API method that failed (e.g. activities.list)
+ * @param {ApiError} error - Classified error
+ * @return {Object} Partial failure ({channelId, method, code, status, reason, message}); the
+ *   message is the code's public one, never the upstream text
+ */
+function partialFailure(channelId, method, error) {
+  return {
+    channelId,
+    method,
+    code: error.code,
+    status: error.status,
+    reason: error.reason,
+    message: publicMessage(error.code),
+  };
+}
+
+module.exports = {
+  ERRORS,
+  ApiError,
+  fromYoutubeError,
+  toApiError,
+  partialFailure,
+  publicMessage,
+};
@@ -0,0 +1,133 @@
+const express = require('express');
+const {withUserAccessToken} = require('./userTokens');
+const {createYoutubeClient} = require('./youtubeClient');
+const {createQuotaBudget} = require('./quotaLedger');
+const {createScheduler} = require('./requestScheduler');
+const {
+  CAPTION_FORMATS,
+  isLanguageTag,
+  getTranscript,
+  renderText,
+  renderSrt,
+  renderVtt,
+} = require('./captions');
+const {requestUserId, requireUserId, sendApiError} = require('./httpHelpers');
+const {authenticate} = require('./requestAuth');
+const {rateLimit} = require('./rateLimit');
+
+/**
+ * Caption routes, mounted at /videos
+ * GET /videos/:videoId/captions lists a video's caption tracks and returns the preferred
+ * track's transcript as JSON segments, plain text, SRT or WebVTT. YouTube is called with the
+ * user's stored token and charged to the user's quota budget; cached tracks and transcripts
+ * (see captions.js) cost nothing.
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// format -> {contentType, render(segments)} for the non-JSON formats
+const TRANSCRIPT_FORMATS = {
+  text: {contentType: 'text/plain; charset=utf-8', render: renderText},
+  srt: {contentType: 'application/x-subrip; charset=utf-8', render: renderSrt},
+  vtt: {contentType: 'text/vtt; charset=utf-8', render: renderVtt},
+};
+
+// Applied per route: the router is mounted at /videos next to POST /videos (see index.js)
+const captionMiddleware = [authenticate, rateLimit('captions'), requireUserId];
+
+// Get a video's caption tracks and transcript
+router.get('/:videoId/captions', captionMiddleware, async (req, res) => {
+  const userId = requestUserId(req);
+  const {videoId} = req.params;
+  const {lang, format = 'json'} = req.query;
+  let quotaBudget;
+
+  try {
+    if (!VIDEO_ID_PATTERN.test(videoId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'videoId must be an 11-character YouTube video ID',
+      });
+    }
+
+    if (lang !== undefined && !isLanguageTag(lang)) {
+      return res.status(400).json({
+        success: false,
+        error: 'lang must be a single language tag such as en or pt-BR',
+      });
+    }
+
+    if (!CAPTION_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${CAPTION_FORMATS.join(', ')}`,
+      });
+    }
+
+    quotaBudget = await createQuotaBudget(userId);
+    const scheduler = createScheduler({
+      canAttempt: (method) => quotaBudget.canAfford(method),
+      onAttempt: (method) => quotaBudget.charge(method),
+    });
+
+    const {tracks, transcript, transcriptError, fromCache} = await withUserAccessToken(
+        userId,
+        (token) => getTranscript(createYoutubeClient(token), videoId, {
+          language: lang,
+          userId,
+          scheduler,
+          quotaBudget,
+        }),
+    );
+
+    await quotaBudget.flush();
+
+    console.log('Captions retrieved:', {
+      userId,
+      videoId,
+      language: transcript ? transcript.language : null,
+      format,
+      fromCache,
+      downloadFailed: transcriptError ? transcriptError.code : null,
+      quotaUsed: quotaBudget.used(),
+    });
+
+    if (format !== 'json') {
+      if (!transcript) {
+        return sendApiError(res, transcriptError);
+      }
+      const {contentType, render} = TRANSCRIPT_FORMATS[format];
+      res.set('Content-Language', transcript.language);
+      return res.type(contentType).send(render(transcript.segments));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        videoId,
+        tracks,
+        transcript,
+        transcriptError: transcriptError ?
+          {code: transcriptError.code, reason: transcriptError.reason} :
+          null,
+        fromCache,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+      },
+    });
+  } catch (error) {
+    console.error('Error retrieving captions:', error);
+
+    if (quotaBudget) {
+      await quotaBudget.flush().catch((flushError) => {
+        console.error('Failed to record quota usage:', flushError);
+      });
+    }
+
+    sendApiError(res, error);
+  }
+});
+
+module.exports = router;
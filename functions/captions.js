@@ -0,0 +1,335 @@
+const admin = require('firebase-admin');
+const {ApiError, toApiError} = require('./apiErrors');
+const {quotaBudgetError} = require('./quotaLedger');
+const {directScheduler} = require('./requestScheduler');
+
+/**
+ * Caption tracks and transcripts
+ * captionTracks/{videoId}                        - {tracks, fetchedAt}
+ * captionTracks/{videoId}/transcripts/{language} - {trackId, language, name, trackKind,
+ *                                                   segments: [{start, end, text}], fetchedAt}
+ * captionTracks/{videoId}/forbidden/{trackId}/users/{userId} - {code, reason, fetchedAt}
+ *
+ * captions.list (50 units) lists a video's tracks; captions.download (200 units) needs the
+ * youtube.force-ssl scope and, for most videos, a token of the channel that owns the video.
+ * Both are cached for every user, since a video's tracks and their text are the same for all.
+ * A download YouTube refused (FORBIDDEN) is remembered for a shorter time, so retries don't
+ * spend 200 units each, but only for the user it was refused to: whether a download is
+ * allowed depends on the token's scope and channel, so the owner may still get the track.
+ *
+ * Downloads are requested as WebVTT and normalized into timed segments (start and end in
+ * seconds), which render back to plain text, SRT or WebVTT.
+ */
+
+const CAPTION_TRACKS_COLLECTION = 'captionTracks';
+
+const TRACKS_TTL_MS = 24 * 60 * 60 * 1000;
+const TRANSCRIPT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FORBIDDEN_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Standard tracks are written for the video; forced ones only cover foreign-language parts
+const TRACK_KIND_ORDER = ['standard', 'asr', 'forced'];
+
+const CAPTION_FORMATS = ['json', 'text', 'srt', 'vtt'];
+
+// A BCP-47 tag as YouTube uses them (en, en-US, es-419, zh-Hant): letters, then up to four
+// subtags. It names a Firestore document, so nothing else is accepted.
+const LANGUAGE_TAG_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8}){0,4}$/;
+
+/**
+ * Reduce a captions.list item to what clients need
+ * @param {Object} item - captions.list item
+ * @return {Object} {id, language, name, trackKind, isAutoSynced}
+ */
+function formatTrack(item) {
+  return {
+    id: item.id,
+    language: item.snippet.language,
+    name: item.snippet.name || '',
+    trackKind: (item.snippet.trackKind || 'standard').toLowerCase(),
+    isAutoSynced: Boolean(item.snippet.isAutoSynced),
+  };
+}
+
+/**
+ * Pick the track to download
+ * @param {Array<Object>} tracks - Tracks from formatTrack
+ * @param {string} language - Preferred language (BCP-47, e.g. en or en-US; optional)
+ * @return {Object|null} Exact language matches first, then the same base language, each
+ *   standard before auto-generated before forced; the first standard track without a language
+ */
+function selectTrack(tracks, language) {
+  const byKind = (a, b) => TRACK_KIND_ORDER.indexOf(a.trackKind) -
+    TRACK_KIND_ORDER.indexOf(b.trackKind);
+
+  if (!language) {
+    return [...tracks].sort(byKind)[0] || null;
+  }
+
+  const wanted = language.toLowerCase();
+  const base = (value) => value.toLowerCase().split('-')[0];
+  const exact = tracks.filter((track) => track.language.toLowerCase() === wanted);
+  const sameBase = tracks.filter((track) => base(track.language) === base(wanted));
+
+  return exact.sort(byKind)[0] || sameBase.sort(byKind)[0] || null;
+}
+
+/**
+ * Parse a timestamp (hh:mm:ss.mmm, mm:ss.mmm or SRT's hh:mm:ss,mmm)
+ * @param {string} value - Timestamp
+ * @return {number} Seconds
+ */
+function parseTimestamp(value) {
+  const parts = value.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Normalize a WebVTT (or SRT) document into timed segments
+ * Cue settings, styling tags and the word timings of auto-generated tracks are dropped, and
+ * cues repeating the previous cue's text (rolling auto-generated captions) are merged.
+ * @param {string} document - Caption file
+ * @return {Array<Object>} Segments ({start, end, text}, times in seconds)
+ */
+function parseCaptions(document) {
+  const segments = [];
+  const blocks = document.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter((line) => line.trim() !== '');
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) {
+      return; // Header, NOTE, STYLE or REGION block
+    }
+
+    const [start, end] = lines[timingIndex].split('-->')
+        .map((side) => parseTimestamp(side.trim().split(/\s+/)[0]));
+    const text = lines.slice(timingIndex + 1).join(' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!text) {
+      return;
+    }
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.text === text) {
+      previous.end = Math.max(previous.end, end);
+      return;
+    }
+    segments.push({start, end, text});
+  });
+
+  return segments;
+}
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds - Time
+ * @param {string} separator - Decimal separator (',' for SRT, '.' for WebVTT)
+ * @return {string} hh:mm:ss,mmm or hh:mm:ss.mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Render segments as plain text (one segment per line)
+ * @param {Array<Object>} segments - Segments from parseCaptions
+ * @return {string} Transcript text
+ */
+function renderText(segments) {
+  return segments.map((segment) => segment.text).join('\n') + '\n';
+}
+
+/**
+ * Render segments as SubRip (SRT)
+ * @param {Array<Object>} segments - Segments from parseCaptions
+ * @return {string} SRT document
+ */
+function renderSrt(segments) {
+  return segments.map((segment, index) => [
+    index + 1,
+    `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+    segment.text,
+  ].join('\n') + '\n').join('\n');
+}
+
+/**
+ * Render segments as WebVTT
+ * @param {Array<Object>} segments - Segments from parseCaptions
+ * @return {string} WebVTT document
+ */
+function renderVtt(segments) {
+  return ['WEBVTT\n', ...segments.map((segment) => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    segment.text,
+  ].join('\n') + '\n')].join('\n');
+}
+
+/**
+ * Check a requested caption language
+ * @param {*} value - Value to check
+ * @return {boolean} Whether it is a single BCP-47 language tag (see LANGUAGE_TAG_PATTERN)
+ */
+function isLanguageTag(value) {
+  return typeof value === 'string' && LANGUAGE_TAG_PATTERN.test(value);
+}
+
+/**
+ * Read a cached document if it is fresh enough
+ * @param {Object} ref - Firestore document reference
+ * @param {number} ttlMs - Maximum age
+ * @return {Promise<Object|null>} Document data, or null
+ */
+async function readFresh(ref, ttlMs) {
+  const doc = await ref.get();
+  return doc.exists && Date.now() - doc.data().fetchedAt <= ttlMs ? doc.data() : null;
+}
+
+/**
+ * Get a video's caption tracks and the preferred track's transcript
+ * Cached tracks and transcripts are used first; YouTube is called only for what is missing,
+ * every call going through the scheduler (which charges it to the quota budget).
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {string} videoId - Video ID
+ * @param {Object} options - Lookup options
+ * @param {string} options.language - Preferred language (see selectTrack)
+ * @param {string} options.userId - User the token belongs to, for remembering refused
+ *   downloads (omit to not remember them)
+ * @param {Object} options.scheduler - Request scheduler (see requestScheduler)
+ * @param {Object} options.quotaBudget - Budget checked before each call (optional)
+ * @return {Promise<Object>} {tracks, transcript ({trackId, language, name, trackKind,
+ *   segments}, or null), transcriptError (ApiError when the download failed, or null),
+ *   fromCache}
+ * @throws {Error} If language is given but is not a language tag (see isLanguageTag)
+ */
+async function getTranscript(youtube, videoId, options = {}) {
+  const {language, userId, scheduler = directScheduler, quotaBudget} = options;
+  if (language !== undefined && !isLanguageTag(language)) {
+    throw new Error(`Invalid caption language: ${JSON.stringify(language)}`);
+  }
+  const tracksRef = admin.firestore().collection(CAPTION_TRACKS_COLLECTION).doc(videoId);
+  const transcriptRef = (trackLanguage) => tracksRef.collection('transcripts')
+      .doc(trackLanguage);
+  const forbiddenRef = (trackId) => tracksRef.collection('forbidden').doc(trackId)
+      .collection('users').doc(userId);
+
+  const checkBudget = (method) => {
+    if (quotaBudget && !quotaBudget.canAfford(method)) {
+      throw quotaBudgetError('Daily quota budget exhausted');
+    }
+  };
+
+  // A cached transcript in the exact language needs no track list
+  if (language) {
+    const cached = await readFresh(transcriptRef(language), TRANSCRIPT_TTL_MS);
+    const cachedTracks = cached && await readFresh(tracksRef, TRACKS_TTL_MS);
+    if (cached && cachedTracks) {
+      return {
+        tracks: cachedTracks.tracks,
+        transcript: toTranscript(cached),
+        transcriptError: null,
+        fromCache: true,
+      };
+    }
+  }
+
+  let fromCache = true;
+  let tracks = (await readFresh(tracksRef, TRACKS_TTL_MS))?.tracks;
+  if (!tracks) {
+    checkBudget('captions.list');
+    const response = await scheduler.run('captions.list', () => youtube.captions.list({
+      part: 'snippet',
+      videoId,
+    }));
+    tracks = (response.data.items || [])
+        .filter((item) => item.snippet.status !== 'failed' && !item.snippet.isDraft)
+        .map(formatTrack);
+    await tracksRef.set({tracks, fetchedAt: Date.now()});
+    fromCache = false;
+  }
+
+  const track = selectTrack(tracks, language);
+  if (!track) {
+    throw new ApiError('CAPTIONS_NOT_FOUND', language ?
+      `Video ${videoId} has no ${language} captions` :
+      `Video ${videoId} has no captions`);
+  }
+
+  const cached = await readFresh(transcriptRef(track.language), TRANSCRIPT_TTL_MS);
+  if (cached && cached.trackId === track.id) {
+    return {tracks, transcript: toTranscript(cached), transcriptError: null, fromCache};
+  }
+
+  // Without the scope (or ownership of the video) the tracks are still worth returning
+  const forbidden = userId && await readFresh(forbiddenRef(track.id), FORBIDDEN_TTL_MS);
+  if (forbidden) {
+    const transcriptError = new ApiError(forbidden.code, `Caption track ${track.id} download ` +
+      'was refused recently', {reason: forbidden.reason});
+    return {tracks, transcript: null, transcriptError, fromCache};
+  }
+
+  checkBudget('captions.download');
+  let document;
+  try {
+    const response = await scheduler.run('captions.download', () => youtube.captions.download(
+        {id: track.id, tfmt: 'vtt'},
+        {responseType: 'text'},
+    ));
+    document = String(response.data);
+  } catch (error) {
+    const apiError = toApiError(error);
+    if (apiError.code === 'FORBIDDEN') {
+      if (userId) {
+        await forbiddenRef(track.id).set({
+          code: apiError.code,
+          reason: apiError.reason,
+          fetchedAt: Date.now(),
+        });
+      }
+      return {tracks, transcript: null, transcriptError: apiError, fromCache: false};
+    }
+    throw error;
+  }
+
+  const entry = {
+    trackId: track.id,
+    language: track.language,
+    name: track.name,
+    trackKind: track.trackKind,
+    segments: parseCaptions(document),
+    fetchedAt: Date.now(),
+  };
+  await transcriptRef(track.language).set(entry);
+
+  return {tracks, transcript: toTranscript(entry), transcriptError: null, fromCache: false};
+}
+
+/**
+ * Strip the cache bookkeeping from a transcript entry
+ * @param {Object} entry - Cached transcript
+ * @return {Object} {trackId, language, name, trackKind, segments}
+ */
+function toTranscript(entry) {
+  const {trackId, language, name, trackKind, segments} = entry;
+  return {trackId, language, name, trackKind, segments};
+}
+
+module.exports = {
+  CAPTION_FORMATS,
+  isLanguageTag,
+  selectTrack,
+  parseCaptions,
+  renderText,
+  renderSrt,
+  renderVtt,
+  getTranscript,
+};
@@ -0,0 +1,157 @@
+const admin = require('firebase-admin');
+
+/**
+ * Channel groups (custom feeds)
+ * channelGroups/{userId}/groups/{groupId} - {name, channelIds, createdAt, updatedAt}
+ */
+
+const CHANNEL_GROUPS_COLLECTION = 'channelGroups';
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_GROUP_CHANNELS = 500;
+
+/**
+ * Get the groups collection for a user
+ * @param {string} userId - User ID
+ * @return {Object} Firestore CollectionReference
+ */
+function groupsRef(userId) {
+  return admin.firestore()
+      .collection(CHANNEL_GROUPS_COLLECTION)
+      .doc(userId)
+      .collection('groups');
+}
+
+/**
+ * Convert a group document into the API shape
+ * @param {Object} doc - Firestore DocumentSnapshot
+ * @return {Object} Group ({groupId, name, channelIds, createdAt, updatedAt})
+ */
+function toGroup(doc) {
+  const {name, channelIds, createdAt, updatedAt} = doc.data();
+  return {
+    groupId: doc.id,
+    name,
+    channelIds,
+    createdAt: new Date(createdAt).toISOString(),
+    updatedAt: new Date(updatedAt).toISOString(),
+  };
+}
+
+/**
+ * Validate group fields from a request body
+ * @param {Object} fields - Group fields
+ * @param {string} fields.name - Group name
+ * @param {Array<string>} fields.channelIds - Channel IDs in the group
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @return {string|null} Error message, or null if the fields are valid
+ */
+function validateGroup({name, channelIds}, options = {}) {
+  const {partial = false} = options;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_GROUP_NAME_LENGTH) {
+      return `name must be a non-empty string of at most ${MAX_GROUP_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (channelIds !== undefined || !partial) {
+    if (!Array.isArray(channelIds) || channelIds.length > MAX_GROUP_CHANNELS ||
+        !channelIds.every((channelId) => typeof channelId === 'string' && channelId)) {
+      return `channelIds must be an array of at most ${MAX_GROUP_CHANNELS} channel IDs`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List a user's groups
+ * @param {string} userId - User ID
+ * @return {Promise<Array<Object>>} Groups ordered by name
+ */
+async function listGroups(userId) {
+  const snapshot = await groupsRef(userId).orderBy('name').get();
+  return snapshot.docs.map(toGroup);
+}
+
+/**
+ * Get one group
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ * @return {Promise<Object|null>} Group, or null if it does not exist
+ */
+async function getGroup(userId, groupId) {
+  const doc = await groupsRef(userId).doc(groupId).get();
+  return doc.exists ? toGroup(doc) : null;
+}
+
+/**
+ * Create a group
+ * @param {string} userId - User ID
+ * @param {Object} fields - Group fields ({name, channelIds})
+ * @return {Promise<Object>} Created group
+ */
+async function createGroup(userId, {name, channelIds}) {
+  const now = Date.now();
+  const ref = groupsRef(userId).doc();
+  await ref.set({
+    name: name.trim(),
+    channelIds: [...new Set(channelIds)],
+    createdAt: now,
+    updatedAt: now,
+  });
+  return toGroup(await ref.get());
+}
+
+/**
+ * Update a group's name and/or channel IDs
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ * @param {Object} fields - Fields to change ({name, channelIds})
+ * @return {Promise<Object|null>} Updated group, or null if it does not exist
+ */
+async function updateGroup(userId, groupId, {name, channelIds}) {
+  const ref = groupsRef(userId).doc(groupId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return null;
+  }
+
+  const updates = {updatedAt: Date.now()};
+  if (name !== undefined) {
+    updates.name = name.trim();
+  }
+  if (channelIds !== undefined) {
+    updates.channelIds = [...new Set(channelIds)];
+  }
+
+  await ref.update(updates);
+  return toGroup(await ref.get());
+}
+
+/**
+ * Delete a group
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ * @return {Promise<boolean>} True if the group existed
+ */
+async function deleteGroup(userId, groupId) {
+  const ref = groupsRef(userId).doc(groupId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+
+  await ref.delete();
+  return true;
+}
+
+module.exports = {
+  validateGroup,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+};
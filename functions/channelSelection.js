@@ -0,0 +1,89 @@
+/**
+ * Channel selection strategies
+ * Decide which maxChannels subscriptions are processed for a request, so the feed is not
+ * always built from the same first channels in subscriptions.list order.
+ */
+
+const CHANNEL_STRATEGIES = [
+  'subscriptionOrder', // subscriptions.list order (the original behaviour)
+  'alphabetical', // by channel title
+  'recentlyActive', // most new items first (subscriptions.list contentDetails.newItemCount)
+  'roundRobin', // rotate through every channel across requests
+];
+
+/**
+ * Convert a subscriptions.list item into the channel entry stored in the feed cache
+ * @param {Object} subscription - subscriptions.list item (snippet, contentDetails)
+ * @return {Object} Channel entry ({channelId, title, newItemCount, activityType})
+ */
+function toChannelEntry(subscription) {
+  return {
+    channelId: subscription.snippet.resourceId.channelId,
+    title: subscription.snippet.title || '',
+    newItemCount: subscription.contentDetails?.newItemCount || 0,
+    activityType: subscription.contentDetails?.activityType || 'all',
+  };
+}
+
+/**
+ * Select the channels to process for a request
+ * @param {Array<Object>} channels - Channel entries in subscriptions.list order
+ * @param {Object} options - Selection options
+ * @param {string} options.strategy - One of CHANNEL_STRATEGIES (default: subscriptionOrder)
+ * @param {number} options.limit - Maximum number of channels to select
+ * @param {Array<string>} options.allowList - Only consider these channel IDs
+ * @param {number} options.offset - Rotation offset for roundRobin
+ * @return {Object} Selected channel IDs and the rotation offset for the next request
+ */
+function selectChannels(channels, options = {}) {
+  const {
+    strategy = 'subscriptionOrder',
+    limit,
+    allowList,
+    offset = 0,
+  } = options;
+
+  let pool = channels;
+  if (Array.isArray(allowList)) {
+    const allowed = new Set(allowList);
+    pool = pool.filter((channel) => allowed.has(channel.channelId));
+  }
+
+  let ordered;
+  switch (strategy) {
+    case 'alphabetical':
+      ordered = [...pool].sort((a, b) => (
+        a.title.localeCompare(b.title, undefined, {sensitivity: 'base'}) ||
+        a.channelId.localeCompare(b.channelId)
+      ));
+      break;
+
+    case 'recentlyActive':
+      // Stable sort keeps subscriptions.list order among equally active channels
+      ordered = [...pool].sort((a, b) => b.newItemCount - a.newItemCount);
+      break;
+
+    case 'roundRobin': {
+      const start = pool.length > 0 ? offset % pool.length : 0;
+      ordered = [...pool.slice(start), ...pool.slice(0, start)];
+      break;
+    }
+
+    default:
+      ordered = pool;
+  }
+
+  const selected = ordered.slice(0, limit);
+  const nextOffset = pool.length > 0 ? (offset + selected.length) % pool.length : 0;
+
+  return {
+    channelIds: selected.map((channel) => channel.channelId),
+    nextOffset,
+  };
+}
+
+module.exports = {
+  CHANNEL_STRATEGIES,
+  toChannelEntry,
+  selectChannels,
+};
@@ -0,0 +1,166 @@
+const admin = require('firebase-admin');
+
+/**
+ * Shared per-channel video store, fed by WebSub push notifications
+ *
+ * channelVideos/{channelId}                  - {channelId, websub, updatedAt}
+ * channelVideos/{channelId}/videos/{videoId} - {videoId, channelId, title, publishedAt,
+ *                                               updatedAt, deleted}
+ *
+ * Unlike the per-user feed cache this store is shared by every user following a channel.
+ * `websub` tracks the channel's hub subscription ({state, secret, leaseExpiresAt,
+ * activeSince, requestedAt, verifiedAt}); while it is active, every upload since activeSince
+ * is in the store, so feeds can pick up new uploads without calling activities.list.
+ */
+
+const CHANNEL_VIDEOS_COLLECTION = 'channelVideos';
+
+/**
+ * Get a channel's store document
+ * @param {string} channelId - Channel ID
+ * @return {Object} Firestore DocumentReference
+ */
+function channelRef(channelId) {
+  return admin.firestore().collection(CHANNEL_VIDEOS_COLLECTION).doc(channelId);
+}
+
+/**
+ * Read channels' hub subscriptions
+ * @param {Array<string>} channelIds - Channels to read
+ * @return {Promise<Map<string, Object>>} websub state keyed by channel ID (channels without
+ *   one are left out)
+ */
+async function getSubscriptions(channelIds) {
+  const subscriptions = new Map();
+  if (channelIds.length === 0) {
+    return subscriptions;
+  }
+
+  const docs = await admin.firestore().getAll(...channelIds.map(channelRef));
+  docs.forEach((doc) => {
+    if (doc.exists && doc.data().websub) {
+      subscriptions.set(doc.id, doc.data().websub);
+    }
+  });
+
+  return subscriptions;
+}
+
+/**
+ * Update a channel's hub subscription
+ * @param {string} channelId - Channel ID
+ * @param {Object} websub - Fields to merge into the websub state
+ * @return {Promise<void>}
+ */
+async function saveSubscription(channelId, websub) {
+  await channelRef(channelId).set({
+    channelId,
+    websub,
+    updatedAt: Date.now(),
+  }, {merge: true});
+}
+
+/**
+ * List channels whose hub lease ends before a time
+ * @param {number} before - Epoch ms
+ * @return {Promise<Array<Object>>} Channels ({channelId, websub}), soonest expiry first
+ */
+async function listExpiringSubscriptions(before) {
+  const snapshot = await admin.firestore()
+      .collection(CHANNEL_VIDEOS_COLLECTION)
+      .where('websub.leaseExpiresAt', '<', before)
+      .orderBy('websub.leaseExpiresAt')
+      .get();
+
+  return snapshot.docs.map((doc) => ({channelId: doc.id, websub: doc.data().websub}));
+}
+
+/**
+ * Store uploads from a push notification (new uploads and title/description updates)
+ * @param {string} channelId - Channel ID
+ * @param {Array<Object>} videos - Uploads ({videoId, title, publishedAt})
+ * @return {Promise<void>}
+ */
+async function saveVideos(channelId, videos) {
+  if (videos.length === 0) {
+    return;
+  }
+
+  const videosRef = channelRef(channelId).collection('videos');
+  const batch = admin.firestore().batch();
+  const now = Date.now();
+
+  videos.forEach((video) => {
+    batch.set(videosRef.doc(video.videoId), {
+      videoId: video.videoId,
+      channelId,
+      title: video.title,
+      publishedAt: video.publishedAt,
+      updatedAt: now,
+      deleted: false,
+    }, {merge: true});
+  });
+  batch.set(channelRef(channelId), {channelId, updatedAt: now}, {merge: true});
+
+  await batch.commit();
+}
+
+/**
+ * Mark uploads as deleted (they stay in the store so late notifications can't revive them)
+ * @param {string} channelId - Channel ID
+ * @param {Array<string>} videoIds - Deleted videos
+ * @return {Promise<void>}
+ */
+async function markVideosDeleted(channelId, videoIds) {
+  if (videoIds.length === 0) {
+    return;
+  }
+
+  const videosRef = channelRef(channelId).collection('videos');
+  const batch = admin.firestore().batch();
+  videoIds.forEach((videoId) => {
+    batch.set(videosRef.doc(videoId), {videoId, channelId, deleted: true, updatedAt: Date.now()},
+        {merge: true});
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Read a channel's uploads newer than a time, in the same shape as
+ * youtubeSubscriptions.fetchChannelUploads
+ * @param {string} channelId - Channel ID
+ * @param {Object} params - Query
+ * @param {string} params.publishedAfter - Only uploads after this time (ISO 8601)
+ * @param {number} params.maxResults - Maximum uploads to return
+ * @return {Promise<Object>} Upload candidates ({videoId, publishedAt}) and bounds
+ */
+async function listUploads(channelId, {publishedAfter, maxResults}) {
+  let query = channelRef(channelId).collection('videos');
+  if (publishedAfter) {
+    query = query.where('publishedAt', '>', new Date(publishedAfter).toISOString());
+  }
+
+  const snapshot = await query.orderBy('publishedAt', 'desc').limit(maxResults + 1).get();
+  const videos = snapshot.docs.map((doc) => doc.data());
+  const uploads = videos
+      .slice(0, maxResults)
+      .filter((video) => !video.deleted && video.publishedAt)
+      .map(({videoId, publishedAt}) => ({videoId, publishedAt}));
+
+  return {
+    uploads,
+    newestActivityAt: uploads.length > 0 ? uploads[0].publishedAt : null,
+    oldestActivityAt: uploads.length > 0 ? uploads[uploads.length - 1].publishedAt : null,
+    hasMore: videos.length > maxResults,
+  };
+}
+
+module.exports = {
+  getSubscriptions,
+  saveSubscription,
+  listExpiringSubscriptions,
+  saveVideos,
+  markVideosDeleted,
+  listUploads,
+};
@@ -0,0 +1,115 @@
+/**
+ * Opaque pagination cursor for POST /videos
+ *
+ * A cursor records the position of the last video handed to the client
+ * (publishedAt + videoId, the feed's sort key) and the channels that have
+ * no older uploads left, so the next page can skip them entirely. Ranked feeds
+ * (sort other than newest) also record the sort and how far into the ranked
+ * pool starting at that position the client has paged.
+ * It is serialized as base64url JSON and should be treated as opaque by clients.
+ */
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Compare two videos in feed order (newest first, videoId as tie-breaker)
+ * @param {Object} a - Video with publishedAt and videoId
+ * @param {Object} b - Video with publishedAt and videoId
+ * @return {number} Negative if a comes before b
+ */
+function compareFeedOrder(a, b) {
+  const timeDiff = new Date(b.publishedAt) - new Date(a.publishedAt);
+  if (timeDiff !== 0) {
+    return timeDiff;
+  }
+  if (a.videoId === b.videoId) {
+    return 0;
+  }
+  return a.videoId < b.videoId ? 1 : -1;
+}
+
+/**
+ * Check whether a video sorts strictly after the cursor boundary
+ * @param {Object} video - Video with publishedAt and videoId
+ * @param {Object} cursor - Decoded cursor
+ * @return {boolean} True if the video belongs on a later page
+ */
+function isAfterCursor(video, cursor) {
+  return compareFeedOrder({publishedAt: cursor.publishedAt, videoId: cursor.videoId}, video) < 0;
+}
+
+/**
+ * Encode a cursor into an opaque string
+ * @param {Object} cursor - Cursor fields
+ * @param {string} cursor.publishedAt - publishedAt of the boundary video (ISO 8601)
+ * @param {string} cursor.videoId - videoId of the boundary video ('' for a time-only boundary)
+ * @param {Array<string>} cursor.drainedChannels - Channel IDs with no older uploads
+ * @param {number} cursor.channelOffset - roundRobin rotation offset the feed was built from
+ * @param {string} cursor.sort - Ranking the cursor was issued for (omitted for newest)
+ * @param {number} cursor.rankOffset - Videos of the ranked pool already returned
+ * @return {string} base64url encoded cursor
+ */
+function encodeCursor({
+  publishedAt,
+  videoId = '',
+  drainedChannels = [],
+  channelOffset,
+  sort,
+  rankOffset,
+}) {
+  const payload = {
+    v: CURSOR_VERSION,
+    p: publishedAt,
+    i: videoId,
+    d: drainedChannels,
+  };
+  if (channelOffset !== undefined) {
+    payload.o = channelOffset;
+  }
+  if (sort !== undefined) {
+    payload.s = sort;
+    payload.n = rankOffset || 0;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor string
+ * @param {string} value - Cursor returned as nextCursor by a previous request
+ * @return {Object} Decoded cursor ({publishedAt, videoId, drainedChannels, channelOffset,
+ *   sort, rankOffset})
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(value) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!payload || payload.v !== CURSOR_VERSION ||
+      typeof payload.p !== 'string' || isNaN(new Date(payload.p).getTime()) ||
+      typeof payload.i !== 'string' || !Array.isArray(payload.d) ||
+      (payload.o !== undefined && !Number.isInteger(payload.o)) ||
+      (payload.s !== undefined &&
+        (typeof payload.s !== 'string' || !Number.isInteger(payload.n) || payload.n < 0))) {
+    throw new Error('Invalid cursor');
+  }
+
+  return {
+    publishedAt: payload.p,
+    videoId: payload.i,
+    drainedChannels: payload.d.filter((channelId) => typeof channelId === 'string'),
+    channelOffset: payload.o,
+    sort: payload.s,
+    rankOffset: payload.n || 0,
+  };
+}
+
+module.exports = {
+  compareFeedOrder,
+  isAfterCursor,
+  encodeCursor,
+  decodeCursor,
+};
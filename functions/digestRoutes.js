@@ -0,0 +1,112 @@
+const express = require('express');
+const digests = require('./digests');
+const {getGroup} = require('./channelGroups');
+const {requestUserId, requireUserId, sendServerError} = require('./httpHelpers');
+
+/**
+ * Digest notification routes, mounted at /digest
+ * Settings (frequency, quiet hours, channel or group filter, delivery) and the devices that
+ * receive push digests. The digests themselves are sent by the scheduled sendDigests job.
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// FCM registration tokens are about 150-250 characters
+const MAX_DEVICE_TOKEN_LENGTH = 4096;
+
+// Validate userId on every digest route
+router.use(requireUserId);
+
+// Get the digest settings
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await digests.getDigestSettings(requestUserId(req));
+    res.json({
+      success: true,
+      data: {settings},
+    });
+  } catch (error) {
+    sendServerError(res, 'get digest settings', error);
+  }
+});
+
+// Change the digest settings
+router.put('/settings', async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const {groupId} = req.body;
+
+    if (typeof groupId === 'string' && groupId && !await getGroup(userId, groupId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel group not found',
+      });
+    }
+
+    const {settings, error} = await digests.updateDigestSettings(userId, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    console.log('Digest settings updated:', {
+      userId,
+      enabled: settings.enabled,
+      frequency: settings.frequency,
+      delivery: settings.delivery,
+    });
+
+    res.json({
+      success: true,
+      data: {settings},
+    });
+  } catch (error) {
+    sendServerError(res, 'update digest settings', error);
+  }
+});
+
+// Register a device for push digests
+router.post('/devices', async (req, res) => {
+  try {
+    const {token} = req.body;
+    if (typeof token !== 'string' || !token || token.length > MAX_DEVICE_TOKEN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'token must be an FCM registration token',
+      });
+    }
+
+    const deviceCount = await digests.registerDevice(requestUserId(req), token);
+
+    res.status(201).json({
+      success: true,
+      data: {deviceCount},
+    });
+  } catch (error) {
+    sendServerError(res, 'register device', error);
+  }
+});
+
+// Unregister a device
+router.delete('/devices/:token', async (req, res) => {
+  try {
+    const removed = await digests.unregisterDevices(requestUserId(req), [req.params.token]);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not registered',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {token: req.params.token},
+    });
+  } catch (error) {
+    sendServerError(res, 'unregister device', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const admin = require('firebase-admin');
+const {escapeXml, watchUrl} = require('./feedRenderer');
+
+/**
+ * Delivery of upload digests (see digests.js)
+ *
+ * Push notifications go through Firebase Cloud Messaging to the user's registered device
+ * tokens. Email goes through a pluggable transport, {name, send({to, subject, text, html})}:
+ * the default only logs, so deployments install a real one (SMTP, an email API, ...) with
+ * setEmailTransport at startup, and tests use createMemoryEmailTransport.
+ */
+
+// Videos listed in a notification's body and an email (the rest are counted)
+const PUSH_LISTED_VIDEOS = 3;
+const EMAIL_LISTED_VIDEOS = 20;
+
+// FCM errors that mean the token will never work again
+const STALE_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+/**
+ * Email transport that sends nothing
+ * @type {Object}
+ */
+const noopEmailTransport = {
+  name: 'noop',
+  async send(message) {
+    console.log('Digest email not sent (no email transport configured):', {
+      to: message.to,
+      subject: message.subject,
+    });
+    return {accepted: false};
+  },
+};
+
+let emailTransport = noopEmailTransport;
+
+/**
+ * Replace the email transport (pass nothing to restore the no-op transport)
+ * @param {Object} transport - {name, send(message)} where send resolves once the message is
+ *   handed off and rejects if it can't be
+ */
+function setEmailTransport(transport) {
+  emailTransport = transport || noopEmailTransport;
+}
+
+/**
+ * Create an email transport that keeps messages in memory (tests and local development)
+ * @return {Object} Transport with an `outbox` array of sent messages
+ */
+function createMemoryEmailTransport() {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+    async send(message) {
+      outbox.push(message);
+      return {accepted: true};
+    },
+  };
+}
+
+/**
+ * Describe how many videos a digest holds
+ * @param {Object} digest - From digests.buildDigest
+ * @return {string} e.g. "5 new videos from 2 channels"
+ */
+function digestSummary(digest) {
+  const videos = digest.videos.length === 1 ? '1 new video' : `${digest.videos.length} new videos`;
+  const channels = digest.channelCount === 1 ? '1 channel' : `${digest.channelCount} channels`;
+  return `${videos} from ${channels}`;
+}
+
+/**
+ * Build the push notification of a digest
+ * @param {Object} digest - From digests.buildDigest
+ * @return {Object} {notification: {title, body}, data} for FCM (data values are strings)
+ */
+function renderPush(digest) {
+  const listed = digest.videos.slice(0, PUSH_LISTED_VIDEOS)
+      .map((video) => `${video.channelName}: ${video.title}`);
+  const more = digest.videos.length - listed.length;
+
+  return {
+    notification: {
+      title: digestSummary(digest),
+      body: [...listed, ...(more > 0 ? [`and ${more} more`] : [])].join('\n'),
+    },
+    data: {
+      type: 'digest',
+      videoIds: digest.videos.map((video) => video.videoId).join(','),
+    },
+  };
+}
+
+/**
+ * Build the email of a digest
+ * @param {Object} digest - From digests.buildDigest
+ * @return {Object} {subject, text, html}
+ */
+function renderEmail(digest) {
+  const listed = digest.videos.slice(0, EMAIL_LISTED_VIDEOS);
+  const more = digest.videos.length - listed.length;
+  const moreLine = more > 0 ? `and ${more} more in your feed` : null;
+
+  const text = [
+    ...listed.map((video) => `${video.channelName}: ${video.title}\n${watchUrl(video)}`),
+    ...(moreLine ? [moreLine] : []),
+  ].join('\n\n');
+
+  const items = listed.map((video) => [
+    '<li>',
+    video.thumbnaillUrl ? `<img src="${escapeXml(video.thumbnaillUrl)}" width="160" alt=""/>` : '',
+    `<a href="${escapeXml(watchUrl(video))}">${escapeXml(video.title)}</a>`,
+    ` - ${escapeXml(video.channelName)}`,
+    '</li>',
+  ].join(''));
+
+  const html = [
+    `<h1>${escapeXml(digestSummary(digest))}</h1>`,
+    `<ul>${items.join('')}</ul>`,
+    ...(moreLine ? [`<p>${escapeXml(moreLine)}</p>`] : []),
+  ].join('\n');
+
+  return {subject: digestSummary(digest), text, html};
+}
+
+/**
+ * Send a digest as a push notification to every device token
+ * @param {Array<string>} tokens - FCM registration tokens
+ * @param {Object} digest - From digests.buildDigest
+ * @return {Promise<Object>} {sent, failed, staleTokens (to unregister)}
+ */
+async function sendPush(tokens, digest) {
+  if (tokens.length === 0) {
+    return {sent: 0, failed: 0, staleTokens: []};
+  }
+
+  const response = await admin.messaging().sendEachForMulticast({tokens, ...renderPush(digest)});
+  const staleTokens = tokens.filter((token, i) => (
+    !response.responses[i].success &&
+    STALE_TOKEN_CODES.includes(response.responses[i].error?.code)
+  ));
+
+  return {sent: response.successCount, failed: response.failureCount, staleTokens};
+}
+
+/**
+ * Send a digest by email through the installed transport
+ * @param {string} to - Recipient address
+ * @param {Object} digest - From digests.buildDigest
+ * @return {Promise<Object>} {transport, accepted}
+ */
+async function sendEmail(to, digest) {
+  const result = await emailTransport.send({to, ...renderEmail(digest)});
+  return {transport: emailTransport.name, accepted: result?.accepted !== false};
+}
+
+module.exports = {
+  setEmailTransport,
+  createMemoryEmailTransport,
+  renderPush,
+  renderEmail,
+  sendPush,
+  sendEmail,
+};
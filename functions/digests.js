@@ -0,0 +1,578 @@
+const admin = require('firebase-admin');
+const {getSubscriptionVideos} = require('./youtubeSubscriptions');
+const {withUserAccessToken} = require('./userTokens');
+const {createQuotaBudget} = require('./quotaLedger');
+const {getGroup} = require('./channelGroups');
+const {getExcludedVideoIds} = require('./videoState');
+const {toApiError} = require('./apiErrors');
+const {sendPush, sendEmail} = require('./digestTransports');
+
+/**
+ * Digest notifications of new uploads
+ * digestSettings/{userId} - {enabled, frequency, timeZone, quietHours, channelIds, groupId,
+ *   delivery, email, deviceTokens, updatedAt, lastRunAt, nextDigestAt, lastSentAt,
+ *   notifiedSince, notifiedVideoIds, digestRotationOffset, failedRuns, lastFailure,
+ *   disabledReason}
+ *
+ * The hourly sendDigests job takes the users whose nextDigestAt has passed, loads their feed
+ * with getSubscriptionVideos (through the feed cache, charged to their quota budget, up to
+ * DIGEST_CHANNELS_PER_RUN channels in a roundRobin rotation of its own, digestRotationOffset,
+ * so digests never move the interactive feed's rotation) and sends the uploads published
+ * after notifiedSince that they haven't been notified about, as a push notification and/or
+ * an email (see digestTransports). notifiedVideoIds remembers
+ * the last notified uploads, so an upload that reaches the feed late is still sent once.
+ * A run that fails is retried with a growing delay (failedRuns), so failing users don't stay
+ * due and crowd out the others; a rejected token disables the digest until it is re-enabled.
+ */
+
+const DIGEST_SETTINGS_COLLECTION = 'digestSettings';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DIGEST_FREQUENCIES = {
+  hourly: HOUR_MS,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+const DELIVERY_METHODS = ['push', 'email'];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  frequency: 'daily',
+  timeZone: 'UTC',
+  quietHours: null,
+  channelIds: null,
+  groupId: null,
+  delivery: ['push'],
+  email: null,
+};
+
+// The job runs hourly: a digest goes out a few minutes early rather than a whole run late
+const DUE_SLACK_MS = 5 * 60 * 1000;
+
+// notifiedSince trails the last run by this much so late uploads are still picked up;
+// notifiedVideoIds keeps them from being sent twice
+const LATE_UPLOAD_WINDOW_MS = 2 * DAY_MS;
+const MAX_NOTIFIED_VIDEO_IDS = 500;
+
+const MAX_DEVICE_TOKENS = 10;
+const MAX_DIGEST_CHANNELS = 500;
+
+// Videos loaded per digest (the newest first)
+const DIGEST_MAX_RESULTS = 50;
+
+// Channels checked per digest (the getSubscriptionVideos maximum). Larger subscription lists
+// are covered in roundRobin rotation: each run continues where the last one stopped
+// (digestRotationOffset, kept apart from the feed cache's rotationOffset).
+const DIGEST_CHANNELS_PER_RUN = 50;
+
+// A failed run is retried after an hour, doubling with each further failure up to a day
+const FAILURE_BACKOFF_MS = HOUR_MS;
+const MAX_FAILURE_BACKOFF_MS = DAY_MS;
+
+// Users per run, and when to stop starting new ones before the function's 540s timeout
+const MAX_USERS = Number(process.env.DIGEST_MAX_USERS) || 500;
+const DIGEST_DEADLINE_MS = 480 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Get a user's digest settings document
+ * @param {string} userId - User ID
+ * @return {Object} Firestore DocumentReference
+ */
+function settingsRef(userId) {
+  return admin.firestore().collection(DIGEST_SETTINGS_COLLECTION).doc(userId);
+}
+
+/**
+ * Check an IANA time zone name
+ * @param {*} timeZone - Value to check
+ * @return {boolean} True if Intl knows the zone
+ */
+function isTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate digest settings
+ * @param {Object} settings - Complete settings (stored settings with the requested changes)
+ * @return {string|null} Error message, or null if the settings are valid
+ */
+function validateDigestSettings(settings) {
+  const {enabled, frequency, timeZone, quietHours, channelIds, groupId, delivery, email} =
+    settings;
+
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  if (!Object.keys(DIGEST_FREQUENCIES).includes(frequency)) {
+    return `frequency must be one of: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`;
+  }
+
+  if (!isTimeZone(timeZone)) {
+    return 'timeZone must be an IANA time zone such as Europe/Paris';
+  }
+
+  if (quietHours !== null && (
+    typeof quietHours !== 'object' || !TIME_PATTERN.test(quietHours.start) ||
+    !TIME_PATTERN.test(quietHours.end) || quietHours.start === quietHours.end)) {
+    return 'quietHours must be null or {start, end} with different HH:MM times';
+  }
+
+  if (channelIds !== null && (
+    !Array.isArray(channelIds) || channelIds.length > MAX_DIGEST_CHANNELS ||
+    !channelIds.every((channelId) => typeof channelId === 'string' && channelId))) {
+    return `channelIds must be null or an array of at most ${MAX_DIGEST_CHANNELS} channel IDs`;
+  }
+
+  if (groupId !== null && (typeof groupId !== 'string' || !groupId)) {
+    return 'groupId must be null or a channel group ID';
+  }
+
+  if (!Array.isArray(delivery) || delivery.length === 0 ||
+      !delivery.every((method) => DELIVERY_METHODS.includes(method))) {
+    return `delivery must list one or more of: ${DELIVERY_METHODS.join(', ')}`;
+  }
+
+  if (email !== null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+    return 'email must be null or an email address';
+  }
+
+  if (delivery.includes('email') && !email) {
+    return 'email is required for email delivery';
+  }
+
+  return null;
+}
+
+/**
+ * Convert a settings document into the API shape
+ * @param {Object} data - Stored document data (undefined if none)
+ * @return {Object} Settings, plus deviceCount, lastSentAt (ISO 8601 or null) and
+ *   disabledReason (why digests were turned off for the user, or null)
+ */
+function toSettings(data = {}) {
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    settings[key] = data[key] === undefined ? DEFAULT_SETTINGS[key] : data[key];
+  });
+
+  return {
+    ...settings,
+    deviceCount: (data.deviceTokens || []).length,
+    lastSentAt: data.lastSentAt ? new Date(data.lastSentAt).toISOString() : null,
+    disabledReason: data.disabledReason || null,
+  };
+}
+
+/**
+ * Get a user's digest settings
+ * @param {string} userId - User ID
+ * @return {Promise<Object>} Settings (the defaults if the user never saved any)
+ */
+async function getDigestSettings(userId) {
+  const doc = await settingsRef(userId).get();
+  return toSettings(doc.exists ? doc.data() : undefined);
+}
+
+/**
+ * Change a user's digest settings
+ * Enabling digests starts them from now: the first one covers uploads published after this
+ * call and goes out one period later.
+ * @param {string} userId - User ID
+ * @param {Object} changes - Settings to change (keys of DEFAULT_SETTINGS; others are ignored)
+ * @return {Promise<Object>} {settings} or {error} if the resulting settings are invalid
+ */
+async function updateDigestSettings(userId, changes) {
+  const ref = settingsRef(userId);
+  const doc = await ref.get();
+  const stored = doc.exists ? doc.data() : {};
+
+  const settings = toSettings(stored);
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (changes[key] !== undefined) {
+      settings[key] = changes[key];
+    }
+  });
+
+  const error = validateDigestSettings(settings);
+  if (error) {
+    return {error};
+  }
+
+  const now = Date.now();
+  const starting = settings.enabled && !stored.enabled;
+  const lastRunAt = starting ? now : stored.lastRunAt || now;
+  const update = {updatedAt: now};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    update[key] = settings[key];
+  });
+  Object.assign(update, {
+    lastRunAt,
+    nextDigestAt: settings.enabled ?
+      lastRunAt + DIGEST_FREQUENCIES[settings.frequency] - DUE_SLACK_MS :
+      null,
+  });
+  if (starting) {
+    Object.assign(update, {
+      notifiedSince: new Date(now).toISOString(),
+      notifiedVideoIds: [],
+      failedRuns: 0,
+      disabledReason: null,
+    });
+  }
+
+  await ref.set(update, {merge: true});
+  return {settings: toSettings({...stored, ...update})};
+}
+
+/**
+ * Register a device for push digests (the oldest device is dropped past MAX_DEVICE_TOKENS)
+ * @param {string} userId - User ID
+ * @param {string} token - FCM registration token
+ * @return {Promise<number>} Registered devices
+ */
+async function registerDevice(userId, token) {
+  const ref = settingsRef(userId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const tokens = (doc.exists ? doc.data().deviceTokens || [] : [])
+        .filter((existing) => existing !== token);
+    const deviceTokens = [...tokens, token].slice(-MAX_DEVICE_TOKENS);
+    transaction.set(ref, {deviceTokens}, {merge: true});
+    return deviceTokens.length;
+  });
+}
+
+/**
+ * Unregister devices from push digests
+ * @param {string} userId - User ID
+ * @param {Array<string>} tokens - FCM registration tokens
+ * @return {Promise<boolean>} True if any token was registered
+ */
+async function unregisterDevices(userId, tokens) {
+  const ref = settingsRef(userId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = doc.exists ? doc.data().deviceTokens || [] : [];
+    const deviceTokens = current.filter((existing) => !tokens.includes(existing));
+    if (deviceTokens.length === current.length) {
+      return false;
+    }
+    transaction.set(ref, {deviceTokens}, {merge: true});
+    return true;
+  });
+}
+
+/**
+ * Check whether a time falls in the user's quiet hours
+ * @param {Object} settings - {timeZone, quietHours}
+ * @param {Date} date - Time to check
+ * @return {boolean} True if digests should wait
+ */
+function isQuietTime(settings, date) {
+  const {quietHours, timeZone} = settings;
+  if (!quietHours) {
+    return false;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => parts.find((part) => part.type === type).value;
+  const local = `${value('hour')}:${value('minute')}`;
+
+  // A window such as 22:00-07:00 wraps around midnight
+  return quietHours.start < quietHours.end ?
+    local >= quietHours.start && local < quietHours.end :
+    local >= quietHours.start || local < quietHours.end;
+}
+
+/**
+ * Pick the uploads a digest should carry
+ * @param {Array<Object>} videos - Normalized video records (see getSubscriptionVideos)
+ * @param {Object} state - {notifiedSince, notifiedVideoIds}
+ * @return {Array<Object>} Videos published after notifiedSince and not notified yet
+ */
+function selectNewVideos(videos, state) {
+  const since = new Date(state.notifiedSince).getTime();
+  const notified = new Set(state.notifiedVideoIds || []);
+  return videos.filter((video) => (
+    !notified.has(video.videoId) && new Date(video.publishedAt).getTime() > since
+  ));
+}
+
+/**
+ * Build a digest
+ * @param {Array<Object>} videos - New videos (normalized records, newest first)
+ * @param {Object} settings - {frequency}
+ * @return {Object} {frequency, videos, channelCount}
+ */
+function buildDigest(videos, settings) {
+  return {
+    frequency: settings.frequency,
+    videos,
+    channelCount: new Set(videos.map((video) => video.channelId)).size,
+  };
+}
+
+/**
+ * Send a digest by every delivery method the user picked
+ * A failing method is logged and reported; the others still go out. A method that reached
+ * nobody (no device took the push, or no transport accepted the email) counts as failed.
+ * @param {string} userId - User ID
+ * @param {Object} data - Stored settings document
+ * @param {Object} digest - From buildDigest
+ * @return {Promise<Object>} {delivered: {push, email}, errors, staleTokens}
+ */
+async function deliverDigest(userId, data, digest) {
+  const delivered = {};
+  const errors = {};
+  let staleTokens = [];
+
+  for (const method of data.delivery) {
+    try {
+      if (method === 'push') {
+        const deviceTokens = data.deviceTokens || [];
+        const result = await sendPush(deviceTokens, digest);
+        delivered.push = result.sent;
+        staleTokens = result.staleTokens;
+        if (result.sent === 0) {
+          errors.push = deviceTokens.length === 0 ?
+            'No devices registered' :
+            'No device accepted the notification';
+        }
+      } else {
+        const result = await sendEmail(data.email, digest);
+        delivered.email = result.accepted;
+        if (!result.accepted) {
+          errors.email = `Email not accepted by the ${result.transport} transport`;
+        }
+      }
+    } catch (error) {
+      console.error(`Digest ${method} delivery failed for user ${userId}:`, error);
+      errors[method] = error.code || error.message;
+    }
+  }
+
+  return {delivered, errors, staleTokens};
+}
+
+/**
+ * Schedule the retry of a run that failed before anything was sent
+ * The uploads stay pending (notifiedSince is kept). A rejected token disables the digest,
+ * since every retry would fail the same way until the user signs in again.
+ * @param {string} userId - User ID
+ * @param {Object} data - Stored settings document
+ * @param {number} now - Epoch ms of the run
+ * @param {string} reason - Why it failed: an error code (see apiErrors), or group when the
+ *   digest's channel group no longer exists
+ * @return {Promise<void>}
+ */
+async function recordFailedRun(userId, data, now, reason) {
+  const failedRuns = (data.failedRuns || 0) + 1;
+  const update = {lastRunAt: now, failedRuns, lastFailure: reason};
+
+  if (reason === 'AUTH_REQUIRED') {
+    Object.assign(update, {enabled: false, nextDigestAt: null, disabledReason: reason});
+  } else {
+    const backoff = Math.min(FAILURE_BACKOFF_MS * 2 ** (failedRuns - 1), MAX_FAILURE_BACKOFF_MS);
+    update.nextDigestAt = now + backoff;
+  }
+
+  await settingsRef(userId).set(update, {merge: true}).catch((error) => {
+    console.error(`Failed to reschedule the digest for user ${userId}:`, error);
+  });
+}
+
+/**
+ * Load a user's new uploads and send their digest
+ * @param {string} userId - User ID
+ * @param {Object} data - Stored settings document
+ * @param {number} now - Epoch ms of the run
+ * @return {Promise<Object>} Report entry: {status (sent|empty|skipped|failed), videos,
+ *   delivered, reason, quotaUsed}
+ */
+async function runUserDigest(userId, data, now) {
+  let channelIds = data.channelIds || undefined;
+  if (data.groupId) {
+    const group = await getGroup(userId, data.groupId);
+    if (!group) {
+      await recordFailedRun(userId, data, now, 'group');
+      return {status: 'skipped', reason: 'group'};
+    }
+    channelIds = channelIds ?
+      group.channelIds.filter((channelId) => channelIds.includes(channelId)) :
+      group.channelIds;
+  }
+
+  const quotaBudget = await createQuotaBudget(userId);
+  const entry = {};
+
+  try {
+    const excludeList = await getExcludedVideoIds(userId);
+    const result = await withUserAccessToken(userId, (token) => getSubscriptionVideos(token, {
+      userId,
+      quotaBudget,
+      channelIds,
+      excludeList,
+      maxChannels: DIGEST_CHANNELS_PER_RUN,
+      channelStrategy: 'roundRobin',
+      rotationOffset: data.digestRotationOffset || 0,
+      maxResults: DIGEST_MAX_RESULTS,
+      filters: {publishedAfter: data.notifiedSince},
+    }));
+
+    const newVideos = selectNewVideos(result.videos, data);
+    entry.videos = newVideos.length;
+    const update = {
+      lastRunAt: now,
+      nextDigestAt: now + DIGEST_FREQUENCIES[data.frequency] - DUE_SLACK_MS,
+      failedRuns: 0,
+    };
+
+    if (newVideos.length === 0) {
+      entry.status = 'empty';
+    } else {
+      const {delivered, errors, staleTokens} = await deliverDigest(
+          userId, data, buildDigest(newVideos, data),
+      );
+      entry.delivered = delivered;
+
+      if (Object.keys(errors).length === data.delivery.length) {
+        // Nothing went out: try the same uploads again at the next run
+        Object.assign(entry, {status: 'failed', reason: 'delivery', errors});
+        update.nextDigestAt = now + HOUR_MS;
+      } else {
+        entry.status = 'sent';
+        Object.assign(update, {
+          lastSentAt: now,
+          notifiedVideoIds: [
+            ...newVideos.map((video) => video.videoId),
+            ...(data.notifiedVideoIds || []),
+          ].slice(0, MAX_NOTIFIED_VIDEO_IDS),
+        });
+      }
+      if (staleTokens.length > 0) {
+        update.deviceTokens = (data.deviceTokens || [])
+            .filter((token) => !staleTokens.includes(token));
+      }
+    }
+
+    if (entry.status !== 'failed') {
+      const notifiedSince = Math.max(
+          new Date(data.notifiedSince).getTime(),
+          now - LATE_UPLOAD_WINDOW_MS,
+      );
+      update.notifiedSince = new Date(notifiedSince).toISOString();
+      if (result.nextRotationOffset !== null) {
+        update.digestRotationOffset = result.nextRotationOffset;
+      }
+    }
+    await settingsRef(userId).set(update, {merge: true});
+  } catch (error) {
+    console.error(`Digest failed for user ${userId}:`, error);
+    const {code} = toApiError(error);
+    Object.assign(entry, {status: 'failed', reason: code});
+    await recordFailedRun(userId, data, now, code);
+  }
+
+  await quotaBudget.flush().catch((flushError) => {
+    console.error('Failed to record quota usage:', flushError);
+  });
+  entry.quotaUsed = quotaBudget.used();
+  return entry;
+}
+
+/**
+ * Send the digests that are due
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report the users whose digest is due
+ * @param {Date} options.now - Time of the run (default: now)
+ * @return {Promise<Object>} Report: {dryRun, users: [{userId, status (due|sent|empty|
+ *   skipped|failed), videos, delivered, reason, quotaUsed}], sent, quotaUsed}
+ */
+async function sendDigests(options = {}) {
+  const {dryRun = false, now = new Date()} = options;
+  const startedAt = Date.now();
+
+  const snapshot = await admin.firestore()
+      .collection(DIGEST_SETTINGS_COLLECTION)
+      .where('nextDigestAt', '<=', now.getTime())
+      .orderBy('nextDigestAt')
+      .limit(MAX_USERS)
+      .get();
+
+  const users = [];
+  let quotaUsed = 0;
+
+  for (const doc of snapshot.docs) {
+    const userId = doc.id;
+    const data = doc.data();
+
+    if (Date.now() - startedAt > DIGEST_DEADLINE_MS) {
+      users.push({userId, status: 'skipped', reason: 'deadline'});
+      continue;
+    }
+
+    // Stays due, so it goes out at the first run after the quiet hours
+    if (isQuietTime(data, now)) {
+      users.push({userId, status: 'skipped', reason: 'quietHours'});
+      continue;
+    }
+
+    if (dryRun) {
+      users.push({userId, status: 'due'});
+      continue;
+    }
+
+    const entry = {userId, ...await runUserDigest(userId, data, now.getTime())};
+    users.push(entry);
+    quotaUsed += entry.quotaUsed || 0;
+  }
+
+  const count = (status) => users.filter((user) => user.status === status).length;
+  const report = {dryRun, users, sent: count('sent'), quotaUsed};
+
+  console.log(`Digests${dryRun ? ' (dry run)' : ''}:`, {
+    dueUsers: users.length,
+    due: count('due'),
+    sent: count('sent'),
+    empty: count('empty'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    quotaUsed,
+  });
+
+  return report;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DELIVERY_METHODS,
+  validateDigestSettings,
+  getDigestSettings,
+  updateDigestSettings,
+  registerDevice,
+  unregisterDevices,
+  isQuietTime,
+  selectNewVideos,
+  buildDigest,
+  sendDigests,
+};
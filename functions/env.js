@@ -0,0 +1,21 @@
+/**
+ * Environment configuration helpers
+ */
+
+/**
+ * Read a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset (or not a number)
+ * @return {number} The variable's value, which may be 0
+ */
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  return Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+module.exports = {
+  envNumber,
+};
@@ -0,0 +1,265 @@
+const admin = require('firebase-admin');
+
+/**
+ * Per-user feed cache in Firestore
+ *
+ * feedCache/{userId}                      - {channels, channelsSyncedAt, rotationOffset,
+ *                                            lastActiveAt, prefetchedAt}
+ * feedCache/{userId}/channels/{channelId} - {videos, lastSeenPublishedAt, oldestActivityAt,
+ *                                            drained, syncedAt}
+ *
+ * Each channel document holds the normalized records of the channel's most recent uploads.
+ * The window is complete from now back to oldestActivityAt (or to the channel's first
+ * upload when drained), so later requests can page through it without calling YouTube and
+ * only ask activities.list for uploads published after lastSeenPublishedAt.
+ *
+ * lastActiveAt is when the user last loaded their feed; the scheduled prefetch (see prefetch)
+ * refreshes the windows of recently active users and records when it started (prefetchedAt).
+ */
+
+const FEED_CACHE_COLLECTION = 'feedCache';
+
+// How long the subscription (channel) list is reused before subscriptions.list runs again
+const CHANNEL_LIST_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Upper bound on cached uploads per channel (keeps channel documents well under 1 MiB)
+const MAX_CACHED_VIDEOS_PER_CHANNEL = 20;
+
+/**
+ * Get the Firestore document for a user's feed cache
+ * @param {string} userId - User ID
+ * @return {Object} Firestore DocumentReference
+ */
+function userCacheRef(userId) {
+  return admin.firestore().collection(FEED_CACHE_COLLECTION).doc(userId);
+}
+
+/**
+ * Read the user's feed state: the cached subscription channel list (only if it is still
+ * within CHANNEL_LIST_TTL_MS), the roundRobin rotation offset and the activity/prefetch times
+ * @param {string} userId - User ID
+ * @param {Object} options - Read options
+ * @param {number} options.channelListMaxAgeMs - Oldest channel list to return (default:
+ *   CHANNEL_LIST_TTL_MS; Infinity for whatever list is stored, e.g. to plan a refresh)
+ * @return {Promise<Object>} {channels: channel entries in subscriptions.list order or null,
+ *   channelsStale (the next feed load refetches the list: none stored, or older than
+ *   CHANNEL_LIST_TTL_MS), rotationOffset, lastActiveAt, prefetchedAt}
+ */
+async function getUserFeedState(userId, options = {}) {
+  const {channelListMaxAgeMs = CHANNEL_LIST_TTL_MS} = options;
+  const doc = await userCacheRef(userId).get();
+  if (!doc.exists) {
+    return {
+      channels: null,
+      channelsStale: true,
+      rotationOffset: 0,
+      lastActiveAt: null,
+      prefetchedAt: null,
+    };
+  }
+
+  const {
+    channels,
+    channelsSyncedAt,
+    rotationOffset = 0,
+    lastActiveAt = null,
+    prefetchedAt = null,
+  } = doc.data();
+  const age = Array.isArray(channels) && channelsSyncedAt ? Date.now() - channelsSyncedAt : null;
+
+  return {
+    channels: age !== null && age <= channelListMaxAgeMs ? channels : null,
+    channelsStale: age === null || age > CHANNEL_LIST_TTL_MS,
+    rotationOffset,
+    lastActiveAt,
+    prefetchedAt,
+  };
+}
+
+/**
+ * Store the user's subscription channel list
+ * @param {string} userId - User ID
+ * @param {Array<Object>} channels - Channel entries in subscriptions.list order
+ *   ({channelId, title, newItemCount, activityType})
+ * @return {Promise<void>}
+ */
+async function saveChannelList(userId, channels) {
+  await userCacheRef(userId).set({
+    channels,
+    channelsSyncedAt: Date.now(),
+  }, {merge: true});
+}
+
+/**
+ * Drop the stored channel list, so the next feed load lists subscriptions again
+ * @param {string} userId - User ID
+ * @return {Promise<void>}
+ */
+async function clearChannelList(userId) {
+  await userCacheRef(userId).set({channelsSyncedAt: null}, {merge: true});
+}
+
+/**
+ * Store where the next roundRobin request starts in the channel list
+ * @param {string} userId - User ID
+ * @param {number} rotationOffset - Index of the next channel to process
+ * @return {Promise<void>}
+ */
+async function saveRotationOffset(userId, rotationOffset) {
+  await userCacheRef(userId).set({rotationOffset}, {merge: true});
+}
+
+/**
+ * Record that the user loaded their feed
+ * @param {string} userId - User ID
+ * @return {Promise<void>}
+ */
+async function recordActivity(userId) {
+  await userCacheRef(userId).set({lastActiveAt: Date.now()}, {merge: true});
+}
+
+/**
+ * Record that the scheduled prefetch refreshed the user's feed
+ * @param {string} userId - User ID
+ * @param {number} prefetchedAt - When the refresh started (epoch ms): the windows synced
+ *   since then are the ones it refreshed
+ * @return {Promise<void>}
+ */
+async function savePrefetchedAt(userId, prefetchedAt) {
+  await userCacheRef(userId).set({prefetchedAt}, {merge: true});
+}
+
+/**
+ * List users who loaded their feed since a time, most recently active first
+ * @param {number} since - Epoch ms
+ * @param {number} limit - Maximum users to return
+ * @return {Promise<Array<Object>>} Users ({userId, lastActiveAt})
+ */
+async function listActiveUsers(since, limit) {
+  const snapshot = await admin.firestore()
+      .collection(FEED_CACHE_COLLECTION)
+      .where('lastActiveAt', '>=', since)
+      .orderBy('lastActiveAt', 'desc')
+      .limit(limit)
+      .get();
+
+  return snapshot.docs.map((doc) => ({userId: doc.id, lastActiveAt: doc.data().lastActiveAt}));
+}
+
+/**
+ * Read cached channel windows
+ * @param {string} userId - User ID
+ * @param {Array<string>} channelIds - Channels to read
+ * @return {Promise<Map<string, Object>>} Cached channel documents keyed by channel ID
+ */
+async function getCachedChannels(userId, channelIds) {
+  const cached = new Map();
+  if (channelIds.length === 0) {
+    return cached;
+  }
+
+  const channelsRef = userCacheRef(userId).collection('channels');
+  const docs = await admin.firestore().getAll(
+      ...channelIds.map((channelId) => channelsRef.doc(channelId)),
+  );
+
+  docs.forEach((doc) => {
+    if (doc.exists) {
+      cached.set(doc.id, doc.data());
+    }
+  });
+
+  return cached;
+}
+
+/**
+ * Write channel windows in a single batch
+ * @param {string} userId - User ID
+ * @param {Array<Object>} channels - Channel windows ({channelId, ...window fields})
+ * @return {Promise<void>}
+ */
+async function saveChannels(userId, channels) {
+  if (channels.length === 0) {
+    return;
+  }
+
+  const channelsRef = userCacheRef(userId).collection('channels');
+  const batch = admin.firestore().batch();
+
+  channels.forEach(({channelId, ...window}) => {
+    batch.set(channelsRef.doc(channelId), window);
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Merge newly fetched uploads into a cached channel window
+ * @param {Object|undefined} cached - Existing channel window (undefined for a first sync)
+ * @param {Object} fetched - Result of an activities.list call
+ * @param {Array<Object>} fetched.videos - Normalized records of the fetched uploads
+ * @param {string|null} fetched.newestActivityAt - publishedAt of the newest activity
+ * @param {string|null} fetched.oldestActivityAt - publishedAt of the oldest activity
+ * @param {boolean} fetched.hasMore - activities.list returned a nextPageToken
+ * @return {Object} Updated channel window
+ */
+function mergeChannelWindow(cached, fetched) {
+  let videos;
+  let oldestActivityAt;
+  let drained;
+
+  if (!cached || fetched.hasMore) {
+    // First sync, or more new uploads than one page - the old window is no longer contiguous
+    videos = fetched.videos;
+    oldestActivityAt = fetched.oldestActivityAt;
+    drained = !cached && !fetched.hasMore;
+  } else {
+    const fetchedIds = new Set(fetched.videos.map((video) => video.videoId));
+    videos = [
+      ...fetched.videos,
+      ...cached.videos.filter((video) => !fetchedIds.has(video.videoId)),
+    ];
+    oldestActivityAt = cached.oldestActivityAt;
+    drained = cached.drained;
+  }
+
+  videos.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  if (videos.length > MAX_CACHED_VIDEOS_PER_CHANNEL) {
+    videos = videos.slice(0, MAX_CACHED_VIDEOS_PER_CHANNEL);
+    oldestActivityAt = videos[videos.length - 1].publishedAt;
+    drained = false;
+  }
+
+  return {
+    videos,
+    lastSeenPublishedAt: fetched.newestActivityAt || cached?.lastSeenPublishedAt || null,
+    oldestActivityAt: oldestActivityAt || null,
+    drained,
+    syncedAt: Date.now(),
+  };
+}
+
+/**
+ * Check whether a cached channel window was synced within the freshness window
+ * @param {Object} cached - Cached channel window
+ * @param {number} maxAgeSeconds - Freshness window in seconds
+ * @return {boolean} True if new uploads do not need to be fetched
+ */
+function isChannelFresh(cached, maxAgeSeconds) {
+  return Boolean(cached.syncedAt) && Date.now() - cached.syncedAt <= maxAgeSeconds * 1000;
+}
+
+module.exports = {
+  getUserFeedState,
+  saveChannelList,
+  clearChannelList,
+  saveRotationOffset,
+  recordActivity,
+  savePrefetchedAt,
+  listActiveUsers,
+  getCachedChannels,
+  saveChannels,
+  mergeChannelWindow,
+  isChannelFresh,
+};
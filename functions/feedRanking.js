@@ -0,0 +1,125 @@
+const {compareFeedOrder} = require('./cursor');
+
+/**
+ * Ranking modes for POST /videos (`sort`)
+ *
+ * newest keeps the feed's own order and pages with a plain cursor. The other modes rank a
+ * pool: every video between the page's boundary and the horizon (see getSubscriptionVideos).
+ * Pages walk through the ranked pool with an offset kept in the cursor, then move on to
+ * the next pool below the horizon.
+ */
+
+const SORT_MODES = ['newest', 'oldest', 'channelInterleave', 'popular', 'personal'];
+
+// personal: a channel's weight counts for half as much for every week of a video's age
+const PERSONAL_HALF_LIFE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Weigh channels by the user's history with them
+ * Watched and saved videos raise a channel's weight and dismissed ones lower it; channels
+ * without history weigh 1.
+ * @param {Array<Object>} entries - Video state entries ({state, channelId}, see videoState)
+ * @return {Map<string, number>} Weight keyed by channel ID (only channels with history)
+ */
+function channelWeights(entries) {
+  const counts = new Map();
+  entries
+      .filter((entry) => entry.channelId)
+      .forEach(({channelId, state}) => {
+        const count = counts.get(channelId) || {positive: 0, dismissed: 0};
+        if (state === 'dismissed') {
+          count.dismissed += 1;
+        } else {
+          count.positive += 1;
+        }
+        counts.set(channelId, count);
+      });
+
+  const weights = new Map();
+  counts.forEach(({positive, dismissed}, channelId) => {
+    weights.set(channelId, (positive + 1) / (dismissed + 1));
+  });
+  return weights;
+}
+
+/**
+ * Round-robin across channels (each channel's videos stay newest first), starting with the
+ * channel that uploaded most recently
+ * @param {Array<Object>} videos - Videos in feed order
+ * @param {Function} channelIdOf - Returns a video's channel ID
+ * @return {Array<Object>} Interleaved videos
+ */
+function interleaveChannels(videos, channelIdOf) {
+  const queues = new Map();
+  videos.forEach((video) => {
+    const channelId = channelIdOf(video);
+    if (!queues.has(channelId)) {
+      queues.set(channelId, []);
+    }
+    queues.get(channelId).push(video);
+  });
+
+  const interleaved = [];
+  const channels = [...queues.values()];
+  for (let round = 0; interleaved.length < videos.length; round += 1) {
+    channels.forEach((queue) => {
+      if (round < queue.length) {
+        interleaved.push(queue[round]);
+      }
+    });
+  }
+  return interleaved;
+}
+
+/**
+ * Rank videos
+ * @param {Array<Object>} videos - Normalized video records
+ * @param {string} sort - One of SORT_MODES
+ * @param {Object} context - Ranking inputs
+ * @param {Function} context.channelIdOf - Returns a video's channel ID
+ * @param {Map<string, Object>} context.statistics - videos.list statistics keyed by video ID
+ *   (popular)
+ * @param {Map<string, number>} context.channelWeights - Channel weights (personal, see
+ *   channelWeights)
+ * @param {number} context.now - Epoch ms ages are measured from (default: now)
+ * @return {Array<Object>} Ranked copy of videos
+ */
+function rankVideos(videos, sort, context = {}) {
+  const {channelIdOf, statistics = new Map(), now = Date.now()} = context;
+  const weights = context.channelWeights || new Map();
+  const byScore = (score) => {
+    const scores = new Map(videos.map((video) => [video.videoId, score(video)]));
+    return (a, b) => scores.get(b.videoId) - scores.get(a.videoId) || compareFeedOrder(a, b);
+  };
+  const feedOrder = [...videos].sort(compareFeedOrder);
+
+  switch (sort) {
+    case 'oldest':
+      return feedOrder.reverse();
+
+    case 'channelInterleave':
+      return interleaveChannels(feedOrder, channelIdOf);
+
+    case 'popular':
+      return feedOrder.sort(byScore((video) => (
+        Number(statistics.get(video.videoId)?.viewCount) || 0
+      )));
+
+    case 'personal':
+      return feedOrder.sort(byScore((video) => {
+        const ageDays = Math.max(0, now - new Date(video.publishedAt).getTime()) / DAY_MS;
+        const weight = weights.has(channelIdOf(video)) ? weights.get(channelIdOf(video)) : 1;
+        return weight * 0.5 ** (ageDays / PERSONAL_HALF_LIFE_DAYS);
+      }));
+
+    default:
+      return feedOrder;
+  }
+}
+
+module.exports = {
+  SORT_MODES,
+  channelWeights,
+  rankVideos,
+};
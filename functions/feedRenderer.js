@@ -0,0 +1,158 @@
+const {parseDuration} = require('./videoFilters');
+
+/**
+ * Render a normalized video list (see youtubeSubscriptions.formatVideo) as Atom or RSS
+ *
+ * Entries use YouTube's watch URL as their link and a tag: URI on the video ID as their
+ * stable ID. Thumbnails and durations use the Media RSS namespace, which feed readers
+ * understand in both formats.
+ */
+
+const MEDIA_NAMESPACE = 'http://search.yahoo.com/mrss/';
+const FEED_TITLE = 'YouTube subscriptions';
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value - Value to escape
+ * @return {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+      // Drop characters XML 1.0 can't carry (control characters, lone surrogates)
+      // eslint-disable-next-line no-control-regex
+      .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+}
+
+/**
+ * Get a video's YouTube watch URL
+ * @param {Object} video - Normalized video record
+ * @return {string} Watch URL
+ */
+function watchUrl(video) {
+  return `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`;
+}
+
+/**
+ * Get a video's stable entry ID
+ * @param {Object} video - Normalized video record
+ * @return {string} tag: URI
+ */
+function entryId(video) {
+  return `tag:youtube.com,2008:video:${video.videoId}`;
+}
+
+/**
+ * Render a video's Media RSS thumbnail and content (with duration in seconds)
+ * @param {Object} video - Normalized video record
+ * @param {string} indent - Indentation for each line
+ * @return {string} media:* elements
+ */
+function mediaElements(video, indent) {
+  const lines = [];
+  const thumbnailUrl = video.thumbnaillUrl || video.thumbnailUrl;
+  if (thumbnailUrl) {
+    lines.push(`<media:thumbnail url="${escapeXml(thumbnailUrl)}"/>`);
+  }
+
+  const seconds = parseDuration(video.duration);
+  const duration = seconds === null ? '' : ` duration="${Math.round(seconds)}"`;
+  lines.push(`<media:content url="${escapeXml(watchUrl(video))}" medium="video"${duration}/>`);
+
+  return lines.map((line) => `${indent}${line}`).join('\n');
+}
+
+/**
+ * Get the time a feed was last updated (its newest video, or now for an empty feed)
+ * @param {Array<Object>} videos - Normalized video records
+ * @return {Date} Last update
+ */
+function feedUpdated(videos) {
+  const times = videos.map((video) => new Date(video.publishedAt).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : new Date();
+}
+
+/**
+ * Render videos as an Atom 1.0 document
+ * @param {Array<Object>} videos - Normalized video records
+ * @param {Object} meta - Feed details
+ * @param {string} meta.userId - User the feed belongs to
+ * @param {string} meta.selfUrl - URL the feed was requested from
+ * @return {string} Atom XML
+ */
+function renderAtom(videos, {userId, selfUrl}) {
+  const entries = videos.map((video) => [
+    '  <entry>',
+    `    <id>${escapeXml(entryId(video))}</id>`,
+    `    <title>${escapeXml(video.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(watchUrl(video))}"/>`,
+    `    <author><name>${escapeXml(video.channelName)}</name></author>`,
+    `    <published>${escapeXml(video.publishedAt)}</published>`,
+    `    <updated>${escapeXml(video.publishedAt)}</updated>`,
+    `    <summary type="text">${escapeXml(video.description)}</summary>`,
+    mediaElements(video, '    '),
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="${MEDIA_NAMESPACE}">`,
+    `  <id>urn:youtube-subscriptions:feed:${escapeXml(userId)}</id>`,
+    `  <title>${FEED_TITLE}</title>`,
+    `  <updated>${feedUpdated(videos).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    '  <link rel="alternate" type="text/html" href="https://www.youtube.com/feed/subscriptions"/>',
+    '  <generator>youtubeSubscriptions</generator>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render videos as an RSS 2.0 document
+ * @param {Array<Object>} videos - Normalized video records
+ * @param {Object} meta - Feed details
+ * @param {string} meta.selfUrl - URL the feed was requested from
+ * @return {string} RSS XML
+ */
+function renderRss(videos, {selfUrl}) {
+  const items = videos.map((video) => [
+    '    <item>',
+    `      <title>${escapeXml(video.title)}</title>`,
+    `      <link>${escapeXml(watchUrl(video))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entryId(video))}</guid>`,
+    `      <pubDate>${new Date(video.publishedAt).toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(video.channelName)}</dc:creator>`,
+    `      <description>${escapeXml(video.description)}</description>`,
+    mediaElements(video, '      '),
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      `xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="${MEDIA_NAMESPACE}">`,
+    '  <channel>',
+    `    <title>${FEED_TITLE}</title>`,
+    '    <link>https://www.youtube.com/feed/subscriptions</link>',
+    '    <description>Latest uploads from your YouTube subscriptions</description>',
+    `    <lastBuildDate>${feedUpdated(videos).toUTCString()}</lastBuildDate>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  watchUrl,
+  renderAtom,
+  renderRss,
+};
@@ -0,0 +1,156 @@
+const express = require('express');
+const {getSubscriptionVideos} = require('./youtubeSubscriptions');
+const {withUserAccessToken} = require('./userTokens');
+const {createQuotaBudget} = require('./quotaLedger');
+const {getExcludedVideoIds} = require('./videoState');
+const {createFeedToken, verifyFeedToken, revokeFeedToken} = require('./feedTokens');
+const {renderAtom, renderRss} = require('./feedRenderer');
+const {requestUserId, requireUserId, sendServerError, sendApiError} = require('./httpHelpers');
+const {authenticate} = require('./requestAuth');
+const {rateLimit} = require('./rateLimit');
+
+/**
+ * Atom/RSS feed routes, mounted at /feed
+ * GET /feed/{userId}.atom?token=... and /feed/{userId}.rss?token=... serve the user's
+ * subscription feed to feed readers, authenticated by the user's revocable feed token.
+ * Creating and revoking the token takes the user's ID token (see requestAuth).
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const FEED_FORMATS = {
+  atom: {contentType: 'application/atom+xml', render: renderAtom},
+  rss: {contentType: 'application/rss+xml', render: renderRss},
+};
+
+const DEFAULT_FEED_ITEMS = 25;
+const MAX_FEED_ITEMS = 50;
+
+// Feed readers poll; let them reuse a response for as long as the feed cache does
+const FEED_MAX_AGE_SECONDS = 300;
+
+/**
+ * Middleware rejecting feed requests without the user's current feed token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @return {Promise<void>}
+ */
+async function requireFeedToken(req, res, next) {
+  try {
+    if (!await verifyFeedToken(req.params.userId, req.query.token)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked feed token',
+      });
+    }
+    next();
+  } catch (error) {
+    sendServerError(res, 'verify feed token', error);
+  }
+}
+
+// The signed-in user manages the token. Feed readers are limited by IP until their feed token
+// checks out, then by the user in the URL, so guessed tokens can't drain the user's bucket.
+const tokenMiddleware = [authenticate, rateLimit('feedToken'), requireUserId];
+const feedMiddleware = [
+  rateLimit('feed', {scopes: ['ip']}),
+  requireFeedToken,
+  rateLimit('feed', {scopes: ['user'], userIdOf: (req) => req.params.userId}),
+];
+
+// Create (or rotate) the feed token - the previous feed URL stops working
+router.post('/token', tokenMiddleware, async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const token = await createFeedToken(userId);
+    const query = `?token=${encodeURIComponent(token)}`;
+    console.log('Feed token created:', {userId});
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        atomPath: `/feed/${encodeURIComponent(userId)}.atom${query}`,
+        rssPath: `/feed/${encodeURIComponent(userId)}.rss${query}`,
+      },
+    });
+  } catch (error) {
+    sendServerError(res, 'create feed token', error);
+  }
+});
+
+// Revoke the feed token
+router.delete('/token', tokenMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(requestUserId(req));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'No feed token to revoke',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {revoked: true},
+    });
+  } catch (error) {
+    sendServerError(res, 'revoke feed token', error);
+  }
+});
+
+// Render the feed
+router.get('/:userId.:format(atom|rss)', feedMiddleware, async (req, res) => {
+  const {userId, format} = req.params;
+  let quotaBudget;
+
+  try {
+    const maxResults = req.query.maxResults === undefined ?
+      DEFAULT_FEED_ITEMS :
+      Number(req.query.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_FEED_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `maxResults must be between 1 and ${MAX_FEED_ITEMS}`,
+      });
+    }
+
+    // Same feed as POST /videos: stored watched/dismissed/saved videos are left out
+    const excludedVideoIds = await getExcludedVideoIds(userId);
+    quotaBudget = await createQuotaBudget(userId);
+
+    const {videos} = await withUserAccessToken(userId, (token) => getSubscriptionVideos(token, {
+      maxResults,
+      excludeList: excludedVideoIds,
+      userId,
+      quotaBudget,
+    }));
+
+    await quotaBudget.flush();
+
+    console.log('Feed rendered:', {
+      userId,
+      format,
+      videoCount: videos.length,
+      quotaUsed: quotaBudget.used(),
+    });
+
+    const {contentType, render} = FEED_FORMATS[format];
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.set('Cache-Control', `private, max-age=${FEED_MAX_AGE_SECONDS}`);
+    res.type(contentType).send(render(videos, {userId, selfUrl}));
+  } catch (error) {
+    console.error('Error rendering feed:', error);
+
+    if (quotaBudget) {
+      await quotaBudget.flush().catch((flushError) => {
+        console.error('Failed to record quota usage:', flushError);
+      });
+    }
+
+    sendApiError(res, error);
+  }
+});
+
+module.exports = router;
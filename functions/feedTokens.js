@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+/**
+ * Per-user feed tokens for the Atom/RSS feed
+ * feedTokens/{userId} - {tokenHash, createdAt}
+ *
+ * Feed readers can't send auth headers, so the feed URL carries a random token. Only its
+ * SHA-256 hash is stored; creating a new token replaces the old one and deleting it
+ * revokes feed access.
+ */
+
+const FEED_TOKENS_COLLECTION = 'feedTokens';
+
+/**
+ * Get a user's feed token document
+ * @param {string} userId - User ID
+ * @return {Object} Firestore DocumentReference
+ */
+function feedTokenRef(userId) {
+  return admin.firestore().collection(FEED_TOKENS_COLLECTION).doc(userId);
+}
+
+/**
+ * Hash a feed token for storage and comparison
+ * @param {string} token - Raw feed token
+ * @return {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create (or rotate) a user's feed token
+ * @param {string} userId - User ID
+ * @return {Promise<string>} Raw token - shown once, only its hash is stored
+ */
+async function createFeedToken(userId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await feedTokenRef(userId).set({
+    tokenHash: hashToken(token),
+    createdAt: Date.now(),
+  });
+  return token;
+}
+
+/**
+ * Check a feed token against the stored hash
+ * @param {string} userId - User ID
+ * @param {string} token - Token from the feed URL
+ * @return {Promise<boolean>} True if the token is the user's current token
+ */
+async function verifyFeedToken(userId, token) {
+  if (!token) {
+    return false;
+  }
+
+  const doc = await feedTokenRef(userId).get();
+  if (!doc.exists) {
+    return false;
+  }
+
+  const expected = Buffer.from(doc.data().tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Revoke a user's feed token
+ * @param {string} userId - User ID
+ * @return {Promise<boolean>} True if the user had a token
+ */
+async function revokeFeedToken(userId) {
+  const ref = feedTokenRef(userId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+
+  await ref.delete();
+  return true;
+}
+
+module.exports = {
+  createFeedToken,
+  verifyFeedToken,
+  revokeFeedToken,
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const channelGroups = require('./channelGroups');
+const {requestUserId, requireUserId, sendServerError} = require('./httpHelpers');
+
+/**
+ * Channel group routes, mounted at /groups
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// Validate userId on every group route
+router.use(requireUserId);
+
+// List groups
+router.get('/', async (req, res) => {
+  try {
+    const groups = await channelGroups.listGroups(requestUserId(req));
+    res.json({
+      success: true,
+      data: {groups, count: groups.length},
+    });
+  } catch (error) {
+    sendServerError(res, 'list channel groups', error);
+  }
+});
+
+// Create a group
+router.post('/', async (req, res) => {
+  try {
+    const {name, channelIds} = req.body;
+    const validationError = channelGroups.validateGroup({name, channelIds});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const group = await channelGroups.createGroup(requestUserId(req), {name, channelIds});
+    console.log('Channel group created:', {userId: requestUserId(req), groupId: group.groupId});
+
+    res.status(201).json({
+      success: true,
+      data: {group},
+    });
+  } catch (error) {
+    sendServerError(res, 'create channel group', error);
+  }
+});
+
+// Get one group
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = await channelGroups.getGroup(requestUserId(req), req.params.groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {group},
+    });
+  } catch (error) {
+    sendServerError(res, 'get channel group', error);
+  }
+});
+
+// Rename a group and/or replace its channels
+router.put('/:groupId', async (req, res) => {
+  try {
+    const {name, channelIds} = req.body;
+    const validationError = channelGroups.validateGroup({name, channelIds}, {partial: true});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const group = await channelGroups.updateGroup(
+        requestUserId(req), req.params.groupId, {name, channelIds},
+    );
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {group},
+    });
+  } catch (error) {
+    sendServerError(res, 'update channel group', error);
+  }
+});
+
+// Delete a group
+router.delete('/:groupId', async (req, res) => {
+  try {
+    const deleted = await channelGroups.deleteGroup(requestUserId(req), req.params.groupId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {groupId: req.params.groupId, deleted: true},
+    });
+  } catch (error) {
+    sendServerError(res, 'delete channel group', error);
+  }
+});
+
+module.exports = router;
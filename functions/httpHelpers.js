@@ -0,0 +1,82 @@
+const {toApiError, publicMessage} = require('./apiErrors');
+
+/**
+ * Shared helpers for the Express routes
+ */
+
+/**
+ * Read the userId of a request
+ * It is the uid of the verified ID token (see requestAuth). Unauthenticated requests (the
+ * emulator without the Auth emulator) send it in the JSON body (POST, PUT) or the query
+ * string (GET, DELETE).
+ * @param {Object} req - Express request
+ * @return {string|undefined} User ID
+ */
+function requestUserId(req) {
+  return req.auth?.uid || req.body?.userId || req.query.userId;
+}
+
+/**
+ * Middleware rejecting requests without a userId
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @return {void}
+ */
+function requireUserId(req, res, next) {
+  if (!requestUserId(req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId is required',
+    });
+  }
+  next();
+}
+
+/**
+ * Send the standard 500 response for a failed operation
+ * @param {Object} res - Express response
+ * @param {string} action - What failed, for the log and error message
+ * @param {Error} error - The error
+ */
+function sendServerError(res, action, error) {
+  console.error(`Error trying to ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    details: error.message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Send the response for an error, using its ApiError code and HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - The error (classified with apiErrors.toApiError)
+ */
+function sendApiError(res, error) {
+  const apiError = toApiError(error);
+  const body = {
+    success: false,
+    error: publicMessage(apiError.code),
+    code: apiError.code,
+    reason: apiError.reason,
+  };
+
+  if (apiError.code === 'AUTH_REQUIRED') {
+    body.authRequired = true;
+  }
+
+  if (apiError.code === 'QUOTA_BUDGET_EXHAUSTED') {
+    body.quotaRemaining = 0;
+  }
+
+  res.status(apiError.status).json(body);
+}
+
+module.exports = {
+  requestUserId,
+  requireUserId,
+  sendServerError,
+  sendApiError,
+};
@@ -4,6 +4,39 @@ const admin = require('firebase-admin');
 const express = require('express');
 const cors = require('cors')({origin: true});
 const {getSubscriptionVideos} = require('./youtubeSubscriptions');
+const {decodeCursor} = require('./cursor');
+const {withUserAccessToken} = require('./userTokens');
+const {createQuotaBudget} = require('./quotaLedger');
+const {validateFilters} = require('./videoFilters');
+const {CHANNEL_STRATEGIES} = require('./channelSelection');
+const {getGroup} = require('./channelGroups');
+const groupRoutes = require('./groupRoutes');
+const {
+  parseIncludeStates,
+  getFeedVideoStates,
+  toExcludedVideoIds,
+  VIDEO_STATES,
+} = require('./videoState');
+const {SORT_MODES, channelWeights} = require('./feedRanking');
+const {resolveFields, projectVideo} = require('./videoFields');
+const {LIVE_MODES} = require('./liveStatus');
+const videoStateRoutes = require('./videoStateRoutes');
+const feedRoutes = require('./feedRoutes');
+const websubRoutes = require('./websubRoutes');
+const liveRoutes = require('./liveRoutes');
+const captionRoutes = require('./captionRoutes');
+const searchRoutes = require('./searchRoutes');
+const subscriptionRoutes = require('./subscriptionRoutes');
+const digestRoutes = require('./digestRoutes');
+const {renewLeases} = require('./websub');
+const {prefetchFeeds} = require('./prefetch');
+const {sendDigests} = require('./digests');
+const feedCache = require('./feedCache');
+const {toApiError} = require('./apiErrors');
+const {requestUserId, sendApiError} = require('./httpHelpers');
+const {authenticate} = require('./requestAuth');
+const {rateLimit} = require('./rateLimit');
+const {describeCacheStats} = require('./sharedCache');
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -11,11 +44,19 @@ admin.initializeApp();
 // Initialize Express app
 const app = express();
 
+// req.ip is the client address seen by Google's front end (for per-IP rate limits)
+app.set('trust proxy', 1);
+
 // Add middleware for parsing JSON bodies
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Simplified implementation - accessToken provided directly from FlutterFlow
+// Access tokens come from Firestore (stored by the googleOauth service) unless the
+// client still sends one directly
+
+// User routes take a Firebase ID token (Authorization: Bearer) and act as its uid; the feed
+// reader and WebSub hub routes authenticate themselves. Each route is rate limited per user
+// and per IP (see rateLimit).
 
 // Health check endpoint
 app.get('/', async (req, res) => {
@@ -38,8 +79,37 @@ app.get('/', async (req, res) => {
   }
 });
 
+// Channel groups (custom feeds) CRUD
+app.use('/groups', authenticate, rateLimit('groups'), groupRoutes);
+
+// Watched / dismissed / saved-for-later state
+app.use('/state', authenticate, rateLimit('state'), videoStateRoutes);
+
+// Atom/RSS feed for feed readers (authenticated by a per-user feed token)
+app.use('/feed', feedRoutes);
+
+// WebSub push ingestion (hub subscriptions and the hub's callbacks)
+app.use('/websub', websubRoutes);
+
+// What is live right now across the user's subscriptions
+app.use('/live', authenticate, rateLimit('live'), liveRoutes);
+
+// Full-text search over the user's synced videos (no YouTube quota)
+app.use('/search', authenticate, rateLimit('search'), searchRoutes);
+
+// Subscribe, unsubscribe, OPML/JSON export and OPML import
+app.use('/subscriptions', authenticate, rateLimit('subscriptions'), subscriptionRoutes);
+
+// Digest notification settings and push devices
+app.use('/digest', authenticate, rateLimit('digest'), digestRoutes);
+
+// Caption tracks and transcripts of a video (GET /videos/:videoId/captions)
+app.use('/videos', captionRoutes);
+
 // Main endpoint for getting subscription videos
-app.post('/videos', async (req, res) => {
+app.post('/videos', authenticate, rateLimit('videos'), async (req, res) => {
+  let quotaBudget;
+
   try {
     console.log('YouTube subscriptions request received:', {
       body: req.body,
@@ -48,13 +118,32 @@ app.post('/videos', async (req, res) => {
     });
 
     // Extract parameters from request body
+    const userId = requestUserId(req);
     const {
-      userId,
       accessToken,
       maxResults = 25,
       maxChannels = 15, // Emergency quota protection
       publishedBefore,
       excludeList = [],
+      maxSubscriptionPages,
+      cursor,
+      cacheMaxAgeSeconds,
+      minDuration,
+      maxDuration,
+      excludeShorts,
+      includeLanguages,
+      excludeLanguages,
+      publishedAfter,
+      includeKeywords,
+      excludeKeywords,
+      channelStrategy,
+      channelIds,
+      groupId,
+      include,
+      sort = 'newest',
+      schema,
+      fields,
+      live = 'include',
     } = req.body;
 
     // Validate required parameters
@@ -65,13 +154,6 @@ app.post('/videos', async (req, res) => {
       });
     }
 
-    if (!accessToken) {
-      return res.status(400).json({
-        success: false,
-        error: 'accessToken is required',
-      });
-    }
-
     // Validate maxResults
     if (maxResults < 1 || maxResults > 100) {
       return res.status(400).json({
@@ -91,6 +173,84 @@ app.post('/videos', async (req, res) => {
       }
     }
 
+    // Validate filters (duration, Shorts, language, publishedAfter, keywords)
+    const filters = {
+      minDuration,
+      maxDuration,
+      excludeShorts,
+      includeLanguages,
+      excludeLanguages,
+      publishedAfter,
+      includeKeywords,
+      excludeKeywords,
+    };
+    const filterError = validateFilters(filters);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError,
+      });
+    }
+
+    // Validate channel selection
+    if (channelStrategy !== undefined && !CHANNEL_STRATEGIES.includes(channelStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `channelStrategy must be one of: ${CHANNEL_STRATEGIES.join(', ')}`,
+      });
+    }
+
+    if (channelIds !== undefined &&
+        (!Array.isArray(channelIds) || !channelIds.every((id) => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'channelIds must be an array of channel IDs',
+      });
+    }
+
+    // Limit the feed to a channel group (intersected with channelIds when both are given)
+    let allowedChannelIds = channelIds;
+    if (groupId !== undefined) {
+      const group = typeof groupId === 'string' && groupId ?
+        await getGroup(userId, groupId) :
+        null;
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          error: 'Channel group not found',
+        });
+      }
+
+      allowedChannelIds = channelIds ?
+        group.channelIds.filter((channelId) => channelIds.includes(channelId)) :
+        group.channelIds;
+    }
+
+    // Validate sort (ranking of the merged feed)
+    if (!SORT_MODES.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${SORT_MODES.join(', ')}`,
+      });
+    }
+
+    // Validate live (how live streams and upcoming premieres are treated)
+    if (!LIVE_MODES.includes(live)) {
+      return res.status(400).json({
+        success: false,
+        error: `live must be one of: ${LIVE_MODES.join(', ')}`,
+      });
+    }
+
+    // Validate the response schema and field projection
+    const {projection, parts, error: fieldsError} = resolveFields({schema, fields});
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError,
+      });
+    }
+
     // Validate excludeList
     if (!Array.isArray(excludeList)) {
       return res.status(400).json({
@@ -99,32 +259,139 @@ app.post('/videos', async (req, res) => {
       });
     }
 
-    // Use the accessToken provided directly from FlutterFlow
+    // Validate include (stored states to show again, e.g. "watched")
+    const includeStates = parseIncludeStates(include);
+    if (!includeStates) {
+      return res.status(400).json({
+        success: false,
+        error: `include must contain only: ${VIDEO_STATES.join(', ')}`,
+      });
+    }
+
+    // Stored watched/dismissed/saved videos are excluded automatically; the client's
+    // excludeList still works and is merged in
+    const videoStates = await getFeedVideoStates(userId);
+    const excludedVideoIds = toExcludedVideoIds(videoStates, includeStates);
+    excludeList.forEach((videoId) => excludedVideoIds.add(videoId));
+
+    // Validate maxSubscriptionPages if provided
+    if (maxSubscriptionPages !== undefined &&
+        (!Number.isInteger(maxSubscriptionPages) || maxSubscriptionPages < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxSubscriptionPages must be a positive integer',
+      });
+    }
+
+    // Validate cacheMaxAgeSeconds if provided (0 always syncs new uploads)
+    if (cacheMaxAgeSeconds !== undefined &&
+        (typeof cacheMaxAgeSeconds !== 'number' || cacheMaxAgeSeconds < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'cacheMaxAgeSeconds must be a non-negative number',
+      });
+    }
+
+    // Decode the opaque cursor returned as nextCursor by the previous page
+    let decodedCursor;
+    if (cursor) {
+      try {
+        decodedCursor = decodeCursor(cursor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor must be a nextCursor value returned by a previous request',
+        });
+      }
+
+      // A ranked cursor points into that ranking's pool
+      if (decodedCursor.sort !== undefined && decodedCursor.sort !== sort) {
+        return res.status(400).json({
+          success: false,
+          error: `cursor was returned for sort "${decodedCursor.sort}"`,
+        });
+      }
+    }
+
     const options = {
       maxResults,
       maxChannels,
       publishedBefore,
-      excludeList,
+      excludeList: excludedVideoIds,
+      maxSubscriptionPages,
+      cursor: decodedCursor,
+      userId,
+      cacheMaxAgeSeconds,
+      filters,
+      channelStrategy,
+      channelIds: allowedChannelIds,
+      sort,
+      parts,
+      live,
     };
 
-    const videos = await getSubscriptionVideos(accessToken, options);
+    // personal weighs channels by the user's watched/saved/dismissed history
+    if (sort === 'personal') {
+      options.channelWeights = channelWeights(videoStates);
+    }
+
+    // Enforce the per-user and project daily quota budgets before any YouTube call
+    quotaBudget = await createQuotaBudget(userId);
+    options.quotaBudget = quotaBudget;
+
+    // Prefer a client-supplied accessToken for backwards compatibility, otherwise use the
+    // stored tokens (refreshed when expired, retried once on 401)
+    const {
+      videos,
+      nextCursor,
+      fromCache,
+      degraded,
+      partialFailures,
+      ranking,
+      liveVideos,
+      sharedCache,
+    } = accessToken ?
+      await getSubscriptionVideos(accessToken, options) :
+      await withUserAccessToken(userId, (token) => getSubscriptionVideos(token, options));
+
+    // Record what this request spent (retried calls included) in the daily ledger
+    await quotaBudget.flush();
+
+    // Recently active users get their feed prefetched (see prefetch.js)
+    await feedCache.recordActivity(userId);
 
     console.log('YouTube subscriptions request completed (Activities API optimized):', {
       userId: userId,
       videoCount: videos.length,
       requestedCount: maxResults,
       channelsProcessed: maxChannels,
+      quotaUsed: quotaBudget.used(),
+      quotaRemaining: quotaBudget.remaining(),
+      partialFailures: partialFailures.length,
+      sharedCache: describeCacheStats(sharedCache),
       timestamp: new Date().toISOString()
     });
 
     res.json({
       success: true,
       data: {
-        videos: videos,
+        videos: videos.map((video) => projectVideo(video, projection)),
+        schema: projection.schema,
+        liveVideos: live === 'separate' ?
+          liveVideos.map((video) => projectVideo(video, projection)) :
+          undefined,
         count: videos.length,
         requestedCount: maxResults,
         channelsProcessed: maxChannels,
         userId: userId,
+        nextCursor: nextCursor,
+        fromCache: fromCache,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+        degraded: degraded,
+        partialFailures: partialFailures,
+        ranking: ranking,
+        groupId: groupId,
         optimized: true,
       },
       message: 'Videos retrieved successfully (Activities API - 99% quota savings)',
@@ -133,33 +400,59 @@ app.post('/videos', async (req, res) => {
   } catch (error) {
     console.error('Error getting subscription videos:', error);
 
-    // Handle specific error types
-
-    if (error.message.includes('invalid_grant') || error.message.includes('unauthorized')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired access token',
-        authRequired: true,
+    // Calls made before the failure still count against the budget
+    if (quotaBudget) {
+      await quotaBudget.flush().catch((flushError) => {
+        console.error('Failed to record quota usage:', flushError);
       });
     }
 
-    if (error.message.includes('quota')) {
-      return res.status(429).json({
+    // Map the error's code (see apiErrors.ERRORS) to its HTTP status
+    const apiError = toApiError(error);
+
+    if (apiError.code === 'INTERNAL') {
+      return res.status(500).json({
         success: false,
-        error: 'YouTube API quota exceeded',
+        error: 'Failed to retrieve subscription videos',
+        code: apiError.code,
+        details: error.message,
+        userId: requestUserId(req),
+        timestamp: new Date().toISOString()
       });
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve subscription videos',
-      details: error.message,
-      userId: req.body?.userId,
-      timestamp: new Date().toISOString()
-    });
+    sendApiError(res, apiError);
   }
 });
 
 // Export the Express app as a 2nd generation Firebase Function (supports Node.js 22)
 const {onRequest} = require('firebase-functions/v2/https');
 exports.youtubeSubscriptions = onRequest(app);
+
+const {onSchedule} = require('firebase-functions/v2/scheduler');
+
+// Pre-warm the feeds of recently active users before the day starts (PREFETCH_DRY_RUN=true
+// only logs the users, channels and projected quota cost)
+exports.prefetchFeeds = onSchedule({
+  schedule: 'every day 05:00',
+  timeZone: 'America/Los_Angeles',
+  timeoutSeconds: 540,
+}, async () => {
+  await prefetchFeeds({dryRun: process.env.PREFETCH_DRY_RUN === 'true'});
+});
+
+// Send the digests of new uploads that are due (DIGEST_DRY_RUN=true only logs the users)
+exports.sendDigests = onSchedule({
+  schedule: 'every 1 hours',
+  timeoutSeconds: 540,
+}, async () => {
+  await sendDigests({dryRun: process.env.DIGEST_DRY_RUN === 'true'});
+});
+
+// Renew WebSub leases before they expire (runs well inside the one-day renewal window)
+exports.renewWebSubLeases = onSchedule({
+  schedule: 'every 6 hours',
+  timeoutSeconds: 540,
+}, async () => {
+  await renewLeases();
+});
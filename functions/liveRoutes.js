@@ -0,0 +1,114 @@
+const express = require('express');
+const {getSubscriptionVideos} = require('./youtubeSubscriptions');
+const {withUserAccessToken} = require('./userTokens');
+const {createQuotaBudget} = require('./quotaLedger');
+const {getExcludedVideoIds} = require('./videoState');
+const {resolveFields, projectVideo} = require('./videoFields');
+const {liveStatusOf, orderBroadcasts} = require('./liveStatus');
+const {requestUserId, requireUserId, sendApiError} = require('./httpHelpers');
+
+/**
+ * Live now, mounted at /live
+ *
+ * Lists the live streams (and, on request, upcoming streams and premieres) among the recent
+ * uploads of the user's subscribed channels. It reads the same feed cache as POST /videos,
+ * with a shorter freshness window; cached live and upcoming videos are always re-checked.
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// Channels synced at most this long ago are not asked for new uploads again
+const LIVE_CACHE_MAX_AGE_SECONDS = 60;
+
+// Enough uploads to take the 10 most recent of each channel
+const LIVE_MAX_RESULTS = 50;
+
+// Defaults to v2 (there are no v1 clients to keep), with the broadcast's schedule
+const LIVE_V2_FIELDS = [
+  'title', 'thumbnailUrl', 'channelId', 'channelName', 'publishedAt', 'liveStatus',
+  'scheduledStartTime', 'actualStartTime', 'concurrentViewers',
+];
+
+// List what is live now
+router.get('/', requireUserId, async (req, res) => {
+  const userId = requestUserId(req);
+  let quotaBudget;
+
+  try {
+    const includeUpcoming = req.query.includeUpcoming === 'true';
+    const maxChannels = req.query.maxChannels === undefined ? 15 : Number(req.query.maxChannels);
+    if (!Number.isInteger(maxChannels) || maxChannels < 1 || maxChannels > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxChannels must be between 1 and 50',
+      });
+    }
+
+    const schema = req.query.schema || 'v2';
+    const fields = req.query.fields === undefined && schema === 'v2' ?
+      LIVE_V2_FIELDS :
+      req.query.fields;
+    const {projection, parts, error: fieldsError} = resolveFields({schema, fields});
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError,
+      });
+    }
+
+    // Stored watched/dismissed/saved videos are left out, as in POST /videos
+    const excludedVideoIds = await getExcludedVideoIds(userId);
+    quotaBudget = await createQuotaBudget(userId);
+
+    const result = await withUserAccessToken(userId, (token) => getSubscriptionVideos(token, {
+      maxResults: LIVE_MAX_RESULTS,
+      maxChannels,
+      excludeList: excludedVideoIds,
+      userId,
+      cacheMaxAgeSeconds: LIVE_CACHE_MAX_AGE_SECONDS,
+      quotaBudget,
+      parts,
+      live: 'only',
+    }));
+
+    await quotaBudget.flush();
+
+    const videos = orderBroadcasts(result.videos.filter((video) => (
+      includeUpcoming || liveStatusOf(video) === 'live'
+    )));
+
+    console.log('Live videos listed:', {
+      userId,
+      videoCount: videos.length,
+      includeUpcoming,
+      quotaUsed: quotaBudget.used(),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        videos: videos.map((video) => projectVideo(video, projection)),
+        schema: projection.schema,
+        count: videos.length,
+        userId,
+        fromCache: result.fromCache,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+        degraded: result.degraded,
+        partialFailures: result.partialFailures,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing live videos:', error);
+
+    if (quotaBudget) {
+      await quotaBudget.flush().catch((flushError) => {
+        console.error('Failed to record quota usage:', flushError);
+      });
+    }
+
+    sendApiError(res, error);
+  }
+});
+
+module.exports = router;
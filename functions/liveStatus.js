@@ -0,0 +1,114 @@
+/**
+ * Live streams and premieres
+ *
+ * videos.list reports whether a video is a broadcast in snippet.liveBroadcastContent (live,
+ * upcoming or none) and its schedule in liveStreamingDetails. Records label every video
+ * `live`, `upcoming` or `vod`; a finished stream or premiere is an ordinary video (vod).
+ */
+
+const LIVE_STATUSES = ['live', 'upcoming', 'vod'];
+
+// How POST /videos treats live and upcoming videos (`live`)
+// - include (default): in the feed like any other video
+// - exclude: left out
+// - separate: left out of the feed and listed on their own (first page only)
+// - only: nothing else
+const LIVE_MODES = ['include', 'exclude', 'separate', 'only'];
+
+/**
+ * Detect the live state of a videos.list item
+ * liveBroadcastContent is authoritative; liveStreamingDetails is used when it is missing.
+ * @param {Object} video - videos.list item (snippet, liveStreamingDetails)
+ * @return {string} One of LIVE_STATUSES
+ */
+function detectLiveStatus(video) {
+  const content = video.snippet.liveBroadcastContent;
+  if (content) {
+    return content === 'live' || content === 'upcoming' ? content : 'vod';
+  }
+
+  const details = video.liveStreamingDetails;
+  if (!details || details.actualEndTime) {
+    return 'vod';
+  }
+  if (details.actualStartTime) {
+    return 'live';
+  }
+  return details.scheduledStartTime ? 'upcoming' : 'vod';
+}
+
+/**
+ * Read the live state of a normalized record
+ * Records cached before liveStatus was stored fall back to liveBroadcastContent.
+ * @param {Object} record - Normalized video record
+ * @return {string} One of LIVE_STATUSES
+ */
+function liveStatusOf(record) {
+  if (record.liveStatus) {
+    return record.liveStatus;
+  }
+  const content = record.liveBroadcastContent;
+  return content === 'live' || content === 'upcoming' ? content : 'vod';
+}
+
+/**
+ * Whether a record is live or upcoming (its state can still change)
+ * @param {Object} record - Normalized video record
+ * @return {boolean} True unless the record is a vod
+ */
+function isBroadcast(record) {
+  return liveStatusOf(record) !== 'vod';
+}
+
+/**
+ * Order live and upcoming videos: live ones first (most recently started first), then
+ * upcoming ones by scheduled start (soonest first)
+ * @param {Array<Object>} records - Live and upcoming records
+ * @return {Array<Object>} Ordered copy
+ */
+function orderBroadcasts(records) {
+  const time = (value) => (value ? new Date(value).getTime() : Infinity);
+  const live = records.filter((record) => liveStatusOf(record) === 'live');
+  const upcoming = records.filter((record) => liveStatusOf(record) === 'upcoming');
+
+  return [
+    ...live.sort((a, b) => time(b.actualStartTime) - time(a.actualStartTime)),
+    ...upcoming.sort((a, b) => time(a.scheduledStartTime) - time(b.scheduledStartTime)),
+  ];
+}
+
+/**
+ * Split records according to a live mode
+ * @param {Array<Object>} records - Normalized video records
+ * @param {string} mode - One of LIVE_MODES
+ * @return {Object} {videos: the feed's records, broadcasts: live and upcoming records listed
+ *   on their own (separate only)}
+ */
+function applyLiveMode(records, mode) {
+  switch (mode) {
+    case 'exclude':
+      return {videos: records.filter((record) => !isBroadcast(record)), broadcasts: []};
+
+    case 'separate':
+      return {
+        videos: records.filter((record) => !isBroadcast(record)),
+        broadcasts: orderBroadcasts(records.filter(isBroadcast)),
+      };
+
+    case 'only':
+      return {videos: records.filter(isBroadcast), broadcasts: []};
+
+    default:
+      return {videos: records, broadcasts: []};
+  }
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  LIVE_MODES,
+  detectLiveStatus,
+  liveStatusOf,
+  isBroadcast,
+  orderBroadcasts,
+  applyLiveMode,
+};
@@ -0,0 +1,174 @@
+const feedCache = require('./feedCache');
+const {
+  SUBSCRIPTIONS_PAGE_SIZE,
+  DEFAULT_MAX_SUBSCRIPTION_PAGES,
+  getSubscriptionVideos,
+} = require('./youtubeSubscriptions');
+const {withUserAccessToken} = require('./userTokens');
+const {
+  GLOBAL_DAILY_BUDGET,
+  createQuotaBudget,
+  getGlobalRemaining,
+} = require('./quotaLedger');
+const {selectChannels} = require('./channelSelection');
+const {toApiError} = require('./apiErrors');
+
+/**
+ * Scheduled background prefetch of feeds
+ *
+ * Refreshes the cached feed of recently active users (most recently active first) so the
+ * first open of the day is served straight from Firestore. Prefetch only spends the project
+ * budget up to PREFETCH_GLOBAL_BUDGET, leaving the rest of the day's quota to interactive
+ * requests, and each user's refresh is still charged to that user's daily budget.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Users who loaded their feed within this many days are prefetched
+const ACTIVE_DAYS = Number(process.env.PREFETCH_ACTIVE_DAYS) || 3;
+const MAX_USERS = Number(process.env.PREFETCH_MAX_USERS) || 200;
+
+// Project units prefetch may bring the day's ledger up to (default: 60% of the global budget)
+const PREFETCH_GLOBAL_BUDGET = Number(process.env.PREFETCH_GLOBAL_BUDGET) ||
+  Math.floor(GLOBAL_DAILY_BUDGET * 0.6);
+
+// Channels refreshed per user - the same default as POST /videos maxChannels
+const PREFETCH_CHANNELS = 15;
+
+// Stop starting new users before the scheduled function's 540s timeout
+const PREFETCH_DEADLINE_MS = 480 * 1000;
+
+/**
+ * Plan a user's refresh without calling YouTube
+ * Plans from the stored subscription list even once it is too old to serve a feed (the
+ * daily prefetch almost always finds it so); the refresh refetches it first.
+ * The projection is an upper bound: channels covered by WebSub pushes cost nothing.
+ * @param {string} userId - User ID
+ * @return {Promise<Object>} {channelIds (null if no subscription list is stored),
+ *   projectedQuota}
+ */
+async function planUserPrefetch(userId) {
+  const {channels, channelsStale} = await feedCache.getUserFeedState(userId, {
+    channelListMaxAgeMs: Infinity,
+  });
+  const channelIds = channels ?
+    selectChannels(channels, {limit: PREFETCH_CHANNELS}).channelIds :
+    null;
+
+  // A list refetch reads as many subscriptions.list pages as the stored list took, or up to
+  // getSubscriptionVideos' page limit when there is none
+  let subscriptionPages = 0;
+  if (channelsStale) {
+    subscriptionPages = channels ?
+      Math.max(1, Math.ceil(channels.length / SUBSCRIPTIONS_PAGE_SIZE)) :
+      DEFAULT_MAX_SUBSCRIPTION_PAGES;
+  }
+
+  // Mirrors getSubscriptionVideos' budget check: one activities.list per channel, the
+  // videos.list calls for up to 10 uploads each, one for the page, plus subscriptions.list
+  const channelCount = channelIds ? channelIds.length : PREFETCH_CHANNELS;
+  const projectedQuota = subscriptionPages +
+    (channelCount > 0 ? channelCount + Math.ceil(channelCount * 10 / 50) + 1 : 0);
+
+  return {channelIds, projectedQuota};
+}
+
+/**
+ * Refresh the cached feeds of recently active users
+ * @param {Object} options - Prefetch options
+ * @param {boolean} options.dryRun - Only report the users and channels that would be refreshed
+ *   and the projected quota cost
+ * @return {Promise<Object>} Report: {dryRun, users: [{userId, lastActiveAt, status
+ *   (planned|refreshed|skipped|failed), channelIds, projectedQuota, quotaUsed, reason}],
+ *   projectedQuota, quotaUsed, globalRemaining}
+ */
+async function prefetchFeeds(options = {}) {
+  const {dryRun = false} = options;
+  const startedAt = Date.now();
+
+  const activeUsers = await feedCache.listActiveUsers(startedAt - ACTIVE_DAYS * DAY_MS, MAX_USERS);
+  let globalRemaining = await getGlobalRemaining(PREFETCH_GLOBAL_BUDGET);
+
+  const users = [];
+  let projectedQuota = 0;
+  let quotaUsed = 0;
+
+  for (const {userId, lastActiveAt} of activeUsers) {
+    if (Date.now() - startedAt > PREFETCH_DEADLINE_MS) {
+      users.push({userId, lastActiveAt, status: 'skipped', reason: 'deadline'});
+      continue;
+    }
+
+    const plan = await planUserPrefetch(userId);
+    const entry = {userId, lastActiveAt, ...plan};
+    users.push(entry);
+
+    // Skip users whose refresh wouldn't fit their own or prefetch's share of the budget
+    const quotaBudget = await createQuotaBudget(userId, {globalBudget: PREFETCH_GLOBAL_BUDGET});
+    if (plan.projectedQuota > Math.min(quotaBudget.remaining(), globalRemaining)) {
+      Object.assign(entry, {status: 'skipped', reason: 'quota'});
+      continue;
+    }
+
+    if (dryRun) {
+      entry.status = 'planned';
+      projectedQuota += plan.projectedQuota;
+      globalRemaining -= plan.projectedQuota;
+      continue;
+    }
+
+    try {
+      // cacheMaxAgeSeconds: 0 syncs every selected channel (incrementally, when cached)
+      const prefetchedAt = Date.now();
+      const result = await withUserAccessToken(userId, (token) => getSubscriptionVideos(token, {
+        userId,
+        quotaBudget,
+        maxChannels: PREFETCH_CHANNELS,
+        cacheMaxAgeSeconds: 0,
+      }));
+      await feedCache.savePrefetchedAt(userId, prefetchedAt);
+
+      Object.assign(entry, {status: 'refreshed', partialFailures: result.partialFailures.length});
+    } catch (error) {
+      console.error(`Prefetch failed for user ${userId}:`, error);
+      Object.assign(entry, {status: 'failed', reason: toApiError(error).code});
+    }
+
+    await quotaBudget.flush().catch((flushError) => {
+      console.error('Failed to record quota usage:', flushError);
+    });
+    entry.quotaUsed = quotaBudget.used();
+    projectedQuota += plan.projectedQuota;
+    quotaUsed += entry.quotaUsed;
+    globalRemaining -= entry.quotaUsed;
+  }
+
+  const report = {
+    dryRun,
+    users,
+    projectedQuota,
+    quotaUsed,
+    globalRemaining: Math.max(0, globalRemaining),
+  };
+
+  const count = (status) => users.filter((user) => user.status === status).length;
+  console.log(`Feed prefetch${dryRun ? ' (dry run)' : ''}:`, {
+    activeUsers: users.length,
+    planned: count('planned'),
+    refreshed: count('refreshed'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    projectedQuota,
+    quotaUsed,
+  });
+  if (dryRun) {
+    console.log('Feed prefetch plan:', JSON.stringify(users));
+  }
+
+  return report;
+}
+
+module.exports = {
+  planUserPrefetch,
+  prefetchFeeds,
+};
@@ -0,0 +1,177 @@
+const admin = require('firebase-admin');
+const {ApiError} = require('./apiErrors');
+const {envNumber} = require('./env');
+
+/**
+ * Daily YouTube quota ledger
+ *
+ * quotaLedger/{day}                - {units} spent by the whole project
+ * quotaLedger/{day}/users/{userId} - {units, calls} spent on behalf of one user
+ *
+ * Days are Pacific-time calendar days because that is when YouTube resets project quota.
+ * A request creates a budget, checks it before every YouTube call, charges what it spends
+ * and flushes the total to Firestore when it finishes. Concurrent requests each see the
+ * ledger as of their start, so the budgets are soft limits that may overshoot slightly.
+ */
+
+const QUOTA_LEDGER_COLLECTION = 'quotaLedger';
+
+// Documented YouTube Data API v3 unit cost per call
+const QUOTA_COSTS = {
+  'subscriptions.list': 1,
+  'activities.list': 1,
+  'videos.list': 1,
+  'channels.list': 1,
+  'search.list': 100,
+  'subscriptions.insert': 50,
+  'subscriptions.delete': 50,
+  'captions.list': 50,
+  'captions.download': 200,
+};
+
+// Daily budgets (the default project quota is 10,000 units/day; keep some headroom)
+const USER_DAILY_BUDGET = envNumber('QUOTA_USER_DAILY_BUDGET', 500);
+const GLOBAL_DAILY_BUDGET = envNumber('QUOTA_GLOBAL_DAILY_BUDGET', 9000);
+
+/**
+ * Get the Pacific-time calendar day (YouTube's quota day) for a date
+ * @param {Date} date - Date to convert (default: now)
+ * @return {string} Day key in YYYY-MM-DD format
+ */
+function pacificDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Los_Angeles',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Create an error that the API reports as 429 (our own budget, not YouTube's)
+ * @param {string} message - Error message
+ * @return {ApiError} QUOTA_BUDGET_EXHAUSTED error (also flagged with quotaBudgetExceeded)
+ */
+function quotaBudgetError(message) {
+  const error = new ApiError('QUOTA_BUDGET_EXHAUSTED', message);
+  error.quotaBudgetExceeded = true;
+  return error;
+}
+
+/**
+ * Read how many units today's project ledger has left
+ * @param {number} globalBudget - Project daily budget (default: QUOTA_GLOBAL_DAILY_BUDGET)
+ * @return {Promise<number>} Remaining units (never negative)
+ */
+async function getGlobalRemaining(globalBudget = GLOBAL_DAILY_BUDGET) {
+  const dayDoc = await admin.firestore()
+      .collection(QUOTA_LEDGER_COLLECTION)
+      .doc(pacificDay())
+      .get();
+  const spentGlobal = dayDoc.exists ? dayDoc.data().units || 0 : 0;
+  return Math.max(0, globalBudget - spentGlobal);
+}
+
+/**
+ * Load today's ledger and create a quota budget for one request
+ * @param {string} userId - User the request is made for
+ * @param {Object} options - Budget options
+ * @param {number} options.userBudget - Per-user daily budget (default: QUOTA_USER_DAILY_BUDGET)
+ * @param {number} options.globalBudget - Project daily budget (default: QUOTA_GLOBAL_DAILY_BUDGET)
+ * @return {Promise<Object>} Budget with remaining(), canAfford(), charge() and flush()
+ */
+async function createQuotaBudget(userId, options = {}) {
+  const {
+    userBudget = USER_DAILY_BUDGET,
+    globalBudget = GLOBAL_DAILY_BUDGET,
+  } = options;
+
+  const day = pacificDay();
+  const dayRef = admin.firestore().collection(QUOTA_LEDGER_COLLECTION).doc(day);
+  const userRef = dayRef.collection('users').doc(userId);
+
+  const [dayDoc, userDoc] = await Promise.all([dayRef.get(), userRef.get()]);
+  const spentGlobal = dayDoc.exists ? dayDoc.data().units || 0 : 0;
+  const spentUser = userDoc.exists ? userDoc.data().units || 0 : 0;
+
+  let used = 0;
+  let flushedUnits = 0;
+  let calls = {};
+
+  return {
+    day,
+
+    /**
+     * Units still available to this request
+     * @return {number} Remaining units (never negative)
+     */
+    remaining() {
+      return Math.max(0, Math.min(userBudget - spentUser, globalBudget - spentGlobal) - used);
+    },
+
+    /**
+     * Check whether calls can be made without exceeding the budget
+     * @param {string} method - YouTube API method (key of QUOTA_COSTS)
+     * @param {number} count - Number of calls (default: 1)
+     * @return {boolean} True if affordable
+     */
+    canAfford(method, count = 1) {
+      return QUOTA_COSTS[method] * count <= this.remaining();
+    },
+
+    /**
+     * Record calls that were made
+     * @param {string} method - YouTube API method (key of QUOTA_COSTS)
+     * @param {number} count - Number of calls (default: 1)
+     * @return {number} Units charged
+     */
+    charge(method, count = 1) {
+      const units = QUOTA_COSTS[method] * count;
+      used += units;
+      calls[method] = (calls[method] || 0) + count;
+      return units;
+    },
+
+    /**
+     * Units charged so far by this request
+     * @return {number} Units used
+     */
+    used() {
+      return used;
+    },
+
+    /**
+     * Write the units charged since the last flush to the ledger
+     * @return {Promise<void>}
+     */
+    async flush() {
+      const units = used - flushedUnits;
+      if (units === 0) {
+        return;
+      }
+
+      const {increment} = admin.firestore.FieldValue;
+      const callIncrements = {};
+      Object.entries(calls).forEach(([method, count]) => {
+        callIncrements[method] = increment(count);
+      });
+
+      const batch = admin.firestore().batch();
+      batch.set(dayRef, {units: increment(units)}, {merge: true});
+      batch.set(userRef, {units: increment(units), calls: callIncrements}, {merge: true});
+      await batch.commit();
+
+      flushedUnits = used;
+      calls = {};
+    },
+  };
+}
+
+module.exports = {
+  QUOTA_COSTS,
+  GLOBAL_DAILY_BUDGET,
+  pacificDay,
+  quotaBudgetError,
+  getGlobalRemaining,
+  createQuotaBudget,
+};
@@ -0,0 +1,196 @@
+const admin = require('firebase-admin');
+const {ERRORS, publicMessage} = require('./apiErrors');
+const {requestUserId} = require('./httpHelpers');
+
+/**
+ * Request rate limiting
+ * rateLimits/{route}:{user|ip}:{id} - {tokens, updatedAt, expiresAt}
+ *
+ * Every limited route has a token bucket per user and per client IP. A request takes one
+ * token from each; buckets refill continuously up to their capacity (the burst a client may
+ * send at once). The buckets live in Firestore so every function instance shares them, and
+ * expiresAt (once the bucket would be full again) can drive a Firestore TTL policy.
+ *
+ * Limits are set per route below and can be overridden with RATE_LIMITS, e.g.
+ * {"videos": {"user": {"capacity": 10, "refillPerMinute": 5}}}
+ */
+
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+// route -> {user, ip} buckets ({capacity, refillPerMinute}); `default` covers other routes
+const DEFAULT_LIMITS = {
+  default: {
+    user: {capacity: 60, refillPerMinute: 60},
+    ip: {capacity: 120, refillPerMinute: 120},
+  },
+  // Each feed load spends YouTube quota
+  videos: {
+    user: {capacity: 30, refillPerMinute: 10},
+    ip: {capacity: 60, refillPerMinute: 30},
+  },
+  live: {
+    user: {capacity: 10, refillPerMinute: 4},
+    ip: {capacity: 30, refillPerMinute: 15},
+  },
+  // Caption downloads cost 250 units when not cached
+  captions: {
+    user: {capacity: 10, refillPerMinute: 2},
+    ip: {capacity: 30, refillPerMinute: 10},
+  },
+  // Each search reads up to 1000 index documents
+  search: {
+    user: {capacity: 30, refillPerMinute: 20},
+    ip: {capacity: 60, refillPerMinute: 40},
+  },
+  // Subscribing or unsubscribing costs 50 units; an import can spend thousands
+  subscriptions: {
+    user: {capacity: 10, refillPerMinute: 2},
+    ip: {capacity: 30, refillPerMinute: 10},
+  },
+  // Feed readers poll every few minutes
+  feed: {
+    user: {capacity: 10, refillPerMinute: 2},
+    ip: {capacity: 30, refillPerMinute: 10},
+  },
+  websubSubscribe: {
+    user: {capacity: 3, refillPerMinute: 1 / 60},
+    ip: {capacity: 10, refillPerMinute: 1},
+  },
+};
+
+/**
+ * Read the RATE_LIMITS overrides
+ * @param {string} value - JSON object in the shape of DEFAULT_LIMITS
+ * @return {Object} Overrides (empty if unset or invalid)
+ */
+function parseOverrides(value) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Ignoring invalid RATE_LIMITS:', error.message);
+    return {};
+  }
+}
+
+const OVERRIDES = parseOverrides(process.env.RATE_LIMITS);
+
+/**
+ * Resolve the buckets of a route
+ * @param {string} route - Route name (a key of DEFAULT_LIMITS, or any other name for the
+ *   default limits)
+ * @return {Object} {user, ip} buckets ({capacity, refillPerMinute})
+ */
+function routeLimits(route) {
+  const limits = {};
+  ['user', 'ip'].forEach((scope) => {
+    limits[scope] = {
+      ...DEFAULT_LIMITS.default[scope],
+      ...OVERRIDES.default?.[scope],
+      ...DEFAULT_LIMITS[route]?.[scope],
+      ...OVERRIDES[route]?.[scope],
+    };
+  });
+  return limits;
+}
+
+/**
+ * Take a token from a bucket
+ * @param {string} key - Bucket document ID
+ * @param {Object} limit - {capacity, refillPerMinute}
+ * @param {number} now - Epoch ms (default: now)
+ * @return {Promise<Object>} {allowed, remaining} or {allowed: false, retryAfterSeconds}
+ */
+async function takeToken(key, limit, now = Date.now()) {
+  const db = admin.firestore();
+  const ref = db.collection(RATE_LIMITS_COLLECTION).doc(key);
+  const refillPerMs = limit.refillPerMinute / 60000;
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const bucket = snapshot.exists ? snapshot.data() : null;
+    const tokens = bucket ?
+      Math.min(limit.capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs) :
+      limit.capacity;
+
+    // A rejected request doesn't touch the bucket
+    if (tokens < 1) {
+      return {allowed: false, retryAfterSeconds: Math.ceil((1 - tokens) / refillPerMs / 1000)};
+    }
+
+    transaction.set(ref, {
+      tokens: tokens - 1,
+      updatedAt: now,
+      expiresAt: new Date(now + (limit.capacity - tokens + 1) / refillPerMs),
+    });
+    return {allowed: true, remaining: Math.floor(tokens - 1)};
+  });
+}
+
+/**
+ * Build the rate limiting middleware of a route
+ * Runs after authentication, so the user is the ID token's uid. If Firestore fails the
+ * request is let through rather than taking the API down with it.
+ * @param {string} route - Route name (see DEFAULT_LIMITS)
+ * @param {Object} options - Middleware options
+ * @param {Function} options.userIdOf - Returns the request's user (default:
+ *   httpHelpers.requestUserId)
+ * @param {Array<string>} options.scopes - Buckets to take a token from (default: ['user',
+ *   'ip']); a route that verifies the user itself can charge each one at its own step
+ * @return {Function} Express middleware
+ */
+function rateLimit(route, options = {}) {
+  const {userIdOf = requestUserId, scopes = ['user', 'ip']} = options;
+  const limits = routeLimits(route);
+
+  return async (req, res, next) => {
+    const buckets = [
+      {scope: 'user', id: scopes.includes('user') ? userIdOf(req) : null},
+      {scope: 'ip', id: scopes.includes('ip') ? req.ip : null},
+    ].filter((bucket) => bucket.id);
+
+    let results;
+    try {
+      results = await Promise.all(buckets.map((bucket) => takeToken(
+          `${route}:${bucket.scope}:${encodeURIComponent(bucket.id)}`, limits[bucket.scope],
+      )));
+    } catch (error) {
+      console.error(`Rate limiting failed for ${route}, letting the request through:`, error);
+      return next();
+    }
+
+    const rejected = results
+        .map((result, index) => ({...result, scope: buckets[index].scope}))
+        .filter((result) => !result.allowed)
+        .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds)[0];
+    if (!rejected) {
+      return next();
+    }
+
+    console.log('Rate limit exceeded:', {
+      route,
+      scope: rejected.scope,
+      userId: userIdOf(req),
+      ip: req.ip,
+      retryAfterSeconds: rejected.retryAfterSeconds,
+    });
+
+    res.set('Retry-After', String(rejected.retryAfterSeconds));
+    res.status(ERRORS.TOO_MANY_REQUESTS.status).json({
+      success: false,
+      error: publicMessage('TOO_MANY_REQUESTS'),
+      code: 'TOO_MANY_REQUESTS',
+      limit: rejected.scope,
+      retryAfter: rejected.retryAfterSeconds,
+    });
+  };
+}
+
+module.exports = {
+  routeLimits,
+  takeToken,
+  rateLimit,
+};
@@ -0,0 +1,127 @@
+const admin = require('firebase-admin');
+const {ApiError} = require('./apiErrors');
+const {sendApiError, sendServerError} = require('./httpHelpers');
+
+/**
+ * Request authentication
+ *
+ * Clients send a Firebase Auth ID token (`Authorization: Bearer <ID token>`). The token's uid
+ * is the request's user (see httpHelpers.requestUserId); a userId sent in the body or query
+ * string must match it.
+ *
+ * APP_CHECK_MODE adds Firebase App Check (`X-Firebase-AppCheck` header):
+ * - off (default): not checked
+ * - monitor: verified, failures are only logged
+ * - enforce: requests without a valid App Check token are rejected
+ *
+ * In the Functions emulator, ID tokens from the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST)
+ * are verified as usual. Without the Auth emulator, requests without an ID token fall back to
+ * the userId they send, and App Check is never checked.
+ */
+
+const APP_CHECK_MODES = ['off', 'monitor', 'enforce'];
+
+/**
+ * Read the App Check mode
+ * @return {string} One of APP_CHECK_MODES
+ */
+function appCheckMode() {
+  const mode = process.env.APP_CHECK_MODE;
+  return APP_CHECK_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Whether the function runs in the Firebase emulator
+ * @return {boolean} True in the Functions emulator
+ */
+function isEmulator() {
+  return process.env.FUNCTIONS_EMULATOR === 'true';
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {Object} req - Express request
+ * @return {string|null} Token, or null without an Authorization: Bearer header
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify the App Check token of a request according to APP_CHECK_MODE
+ * @param {Object} req - Express request
+ * @return {Promise<ApiError|null>} Error to reject the request with (enforce only), or null
+ */
+async function verifyAppCheck(req) {
+  const mode = appCheckMode();
+  if (mode === 'off' || isEmulator()) {
+    return null;
+  }
+
+  try {
+    const token = req.get('x-firebase-appcheck');
+    if (!token) {
+      throw new Error('Missing App Check token');
+    }
+    await admin.appCheck().verifyToken(token);
+    return null;
+  } catch (error) {
+    console.log(`App Check verification failed (${mode}):`, error.message);
+    return mode === 'enforce' ?
+      new ApiError('APP_CHECK_FAILED', error.message, {cause: error}) :
+      null;
+  }
+}
+
+/**
+ * Middleware authenticating a request with its Firebase ID token
+ * Sets req.auth ({uid, token: decoded ID token}) on success.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @return {Promise<void>}
+ */
+async function authenticate(req, res, next) {
+  try {
+    const appCheckError = await verifyAppCheck(req);
+    if (appCheckError) {
+      return sendApiError(res, appCheckError);
+    }
+
+    const idToken = bearerToken(req);
+    if (!idToken) {
+      if (isEmulator() && !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+        return next(); // Local development without the Auth emulator
+      }
+      return sendApiError(res, new ApiError('UNAUTHENTICATED', 'Missing ID token'));
+    }
+
+    let decodedToken;
+    try {
+      decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+      console.log('ID token rejected:', error.code || error.message);
+      return sendApiError(res, new ApiError('UNAUTHENTICATED', error.message, {cause: error}));
+    }
+
+    const claimedUserId = req.body?.userId || req.query.userId;
+    if (claimedUserId && claimedUserId !== decodedToken.uid) {
+      console.log('userId does not match the ID token:', {
+        uid: decodedToken.uid,
+        userId: claimedUserId,
+      });
+      return sendApiError(res, new ApiError('USER_MISMATCH'));
+    }
+
+    req.auth = {uid: decodedToken.uid, token: decodedToken};
+    next();
+  } catch (error) {
+    sendServerError(res, 'authenticate request', error);
+  }
+}
+
+module.exports = {
+  APP_CHECK_MODES,
+  authenticate,
+};
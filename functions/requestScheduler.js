@@ -0,0 +1,189 @@
+const {ApiError, toApiError} = require('./apiErrors');
+const {quotaBudgetError} = require('./quotaLedger');
+const {envNumber} = require('./env');
+
+/**
+ * Request scheduler for YouTube calls
+ *
+ * One scheduler is created per API request and every YouTube call of that request goes
+ * through it. It caps how many calls run at once, retries transient failures (rate limits,
+ * 5xx, network errors) with jittered exponential backoff, and stops everything once the
+ * request's deadline has passed. Every attempt - retries included - is checked with
+ * canAttempt and reported through onAttempt so it can be checked against and charged to the
+ * quota budget.
+ */
+
+const DEFAULT_CONCURRENCY = Math.max(1, envNumber('YOUTUBE_CONCURRENCY', 10));
+const DEFAULT_MAX_RETRIES = envNumber('YOUTUBE_MAX_RETRIES', 3);
+const DEFAULT_DEADLINE_MS = envNumber('YOUTUBE_REQUEST_DEADLINE_MS', 25000);
+const DEFAULT_BASE_DELAY_MS = envNumber('YOUTUBE_RETRY_BASE_DELAY_MS', 250);
+const DEFAULT_MAX_DELAY_MS = 4000;
+
+// Codes worth another attempt; quota, auth and not-found errors will fail the same way again
+const RETRYABLE_CODES = ['RATE_LIMITED', 'YOUTUBE_UNAVAILABLE'];
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a scheduler for one request
+ * @param {Object} options - Scheduler options
+ * @param {number} options.concurrency - Maximum calls in flight (default: YOUTUBE_CONCURRENCY)
+ * @param {number} options.maxRetries - Retries per call (default: YOUTUBE_MAX_RETRIES)
+ * @param {number} options.deadlineMs - Time budget for all calls (default:
+ *   YOUTUBE_REQUEST_DEADLINE_MS)
+ * @param {number} options.baseDelayMs - First backoff delay before jitter (default:
+ *   YOUTUBE_RETRY_BASE_DELAY_MS)
+ * @param {number} options.maxDelayMs - Backoff cap before jitter (default: 4000)
+ * @param {Function} options.canAttempt - Called with the method name before every attempt;
+ *   false stops the call (e.g. quotaBudget.canAfford, so retries stay within the budget)
+ * @param {Function} options.onAttempt - Called with the method name before every attempt
+ * @param {Function} options.random - Jitter source returning [0, 1) (default: Math.random)
+ * @return {Object} Scheduler with run(), attempts() and deadlineMs
+ */
+function createScheduler(options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    deadlineMs = DEFAULT_DEADLINE_MS,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    canAttempt = () => true,
+    onAttempt = () => {},
+    random = Math.random,
+  } = options;
+
+  const deadline = Date.now() + deadlineMs;
+  const waiting = [];
+  const attempts = {};
+  let active = 0;
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  // Hand the slot straight to the next waiting call, if any
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  };
+
+  const deadlineError = (method) => new ApiError(
+      'DEADLINE_EXCEEDED',
+      `${method} not completed within the ${deadlineMs}ms request deadline`,
+  );
+
+  // Settle with the call, or with DEADLINE_EXCEEDED if the deadline comes first. Timers can
+  // fire a millisecond before Date.now() reaches the deadline; wait for it, so the calls that
+  // start after this one is rejected see the deadline as passed too.
+  const withinDeadline = (promise, callDeadline, method) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      const expire = () => {
+        const left = callDeadline - Date.now();
+        if (left > 0) {
+          timer = setTimeout(expire, left);
+        } else {
+          reject(deadlineError(method));
+        }
+      };
+      timer = setTimeout(expire, callDeadline - Date.now());
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    deadlineMs,
+
+    /**
+     * Run a YouTube call with the concurrency cap, retries and deadline applied
+     * @param {string} method - YouTube API method (key of QUOTA_COSTS), for accounting and logs
+     * @param {Function} call - Function starting the call and returning its promise
+     * @param {Object} options - Run options
+     * @param {number} options.reserveMs - Give up this long before the deadline, leaving time
+     *   for the calls that use this call's result
+     * @return {Promise<*>} Result of the call
+     * @throws {Error} The call's last error, or an ApiError with code DEADLINE_EXCEEDED or
+     *   (when canAttempt refuses the first attempt) QUOTA_BUDGET_EXHAUSTED
+     */
+    async run(method, call, options = {}) {
+      const callDeadline = deadline - (options.reserveMs || 0);
+      let lastError;
+
+      for (let attempt = 0; ; attempt += 1) {
+        await acquire();
+
+        if (Date.now() >= callDeadline) {
+          release();
+          throw deadlineError(method);
+        }
+
+        // A retry the budget can't cover fails with the error it would have retried
+        if (!canAttempt(method)) {
+          release();
+          throw lastError || quotaBudgetError(`${method} would exceed the daily quota budget`);
+        }
+
+        onAttempt(method);
+        attempts[method] = (attempts[method] || 0) + 1;
+
+        try {
+          const result = await withinDeadline(Promise.resolve().then(call), callDeadline, method);
+          release();
+          return result;
+        } catch (error) {
+          release();
+          lastError = error;
+
+          const apiError = toApiError(error);
+          if (attempt >= maxRetries || !RETRYABLE_CODES.includes(apiError.code)) {
+            throw error;
+          }
+
+          // Full jitter: anywhere between 0 and the exponential step
+          const delay = Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+          if (Date.now() + delay >= callDeadline) {
+            throw error;
+          }
+
+          console.log(`Retrying ${method} after ${apiError.reason || apiError.code} ` +
+            `(attempt ${attempt + 2} of ${maxRetries + 1}, waiting ${delay}ms)`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    /**
+     * Attempts made so far per method (retries included)
+     * @return {Object} Attempt counts keyed by method
+     */
+    attempts() {
+      return {...attempts};
+    },
+  };
+}
+
+// Runs calls directly - the default for the fetch helpers when no scheduler is given
+const directScheduler = {
+  run: (method, call) => call(),
+};
+
+module.exports = {
+  RETRYABLE_CODES,
+  createScheduler,
+  directScheduler,
+};
@@ -0,0 +1,287 @@
+const admin = require('firebase-admin');
+const {compareFeedOrder} = require('./cursor');
+
+/**
+ * Per-user search index over synced subscription videos
+ * searchIndex/{userId}/videos/{videoId} - {record, terms, channelId, publishedAt, indexedAt}
+ *
+ * Every normalized record getSubscriptionVideos fetches for a user (see formatVideo) is added
+ * to the user's index, so it keeps growing past the feed cache's per-channel windows and
+ * searching it never calls YouTube. `terms` holds the record's normalized words (title, tags,
+ * channel name, description): a query reads the newest documents containing its longest word
+ * (in the requested channels and dates) with one array-contains query, then matches and ranks
+ * the other words in memory. The query needs the composite indexes (terms, [channelId,]
+ * publishedAt desc) defined in firestore.indexes.json.
+ */
+
+const SEARCH_INDEX_COLLECTION = 'searchIndex';
+
+// Firestore allows 500 writes per batch
+const WRITE_BATCH_SIZE = 400;
+
+// Documents read per query (the newest candidates for the longest query word)
+const MAX_CANDIDATES = 1000;
+
+// Channels a search can be limited to (Firestore's `in` takes at most 30 values)
+const MAX_SEARCH_CHANNELS = 30;
+
+// Words kept per record (descriptions can run to 5000 characters)
+const MAX_TERMS = 800;
+
+const SEARCH_SORTS = ['relevance', 'newest'];
+
+// Matches in the title count most, then tags, the channel name and the description
+const FIELD_WEIGHTS = {title: 4, tags: 3, channelName: 2, description: 1};
+
+// Too common to narrow a search down
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+  'on', 'or', 'the', 'this', 'to', 'with',
+]);
+
+/**
+ * Split text into normalized search terms (lowercase, without diacritics or stop words)
+ * @param {string} text - Text to split
+ * @return {Array<string>} Terms in order of appearance (with repeats)
+ */
+function tokenize(text) {
+  return (String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [])
+      .filter((term) => !STOP_WORDS.has(term));
+}
+
+/**
+ * Read the searchable text of a record by field
+ * @param {Object} record - Normalized video record
+ * @return {Object} Terms keyed by FIELD_WEIGHTS field
+ */
+function recordTerms(record) {
+  return {
+    title: tokenize(record.title),
+    tags: tokenize((record.tags || []).join(' ')),
+    channelName: tokenize(record.channelName),
+    description: tokenize(record.description),
+  };
+}
+
+/**
+ * Build the index entry of a record
+ * @param {Object} record - Normalized video record
+ * @return {Object} {record, terms, channelId, publishedAt, indexedAt}
+ */
+function indexEntry(record) {
+  const fields = recordTerms(record);
+  const terms = [...new Set(Object.keys(FIELD_WEIGHTS).flatMap((field) => fields[field]))];
+  // Statistics are live counts; search results don't carry them
+  const stored = {...record};
+  delete stored.statistics;
+
+  return {
+    record: stored,
+    terms: terms.slice(0, MAX_TERMS),
+    channelId: record.channelId,
+    publishedAt: record.publishedAt,
+    indexedAt: Date.now(),
+  };
+}
+
+/**
+ * Add (or refresh) records in a user's index
+ * A failed write is logged, never thrown: the feed doesn't depend on the index.
+ * @param {string} userId - User ID
+ * @param {Array<Object>} records - Normalized video records
+ * @return {Promise<void>}
+ */
+async function indexVideos(userId, records) {
+  if (records.length === 0) {
+    return;
+  }
+
+  const videos = admin.firestore()
+      .collection(SEARCH_INDEX_COLLECTION).doc(userId).collection('videos');
+
+  try {
+    for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+      const batch = admin.firestore().batch();
+      records.slice(i, i + WRITE_BATCH_SIZE).forEach((record) => {
+        batch.set(videos.doc(record.videoId), indexEntry(record));
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error(`Failed to index videos for user ${userId}:`, error);
+  }
+}
+
+/**
+ * Score a record against query terms
+ * Each query term adds its field weights, more for repeated matches (logarithmically); a
+ * title containing the whole query as a phrase doubles the score.
+ * @param {Object} record - Normalized video record
+ * @param {Array<string>} queryTerms - Terms from tokenize
+ * @return {number} Score (0 if a term matches nowhere)
+ */
+function scoreRecord(record, queryTerms) {
+  const fields = recordTerms(record);
+  let score = 0;
+
+  for (const term of queryTerms) {
+    let termScore = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const count = fields[field].filter((word) => word === term).length;
+      if (count > 0) {
+        termScore += weight * (1 + Math.log(count));
+      }
+    });
+    if (termScore === 0) {
+      return 0;
+    }
+    score += termScore;
+  }
+
+  const phrase = queryTerms.join(' ');
+  return queryTerms.length > 1 && fields.title.join(' ').includes(phrase) ? score * 2 : score;
+}
+
+/**
+ * Normalize a search query
+ * @param {string} query - Search words
+ * @return {string} Its distinct terms joined by spaces ('' if none is searchable)
+ */
+function normalizeQuery(query) {
+  return [...new Set(tokenize(query))].join(' ');
+}
+
+/**
+ * Encode a search cursor
+ * @param {Object} cursor - {query (normalized), sort, offset}
+ * @return {string} base64url encoded cursor
+ */
+function encodeSearchCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} value - Cursor returned as nextCursor by a previous search
+ * @return {Object} {query, sort, offset}
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeSearchCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!cursor || typeof cursor.query !== 'string' || !Number.isInteger(cursor.offset) ||
+      cursor.offset < 0) {
+    throw new Error('Invalid cursor');
+  }
+  return cursor;
+}
+
+/**
+ * Format a date filter like the indexed publishedAt strings, to whole seconds
+ * Stored values have no milliseconds, so the bound is rounded outwards (down for
+ * publishedAfter, up for publishedBefore); the exact filter runs in memory.
+ * @param {number} time - Epoch ms
+ * @param {Function} round - Math.floor or Math.ceil
+ * @return {string} ISO 8601 date without milliseconds
+ */
+function toIndexedDate(time, round) {
+  return new Date(round(time / 1000) * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Search a user's index
+ * @param {string} userId - User ID
+ * @param {string} query - Search words (every word must match; see normalizeQuery)
+ * @param {Object} options - Search options
+ * @param {string} options.sort - relevance (default) or newest
+ * @param {Array<string>} options.channelIds - Only videos of these channels (at most
+ *   MAX_SEARCH_CHANNELS)
+ * @param {string} options.publishedAfter - Only videos published after (ISO 8601)
+ * @param {string} options.publishedBefore - Only videos published before (ISO 8601)
+ * @param {number} options.maxResults - Page size (default: 20)
+ * @param {number} options.offset - Matches already returned (from the decoded cursor)
+ * @return {Promise<Object>} {records, total (matches), nextCursor}
+ */
+async function searchVideos(userId, query, options = {}) {
+  const {
+    sort = 'relevance',
+    channelIds = [],
+    publishedAfter,
+    publishedBefore,
+    maxResults = 20,
+    offset = 0,
+  } = options;
+
+  const normalizedQuery = normalizeQuery(query);
+  const queryTerms = normalizedQuery.split(' ').filter(Boolean);
+  if (queryTerms.length === 0) {
+    return {records: [], total: 0, nextCursor: null};
+  }
+
+  const after = publishedAfter ? new Date(publishedAfter).getTime() : -Infinity;
+  const before = publishedBefore ? new Date(publishedBefore).getTime() : Infinity;
+
+  // The longest word is usually the rarest. Channels and dates are filtered by the query, so
+  // the candidates are the newest matching videos rather than an arbitrary subset.
+  const anchor = [...queryTerms].sort((a, b) => b.length - a.length)[0];
+  let candidates = admin.firestore()
+      .collection(SEARCH_INDEX_COLLECTION).doc(userId).collection('videos')
+      .where('terms', 'array-contains', anchor);
+  if (channelIds.length > 0) {
+    candidates = candidates.where('channelId', 'in', channelIds);
+  }
+  if (publishedAfter) {
+    candidates = candidates.where('publishedAt', '>=', toIndexedDate(after, Math.floor));
+  }
+  if (publishedBefore) {
+    candidates = candidates.where('publishedAt', '<=', toIndexedDate(before, Math.ceil));
+  }
+  const snapshot = await candidates
+      .orderBy('publishedAt', 'desc')
+      .limit(MAX_CANDIDATES)
+      .get();
+
+  const matches = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((entry) => (
+        (channelIds.length === 0 || channelIds.includes(entry.channelId)) &&
+        new Date(entry.publishedAt).getTime() > after &&
+        new Date(entry.publishedAt).getTime() < before
+      ))
+      .map((entry) => ({record: entry.record, score: scoreRecord(entry.record, queryTerms)}))
+      .filter((match) => match.score > 0);
+
+  matches.sort((a, b) => (sort === 'relevance' && b.score !== a.score ?
+    b.score - a.score :
+    compareFeedOrder(a.record, b.record)));
+
+  const page = matches.slice(offset, offset + maxResults);
+  const nextOffset = offset + page.length;
+
+  return {
+    records: page.map((match) => match.record),
+    total: matches.length,
+    nextCursor: nextOffset < matches.length ?
+      encodeSearchCursor({query: normalizedQuery, sort, offset: nextOffset}) :
+      null,
+  };
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  MAX_SEARCH_CHANNELS,
+  tokenize,
+  normalizeQuery,
+  scoreRecord,
+  decodeSearchCursor,
+  indexVideos,
+  searchVideos,
+};
@@ -0,0 +1,138 @@
+const express = require('express');
+const {
+  SEARCH_SORTS,
+  MAX_SEARCH_CHANNELS,
+  normalizeQuery,
+  decodeSearchCursor,
+  searchVideos,
+} = require('./searchIndex');
+const {resolveFields, projectVideo} = require('./videoFields');
+const {requestUserId, requireUserId, sendServerError} = require('./httpHelpers');
+
+/**
+ * Search, mounted at /search
+ *
+ * GET /search?q=... searches the videos synced for the user (see searchIndex). It reads only
+ * Firestore: search.list would cost 100 quota units per call.
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const DEFAULT_MAX_RESULTS = 20;
+const MAX_MAX_RESULTS = 50;
+
+// Search the user's synced videos
+router.get('/', requireUserId, async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const {q, publishedAfter, publishedBefore, cursor, sort = 'relevance'} = req.query;
+
+    const query = normalizeQuery(q);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'q must contain at least one searchable word',
+      });
+    }
+
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${SEARCH_SORTS.join(', ')}`,
+      });
+    }
+
+    const maxResults = req.query.maxResults === undefined ?
+      DEFAULT_MAX_RESULTS :
+      Number(req.query.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_MAX_RESULTS) {
+      return res.status(400).json({
+        success: false,
+        error: `maxResults must be between 1 and ${MAX_MAX_RESULTS}`,
+      });
+    }
+
+    const invalidDate = [['publishedAfter', publishedAfter], ['publishedBefore', publishedBefore]]
+        .find(([, value]) => value !== undefined && Number.isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidDate[0]} must be an ISO 8601 date`,
+      });
+    }
+
+    // Search results come from stored records: live counts would need videos.list
+    const {projection, parts, error: fieldsError} = resolveFields({
+      schema: req.query.schema || 'v2',
+      fields: req.query.fields,
+    });
+    if (fieldsError || parts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError || 'viewCount, likeCount and commentCount are not available in search',
+      });
+    }
+
+    let offset = 0;
+    if (cursor) {
+      let decoded;
+      try {
+        decoded = decodeSearchCursor(cursor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor must be a nextCursor value returned by a previous search',
+        });
+      }
+
+      if (decoded.query !== query || decoded.sort !== sort) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor was returned for another search',
+        });
+      }
+      offset = decoded.offset;
+    }
+
+    const channelIds = [req.query.channelId || []].flat()
+        .flatMap((value) => String(value).split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+    if (channelIds.length > MAX_SEARCH_CHANNELS) {
+      return res.status(400).json({
+        success: false,
+        error: `channelId accepts at most ${MAX_SEARCH_CHANNELS} channel IDs`,
+      });
+    }
+
+    const {records, total, nextCursor} = await searchVideos(userId, query, {
+      sort,
+      channelIds,
+      publishedAfter,
+      publishedBefore,
+      maxResults,
+      offset,
+    });
+
+    console.log('Search completed:', {userId, query, sort, total, returned: records.length});
+
+    res.json({
+      success: true,
+      data: {
+        videos: records.map((record) => projectVideo(record, projection)),
+        schema: projection.schema,
+        count: records.length,
+        total,
+        query,
+        sort,
+        nextCursor,
+        userId,
+        quotaUsed: 0,
+      },
+    });
+  } catch (error) {
+    sendServerError(res, 'search videos', error);
+  }
+});
+
+module.exports = router;
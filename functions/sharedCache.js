@@ -0,0 +1,279 @@
+const admin = require('firebase-admin');
+
+/**
+ * Cross-user cache of public channel activity and video details
+ *
+ * sharedChannels/{channelId} - {activities: [{type, videoId, publishedAt}], hasMore, fetchedAt}
+ * sharedVideos/{videoId}     - {item: videos.list item, fetchedAt}
+ *
+ * A channel's recent activity and its videos' details are the same for every subscriber,
+ * so they are shared by all users: a channel fetched for one user serves everyone who
+ * follows it until the entry is older than its TTL. Fetches are also coalesced within an
+ * instance (single flight): concurrent requests for the same channel or video wait for
+ * the one call already in flight.
+ *
+ * Only the newest page of a channel's activity is shared (older pages are fetched per
+ * request), and live or upcoming videos are never shared since their details keep changing.
+ */
+
+const SHARED_CHANNELS_COLLECTION = 'sharedChannels';
+const SHARED_VIDEOS_COLLECTION = 'sharedVideos';
+
+const CHANNEL_TTL_MS = (Number(process.env.SHARED_CHANNEL_TTL_SECONDS) || 300) * 1000;
+const VIDEO_TTL_MS = (Number(process.env.SHARED_VIDEO_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+
+// Firestore allows 500 writes per batch
+const WRITE_BATCH_SIZE = 400;
+
+// Fetches in flight in this instance: channelId -> {promise, maxResults}, videoId -> promise
+const channelFlights = new Map();
+const videoFlights = new Map();
+
+/**
+ * Create hit/miss counters for one request
+ * @return {Object} {channels, videos}, each {hits, misses}
+ */
+function createCacheStats() {
+  return {
+    channels: {hits: 0, misses: 0},
+    videos: {hits: 0, misses: 0},
+  };
+}
+
+/**
+ * Format cache counters for the quota log
+ * @param {Object} stats - From createCacheStats
+ * @return {string} e.g. "channels 2/3 hits (67%), videos 0/0 hits"
+ */
+function describeCacheStats(stats) {
+  return ['channels', 'videos'].map((kind) => {
+    const {hits, misses} = stats[kind];
+    const total = hits + misses;
+    const rate = total > 0 ? ` (${Math.round(hits / total * 100)}%)` : '';
+    return `${kind} ${hits}/${total} hits${rate}`;
+  }).join(', ');
+}
+
+/**
+ * Answer an activities.list query from a shared channel entry
+ * The entry holds the newest activity of the channel, complete down to its oldest activity
+ * (or to the channel's first one if hasMore is false).
+ * @param {Object} entry - Shared channel entry
+ * @param {Object} params - Query ({maxResults, publishedBefore, publishedAfter})
+ * @param {boolean} partial - Answer with what the entry has (and hasMore) even if it can't
+ *   tell what else lies in the range
+ * @return {Object|null} {activities, hasMore} as activities.list would return them, or null
+ *   if the entry can't tell what lies in the range
+ */
+function answerFromEntry(entry, params, partial = false) {
+  const time = (value) => new Date(value).getTime();
+  const before = params.publishedBefore ? time(params.publishedBefore) : Infinity;
+  const after = params.publishedAfter ? time(params.publishedAfter) : -Infinity;
+  const {activities} = entry;
+
+  const inRange = activities.filter((activity) => (
+    time(activity.publishedAt) < before && time(activity.publishedAt) > after
+  ));
+  const oldest = activities.length > 0 ? activities[activities.length - 1].publishedAt : null;
+  const completeBelow = !entry.hasMore || (oldest !== null && time(oldest) <= after);
+
+  if (inRange.length < params.maxResults && !completeBelow && !partial) {
+    return null;
+  }
+
+  return {
+    activities: inRange.slice(0, params.maxResults),
+    hasMore: inRange.length > params.maxResults || !completeBelow,
+  };
+}
+
+/**
+ * Read a shared channel entry (a failed read is a miss)
+ * @param {string} channelId - Channel ID
+ * @return {Promise<Object|null>} Entry, or null
+ */
+async function readChannel(channelId) {
+  try {
+    const doc = await admin.firestore()
+        .collection(SHARED_CHANNELS_COLLECTION).doc(channelId).get();
+    return doc.exists ? doc.data() : null;
+  } catch (error) {
+    console.error(`Failed to read shared channel ${channelId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get a channel's activity through the shared cache
+ * @param {string} channelId - Channel ID
+ * @param {Object} params - Query ({maxResults, publishedBefore, publishedAfter})
+ * @param {Function} fetchActivities - Calls activities.list for a query and resolves to
+ *   {activities: [{type, videoId, publishedAt}], hasMore}
+ * @param {Object} options - Cache options
+ * @param {number} options.maxAgeMs - Oldest entry the caller accepts (capped by the TTL)
+ * @param {Object} options.stats - Counters from createCacheStats
+ * @return {Promise<Object>} {activities, hasMore}
+ */
+async function getChannelActivities(channelId, params, fetchActivities, options = {}) {
+  const {maxAgeMs = CHANNEL_TTL_MS, stats = createCacheStats()} = options;
+
+  const entry = await readChannel(channelId);
+  if (entry && Date.now() - entry.fetchedAt <= Math.min(maxAgeMs, CHANNEL_TTL_MS)) {
+    const answer = answerFromEntry(entry, params);
+    if (answer) {
+      stats.channels.hits += 1;
+      return answer;
+    }
+  }
+
+  // Older pages aren't shared
+  if (params.publishedBefore) {
+    stats.channels.misses += 1;
+    return fetchActivities(params);
+  }
+
+  // Wait for a fetch of the newest page already in flight (if it asked for enough)
+  const flight = channelFlights.get(channelId);
+  if (flight && flight.maxResults >= params.maxResults) {
+    const shared = await flight.promise.catch(() => null);
+    const answer = shared && answerFromEntry(shared, params);
+    if (answer) {
+      stats.channels.hits += 1;
+      return answer;
+    }
+  }
+
+  // Fetch the newest page (an incremental query is answered from it at the same cost)
+  stats.channels.misses += 1;
+  const promise = fetchActivities({maxResults: params.maxResults}).then(async (fetched) => {
+    const fresh = {...fetched, fetchedAt: Date.now()};
+    await admin.firestore().collection(SHARED_CHANNELS_COLLECTION).doc(channelId).set(fresh)
+        .catch((error) => console.error(`Failed to save shared channel ${channelId}:`, error));
+    return fresh;
+  });
+  channelFlights.set(channelId, {promise, maxResults: params.maxResults});
+
+  try {
+    // Only a short page with a next page token leaves the answer partial
+    return answerFromEntry(await promise, params, true);
+  } finally {
+    if (channelFlights.get(channelId)?.promise === promise) {
+      channelFlights.delete(channelId);
+    }
+  }
+}
+
+/**
+ * Read fresh shared video details (a failed read is a miss)
+ * @param {Array<string>} videoIds - Videos to read
+ * @return {Promise<Map<string, Object>>} videos.list items keyed by video ID
+ */
+async function readVideos(videoIds) {
+  const items = new Map();
+  if (videoIds.length === 0) {
+    return items;
+  }
+
+  try {
+    const collection = admin.firestore().collection(SHARED_VIDEOS_COLLECTION);
+    const docs = await admin.firestore().getAll(
+        ...videoIds.map((videoId) => collection.doc(videoId)),
+    );
+    docs
+        .filter((doc) => doc.exists && Date.now() - doc.data().fetchedAt <= VIDEO_TTL_MS)
+        .forEach((doc) => items.set(doc.id, doc.data().item));
+  } catch (error) {
+    console.error('Failed to read shared video details:', error);
+  }
+
+  return items;
+}
+
+/**
+ * Share fetched video details (not live or upcoming ones)
+ * @param {Array<Object>} items - videos.list items
+ * @return {Promise<void>}
+ */
+async function saveVideos(items) {
+  const shareable = items.filter((item) => (
+    !['live', 'upcoming'].includes(item.snippet?.liveBroadcastContent)
+  ));
+  const fetchedAt = Date.now();
+  const collection = admin.firestore().collection(SHARED_VIDEOS_COLLECTION);
+
+  try {
+    for (let i = 0; i < shareable.length; i += WRITE_BATCH_SIZE) {
+      const batch = admin.firestore().batch();
+      shareable.slice(i, i + WRITE_BATCH_SIZE).forEach((item) => {
+        batch.set(collection.doc(item.id), {item, fetchedAt});
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Failed to save shared video details:', error);
+  }
+}
+
+/**
+ * Get video details through the shared cache
+ * @param {Array<string>} videoIds - Videos to get
+ * @param {Function} fetchItems - Calls videos.list for the videos not cached and resolves to
+ *   {items, calls, failures} (see youtubeSubscriptions.fetchVideoDetails)
+ * @param {Object} options - Cache options
+ * @param {Object} options.stats - Counters from createCacheStats
+ * @return {Promise<Object>} {items, calls, failures} for every requested video
+ */
+async function getVideoDetails(videoIds, fetchItems, options = {}) {
+  const {stats = createCacheStats()} = options;
+  const items = await readVideos(videoIds.filter((videoId) => !videoFlights.has(videoId)));
+
+  // Videos another request is fetching right now
+  await Promise.all(videoIds
+      .filter((videoId) => !items.has(videoId) && videoFlights.has(videoId))
+      .map(async (videoId) => {
+        const item = await videoFlights.get(videoId);
+        if (item) {
+          items.set(videoId, item);
+        }
+      }));
+  stats.videos.hits += items.size;
+
+  const missing = videoIds.filter((videoId) => !items.has(videoId));
+  if (missing.length === 0) {
+    return {items: [...items.values()], calls: 0, failures: []};
+  }
+
+  stats.videos.misses += missing.length;
+  const promise = fetchItems(missing).then(async (fetched) => {
+    await saveVideos(fetched.items);
+    return fetched;
+  });
+  const flights = new Map(missing.map((videoId) => [videoId, promise.then(
+      (fetched) => fetched.items.find((item) => item.id === videoId) || null,
+      () => null,
+  )]));
+  flights.forEach((flight, videoId) => videoFlights.set(videoId, flight));
+
+  try {
+    const fetched = await promise;
+    return {
+      items: [...items.values(), ...fetched.items],
+      calls: fetched.calls,
+      failures: fetched.failures,
+    };
+  } finally {
+    flights.forEach((flight, videoId) => {
+      if (videoFlights.get(videoId) === flight) {
+        videoFlights.delete(videoId);
+      }
+    });
+  }
+}
+
+module.exports = {
+  createCacheStats,
+  describeCacheStats,
+  answerFromEntry,
+  getChannelActivities,
+  getVideoDetails,
+};
@@ -0,0 +1,267 @@
+const express = require('express');
+const {withUserAccessToken} = require('./userTokens');
+const {createYoutubeClient} = require('./youtubeClient');
+const {createQuotaBudget} = require('./quotaLedger');
+const {createScheduler} = require('./requestScheduler');
+const {
+  EXPORT_FORMATS,
+  isChannelId,
+  listSubscriptions,
+  subscribe,
+  unsubscribeChannel,
+  renderOpml,
+  toJsonExport,
+  parseOpml,
+  planImport,
+  applyImport,
+} = require('./subscriptions');
+const {clearChannelList} = require('./feedCache');
+const {requestUserId, requireUserId, sendApiError} = require('./httpHelpers');
+
+/**
+ * Subscription management, mounted at /subscriptions
+ *
+ * POST / and DELETE /:channelId subscribe and unsubscribe the user, GET /export downloads the
+ * subscription list as OPML or JSON, and POST /import reconciles an OPML file against it (or
+ * only reports what it would change, with dryRun). YouTube is called with the user's stored
+ * token and every call is charged to the user's quota budget. A change drops the cached
+ * channel list, so the next feed load picks it up.
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+/**
+ * Call YouTube as the user, charging every attempt to the quota budget
+ * @param {string} userId - User ID
+ * @param {Object} quotaBudget - From createQuotaBudget
+ * @param {Function} work - (youtube, scheduler) => Promise
+ * @return {Promise<*>} What work resolves to
+ */
+function callYoutube(userId, quotaBudget, work) {
+  const scheduler = createScheduler({
+    canAttempt: (method) => quotaBudget.canAfford(method),
+    onAttempt: (method) => quotaBudget.charge(method),
+  });
+  return withUserAccessToken(userId, (token) => work(createYoutubeClient(token), scheduler));
+}
+
+/**
+ * Record what a failed request spent before responding with its error
+ * @param {Object} res - Express response
+ * @param {string} action - What failed (for the log)
+ * @param {Object} quotaBudget - From createQuotaBudget (undefined if not created yet)
+ * @param {Error} error - The error
+ * @return {Promise<void>}
+ */
+async function sendFailure(res, action, quotaBudget, error) {
+  console.error(`Error ${action}:`, error);
+
+  if (quotaBudget) {
+    await quotaBudget.flush().catch((flushError) => {
+      console.error('Failed to record quota usage:', flushError);
+    });
+  }
+
+  sendApiError(res, error);
+}
+
+// Subscribe to a channel
+router.post('/', requireUserId, async (req, res) => {
+  const userId = requestUserId(req);
+  const {channelId} = req.body;
+  let quotaBudget;
+
+  try {
+    if (!isChannelId(channelId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'channelId must be a YouTube channel ID (UC...)',
+      });
+    }
+
+    quotaBudget = await createQuotaBudget(userId);
+    const subscription = await callYoutube(userId, quotaBudget, (youtube, scheduler) => (
+      subscribe(youtube, channelId, {scheduler, quotaBudget})
+    ));
+
+    await quotaBudget.flush();
+    await clearChannelList(userId);
+
+    console.log('Subscribed:', {userId, channelId, quotaUsed: quotaBudget.used()});
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+      },
+    });
+  } catch (error) {
+    await sendFailure(res, 'subscribing', quotaBudget, error);
+  }
+});
+
+// Download the subscription list
+router.get('/export', requireUserId, async (req, res) => {
+  const userId = requestUserId(req);
+  const {format = 'opml'} = req.query;
+  let quotaBudget;
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    quotaBudget = await createQuotaBudget(userId);
+    const subscriptions = await callYoutube(userId, quotaBudget, (youtube, scheduler) => (
+      listSubscriptions(youtube, {scheduler})
+    ));
+
+    await quotaBudget.flush();
+
+    console.log('Subscriptions exported:', {
+      userId,
+      format,
+      count: subscriptions.length,
+      quotaUsed: quotaBudget.used(),
+    });
+
+    const exportedAt = new Date();
+    res.attachment(`youtube-subscriptions.${format}`);
+    if (format === 'opml') {
+      return res.type('text/x-opml; charset=utf-8').send(renderOpml(subscriptions, {exportedAt}));
+    }
+    res.json(toJsonExport(subscriptions, {exportedAt}));
+  } catch (error) {
+    await sendFailure(res, 'exporting subscriptions', quotaBudget, error);
+  }
+});
+
+// Reconcile the subscriptions with an OPML file
+router.post('/import', requireUserId, async (req, res) => {
+  const userId = requestUserId(req);
+  const {opml, dryRun = false, unsubscribeMissing = false} = req.body;
+  let quotaBudget;
+
+  try {
+    let parsed;
+    try {
+      parsed = parseOpml(opml);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (typeof dryRun !== 'boolean' || typeof unsubscribeMissing !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun and unsubscribeMissing must be booleans',
+      });
+    }
+
+    if (parsed.channels.length === 0 && unsubscribeMissing) {
+      return res.status(400).json({
+        success: false,
+        error: 'opml contains no YouTube channels; refusing to unsubscribe from every channel',
+      });
+    }
+
+    quotaBudget = await createQuotaBudget(userId);
+    const {plan, applied} = await callYoutube(userId, quotaBudget, async (youtube, scheduler) => {
+      const current = await listSubscriptions(youtube, {scheduler});
+      const importPlan = planImport(parsed.channels, current, {unsubscribeMissing});
+      return {
+        plan: importPlan,
+        applied: dryRun ? null : await applyImport(youtube, importPlan, {scheduler, quotaBudget}),
+      };
+    });
+    const {results = null, stoppedBy = null} = applied || {};
+
+    await quotaBudget.flush();
+
+    const summary = {done: 0, failed: 0, skipped: 0};
+    (results || []).forEach((result) => {
+      summary[result.status] += 1;
+    });
+    if (summary.done > 0) {
+      await clearChannelList(userId);
+    }
+
+    console.log('Subscriptions imported:', {
+      userId,
+      dryRun,
+      channels: parsed.channels.length,
+      toSubscribe: plan.toSubscribe.length,
+      toUnsubscribe: plan.toUnsubscribe.length,
+      ...summary,
+      stoppedBy: stoppedBy && stoppedBy.code,
+      quotaUsed: quotaBudget.used(),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        dryRun,
+        channels: parsed.channels.length,
+        invalid: parsed.invalid,
+        toSubscribe: plan.toSubscribe,
+        alreadySubscribed: plan.alreadySubscribed.length,
+        toUnsubscribe: plan.toUnsubscribe.map(({channelId, title}) => ({channelId, title})),
+        projectedQuota: plan.projectedQuota,
+        results,
+        summary: dryRun ? null : summary,
+        stoppedBy,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+      },
+    });
+  } catch (error) {
+    await sendFailure(res, 'importing subscriptions', quotaBudget, error);
+  }
+});
+
+// Unsubscribe from a channel
+router.delete('/:channelId', requireUserId, async (req, res) => {
+  const userId = requestUserId(req);
+  const {channelId} = req.params;
+  let quotaBudget;
+
+  try {
+    if (!isChannelId(channelId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'channelId must be a YouTube channel ID (UC...)',
+      });
+    }
+
+    quotaBudget = await createQuotaBudget(userId);
+    const {subscriptionId} = await callYoutube(userId, quotaBudget, (youtube, scheduler) => (
+      unsubscribeChannel(youtube, channelId, {scheduler, quotaBudget})
+    ));
+
+    await quotaBudget.flush();
+    await clearChannelList(userId);
+
+    console.log('Unsubscribed:', {userId, channelId, quotaUsed: quotaBudget.used()});
+
+    res.json({
+      success: true,
+      data: {
+        subscriptionId,
+        channelId,
+        quotaUsed: quotaBudget.used(),
+        quotaRemaining: quotaBudget.remaining(),
+      },
+    });
+  } catch (error) {
+    await sendFailure(res, 'unsubscribing', quotaBudget, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const {ApiError, toApiError, publicMessage} = require('./apiErrors');
+const {QUOTA_COSTS, quotaBudgetError} = require('./quotaLedger');
+const {directScheduler} = require('./requestScheduler');
+const {fetchAllSubscriptions} = require('./youtubeSubscriptions');
+const {escapeXml} = require('./feedRenderer');
+const {decodeXml} = require('./websub');
+
+/**
+ * Subscription management
+ *
+ * Subscribes and unsubscribes the user with subscriptions.insert and subscriptions.delete
+ * (50 quota units each), exports the full subscription list as OPML or JSON, and imports an
+ * OPML file (from a feed reader, or another account's export) by reconciling it against the
+ * current subscriptions. Every call goes through the request's scheduler, so it is charged to
+ * the user's quota budget.
+ */
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+const EXPORT_FORMATS = ['opml', 'json'];
+
+// Enough pages for YouTube's 2,000-subscription limit
+const EXPORT_MAX_PAGES = 40;
+
+/**
+ * Build a channel's page URL
+ * @param {string} channelId - Channel ID
+ * @return {string} https://www.youtube.com/channel/{channelId}
+ */
+function channelUrl(channelId) {
+  return `https://www.youtube.com/channel/${channelId}`;
+}
+
+/**
+ * Build a channel's public uploads feed URL (what feed readers subscribe to)
+ * @param {string} channelId - Channel ID
+ * @return {string} https://www.youtube.com/feeds/videos.xml?channel_id={channelId}
+ */
+function channelFeedUrl(channelId) {
+  return `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+}
+
+/**
+ * Check a channel ID
+ * @param {*} channelId - Value to check
+ * @return {boolean} True for a UC... channel ID
+ */
+function isChannelId(channelId) {
+  return typeof channelId === 'string' && CHANNEL_ID_PATTERN.test(channelId);
+}
+
+/**
+ * Refuse a call the quota budget can't cover
+ * @param {Object} quotaBudget - From createQuotaBudget (optional)
+ * @param {string} method - YouTube API method
+ * @throws {ApiError} QUOTA_BUDGET_EXHAUSTED
+ */
+function assertAffordable(quotaBudget, method) {
+  if (quotaBudget && !quotaBudget.canAfford(method)) {
+    throw quotaBudgetError('Daily quota budget exhausted');
+  }
+}
+
+/**
+ * List every subscription of the user
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {Object} options - {scheduler}
+ * @return {Promise<Array<Object>>} Subscriptions ({subscriptionId, channelId, title}) in
+ *   subscriptions.list order
+ */
+async function listSubscriptions(youtube, options = {}) {
+  const {items} = await fetchAllSubscriptions(youtube, {
+    maxPages: EXPORT_MAX_PAGES,
+    scheduler: options.scheduler,
+  });
+
+  return items.map((item) => ({
+    subscriptionId: item.id,
+    channelId: item.snippet.resourceId.channelId,
+    title: item.snippet.title,
+  }));
+}
+
+/**
+ * Subscribe the user to a channel (50 quota units)
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {string} channelId - Channel to subscribe to
+ * @param {Object} options - {scheduler, quotaBudget}
+ * @return {Promise<Object>} {subscriptionId, channelId, title}
+ * @throws {Error} QUOTA_BUDGET_EXHAUSTED, or the googleapis error (e.g. subscriptionDuplicate)
+ */
+async function subscribe(youtube, channelId, options = {}) {
+  const {scheduler = directScheduler, quotaBudget} = options;
+  assertAffordable(quotaBudget, 'subscriptions.insert');
+  const response = await scheduler.run('subscriptions.insert', () => youtube.subscriptions.insert({
+    part: 'snippet',
+    requestBody: {
+      snippet: {resourceId: {kind: 'youtube#channel', channelId}},
+    },
+  }));
+
+  return {
+    subscriptionId: response.data.id,
+    channelId,
+    title: response.data.snippet?.title || null,
+  };
+}
+
+/**
+ * Find the user's subscription to a channel (1 quota unit)
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {string} channelId - Channel ID
+ * @param {Object} options - {scheduler}
+ * @return {Promise<string|null>} Subscription ID, or null if the user isn't subscribed
+ */
+async function findSubscription(youtube, channelId, options = {}) {
+  const {scheduler = directScheduler} = options;
+  const response = await scheduler.run('subscriptions.list', () => youtube.subscriptions.list({
+    part: 'id',
+    mine: true,
+    forChannelId: channelId,
+  }));
+  const items = response.data.items || [];
+  return items.length > 0 ? items[0].id : null;
+}
+
+/**
+ * Delete a subscription (50 quota units)
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} options - {scheduler}
+ * @return {Promise<void>}
+ */
+async function unsubscribe(youtube, subscriptionId, options = {}) {
+  const {scheduler = directScheduler} = options;
+  await scheduler.run('subscriptions.delete', () => youtube.subscriptions.delete({
+    id: subscriptionId,
+  }));
+}
+
+/**
+ * Unsubscribe the user from a channel (1 quota unit to find the subscription, 50 to delete it)
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {string} channelId - Channel to unsubscribe from
+ * @param {Object} options - {scheduler, quotaBudget}
+ * @return {Promise<Object>} {subscriptionId, channelId}
+ * @throws {ApiError} NOT_SUBSCRIBED if the user doesn't follow the channel,
+ *   QUOTA_BUDGET_EXHAUSTED
+ */
+async function unsubscribeChannel(youtube, channelId, options = {}) {
+  assertAffordable(options.quotaBudget, 'subscriptions.delete');
+  const subscriptionId = await findSubscription(youtube, channelId, options);
+  if (!subscriptionId) {
+    throw new ApiError('NOT_SUBSCRIBED', `Not subscribed to ${channelId}`);
+  }
+
+  await unsubscribe(youtube, subscriptionId, options);
+  return {subscriptionId, channelId};
+}
+
+/**
+ * Render subscriptions as OPML 2.0 (one outline per channel, with its uploads feed)
+ * @param {Array<Object>} subscriptions - From listSubscriptions
+ * @param {Object} options - {title, exportedAt (Date)}
+ * @return {string} OPML document
+ */
+function renderOpml(subscriptions, options = {}) {
+  const {title = 'YouTube subscriptions', exportedAt = new Date()} = options;
+  const outlines = subscriptions.map((subscription) => (
+    `    <outline type="rss" text="${escapeXml(subscription.title)}" ` +
+    `title="${escapeXml(subscription.title)}" ` +
+    `xmlUrl="${escapeXml(channelFeedUrl(subscription.channelId))}" ` +
+    `htmlUrl="${escapeXml(channelUrl(subscription.channelId))}"/>`
+  ));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${exportedAt.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    '    <outline text="YouTube Subscriptions" title="YouTube Subscriptions">',
+    ...outlines.map((outline) => `  ${outline}`),
+    '    </outline>',
+    '  </body>',
+    '</opml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Format subscriptions for the JSON export
+ * @param {Array<Object>} subscriptions - From listSubscriptions
+ * @param {Object} options - {exportedAt (Date)}
+ * @return {Object} {exportedAt, count, subscriptions: [{channelId, title, url, feedUrl}]}
+ */
+function toJsonExport(subscriptions, options = {}) {
+  const {exportedAt = new Date()} = options;
+  return {
+    exportedAt: exportedAt.toISOString(),
+    count: subscriptions.length,
+    subscriptions: subscriptions.map((subscription) => ({
+      channelId: subscription.channelId,
+      title: subscription.title,
+      url: channelUrl(subscription.channelId),
+      feedUrl: channelFeedUrl(subscription.channelId),
+    })),
+  };
+}
+
+/**
+ * Read the attributes of an XML start tag
+ * @param {string} source - Attribute source (what follows the tag name)
+ * @return {Object} Decoded values keyed by attribute name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Read the YouTube channels of an OPML file
+ * Channels are recognized by their uploads feed (xmlUrl with channel_id) or channel page
+ * (htmlUrl /channel/UC...). Outlines with a URL that names no channel (other feeds, playlists,
+ * /@handle pages) are reported as invalid; folders are skipped.
+ * @param {string} xml - OPML document
+ * @return {Object} {channels: [{channelId, title}] without duplicates, invalid: [{title, url}]}
+ * @throws {Error} If the document is not OPML
+ */
+function parseOpml(xml) {
+  if (typeof xml !== 'string' || !/<opml\b/i.test(xml)) {
+    throw new Error('opml must be an OPML document');
+  }
+
+  const channels = new Map();
+  const invalid = [];
+
+  for (const match of xml.matchAll(/<outline\b([^>]*?)\/?>/gi)) {
+    const attributes = parseAttributes(match[1]);
+    const url = attributes.xmlUrl || attributes.htmlUrl;
+    if (!url) {
+      continue;
+    }
+
+    const title = attributes.title || attributes.text || '';
+    const channelId = [attributes.xmlUrl, attributes.htmlUrl]
+        .map((value) => /(?:channel_id=|\/channel\/)(UC[\w-]{22})(?![\w-])/.exec(value || ''))
+        .find(Boolean)?.[1];
+
+    if (!channelId) {
+      invalid.push({title, url});
+    } else if (!channels.has(channelId)) {
+      channels.set(channelId, {channelId, title});
+    }
+  }
+
+  return {channels: [...channels.values()], invalid};
+}
+
+/**
+ * Reconcile imported channels against the current subscriptions
+ * @param {Array<Object>} imported - Channels from parseOpml
+ * @param {Array<Object>} current - Subscriptions from listSubscriptions
+ * @param {Object} options - {unsubscribeMissing: also unsubscribe from channels not in the
+ *   file (default: false)}
+ * @return {Object} {toSubscribe, alreadySubscribed, toUnsubscribe, projectedQuota}
+ */
+function planImport(imported, current, options = {}) {
+  const {unsubscribeMissing = false} = options;
+  const currentIds = new Set(current.map((subscription) => subscription.channelId));
+  const importedIds = new Set(imported.map((channel) => channel.channelId));
+
+  const toSubscribe = imported.filter((channel) => !currentIds.has(channel.channelId));
+  const alreadySubscribed = imported.filter((channel) => currentIds.has(channel.channelId));
+  const toUnsubscribe = unsubscribeMissing ?
+    current.filter((subscription) => !importedIds.has(subscription.channelId)) :
+    [];
+
+  return {
+    toSubscribe,
+    alreadySubscribed,
+    toUnsubscribe,
+    projectedQuota: toSubscribe.length * QUOTA_COSTS['subscriptions.insert'] +
+      toUnsubscribe.length * QUOTA_COSTS['subscriptions.delete'],
+  };
+}
+
+/**
+ * Carry out an import plan, one call at a time, while the quota budget allows
+ *
+ * A rejected token or exhausted project quota stops the import: the change it hit is failed,
+ * the rest are skipped with the same code, and the changes already made are still reported.
+ * @param {Object} youtube - YouTube client authenticated as the user
+ * @param {Object} plan - From planImport
+ * @param {Object} options - {scheduler, quotaBudget}
+ * @return {Promise<Object>} {results: one per planned change ({channelId, title, action
+ *   (subscribe|unsubscribe), status (done|failed|skipped), code (for failed and skipped)}),
+ *   stoppedBy: {code, status, message} of the error that stopped the import, or null}
+ */
+async function applyImport(youtube, plan, options = {}) {
+  const {scheduler = directScheduler, quotaBudget} = options;
+  const changes = [
+    ...plan.toSubscribe.map((channel) => ({...channel, action: 'subscribe'})),
+    ...plan.toUnsubscribe.map((subscription) => ({...subscription, action: 'unsubscribe'})),
+  ];
+  const results = [];
+  let stoppedBy = null;
+
+  for (const change of changes) {
+    const method = change.action === 'subscribe' ? 'subscriptions.insert' : 'subscriptions.delete';
+    const result = {channelId: change.channelId, title: change.title, action: change.action};
+
+    if (stoppedBy) {
+      results.push({...result, status: 'skipped', code: stoppedBy.code});
+      continue;
+    }
+
+    if (quotaBudget && !quotaBudget.canAfford(method)) {
+      results.push({...result, status: 'skipped', code: 'QUOTA_BUDGET_EXHAUSTED'});
+      continue;
+    }
+
+    try {
+      if (change.action === 'subscribe') {
+        await subscribe(youtube, change.channelId, {scheduler});
+      } else {
+        await unsubscribe(youtube, change.subscriptionId, {scheduler});
+      }
+      results.push({...result, status: 'done'});
+    } catch (error) {
+      const apiError = toApiError(error);
+      results.push({...result, status: 'failed', code: apiError.code});
+      // Everything after a rejected token or exhausted project quota would fail the same way
+      if (['AUTH_REQUIRED', 'QUOTA_EXCEEDED'].includes(apiError.code)) {
+        stoppedBy = {
+          code: apiError.code,
+          status: apiError.status,
+          message: publicMessage(apiError.code),
+        };
+      }
+    }
+  }
+
+  return {results, stoppedBy};
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isChannelId,
+  listSubscriptions,
+  subscribe,
+  unsubscribeChannel,
+  renderOpml,
+  toJsonExport,
+  parseOpml,
+  planImport,
+  applyImport,
+};
@@ -0,0 +1,42 @@
+const {ApiError, fromYoutubeError, toApiError} = require('../apiErrors');
+const {youtubeError} = require('./fakes/youtube');
+
+describe('apiErrors', () => {
+  describe('fromYoutubeError', () => {
+    it('classifies by errors[].reason before the HTTP status', () => {
+      const error = fromYoutubeError(youtubeError(403, 'quotaExceeded', 'Quota exceeded'));
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toMatchObject({code: 'QUOTA_EXCEEDED', status: 429, reason: 'quotaExceeded'});
+    });
+
+    it('falls back to the HTTP status for unknown reasons', () => {
+      expect(fromYoutubeError(youtubeError(404, 'somethingNew', 'Gone')).code).toBe('NOT_FOUND');
+      expect(fromYoutubeError(youtubeError(500, 'somethingNew', 'Oops')).code)
+          .toBe('YOUTUBE_UNAVAILABLE');
+    });
+
+    it('reads OAuth error strings such as invalid_grant', () => {
+      const oauthError = new Error('invalid_grant');
+      oauthError.response = {status: 400, data: {error: 'invalid_grant'}};
+
+      expect(fromYoutubeError(oauthError)).toMatchObject({code: 'AUTH_REQUIRED', status: 401});
+    });
+
+    it('treats network failures as YouTube being unavailable', () => {
+      const networkError = new Error('socket hang up');
+      networkError.code = 'ECONNRESET';
+
+      expect(fromYoutubeError(networkError).code).toBe('YOUTUBE_UNAVAILABLE');
+    });
+  });
+
+  describe('toApiError', () => {
+    it('returns ApiErrors unchanged and classifies everything else', () => {
+      const apiError = new ApiError('FORBIDDEN', 'No access');
+
+      expect(toApiError(apiError)).toBe(apiError);
+      expect(toApiError(new Error('boom'))).toMatchObject({code: 'INTERNAL', status: 500});
+    });
+  });
+});
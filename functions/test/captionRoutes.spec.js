@@ -0,0 +1,183 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {pacificDay} = require('../quotaLedger');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('GET /videos/:videoId/captions', () => {
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const getCaptions = (videoId, query = {}) => request(youtubeSubscriptions)
+      .get(`/videos/${videoId}/captions`)
+      .set(AUTH)
+      .query(query);
+
+  it('lists the tracks and returns the preferred transcript', async () => {
+    const response = await getCaptions('alphaVid001');
+
+    expect(response.status).toBe(200);
+    // The draft track is left out
+    expect(response.body.data.tracks.map((track) => track.id)).toEqual(
+        ['alpha-en-asr', 'alpha-en', 'alpha-es'],
+    );
+    expect(response.body.data.transcript).toMatchObject({
+      trackId: 'alpha-en',
+      language: 'en-US',
+      trackKind: 'standard',
+    });
+    expect(response.body.data.transcript.segments).toHaveLength(3);
+    expect(response.body.data).toMatchObject({fromCache: false, quotaUsed: 250});
+    expect(youtube.calls.find((call) => call.method === 'captions.download').params).toEqual(
+        {id: 'alpha-en', tfmt: 'vtt'},
+    );
+    expect(readDoc(`quotaLedger/${pacificDay()}/users/user-1`).calls).toEqual(
+        {'captions.list': 1, 'captions.download': 1},
+    );
+  });
+
+  it('serves cached tracks and transcripts without quota', async () => {
+    await getCaptions('alphaVid001', {lang: 'en-US'});
+    const callsBefore = youtube.count();
+
+    const exact = await getCaptions('alphaVid001', {lang: 'en-US'});
+    const preferred = await getCaptions('alphaVid001');
+
+    expect(youtube.count()).toBe(callsBefore);
+    [exact, preferred].forEach((response) => {
+      expect(response.body.data).toMatchObject({fromCache: true, quotaUsed: 0});
+      expect(response.body.data.transcript.trackId).toBe('alpha-en');
+    });
+    expect(readDoc('captionTracks/alphaVid001/transcripts/en-US').segments).toHaveLength(3);
+  });
+
+  it.each([
+    ['text', 'text/plain', /^Welcome back to the channel\.\n/],
+    ['srt', 'application/x-subrip', /^1\n00:00:00,000 --> 00:00:02,500\n/],
+    ['vtt', 'text/vtt', /^WEBVTT\n\n00:00:00\.000 --> 00:00:02\.500\n/],
+  ])('renders format=%s', async (format, contentType, body) => {
+    const response = await getCaptions('alphaVid001', {format});
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(contentType);
+    expect(response.headers['content-language']).toBe('en-US');
+    expect(response.text).toMatch(body);
+  });
+
+  it('returns the tracks when the token may not download captions', async () => {
+    youtube.fail('captions.download', youtubeError(403, 'forbidden', 'Forbidden'));
+
+    const json = await getCaptions('alphaVid001', {lang: 'es'});
+    const srt = await getCaptions('alphaVid001', {lang: 'es', format: 'srt'});
+
+    expect(json.status).toBe(200);
+    expect(json.body.data).toMatchObject({
+      transcript: null,
+      transcriptError: {code: 'FORBIDDEN', reason: 'forbidden'},
+    });
+    expect(json.body.data.tracks).toHaveLength(3);
+    expect(srt.status).toBe(403);
+    expect(srt.body.code).toBe('FORBIDDEN');
+    // The refusal is remembered: the retry spends nothing
+    expect(youtube.count('captions.download')).toBe(1);
+  });
+
+  it('downloads a refused track again once the refusal expires', async () => {
+    youtube.fail('captions.download', youtubeError(403, 'forbidden', 'Forbidden'), {times: 1});
+    await getCaptions('alphaVid001', {lang: 'es'});
+    const path = 'captionTracks/alphaVid001/forbidden/alpha-es/users/user-1';
+    writeDoc(path, {...readDoc(path), fetchedAt: Date.now() - 7 * 60 * 60 * 1000});
+
+    const response = await getCaptions('alphaVid001', {lang: 'es'});
+
+    expect(response.body.data.transcript).toMatchObject({trackId: 'alpha-es'});
+    expect(youtube.count('captions.download')).toBe(2);
+  });
+
+  it('remembers a refused download only for the user it was refused to', async () => {
+    const owner = createFakeYoutube();
+    setYoutubeClientFactory((token) => (token === 'owner-token' ? owner : youtube));
+    youtube.fail('captions.download', youtubeError(403, 'forbidden', 'Forbidden'));
+    writeDoc('userTokens/owner', {
+      accessToken: 'owner-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+
+    const refused = await getCaptions('alphaVid001', {lang: 'es'});
+    const ownerResponse = await request(youtubeSubscriptions)
+        .get('/videos/alphaVid001/captions')
+        .set({Authorization: `Bearer ${idToken('owner')}`})
+        .query({lang: 'es'});
+
+    expect(refused.body.data.transcriptError).toMatchObject({code: 'FORBIDDEN'});
+    expect(ownerResponse.status).toBe(200);
+    expect(ownerResponse.body.data.transcript).toMatchObject({trackId: 'alpha-es'});
+    expect(owner.count('captions.download')).toBe(1);
+  });
+
+  it('returns 404 without a matching track', async () => {
+    const response = await getCaptions('alphaVid001', {lang: 'fr'});
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('CAPTIONS_NOT_FOUND');
+    expect(youtube.count('captions.download')).toBe(0);
+  });
+
+  it('rejects a malformed videoId or format', async () => {
+    const badId = await getCaptions('nope');
+    const badFormat = await getCaptions('alphaVid001', {format: 'ttml'});
+
+    expect(badId.status).toBe(400);
+    expect(badFormat.status).toBe(400);
+    expect(badFormat.body.error).toBe('format must be one of: json, text, srt, vtt');
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('rejects a lang that is not a single language tag', async () => {
+    const responses = [
+      await getCaptions('alphaVid001', {lang: 'a/b'}),
+      await getCaptions('alphaVid001', {lang: ''}),
+      await getCaptions('alphaVid001', {lang: ['en', 'es']}),
+    ];
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('lang must be a single language tag such as en or pt-BR');
+    });
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('does not download without the quota for it', async () => {
+    writeDoc(`quotaLedger/${pacificDay()}/users/user-1`, {units: 400});
+
+    const response = await getCaptions('alphaVid001');
+
+    expect(response.status).toBe(429);
+    expect(response.body.code).toBe('QUOTA_BUDGET_EXHAUSTED');
+    expect(youtube.count('captions.download')).toBe(0);
+    expect(readDoc(`quotaLedger/${pacificDay()}/users/user-1`).units).toBe(450);
+  });
+});
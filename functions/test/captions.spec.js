@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  isLanguageTag,
+  selectTrack,
+  parseCaptions,
+  renderText,
+  renderSrt,
+  renderVtt,
+} = require('../captions');
+
+const VTT = fs.readFileSync(path.join(__dirname, 'fixtures/captions.alpha-en.vtt'), 'utf8');
+
+const track = (id, language, trackKind = 'standard') => ({id, language, trackKind});
+
+const TRACKS = [
+  track('en-asr', 'en', 'asr'),
+  track('en-us', 'en-US'),
+  track('es', 'es'),
+  track('es-forced', 'es', 'forced'),
+];
+
+const SEGMENTS = [
+  {start: 0, end: 2.5, text: 'Welcome back to the channel.'},
+  {start: 3723.04, end: 3724, text: 'Thanks for watching!'},
+];
+
+describe('captions', () => {
+  describe('selectTrack', () => {
+    it('prefers the exact language, then the same base language', () => {
+      expect(selectTrack(TRACKS, 'en-US').id).toBe('en-us');
+      expect(selectTrack(TRACKS, 'EN').id).toBe('en-asr');
+      expect(selectTrack(TRACKS, 'en-GB').id).toBe('en-us');
+      expect(selectTrack(TRACKS, 'de')).toBeNull();
+    });
+
+    it('prefers standard tracks', () => {
+      expect(selectTrack(TRACKS, 'es').id).toBe('es');
+      expect(selectTrack(TRACKS).id).toBe('en-us');
+      expect(selectTrack([])).toBeNull();
+    });
+  });
+
+  it('accepts single BCP-47 language tags only', () => {
+    ['en', 'en-US', 'es-419', 'zh-Hant', 'fil'].forEach((tag) => {
+      expect(isLanguageTag(tag)).toBe(true);
+    });
+    ['', 'e', 'a/b', 'en_US', 'en-', 'english', ['en'], undefined].forEach((tag) => {
+      expect(isLanguageTag(tag)).toBe(false);
+    });
+  });
+
+  it('normalizes WebVTT into segments', () => {
+    expect(parseCaptions(VTT)).toEqual([
+      {start: 0, end: 2.5, text: 'Welcome back to the channel.'},
+      // The repeated cue is merged into the first one
+      {start: 2.5, end: 6, text: 'Today we\'re building a home lab & a rack.'},
+      {start: 3723.04, end: 3724, text: 'Thanks for watching!'},
+    ]);
+  });
+
+  it('parses SRT timestamps', () => {
+    expect(parseCaptions('1\n00:01:02,500 --> 00:01:04,000\nHello\n')).toEqual([
+      {start: 62.5, end: 64, text: 'Hello'},
+    ]);
+  });
+
+  it('renders text, SRT and WebVTT', () => {
+    expect(renderText(SEGMENTS)).toBe('Welcome back to the channel.\nThanks for watching!\n');
+    expect(renderSrt(SEGMENTS)).toBe(
+        '1\n00:00:00,000 --> 00:00:02,500\nWelcome back to the channel.\n\n' +
+        '2\n01:02:03,040 --> 01:02:04,000\nThanks for watching!\n',
+    );
+    expect(renderVtt(SEGMENTS)).toBe(
+        'WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nWelcome back to the channel.\n\n' +
+        '01:02:03.040 --> 01:02:04.000\nThanks for watching!\n',
+    );
+    expect(parseCaptions(renderVtt(SEGMENTS))).toEqual(SEGMENTS);
+    expect(parseCaptions(renderSrt(SEGMENTS))).toEqual(SEGMENTS);
+  });
+});
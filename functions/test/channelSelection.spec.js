@@ -0,0 +1,181 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, readDoc} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube} = require('./fakes/youtube');
+const {toChannelEntry, selectChannels} = require('../channelSelection');
+const {getSubscriptionVideos} = require('../youtubeSubscriptions');
+const {decodeCursor} = require('../cursor');
+const subscriptionPages = require('./fixtures/subscriptions.list.json');
+
+const ALPHA = 'UCa1phaTechXXXXXXXXXXXXX';
+const BETA = 'UCbetaKitchenXXXXXXXXXXX';
+const GAMMA = 'UCgammaBeatsXXXXXXXXXXXX';
+
+// subscriptions.list order; titles and activity chosen so every strategy orders differently
+const CHANNELS = [
+  {channelId: 'UCzuluXXXXXXXXXXXXXXXXXX', title: 'zulu', newItemCount: 1},
+  {channelId: 'UCalphaXXXXXXXXXXXXXXXXX', title: 'Alpha', newItemCount: 0},
+  {channelId: 'UCmikeXXXXXXXXXXXXXXXXXX', title: 'Mike', newItemCount: 3},
+  {channelId: 'UCbravoXXXXXXXXXXXXXXXXX', title: 'bravo', newItemCount: 1},
+];
+
+const [ZULU, ALPHA_CH, MIKE, BRAVO] = CHANNELS.map((channel) => channel.channelId);
+
+describe('channelSelection', () => {
+  describe('toChannelEntry', () => {
+    it('keeps the fields the strategies sort by', () => {
+      const items = subscriptionPages.flatMap((page) => page.items);
+
+      expect(items.map(toChannelEntry)).toEqual([
+        {channelId: ALPHA, title: 'Alpha Tech', newItemCount: 2, activityType: 'all'},
+        {channelId: BETA, title: 'Beta Kitchen', newItemCount: 0, activityType: 'all'},
+        {channelId: GAMMA, title: 'Gamma Beats', newItemCount: 1, activityType: 'all'},
+      ]);
+    });
+
+    it('defaults a subscription without contentDetails', () => {
+      expect(toChannelEntry({snippet: {resourceId: {channelId: ALPHA}}})).toEqual({
+        channelId: ALPHA,
+        title: '',
+        newItemCount: 0,
+        activityType: 'all',
+      });
+    });
+  });
+
+  describe('selectChannels', () => {
+    it('keeps subscriptions.list order by default', () => {
+      expect(selectChannels(CHANNELS, {limit: 3})).toEqual({
+        channelIds: [ZULU, ALPHA_CH, MIKE],
+        nextOffset: 3,
+      });
+    });
+
+    it('sorts alphabetically by title, ignoring case', () => {
+      const {channelIds} = selectChannels(CHANNELS, {strategy: 'alphabetical'});
+
+      expect(channelIds).toEqual([ALPHA_CH, BRAVO, MIKE, ZULU]);
+    });
+
+    it('breaks alphabetical ties by channel ID', () => {
+      const twins = [
+        {channelId: 'UCtwinBXXXXXXXXXXXXXXXXX', title: 'Twin', newItemCount: 0},
+        {channelId: 'UCtwinAXXXXXXXXXXXXXXXXX', title: 'twin', newItemCount: 0},
+      ];
+
+      expect(selectChannels(twins, {strategy: 'alphabetical'}).channelIds).toEqual([
+        'UCtwinAXXXXXXXXXXXXXXXXX',
+        'UCtwinBXXXXXXXXXXXXXXXXX',
+      ]);
+    });
+
+    it('puts the most new items first, keeping list order among equals', () => {
+      const {channelIds} = selectChannels(CHANNELS, {strategy: 'recentlyActive', limit: 3});
+
+      expect(channelIds).toEqual([MIKE, ZULU, BRAVO]);
+    });
+
+    it('starts roundRobin at the offset and wraps around the list', () => {
+      expect(selectChannels(CHANNELS, {strategy: 'roundRobin', limit: 3, offset: 2})).toEqual({
+        channelIds: [MIKE, BRAVO, ZULU],
+        nextOffset: 1,
+      });
+      expect(selectChannels(CHANNELS, {strategy: 'roundRobin', limit: 2, offset: 9})).toEqual({
+        channelIds: [ALPHA_CH, MIKE],
+        nextOffset: 3,
+      });
+    });
+
+    it('visits every channel once before repeating', () => {
+      const seen = [];
+      let offset = 0;
+      for (let i = 0; i < 4; i++) {
+        const selection = selectChannels(CHANNELS, {strategy: 'roundRobin', limit: 3, offset});
+        seen.push(selection.channelIds);
+        offset = selection.nextOffset;
+      }
+
+      expect(seen).toEqual([
+        [ZULU, ALPHA_CH, MIKE],
+        [BRAVO, ZULU, ALPHA_CH],
+        [MIKE, BRAVO, ZULU],
+        [ALPHA_CH, MIKE, BRAVO],
+      ]);
+    });
+
+    it('applies the allow list before ordering and rotating', () => {
+      const allowList = [BRAVO, ZULU, MIKE];
+
+      expect(selectChannels(CHANNELS, {strategy: 'alphabetical', limit: 2, allowList}))
+          .toEqual({channelIds: [BRAVO, MIKE], nextOffset: 2});
+      expect(selectChannels(CHANNELS, {strategy: 'roundRobin', limit: 2, allowList, offset: 2}))
+          .toEqual({channelIds: [BRAVO, ZULU], nextOffset: 1});
+    });
+
+    it('selects nothing from an empty list', () => {
+      expect(selectChannels([], {strategy: 'roundRobin', limit: 5, offset: 3})).toEqual({
+        channelIds: [],
+        nextOffset: 0,
+      });
+    });
+  });
+
+  describe('roundRobin across requests', () => {
+    let youtube;
+
+    const channelsOf = (result) => [...new Set(result.videos.map((video) => video.channelId))]
+        .sort();
+
+    const fetchFeed = (options = {}) => getSubscriptionVideos('token', {
+      youtube,
+      userId: 'user-1',
+      channelStrategy: 'roundRobin',
+      maxChannels: 2,
+      sharedCache: false,
+      schedulerOptions: {baseDelayMs: 1},
+      ...options,
+    });
+
+    beforeEach(() => {
+      resetFirestore();
+      youtube = createFakeYoutube();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('saves the rotation so the next feed starts where this one stopped', async () => {
+      const first = await fetchFeed();
+      const firstOffset = readDoc('feedCache/user-1').rotationOffset;
+      const second = await fetchFeed();
+
+      expect(channelsOf(first)).toEqual([ALPHA, BETA].sort());
+      expect(firstOffset).toBe(2);
+      expect(channelsOf(second)).toEqual([GAMMA, ALPHA].sort());
+      expect(readDoc('feedCache/user-1').rotationOffset).toBe(1);
+    });
+
+    it('keeps the rotation while paging through one feed', async () => {
+      const videos = [];
+      let cursor;
+      do {
+        const result = await fetchFeed({maxResults: 2, cursor});
+        videos.push(...result.videos);
+        cursor = result.nextCursor ? decodeCursor(result.nextCursor) : null;
+      } while (cursor);
+
+      expect(channelsOf({videos})).toEqual([ALPHA, BETA].sort());
+      expect(videos).toHaveLength(9);
+      expect(readDoc('feedCache/user-1').rotationOffset).toBe(2);
+    });
+
+    it('leaves the stored rotation alone for other strategies', async () => {
+      await fetchFeed({channelStrategy: 'alphabetical'});
+
+      expect(readDoc('feedCache/user-1').rotationOffset).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('/digest', () => {
+  beforeEach(() => {
+    resetFirestore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const api = () => request(youtubeSubscriptions);
+
+  it('returns the defaults before anything is saved', async () => {
+    const response = await api().get('/digest/settings').set(AUTH);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.settings).toEqual({
+      enabled: false,
+      frequency: 'daily',
+      timeZone: 'UTC',
+      quietHours: null,
+      channelIds: null,
+      groupId: null,
+      delivery: ['push'],
+      email: null,
+      deviceCount: 0,
+      lastSentAt: null,
+      disabledReason: null,
+    });
+  });
+
+  it('saves settings and schedules the first digest', async () => {
+    writeDoc('channelGroups/user-1/groups/music', {
+      name: 'Music',
+      channelIds: ['UCgammaBeatsXXXXXXXXXXXX'],
+      createdAt: 0,
+      updatedAt: 0,
+    });
+
+    const response = await api().put('/digest/settings').set(AUTH).send({
+      enabled: true,
+      frequency: 'weekly',
+      timeZone: 'America/New_York',
+      quietHours: {start: '22:00', end: '07:00'},
+      groupId: 'music',
+      delivery: ['push', 'email'],
+      email: 'user@example.com',
+    });
+    const disabled = await api().put('/digest/settings').set(AUTH).send({enabled: false});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.settings).toMatchObject({
+      enabled: true,
+      frequency: 'weekly',
+      groupId: 'music',
+      delivery: ['push', 'email'],
+    });
+    expect(disabled.body.data.settings).toMatchObject({enabled: false, frequency: 'weekly'});
+    expect(readDoc('digestSettings/user-1').nextDigestAt).toBeNull();
+  });
+
+  it('rejects invalid settings and unknown groups', async () => {
+    const invalid = await api().put('/digest/settings').set(AUTH).send({delivery: ['sms']});
+    const missingGroup = await api().put('/digest/settings').set(AUTH).send({groupId: 'nope'});
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('delivery must list one or more of: push, email');
+    expect(missingGroup.status).toBe(404);
+    expect(readDoc('digestSettings/user-1')).toBeUndefined();
+  });
+
+  it('registers and unregisters devices', async () => {
+    const first = await api().post('/digest/devices').set(AUTH).send({token: 'device-1'});
+    const again = await api().post('/digest/devices').set(AUTH).send({token: 'device-1'});
+    const removed = await api().delete('/digest/devices/device-1').set(AUTH);
+    const missing = await api().delete('/digest/devices/device-1').set(AUTH);
+
+    expect(first.status).toBe(201);
+    expect(again.body.data.deviceCount).toBe(1);
+    expect(removed.status).toBe(200);
+    expect(missing.status).toBe(404);
+    expect(readDoc('digestSettings/user-1').deviceTokens).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, sentMessages} = require('./fakes/firebaseAdmin');
+const {
+  setEmailTransport,
+  createMemoryEmailTransport,
+  renderPush,
+  renderEmail,
+  sendPush,
+  sendEmail,
+} = require('../digestTransports');
+
+const video = (videoId, fields = {}) => ({
+  videoId,
+  title: `Video ${videoId}`,
+  channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+  channelName: 'Alpha Tech',
+  thumbnaillUrl: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+  publishedAt: '2024-05-10T15:00:00Z',
+  ...fields,
+});
+
+const digest = (videos) => ({
+  frequency: 'daily',
+  videos,
+  channelCount: new Set(videos.map((entry) => entry.channelId)).size,
+});
+
+describe('digestTransports', () => {
+  beforeEach(() => {
+    resetFirestore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setEmailTransport();
+    jest.restoreAllMocks();
+  });
+
+  it('lists the first videos in a notification', () => {
+    const push = renderPush(digest(['a', 'b', 'c', 'd', 'e'].map((id) => video(id))));
+
+    expect(push).toEqual({
+      notification: {
+        title: '5 new videos from 1 channel',
+        body: 'Alpha Tech: Video a\nAlpha Tech: Video b\nAlpha Tech: Video c\nand 2 more',
+      },
+      data: {type: 'digest', videoIds: 'a,b,c,d,e'},
+    });
+  });
+
+  it('escapes video fields in the email', () => {
+    const email = renderEmail(digest([video('a', {title: '<script>alert(1)</script> & co'})]));
+
+    expect(email.subject).toBe('1 new video from 1 channel');
+    expect(email.text).toBe(
+        'Alpha Tech: <script>alert(1)</script> & co\nhttps://www.youtube.com/watch?v=a',
+    );
+    expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt; &amp; co</a>');
+    expect(email.html).toContain('<img src="https://i.ytimg.com/vi/a/hqdefault.jpg"');
+  });
+
+  it('reports unregistered device tokens', async () => {
+    const result = await sendPush(['device-1', 'stale-device'], digest([video('a')]));
+
+    expect(result).toEqual({sent: 1, failed: 1, staleTokens: ['stale-device']});
+    expect(sentMessages.map((message) => message.token)).toEqual(['device-1']);
+  });
+
+  it('sends email through the installed transport, or nowhere by default', async () => {
+    const transport = createMemoryEmailTransport();
+
+    const unsent = await sendEmail('user@example.com', digest([video('a')]));
+    setEmailTransport(transport);
+    const sent = await sendEmail('user@example.com', digest([video('a')]));
+
+    expect(unsent).toEqual({transport: 'noop', accepted: false});
+    expect(sent).toEqual({transport: 'memory', accepted: true});
+    expect(transport.outbox).toEqual([expect.objectContaining({
+      to: 'user@example.com',
+      subject: '1 new video from 1 channel',
+    })]);
+  });
+});
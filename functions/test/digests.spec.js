@@ -0,0 +1,367 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, readDoc, writeDoc, sentMessages} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {setEmailTransport, createMemoryEmailTransport} = require('../digestTransports');
+const {pacificDay} = require('../quotaLedger');
+const {
+  validateDigestSettings,
+  getDigestSettings,
+  updateDigestSettings,
+  registerDevice,
+  isQuietTime,
+  selectNewVideos,
+  sendDigests,
+} = require('../digests');
+
+const SETTINGS = {
+  enabled: true,
+  frequency: 'daily',
+  timeZone: 'UTC',
+  quietHours: null,
+  channelIds: null,
+  groupId: null,
+  delivery: ['push'],
+  email: null,
+};
+
+const NOW = new Date('2024-05-11T12:00:00Z');
+
+const videoIds = (videos) => videos.map((video) => video.videoId);
+
+describe('digests', () => {
+  let youtube;
+  let email;
+
+  // A user whose daily digest is due and who was last notified on May 6
+  const seedUser = (userId, settings = {}) => {
+    writeDoc(`userTokens/${userId}`, {
+      accessToken: `${userId}-token`,
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    writeDoc(`digestSettings/${userId}`, {
+      ...SETTINGS,
+      deviceTokens: ['device-1'],
+      lastRunAt: NOW.getTime() - 24 * 60 * 60 * 1000,
+      nextDigestAt: NOW.getTime() - 5 * 60 * 1000,
+      notifiedSince: '2024-05-06T00:00:00Z',
+      notifiedVideoIds: [],
+      ...settings,
+    });
+  };
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    email = createMemoryEmailTransport();
+    setEmailTransport(email);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    setEmailTransport();
+    jest.restoreAllMocks();
+  });
+
+  it('validates settings', () => {
+    expect(validateDigestSettings(SETTINGS)).toBeNull();
+    expect(validateDigestSettings({...SETTINGS, frequency: 'monthly'})).toBe(
+        'frequency must be one of: hourly, daily, weekly',
+    );
+    expect(validateDigestSettings({...SETTINGS, timeZone: 'Mars/Olympus'})).toBe(
+        'timeZone must be an IANA time zone such as Europe/Paris',
+    );
+    expect(validateDigestSettings({...SETTINGS, quietHours: {start: '22:00', end: '7:00'}}))
+        .toBe('quietHours must be null or {start, end} with different HH:MM times');
+    expect(validateDigestSettings({...SETTINGS, delivery: ['email']})).toBe(
+        'email is required for email delivery',
+    );
+  });
+
+  it('checks quiet hours in the user\'s time zone, across midnight', () => {
+    const settings = {timeZone: 'Europe/Paris', quietHours: {start: '22:00', end: '07:00'}};
+
+    // 21:30 UTC is 23:30 in Paris (summer time), 05:30 UTC is 07:30
+    expect(isQuietTime(settings, new Date('2024-05-10T21:30:00Z'))).toBe(true);
+    expect(isQuietTime(settings, new Date('2024-05-11T05:30:00Z'))).toBe(false);
+    expect(isQuietTime({...settings, quietHours: null}, NOW)).toBe(false);
+  });
+
+  it('selects uploads newer than notifiedSince that were not notified yet', () => {
+    const videos = [
+      {videoId: 'new', publishedAt: '2024-05-10T00:00:00Z'},
+      {videoId: 'sent', publishedAt: '2024-05-10T00:00:00Z'},
+      {videoId: 'old', publishedAt: '2024-05-01T00:00:00Z'},
+    ];
+
+    expect(videoIds(selectNewVideos(videos, {
+      notifiedSince: '2024-05-06T00:00:00Z',
+      notifiedVideoIds: ['sent'],
+    }))).toEqual(['new']);
+  });
+
+  it('starts a digest one period after it is enabled', async () => {
+    const before = Date.now();
+
+    const {settings} = await updateDigestSettings('user-1', {enabled: true, frequency: 'hourly'});
+
+    expect(settings).toMatchObject({enabled: true, frequency: 'hourly', delivery: ['push']});
+    const stored = readDoc('digestSettings/user-1');
+    expect(new Date(stored.notifiedSince).getTime()).toBeGreaterThanOrEqual(before);
+    expect(stored.nextDigestAt).toBe(stored.lastRunAt + 55 * 60 * 1000);
+  });
+
+  it('sends the new uploads once, by push and email', async () => {
+    seedUser('user-1', {delivery: ['push', 'email'], email: 'user@example.com'});
+    await registerDevice('user-1', 'stale-device');
+
+    const report = await sendDigests({now: NOW});
+
+    expect(report.users).toEqual([expect.objectContaining({
+      userId: 'user-1',
+      status: 'sent',
+      videos: 7,
+      delivered: {push: 1, email: true},
+    })]);
+    expect(sentMessages).toHaveLength(1);
+    expect(sentMessages[0]).toMatchObject({
+      token: 'device-1',
+      notification: {title: '7 new videos from 3 channels'},
+      data: {type: 'digest'},
+    });
+    expect(sentMessages[0].data.videoIds.split(',')).toContain('gammaVid001');
+    expect(email.outbox).toEqual([expect.objectContaining({
+      to: 'user@example.com',
+      subject: '7 new videos from 3 channels',
+    })]);
+
+    const stored = readDoc('digestSettings/user-1');
+    expect(stored.notifiedVideoIds).toHaveLength(7);
+    expect(stored.notifiedSince).toBe('2024-05-09T12:00:00.000Z');
+    expect(stored.deviceTokens).toEqual(['device-1']);
+    expect(stored.nextDigestAt).toBe(NOW.getTime() + 24 * 60 * 60 * 1000 - 5 * 60 * 1000);
+    expect(readDoc(`quotaLedger/${pacificDay()}/users/user-1`).units).toBe(report.quotaUsed);
+
+    // Due again, with nothing new
+    writeDoc('digestSettings/user-1', {...stored, nextDigestAt: NOW.getTime()});
+    const second = await sendDigests({now: NOW});
+
+    expect(second.users[0]).toMatchObject({status: 'empty', videos: 0});
+    expect(sentMessages).toHaveLength(1);
+  });
+
+  it('limits a digest to a channel group', async () => {
+    seedUser('user-1', {groupId: 'cooking'});
+    writeDoc('channelGroups/user-1/groups/cooking', {
+      name: 'Cooking',
+      channelIds: ['UCbetaKitchenXXXXXXXXXXX'],
+      createdAt: 0,
+      updatedAt: 0,
+    });
+
+    const report = await sendDigests({now: NOW});
+
+    expect(report.users[0]).toMatchObject({status: 'sent', videos: 3});
+    expect(sentMessages[0].data.videoIds).toBe('betaVid0001,betaVid0002,betaVid0003');
+  });
+
+  it('rotates through large subscription lists, 50 channels per digest', async () => {
+    seedUser('user-1');
+    const channels = Array.from({length: 60}, (_, index) => ({
+      channelId: `UCchannel${String(index).padStart(15, '0')}`,
+      title: `Channel ${index}`,
+      newItemCount: 0,
+      activityType: 'all',
+    }));
+    writeDoc('feedCache/user-1', {channels, channelsSyncedAt: Date.now(), rotationOffset: 7});
+
+    await sendDigests({now: NOW});
+    const first = youtube.calls.filter((call) => call.method === 'activities.list');
+    writeDoc('digestSettings/user-1', {
+      ...readDoc('digestSettings/user-1'),
+      nextDigestAt: NOW.getTime(),
+    });
+    await sendDigests({now: NOW});
+    const second = youtube.calls.filter((call) => call.method === 'activities.list')
+        .slice(first.length);
+
+    const checked = (calls) => calls.map((call) => call.params.channelId);
+    expect(checked(first)).toHaveLength(50);
+    expect(checked(first)[0]).toBe(channels[0].channelId);
+    // Channels 0-39 come back around from the feed cache
+    expect(checked(second)).toEqual(channels.slice(50).map((channel) => channel.channelId));
+    expect(readDoc('digestSettings/user-1').digestRotationOffset).toBe(40);
+    // The interactive feed's rotation is left where it was
+    expect(readDoc('feedCache/user-1').rotationOffset).toBe(7);
+  });
+
+  it('waits out quiet hours and reports due users in a dry run', async () => {
+    seedUser('user-1', {quietHours: {start: '11:00', end: '13:00'}});
+    seedUser('user-2');
+    writeDoc('digestSettings/user-3', {...SETTINGS, nextDigestAt: NOW.getTime() + 60 * 1000});
+    writeDoc('digestSettings/user-4', {...SETTINGS, enabled: false, nextDigestAt: null});
+
+    const report = await sendDigests({now: NOW, dryRun: true});
+
+    expect(report.users).toEqual([
+      {userId: 'user-1', status: 'skipped', reason: 'quietHours'},
+      {userId: 'user-2', status: 'due'},
+    ]);
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('keeps the uploads for the next run when nothing could be delivered', async () => {
+    seedUser('user-1', {delivery: ['email'], email: 'user@example.com'});
+    setEmailTransport({
+      name: 'broken',
+      send: () => Promise.reject(new Error('SMTP unavailable')),
+    });
+
+    const report = await sendDigests({now: NOW});
+
+    expect(report.users[0]).toMatchObject({
+      status: 'failed',
+      reason: 'delivery',
+      errors: {email: 'SMTP unavailable'},
+    });
+    const stored = readDoc('digestSettings/user-1');
+    expect(stored.notifiedVideoIds).toEqual([]);
+    expect(stored.notifiedSince).toBe('2024-05-06T00:00:00Z');
+    expect(stored.nextDigestAt).toBe(NOW.getTime() + 60 * 60 * 1000);
+  });
+
+  it('counts a digest that reached no device and no inbox as failed', async () => {
+    seedUser('user-1', {
+      delivery: ['push', 'email'],
+      email: 'user@example.com',
+      deviceTokens: ['stale-device'],
+    });
+    seedUser('user-2', {deviceTokens: []});
+    setEmailTransport();
+
+    const report = await sendDigests({now: NOW});
+
+    expect(report.users).toEqual([
+      expect.objectContaining({
+        userId: 'user-1',
+        status: 'failed',
+        delivered: {push: 0, email: false},
+        errors: {
+          push: 'No device accepted the notification',
+          email: 'Email not accepted by the noop transport',
+        },
+      }),
+      expect.objectContaining({
+        userId: 'user-2',
+        status: 'failed',
+        errors: {push: 'No devices registered'},
+      }),
+    ]);
+    expect(report.sent).toBe(0);
+
+    const stored = readDoc('digestSettings/user-1');
+    expect(stored.notifiedVideoIds).toEqual([]);
+    expect(stored.notifiedSince).toBe('2024-05-06T00:00:00Z');
+    expect(stored.deviceTokens).toEqual([]);
+    expect(readDoc('digestSettings/user-2').notifiedSince).toBe('2024-05-06T00:00:00Z');
+  });
+
+  it('retries a failed run later, waiting longer after each failure', async () => {
+    seedUser('user-1');
+    youtube.fail('subscriptions.list', youtubeError(403, 'forbidden', 'Forbidden'));
+    const hour = 60 * 60 * 1000;
+
+    const first = await sendDigests({now: NOW});
+    const early = await sendDigests({now: new Date(NOW.getTime() + 30 * 60 * 1000)});
+    const second = await sendDigests({now: new Date(NOW.getTime() + hour)});
+
+    expect(first.users[0]).toMatchObject({status: 'failed', reason: 'FORBIDDEN'});
+    expect(early.users).toEqual([]);
+    expect(second.users[0]).toMatchObject({status: 'failed', reason: 'FORBIDDEN'});
+    const stored = readDoc('digestSettings/user-1');
+    expect(stored).toMatchObject({
+      failedRuns: 2,
+      lastFailure: 'FORBIDDEN',
+      lastRunAt: NOW.getTime() + hour,
+      nextDigestAt: NOW.getTime() + 3 * hour,
+      notifiedSince: '2024-05-06T00:00:00Z',
+    });
+
+    // A run that gets through starts the count again
+    writeDoc('digestSettings/user-1', {...stored, nextDigestAt: NOW.getTime()});
+    youtube = createFakeYoutube();
+    await sendDigests({now: NOW});
+
+    expect(readDoc('digestSettings/user-1').failedRuns).toBe(0);
+  });
+
+  it('disables the digest when the user\'s token is rejected', async () => {
+    // No stored tokens: the user never signed in or revoked access
+    writeDoc('digestSettings/user-1', {
+      ...SETTINGS,
+      nextDigestAt: NOW.getTime(),
+      notifiedSince: '2024-05-06T00:00:00Z',
+    });
+
+    const report = await sendDigests({now: NOW});
+
+    expect(report.users[0]).toMatchObject({status: 'failed', reason: 'AUTH_REQUIRED'});
+    expect(readDoc('digestSettings/user-1')).toMatchObject({enabled: false, nextDigestAt: null});
+    expect(await getDigestSettings('user-1')).toMatchObject({
+      enabled: false,
+      disabledReason: 'AUTH_REQUIRED',
+    });
+
+    const {settings} = await updateDigestSettings('user-1', {enabled: true});
+
+    expect(settings).toMatchObject({enabled: true, disabledReason: null});
+    expect(readDoc('digestSettings/user-1').failedRuns).toBe(0);
+  });
+
+  it('moves failing users out of the way of the others', async () => {
+    let isolated;
+    jest.isolateModules(() => {
+      process.env.DIGEST_MAX_USERS = '1';
+      isolated = {
+        youtubeClient: require('../youtubeClient'),
+        digests: require('../digests'),
+      };
+      delete process.env.DIGEST_MAX_USERS;
+    });
+    const {youtubeClient, digests} = isolated;
+    const broken = createFakeYoutube();
+    broken.fail('subscriptions.list', youtubeError(403, 'forbidden', 'Forbidden'));
+    youtubeClient.setYoutubeClientFactory((token) => (
+      token === 'user-broken-token' ? broken : createFakeYoutube()
+    ));
+    ['user-broken', 'user-2'].forEach((userId, index) => {
+      writeDoc(`userTokens/${userId}`, {
+        accessToken: `${userId}-token`,
+        refreshToken: 'refresh',
+        expiresAt: Date.now() + 3600 * 1000,
+      });
+      writeDoc(`digestSettings/${userId}`, {
+        ...SETTINGS,
+        deviceTokens: ['device-1'],
+        // user-broken has been due the longest, so it comes first
+        nextDigestAt: NOW.getTime() - (2 - index) * 60 * 1000,
+        notifiedSince: '2024-05-06T00:00:00Z',
+        notifiedVideoIds: [],
+      });
+    });
+
+    const first = await digests.sendDigests({now: NOW});
+    const second = await digests.sendDigests({now: new Date(NOW.getTime() + 60 * 1000)});
+
+    expect(first.users).toEqual([
+      expect.objectContaining({userId: 'user-broken', status: 'failed'}),
+    ]);
+    expect(second.users).toEqual([expect.objectContaining({userId: 'user-2', status: 'sent'})]);
+    youtubeClient.setYoutubeClientFactory();
+  });
+});
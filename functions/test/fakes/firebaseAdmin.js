@@ -0,0 +1,373 @@
+/**
+ * In-memory stand-in for the parts of firebase-admin the functions use
+ * Usage in a spec: jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+ */
+
+const store = new Map();
+let autoId = 0;
+
+const INCREMENT = Symbol('increment');
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const DELETE_FIELD = Symbol('delete');
+
+// FieldPath.documentId(): orders and filters by the document ID
+const DOCUMENT_ID = '__name__';
+
+/**
+ * Deep-copy plain data so callers never share references with the store
+ * @param {*} value - Value to copy
+ * @return {*} Copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check for a non-null object
+ * @param {*} value - Value to check
+ * @return {boolean} True for objects (including sentinels)
+ */
+function isSentinelHost(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Check for a plain object (not an array, sentinel or null)
+ * @param {*} value - Value to check
+ * @return {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return isSentinelHost(value) && !Array.isArray(value) &&
+    !(INCREMENT in value) && !(SERVER_TIMESTAMP in value) && !(DELETE_FIELD in value);
+}
+
+/**
+ * Apply written fields onto existing data, resolving FieldValue sentinels
+ * @param {Object} existing - Current data
+ * @param {Object} data - Written fields
+ * @param {boolean} deep - Merge nested maps (set with merge) instead of replacing them
+ * @return {Object} New data
+ */
+function applyFields(existing, data, deep) {
+  const result = {...existing};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (isSentinelHost(value) && DELETE_FIELD in value) {
+      delete result[key];
+    } else if (isSentinelHost(value) && INCREMENT in value) {
+      result[key] = (typeof result[key] === 'number' ? result[key] : 0) + value[INCREMENT];
+    } else if (isSentinelHost(value) && SERVER_TIMESTAMP in value) {
+      result[key] = Date.now();
+    } else if (isPlainObject(value)) {
+      result[key] = applyFields(deep && isPlainObject(result[key]) ? result[key] : {}, value, deep);
+    } else {
+      result[key] = clone(value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read a (possibly dotted) field from document data
+ * @param {Object} data - Document data
+ * @param {string} field - Field path
+ * @return {*} Field value
+ */
+function readField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Read a query field from a document snapshot (the document ID for FieldPath.documentId())
+ * @param {Object} doc - Document snapshot
+ * @param {string} field - Field path
+ * @return {*} Field value
+ */
+function queryField(doc, field) {
+  return field === DOCUMENT_ID ? doc.id : readField(doc.data(), field);
+}
+
+// Like Firestore, range filters only match values of the filter's type (never null)
+const sameType = (a, b) => a !== null && typeof a === typeof b;
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => sameType(a, b) && a < b,
+  '<=': (a, b) => sameType(a, b) && a <= b,
+  '>': (a, b) => sameType(a, b) && a > b,
+  '>=': (a, b) => sameType(a, b) && a >= b,
+  'in': (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+/**
+ * Build a document snapshot
+ * @param {string} path - Document path
+ * @return {Object} Snapshot with id, exists and data()
+ */
+function snapshot(path) {
+  const ref = docRef(path);
+  return {
+    id: ref.id,
+    ref,
+    exists: store.has(path),
+    data: () => clone(store.get(path)),
+  };
+}
+
+/**
+ * Build a document reference
+ * @param {string} path - Document path
+ * @return {Object} DocumentReference
+ */
+function docRef(path) {
+  return {
+    id: path.split('/').pop(),
+    path,
+    async get() {
+      return snapshot(path);
+    },
+    async set(data, options = {}) {
+      const existing = options.merge ? store.get(path) || {} : {};
+      store.set(path, applyFields(existing, data, Boolean(options.merge)));
+    },
+    async update(data) {
+      if (!store.has(path)) {
+        throw new Error(`No document to update: ${path}`);
+      }
+      store.set(path, applyFields(store.get(path), data, false));
+    },
+    async delete() {
+      store.delete(path);
+    },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  };
+}
+
+/**
+ * Build a collection reference (also usable as a query)
+ * @param {string} path - Collection path
+ * @param {Object} query - Query state ({filters, orders, limit, startAfter})
+ * @return {Object} CollectionReference / Query
+ */
+function collectionRef(path, query = {filters: [], orders: [], limit: Infinity, startAfter: null}) {
+  const refine = (changes) => collectionRef(path, {...query, ...changes});
+  return {
+    id: path.split('/').pop(),
+    path,
+    doc(id) {
+      autoId += 1;
+      return docRef(`${path}/${id || `auto${String(autoId).padStart(6, '0')}`}`);
+    },
+    where: (field, op, value) => refine({filters: [...query.filters, {field, op, value}]}),
+    orderBy: (field, direction = 'asc') => refine({orders: [...query.orders, {field, direction}]}),
+    limit: (count) => refine({limit: count}),
+    // Cursor values, one per orderBy field
+    startAfter: (...values) => refine({startAfter: values}),
+    async get() {
+      const prefix = `${path}/`;
+      let docs = [...store.keys()]
+          .filter((key) => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+          .sort()
+          .map(snapshot)
+          .filter((doc) => query.filters.every(({field, op, value}) => (
+            OPERATORS[op](queryField(doc, field), value)
+          )));
+
+      query.orders.slice().reverse().forEach(({field, direction}) => {
+        const sign = direction === 'desc' ? -1 : 1;
+        docs = docs.slice().sort((a, b) => {
+          const x = queryField(a, field);
+          const y = queryField(b, field);
+          return x === y ? 0 : (x < y ? -sign : sign);
+        });
+      });
+
+      if (query.startAfter) {
+        // Keep the documents that sort after the cursor on the first field that differs
+        docs = docs.filter((doc) => {
+          for (const [index, {field, direction}] of query.orders.entries()) {
+            if (index >= query.startAfter.length) {
+              return false;
+            }
+            const x = queryField(doc, field);
+            const y = query.startAfter[index];
+            if (x !== y) {
+              return direction === 'desc' ? x < y : x > y;
+            }
+          }
+          return false;
+        });
+      }
+
+      docs = docs.slice(0, query.limit);
+      return {docs, empty: docs.length === 0, size: docs.length};
+    },
+  };
+}
+
+/**
+ * Build a write batch (also used as the transaction object)
+ * @return {Object} WriteBatch
+ */
+function writeBatch() {
+  const writes = [];
+  return {
+    set(ref, data, options) {
+      writes.push(() => ref.set(data, options));
+      return this;
+    },
+    update(ref, data) {
+      writes.push(() => ref.update(data));
+      return this;
+    },
+    delete(ref) {
+      writes.push(() => ref.delete());
+      return this;
+    },
+    async commit() {
+      for (const write of writes.splice(0)) {
+        await write();
+      }
+    },
+  };
+}
+
+const db = {
+  collection: (name) => collectionRef(name),
+  doc: (path) => docRef(path),
+  getAll: async (...refs) => Promise.all(refs.map((ref) => ref.get())),
+  batch: writeBatch,
+  async runTransaction(update) {
+    const transaction = writeBatch();
+    transaction.get = (ref) => ref.get();
+    const result = await update(transaction);
+    await transaction.commit();
+    return result;
+  },
+};
+
+const firestore = Object.assign(() => db, {
+  FieldPath: {
+    documentId: () => DOCUMENT_ID,
+  },
+  FieldValue: {
+    increment: (count) => ({[INCREMENT]: count}),
+    serverTimestamp: () => ({[SERVER_TIMESTAMP]: true}),
+    delete: () => ({[DELETE_FIELD]: true}),
+  },
+});
+
+// ID tokens are "id-token:{uid}" and the valid App Check token is "app-check-token"
+const ID_TOKEN_PREFIX = 'id-token:';
+const APP_CHECK_TOKEN = 'app-check-token';
+
+/**
+ * Build an error shaped like the ones firebase-admin auth throws
+ * @param {string} code - Error code (e.g. auth/argument-error)
+ * @param {string} message - Error message
+ * @return {Error} Error with code
+ */
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const auth = () => ({
+  async verifyIdToken(token) {
+    if (!String(token).startsWith(ID_TOKEN_PREFIX)) {
+      throw authError('auth/argument-error', 'Decoding Firebase ID token failed');
+    }
+    const uid = token.slice(ID_TOKEN_PREFIX.length);
+    return {uid, sub: uid, aud: 'test-project'};
+  },
+});
+
+const appCheck = () => ({
+  async verifyToken(token) {
+    if (token !== APP_CHECK_TOKEN) {
+      throw authError('app-check/invalid-argument', 'Decoding App Check token failed');
+    }
+    return {appId: 'test-app', token: {sub: 'test-app'}};
+  },
+});
+
+// Cloud Messaging sends, in order; tokens starting with "stale-" are reported unregistered
+const sentMessages = [];
+const STALE_TOKEN_PREFIX = 'stale-';
+
+const messaging = () => ({
+  async sendEachForMulticast(message) {
+    const {tokens, ...payload} = message;
+    const responses = tokens.map((token) => {
+      if (token.startsWith(STALE_TOKEN_PREFIX)) {
+        return {
+          success: false,
+          error: authError('messaging/registration-token-not-registered', 'Not registered'),
+        };
+      }
+      sentMessages.push({token, ...clone(payload)});
+      return {success: true, messageId: `message-${sentMessages.length}`};
+    });
+    const successCount = responses.filter((response) => response.success).length;
+    return {responses, successCount, failureCount: tokens.length - successCount};
+  },
+});
+
+const admin = {
+  initializeApp() {},
+  firestore,
+  auth,
+  appCheck,
+  messaging,
+};
+
+/**
+ * Build a valid ID token for a uid
+ * @param {string} uid - User ID
+ * @return {string} ID token accepted by admin.auth().verifyIdToken
+ */
+function idToken(uid) {
+  return `${ID_TOKEN_PREFIX}${uid}`;
+}
+
+/**
+ * Clear every stored document (and the sent messages)
+ */
+function resetFirestore() {
+  store.clear();
+  sentMessages.length = 0;
+  autoId = 0;
+}
+
+/**
+ * Read a stored document's data
+ * @param {string} path - Document path
+ * @return {Object|undefined} Data, or undefined if missing
+ */
+function readDoc(path) {
+  return clone(store.get(path));
+}
+
+/**
+ * Seed a document
+ * @param {string} path - Document path
+ * @param {Object} data - Document data
+ */
+function writeDoc(path, data) {
+  store.set(path, clone(data));
+}
+
+module.exports = {
+  APP_CHECK_TOKEN,
+  admin,
+  idToken,
+  resetFirestore,
+  readDoc,
+  writeDoc,
+  sentMessages,
+};
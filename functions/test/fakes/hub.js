@@ -0,0 +1,38 @@
+/**
+ * Local stub of the WebSub hub
+ * Records subscribe/unsubscribe requests instead of sending them; tests play the hub's part
+ * by calling the callback routes themselves.
+ */
+
+/**
+ * Create a stub hub client (install it with websubHub.setHubClient)
+ * @return {Object} Hub client with subscribe(), unsubscribe(), requests and fail()
+ */
+function createStubHub() {
+  const requests = [];
+  let failure = null;
+
+  const record = (mode) => async (request) => {
+    requests.push({mode, ...request});
+    if (failure && failure.matches(request)) {
+      throw failure.error;
+    }
+  };
+
+  return {
+    requests,
+    subscribe: record('subscribe'),
+    unsubscribe: record('unsubscribe'),
+
+    /**
+     * Make requests fail
+     * @param {Error} error - Error to throw
+     * @param {Object} options - {where(request)}
+     */
+    fail(error, options = {}) {
+      failure = {error, matches: options.where || (() => true)};
+    },
+  };
+}
+
+module.exports = {createStubHub};
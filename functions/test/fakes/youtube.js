@@ -0,0 +1,230 @@
+/**
+ * Fixture-backed fake of the googleapis YouTube client
+ * Serves subscriptions, activities.list, videos.list and captions from test/fixtures, records
+ * every call, and can be told to fail a method with a googleapis-shaped error.
+ * subscriptions.insert and subscriptions.delete change what later subscriptions.list calls
+ * return.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const subscriptionPages = require('../fixtures/subscriptions.list.json');
+const channelActivities = require('../fixtures/activities.list.json');
+const videoList = require('../fixtures/videos.list.json');
+const captionList = require('../fixtures/captions.list.json');
+
+// captions.download bodies keyed by track ID
+const captionFiles = {
+  'alpha-en': fs.readFileSync(path.join(__dirname, '../fixtures/captions.alpha-en.vtt'), 'utf8'),
+};
+
+/**
+ * Build an error shaped like the ones googleapis (gaxios) throws
+ * @param {number} status - HTTP status
+ * @param {string} reason - errors[0].reason (e.g. quotaExceeded, authError)
+ * @param {string} message - Error message
+ * @return {Error} Error with code and response.data.error
+ */
+function youtubeError(status, reason, message) {
+  const error = new Error(message);
+  error.code = status;
+  error.errors = [{message, domain: 'youtube.quota', reason}];
+  error.response = {
+    status,
+    data: {error: {code: status, message, errors: error.errors}},
+  };
+  return error;
+}
+
+/**
+ * Fixture videos with some turned into broadcasts, as videos.list reports them
+ * @param {Object} broadcasts - liveStreamingDetails keyed by video ID, plus
+ *   liveBroadcastContent (live or upcoming; omit for a finished broadcast)
+ * @return {Array<Object>} videos.list items (pass as the videos fixture)
+ */
+function broadcastVideos(broadcasts) {
+  return videoList.items.map((video) => {
+    if (!broadcasts[video.id]) {
+      return video;
+    }
+    const {liveBroadcastContent = 'none', ...liveStreamingDetails} = broadcasts[video.id];
+    return {
+      ...video,
+      snippet: {...video.snippet, liveBroadcastContent},
+      contentDetails: {
+        ...video.contentDetails,
+        duration: liveBroadcastContent === 'none' ? video.contentDetails.duration : 'P0D',
+      },
+      liveStreamingDetails,
+    };
+  });
+}
+
+/**
+ * Create a fake YouTube client
+ * @param {Object} fixtures - Override fixtures ({subscriptionPages, channelActivities, videos,
+ *   captionTracks (captions.list items keyed by video ID), captionFiles})
+ * @return {Object} Client with subscriptions, activities and videos, plus calls and failures
+ */
+function createFakeYoutube(fixtures = {}) {
+  const pages = fixtures.subscriptionPages || subscriptionPages;
+  const activities = fixtures.channelActivities || channelActivities;
+  const videos = fixtures.videos || videoList.items;
+  const captionTracks = fixtures.captionTracks || captionList;
+  const files = fixtures.captionFiles || captionFiles;
+
+  const calls = [];
+  const failures = {};
+  const delays = {};
+  const inserted = [];
+  const deleted = new Set();
+
+  // Subscriptions as they stand after inserts and deletes
+  const currentSubscriptions = () => [...pages.flatMap((page) => page.items), ...inserted]
+      .filter((item) => !deleted.has(item.id));
+
+  const call = (method, params, respond) => {
+    calls.push({method, params});
+    const failure = failures[method];
+    if (failure && failure.matches(params)) {
+      failure.remaining -= 1;
+      if (failure.remaining <= 0) {
+        delete failures[method];
+      }
+      return Promise.reject(failure.error);
+    }
+    const delay = delays[method];
+    if (delay && delay.matches(params)) {
+      return new Promise((resolve) => setTimeout(() => resolve({data: respond()}), delay.ms));
+    }
+    try {
+      return Promise.resolve({data: respond()});
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+
+  return {
+    calls,
+
+    /**
+     * Make a method fail
+     * @param {string} method - e.g. 'activities.list'
+     * @param {Error} error - Error to throw (see youtubeError)
+     * @param {Object} options - {times (default: every call), where(params)}
+     */
+    fail(method, error, options = {}) {
+      failures[method] = {
+        error,
+        remaining: options.times || Infinity,
+        matches: options.where || (() => true),
+      };
+    },
+
+    /**
+     * Make a method respond slowly
+     * @param {string} method - e.g. 'activities.list'
+     * @param {number} ms - Delay before responding
+     * @param {Object} options - {where(params)}
+     */
+    delay(method, ms, options = {}) {
+      delays[method] = {ms, matches: options.where || (() => true)};
+    },
+
+    /**
+     * Count recorded calls
+     * @param {string} method - Method to count (omit for all)
+     * @return {number} Number of calls
+     */
+    count(method) {
+      return calls.filter((entry) => !method || entry.method === method).length;
+    },
+
+    subscriptions: {
+      list: (params) => call('subscriptions.list', params, () => {
+        if (params.forChannelId) {
+          return {
+            kind: 'youtube#subscriptionListResponse',
+            items: currentSubscriptions()
+                .filter((item) => item.snippet.resourceId.channelId === params.forChannelId),
+          };
+        }
+        const index = params.pageToken ?
+          pages.findIndex((page, i) => i > 0 && pages[i - 1].nextPageToken === params.pageToken) :
+          0;
+        const items = index === pages.length - 1 ?
+          [...pages[index].items, ...inserted] :
+          pages[index].items;
+        return {...pages[index], items: items.filter((item) => !deleted.has(item.id))};
+      }),
+      insert: (params) => call('subscriptions.insert', params, () => {
+        const {channelId} = params.requestBody.snippet.resourceId;
+        const current = currentSubscriptions();
+        if (current.some((item) => item.snippet.resourceId.channelId === channelId)) {
+          throw youtubeError(400, 'subscriptionDuplicate', 'The subscription already exists');
+        }
+        const item = {
+          kind: 'youtube#subscription',
+          id: `sub-${channelId}`,
+          snippet: {
+            title: `Channel ${channelId}`,
+            resourceId: {kind: 'youtube#channel', channelId},
+          },
+          contentDetails: {totalItemCount: 0, newItemCount: 0, activityType: 'all'},
+        };
+        deleted.delete(item.id);
+        inserted.push(item);
+        return item;
+      }),
+      delete: (params) => call('subscriptions.delete', params, () => {
+        if (!currentSubscriptions().some((item) => item.id === params.id)) {
+          throw youtubeError(404, 'subscriptionNotFound', 'Subscription not found');
+        }
+        deleted.add(params.id);
+        return '';
+      }),
+    },
+
+    activities: {
+      list: (params) => call('activities.list', params, () => {
+        const time = (value) => new Date(value).getTime();
+        const items = (activities[params.channelId] || []).filter((item) => (
+          (!params.publishedBefore ||
+            time(item.snippet.publishedAt) < time(params.publishedBefore)) &&
+          (!params.publishedAfter ||
+            time(item.snippet.publishedAt) > time(params.publishedAfter))
+        ));
+        const limit = params.maxResults || 5;
+        return {
+          kind: 'youtube#activityListResponse',
+          items: items.slice(0, limit),
+          nextPageToken: items.length > limit ? 'NEXT' : undefined,
+        };
+      }),
+    },
+
+    videos: {
+      list: (params) => call('videos.list', params, () => {
+        const ids = params.id.split(',');
+        return {
+          kind: 'youtube#videoListResponse',
+          items: videos.filter((video) => ids.includes(video.id)),
+        };
+      }),
+    },
+
+    captions: {
+      list: (params) => call('captions.list', params, () => ({
+        kind: 'youtube#captionListResponse',
+        items: captionTracks[params.videoId] || [],
+      })),
+      download: (params) => call('captions.download', params, () => files[params.id]),
+    },
+  };
+}
+
+module.exports = {
+  broadcastVideos,
+  createFakeYoutube,
+  youtubeError,
+};
@@ -0,0 +1,63 @@
+const {channelWeights, rankVideos} = require('../feedRanking');
+
+const video = (videoId, channelId, publishedAt) => ({videoId, channelId, publishedAt});
+const ids = (videos) => videos.map((entry) => entry.videoId);
+const channelIdOf = (entry) => entry.channelId;
+
+// Feed order: a1, b1, a2, a3, b2
+const VIDEOS = [
+  video('a2', 'A', '2024-05-08T00:00:00Z'),
+  video('b1', 'B', '2024-05-09T00:00:00Z'),
+  video('a1', 'A', '2024-05-10T00:00:00Z'),
+  video('b2', 'B', '2024-05-01T00:00:00Z'),
+  video('a3', 'A', '2024-05-07T00:00:00Z'),
+];
+
+describe('feedRanking', () => {
+  describe('channelWeights', () => {
+    it('raises channels for watched/saved videos and lowers them for dismissed ones', () => {
+      const weights = channelWeights([
+        {state: 'watched', channelId: 'A'},
+        {state: 'saved', channelId: 'A'},
+        {state: 'dismissed', channelId: 'B'},
+        {state: 'watched', channelId: null},
+      ]);
+
+      expect(weights).toEqual(new Map([['A', 3], ['B', 0.5]]));
+    });
+  });
+
+  describe('rankVideos', () => {
+    it('orders newest and oldest first', () => {
+      expect(ids(rankVideos(VIDEOS, 'newest'))).toEqual(['a1', 'b1', 'a2', 'a3', 'b2']);
+      expect(ids(rankVideos(VIDEOS, 'oldest'))).toEqual(['b2', 'a3', 'a2', 'b1', 'a1']);
+    });
+
+    it('interleaves channels starting with the latest uploader', () => {
+      expect(ids(rankVideos(VIDEOS, 'channelInterleave', {channelIdOf})))
+          .toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+    });
+
+    it('orders popular videos by view count', () => {
+      const statistics = new Map([
+        ['a1', {viewCount: '10'}],
+        ['b2', {viewCount: '500'}],
+        ['a3', {viewCount: '90'}],
+      ]);
+
+      expect(ids(rankVideos(VIDEOS, 'popular', {statistics})))
+          .toEqual(['b2', 'a3', 'a1', 'b1', 'a2']);
+    });
+
+    it('weighs channels against age for personal', () => {
+      const ranked = rankVideos(VIDEOS, 'personal', {
+        channelIdOf,
+        channelWeights: new Map([['B', 4]]),
+        now: new Date('2024-05-10T00:00:00Z').getTime(),
+      });
+
+      // b2 is 9 days old: 4 x 0.5^(9/7) still beats a1's 1 x 0.5^0
+      expect(ids(ranked)).toEqual(['b1', 'b2', 'a1', 'a2', 'a3']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const {escapeXml, renderAtom, renderRss} = require('../feedRenderer');
+
+const VIDEO = {
+  videoId: 'alphaVid001',
+  title: 'Tips & <tricks>',
+  description: 'A "quoted" description',
+  thumbnaillUrl: 'https://i.ytimg.com/vi/alphaVid001/hqdefault.jpg',
+  duration: 'PT1H2M3S',
+  channelName: 'Alpha Tech',
+  publishedAt: '2024-05-10T15:00:00Z',
+  language: 'en',
+};
+
+const META = {userId: 'user-1', selfUrl: 'https://api.example.com/feed/user-1.atom?token=a&b'};
+
+describe('feedRenderer', () => {
+  it('escapes markup and drops characters XML cannot carry', () => {
+    expect(escapeXml('a & <b> "c" \'d\'\u0001'))
+        .toBe('a &amp; &lt;b&gt; &quot;c&quot; &apos;d&apos;');
+  });
+
+  describe('renderAtom', () => {
+    const xml = renderAtom([VIDEO], META);
+
+    it('renders an Atom feed with one entry per video', () => {
+      expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<feed')).toBe(true);
+      expect(xml).toContain('xmlns="http://www.w3.org/2005/Atom"');
+      expect(xml.match(/<entry>/g)).toHaveLength(1);
+      expect(xml).toContain('<id>tag:youtube.com,2008:video:alphaVid001</id>');
+      expect(xml).toContain('<updated>2024-05-10T15:00:00.000Z</updated>');
+      expect(xml).toContain('href="https://api.example.com/feed/user-1.atom?token=a&amp;b"');
+    });
+
+    it('carries the channel author, thumbnail and duration', () => {
+      expect(xml).toContain('<title>Tips &amp; &lt;tricks&gt;</title>');
+      expect(xml).toContain('<author><name>Alpha Tech</name></author>');
+      expect(xml).toContain(
+          '<media:thumbnail url="https://i.ytimg.com/vi/alphaVid001/hqdefault.jpg"/>',
+      );
+      expect(xml).toContain('medium="video" duration="3723"/>');
+    });
+  });
+
+  describe('renderRss', () => {
+    it('renders an RSS 2.0 channel with one item per video', () => {
+      const xml = renderRss([VIDEO], META);
+
+      expect(xml).toContain('<rss version="2.0"');
+      expect(xml.match(/<item>/g)).toHaveLength(1);
+      expect(xml).toContain('<link>https://www.youtube.com/watch?v=alphaVid001</link>');
+      expect(xml).toContain(
+          '<guid isPermaLink="false">tag:youtube.com,2008:video:alphaVid001</guid>',
+      );
+      expect(xml).toContain('<pubDate>Fri, 10 May 2024 15:00:00 GMT</pubDate>');
+      expect(xml).toContain('<dc:creator>Alpha Tech</dc:creator>');
+    });
+
+    it('renders an empty channel when there are no videos', () => {
+      const xml = renderRss([], META);
+
+      expect(xml).toContain('<channel>');
+      expect(xml).not.toContain('<item>');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('/feed', () => {
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const createToken = async () => {
+    const response = await request(youtubeSubscriptions)
+        .post('/feed/token')
+        .set(AUTH)
+        .send({userId: 'user-1'})
+        .expect(201);
+    return response.body.data;
+  };
+
+  it('serves the Atom feed for a valid feed token', async () => {
+    const {atomPath} = await createToken();
+
+    const response = await request(youtubeSubscriptions).get(`${atomPath}&maxResults=3`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(response.text.match(/<entry>/g)).toHaveLength(3);
+    expect(response.text).toContain('<id>tag:youtube.com,2008:video:gammaVid001</id>');
+  });
+
+  it('serves the RSS feed without videos the user dismissed', async () => {
+    const {rssPath} = await createToken();
+    writeDoc('videoState/user-1/videos/gammaVid001', {state: 'dismissed', updatedAt: 1});
+
+    const response = await request(youtubeSubscriptions).get(rssPath);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(response.text).not.toContain('gammaVid001');
+    expect(response.text).toContain('alphaVid001');
+  });
+
+  it('rejects a missing or wrong token', async () => {
+    await createToken();
+
+    await request(youtubeSubscriptions).get('/feed/user-1.atom').expect(401);
+    await request(youtubeSubscriptions).get('/feed/user-1.atom?token=guess').expect(401);
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('charges the user\'s rate limit only once the feed token checks out', async () => {
+    const {atomPath} = await createToken();
+
+    const get = (path) => request(youtubeSubscriptions).get(path)
+        .set('X-Forwarded-For', '203.0.113.7');
+
+    await get('/feed/user-1.atom?token=guess').expect(401);
+    expect(readDoc('rateLimits/feed:user:user-1')).toBeUndefined();
+    expect(readDoc('rateLimits/feed:ip:203.0.113.7').tokens).toBe(29);
+
+    await get(atomPath).expect(200);
+    expect(readDoc('rateLimits/feed:user:user-1').tokens).toBe(9);
+    expect(readDoc('rateLimits/feed:ip:203.0.113.7').tokens).toBeLessThan(29);
+  });
+
+  it('stops serving the feed once the token is rotated or revoked', async () => {
+    const first = await createToken();
+    const second = await createToken();
+
+    await request(youtubeSubscriptions).get(first.atomPath).expect(401);
+    await request(youtubeSubscriptions).get(second.atomPath).expect(200);
+
+    await request(youtubeSubscriptions).delete('/feed/token?userId=user-1').set(AUTH).expect(200);
+    await request(youtubeSubscriptions).get(second.atomPath).expect(401);
+    await request(youtubeSubscriptions).delete('/feed/token?userId=user-1').set(AUTH).expect(404);
+  });
+
+  it('validates maxResults', async () => {
+    const {atomPath} = await createToken();
+
+    await request(youtubeSubscriptions).get(`${atomPath}&maxResults=500`).expect(400);
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+const ALPHA = 'UCa1phaTechXXXXXXXXXXXXX';
+const BETA = 'UCbetaKitchenXXXXXXXXXXX';
+const GAMMA = 'UCgammaBeatsXXXXXXXXXXXX';
+
+describe('/groups', () => {
+  beforeEach(() => {
+    resetFirestore();
+    writeDoc('channelGroups/user-1/groups/music', {
+      name: 'Music',
+      channelIds: [GAMMA],
+      createdAt: Date.parse('2024-05-01T00:00:00Z'),
+      updatedAt: Date.parse('2024-05-01T00:00:00Z'),
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const api = () => request(youtubeSubscriptions);
+
+  it('creates a group, trimming the name and dropping duplicate channels', async () => {
+    const response = await api().post('/groups').set(AUTH).send({
+      name: '  Cooking & Tech ',
+      channelIds: [BETA, ALPHA, BETA],
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.group).toMatchObject({
+      name: 'Cooking & Tech',
+      channelIds: [BETA, ALPHA],
+    });
+    const {groupId, createdAt} = response.body.data.group;
+    expect(readDoc(`channelGroups/user-1/groups/${groupId}`)).toMatchObject({
+      name: 'Cooking & Tech',
+      createdAt: Date.parse(createdAt),
+    });
+  });
+
+  it('lists the groups by name', async () => {
+    writeDoc('channelGroups/user-1/groups/cooking', {
+      name: 'Cooking',
+      channelIds: [BETA],
+      createdAt: 0,
+      updatedAt: 0,
+    });
+    writeDoc('channelGroups/user-2/groups/other', {
+      name: 'Another user',
+      channelIds: [ALPHA],
+      createdAt: 0,
+      updatedAt: 0,
+    });
+
+    const response = await api().get('/groups').set(AUTH);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(2);
+    expect(response.body.data.groups.map((group) => group.groupId)).toEqual(['cooking', 'music']);
+  });
+
+  it('gets one group', async () => {
+    const response = await api().get('/groups/music').set(AUTH);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.group).toEqual({
+      groupId: 'music',
+      name: 'Music',
+      channelIds: [GAMMA],
+      createdAt: '2024-05-01T00:00:00.000Z',
+      updatedAt: '2024-05-01T00:00:00.000Z',
+    });
+  });
+
+  it('renames a group without touching its channels', async () => {
+    const response = await api().put('/groups/music').set(AUTH).send({name: 'Beats'});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.group).toMatchObject({name: 'Beats', channelIds: [GAMMA]});
+    expect(Date.parse(response.body.data.group.updatedAt))
+        .toBeGreaterThan(Date.parse('2024-05-01T00:00:00Z'));
+  });
+
+  it('replaces a group\'s channels', async () => {
+    const response = await api().put('/groups/music').set(AUTH).send({
+      channelIds: [ALPHA, GAMMA, ALPHA],
+    });
+
+    expect(response.status).toBe(200);
+    expect(readDoc('channelGroups/user-1/groups/music')).toMatchObject({
+      name: 'Music',
+      channelIds: [ALPHA, GAMMA],
+    });
+  });
+
+  it('deletes a group', async () => {
+    const response = await api().delete('/groups/music').set(AUTH);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({groupId: 'music', deleted: true});
+    expect(readDoc('channelGroups/user-1/groups/music')).toBeUndefined();
+  });
+
+  it('rejects an invalid name or channel list', async () => {
+    const blankName = await api().post('/groups').set(AUTH).send({name: ' ', channelIds: []});
+    const longName = await api().post('/groups').set(AUTH).send({
+      name: 'x'.repeat(101),
+      channelIds: [],
+    });
+    const missingChannels = await api().post('/groups').set(AUTH).send({name: 'Music'});
+    const tooManyChannels = await api().put('/groups/music').set(AUTH).send({
+      channelIds: Array.from({length: 501}, (_, i) => `UC${i}`),
+    });
+    const emptyChannelId = await api().put('/groups/music').set(AUTH).send({channelIds: ['']});
+
+    [blankName, longName].forEach((response) => {
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('name must be a non-empty string of at most 100 characters');
+    });
+    [missingChannels, tooManyChannels, emptyChannelId].forEach((response) => {
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('channelIds must be an array of at most 500 channel IDs');
+    });
+    expect(readDoc('channelGroups/user-1/groups/music').channelIds).toEqual([GAMMA]);
+  });
+
+  it('reports unknown groups', async () => {
+    const responses = [
+      await api().get('/groups/nope').set(AUTH),
+      await api().put('/groups/nope').set(AUTH).send({name: 'Nope'}),
+      await api().delete('/groups/nope').set(AUTH),
+    ];
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({success: false, error: 'Channel group not found'});
+    });
+    expect(readDoc('channelGroups/user-1/groups/nope')).toBeUndefined();
+  });
+
+  it('keeps each user to their own groups', async () => {
+    const response = await api().get('/groups/music')
+        .set({Authorization: `Bearer ${idToken('user-2')}`});
+
+    expect(response.status).toBe(404);
+  });
+
+  it('requires a Firebase ID token', async () => {
+    const response = await api().get('/groups');
+
+    expect(response.status).toBe(401);
+  });
+});
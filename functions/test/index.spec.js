@@ -0,0 +1,355 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+// Keep retry backoff short so retried calls don't slow the suite down
+process.env.YOUTUBE_RETRY_BASE_DELAY_MS = '1';
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {broadcastVideos, createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {pacificDay} = require('../quotaLedger');
+const {youtubeSubscriptions} = require('../index');
+
+const ids = (videos) => videos.map((video) => video.videoId);
+
+// Requests are made as user-1 (see requestAuth)
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('POST /videos', () => {
+  let youtube;
+  let tokensUsed;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    tokensUsed = [];
+    setYoutubeClientFactory((accessToken) => {
+      tokensUsed.push(accessToken);
+      return youtube;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const postVideos = (body) => request(youtubeSubscriptions).post('/videos').set(AUTH).send(body);
+
+  it('requires an ID token', async () => {
+    const response = await request(youtubeSubscriptions)
+        .post('/videos')
+        .send({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('UNAUTHENTICATED');
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('takes the userId from the ID token', async () => {
+    const response = await postVideos({accessToken: 'token', maxResults: 1});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.userId).toBe('user-1');
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', cursor: 'nope'});
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('returns the newest videos and a cursor for the next page', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', maxResults: 3});
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(ids(response.body.data.videos)).toEqual(['gammaVid001', 'alphaVid001', 'betaVid0001']);
+    expect(response.body.data.count).toBe(3);
+    expect(typeof response.body.data.nextCursor).toBe('string');
+    expect(tokensUsed).toEqual(['token']);
+  });
+
+  it('pages through the feed with nextCursor without repeating videos', async () => {
+    const seen = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      const response = await postVideos({
+        userId: 'user-1',
+        accessToken: 'token',
+        maxResults: 3,
+        cursor,
+      });
+      seen.push(...ids(response.body.data.videos));
+      cursor = response.body.data.nextCursor;
+      pages += 1;
+    } while (cursor && pages < 20);
+
+    expect(seen).toHaveLength(12);
+    expect(new Set(seen).size).toBe(12);
+  });
+
+  it('uses the stored access token when the client sends none', async () => {
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+
+    const response = await postVideos({userId: 'user-1'});
+
+    expect(response.status).toBe(200);
+    expect(tokensUsed).toEqual(['stored-token']);
+  });
+
+  it('merges excludeList with stored video state', async () => {
+    await request(youtubeSubscriptions)
+        .put('/state/alphaVid001')
+        .set(AUTH)
+        .send({userId: 'user-1', state: 'dismissed'})
+        .expect(200);
+
+    const response = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      maxResults: 3,
+      excludeList: ['gammaVid001'],
+    });
+
+    // The page stops at alphaVid002: Alpha Tech has older uploads that were not fetched yet
+    expect(ids(response.body.data.videos)).toEqual(['betaVid0001', 'alphaVid002']);
+  });
+
+  it('excludes every marked video, past the first 1000 states', async () => {
+    writeDoc('videoState/user-1/videos/gammaVid001', {
+      state: 'watched',
+      channelId: 'UCgammaBeatsXXXXXXXXXXXX',
+      updatedAt: 1,
+    });
+    for (let index = 0; index < 1000; index += 1) {
+      writeDoc(`videoState/user-1/videos/other${index}`, {
+        state: 'dismissed',
+        channelId: null,
+        updatedAt: 1000 + index,
+      });
+    }
+    writeDoc('videoState/user-1/videos/betaVid0001', {
+      state: 'watched',
+      channelId: 'UCbetaKitchenXXXXXXXXXXX',
+      updatedAt: 5000,
+    });
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', maxResults: 2});
+
+    // betaVid0001 is hidden, and so is gammaVid001 although 1001 newer states come before it
+    expect(ids(response.body.data.videos)).toEqual(['alphaVid001']);
+  });
+
+  it('rejects an unknown sort', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', sort: 'random'});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^sort must be one of/);
+  });
+
+  it('rejects a ranked cursor used with another sort', async () => {
+    const first = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      maxResults: 3,
+      sort: 'popular',
+    });
+
+    const response = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      cursor: first.body.data.nextCursor,
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('cursor was returned for sort "popular"');
+  });
+
+  it('weighs channels by stored video state for sort personal', async () => {
+    // Three older Gamma Beats videos watched: the channel weighs 4
+    for (const videoId of ['gammaOld001', 'gammaOld002', 'gammaOld003']) {
+      await request(youtubeSubscriptions)
+          .put(`/state/${videoId}`)
+          .set(AUTH)
+          .send({userId: 'user-1', state: 'watched', channelId: 'UCgammaBeatsXXXXXXXXXXXX'})
+          .expect(200);
+    }
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', sort: 'personal'});
+
+    expect(response.body.data.ranking).toBe('personal');
+    expect(ids(response.body.data.videos).slice(0, 4)).toEqual(
+        ['gammaVid001', 'gammaVid002', 'gammaVid003', 'alphaVid001'],
+    );
+  });
+
+  it('keeps the v1 response shape by default', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', maxResults: 1});
+
+    expect(response.body.data.schema).toBe('v1');
+    expect(Object.keys(response.body.data.videos[0])).toEqual([
+      'videoId', 'title', 'description', 'thumbnaillUrl', 'duration', 'channelName',
+      'publishedAt', 'language',
+    ]);
+    expect(youtube.calls.filter((call) => call.params.part === 'statistics')).toHaveLength(0);
+  });
+
+  it('projects v2 fields and fetches statistics only when asked', async () => {
+    const response = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      maxResults: 2,
+      schema: 'v2',
+      fields: ['thumbnailUrl', 'channelId', 'viewCount', 'hasCaptions'],
+    });
+
+    expect(response.body.data.videos[0]).toEqual({
+      videoId: 'gammaVid001',
+      thumbnailUrl: 'https://i.ytimg.com/vi/gammaVid001/hqdefault.jpg',
+      channelId: 'UCgammaBeatsXXXXXXXXXXXX',
+      viewCount: 36000,
+      hasCaptions: expect.any(Boolean),
+    });
+    expect(youtube.calls.filter((call) => call.params.part === 'statistics')).toEqual([
+      expect.objectContaining({params: expect.objectContaining({id: 'gammaVid001,alphaVid001'})}),
+    ]);
+  });
+
+  it('rejects unknown fields', async () => {
+    const response = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      schema: 'v2',
+      fields: ['nope'],
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^fields must be v2 fields/);
+  });
+
+  it('rejects an unknown live mode', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', live: 'later'});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('live must be one of: include, exclude, separate, only');
+  });
+
+  it('lists live videos separately with live: separate', async () => {
+    youtube = createFakeYoutube({videos: broadcastVideos({
+      alphaVid001: {liveBroadcastContent: 'live', actualStartTime: '2024-05-10T15:05:00Z'},
+    })});
+
+    const response = await postVideos({
+      userId: 'user-1',
+      accessToken: 'token',
+      maxResults: 2,
+      live: 'separate',
+      schema: 'v2',
+      fields: ['liveStatus'],
+    });
+
+    expect(response.body.data.videos).toEqual([
+      {videoId: 'gammaVid001', liveStatus: 'vod'},
+      {videoId: 'betaVid0001', liveStatus: 'vod'},
+    ]);
+    expect(response.body.data.liveVideos).toEqual([{videoId: 'alphaVid001', liveStatus: 'live'}]);
+  });
+
+  it('records the units spent in the daily ledger', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.body.data.quotaUsed).toBe(youtube.count());
+    expect(readDoc(`quotaLedger/${pacificDay()}/users/user-1`)).toMatchObject({
+      units: youtube.count(),
+      calls: {'subscriptions.list': 2, 'activities.list': 3, 'videos.list': 1},
+    });
+    expect(readDoc(`quotaLedger/${pacificDay()}`)).toEqual({units: youtube.count()});
+  });
+
+  it('maps a rejected token to 401', async () => {
+    youtube.fail('subscriptions.list', youtubeError(401, 'authError', 'Invalid Credentials'));
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'expired'});
+
+    expect(response.status).toBe(401);
+    expect(response.body).toMatchObject({
+      success: false,
+      code: 'AUTH_REQUIRED',
+      reason: 'authError',
+      authRequired: true,
+    });
+  });
+
+  it.each([
+    [403, 'quotaExceeded', 429, 'QUOTA_EXCEEDED'],
+    [403, 'rateLimitExceeded', 429, 'RATE_LIMITED'],
+    [403, 'forbidden', 403, 'FORBIDDEN'],
+    [404, 'subscriberNotFound', 404, 'NOT_FOUND'],
+    [503, 'backendError', 503, 'YOUTUBE_UNAVAILABLE'],
+    [400, 'invalidParameter', 502, 'YOUTUBE_ERROR'],
+  ])('maps a %i %s from YouTube to %i %s', async (status, reason, httpStatus, code) => {
+    youtube.fail('subscriptions.list', youtubeError(status, reason, `YouTube said ${reason}`));
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.status).toBe(httpStatus);
+    expect(response.body).toMatchObject({success: false, code, reason});
+  });
+
+  it('returns 429 without calling YouTube once the daily budget is spent', async () => {
+    writeDoc(`quotaLedger/${pacificDay()}/users/user-1`, {units: 500});
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({
+      error: 'Daily quota budget exhausted',
+      code: 'QUOTA_BUDGET_EXHAUSTED',
+      quotaRemaining: 0,
+    });
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('maps unexpected failures to 500', async () => {
+    youtube.fail('subscriptions.list', new TypeError('Cannot read properties of undefined'));
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({success: false, code: 'INTERNAL'});
+  });
+
+  it('lists failed channels in partialFailures', async () => {
+    youtube.fail('activities.list', youtubeError(404, 'channelNotFound', 'Channel not found'), {
+      where: (params) => params.channelId === 'UCbetaKitchenXXXXXXXXXXX',
+    });
+
+    const response = await postVideos({userId: 'user-1', accessToken: 'token'});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.partialFailures).toEqual([{
+      channelId: 'UCbetaKitchenXXXXXXXXXXX',
+      method: 'activities.list',
+      code: 'NOT_FOUND',
+      status: 404,
+      reason: 'channelNotFound',
+      message: 'YouTube resource not found',
+    }]);
+  });
+
+  it('returns 404 for an unknown channel group', async () => {
+    const response = await postVideos({userId: 'user-1', accessToken: 'token', groupId: 'none'});
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {broadcastVideos, createFakeYoutube} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const activities = require('./fixtures/activities.list.json');
+const {youtubeSubscriptions} = require('../index');
+
+const ids = (videos) => videos.map((video) => video.videoId);
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('GET /live', () => {
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube({videos: broadcastVideos({
+      alphaVid001: {liveBroadcastContent: 'live', actualStartTime: '2024-05-10T15:05:00Z',
+        concurrentViewers: '812'},
+      gammaVid002: {liveBroadcastContent: 'live', actualStartTime: '2024-05-06T09:00:00Z'},
+      betaVid0001: {liveBroadcastContent: 'upcoming', scheduledStartTime: '2024-05-12T18:00:00Z'},
+    })});
+    setYoutubeClientFactory(() => youtube);
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const getLive = (query) => request(youtubeSubscriptions).get('/live').set(AUTH).query(query);
+
+  it('requires an ID token', async () => {
+    const response = await request(youtubeSubscriptions).get('/live');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('UNAUTHENTICATED');
+  });
+
+  it('lists live videos, most recently started first', async () => {
+    const response = await getLive({userId: 'user-1'});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.schema).toBe('v2');
+    expect(ids(response.body.data.videos)).toEqual(['alphaVid001', 'gammaVid002']);
+    expect(response.body.data.videos[0]).toEqual({
+      videoId: 'alphaVid001',
+      title: 'Building a home lab',
+      thumbnailUrl: 'https://i.ytimg.com/vi/alphaVid001/hqdefault.jpg',
+      channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+      channelName: 'Alpha Tech',
+      publishedAt: '2024-05-10T15:00:00Z',
+      liveStatus: 'live',
+      scheduledStartTime: null,
+      actualStartTime: '2024-05-10T15:05:00Z',
+      concurrentViewers: 812,
+    });
+  });
+
+  it('adds upcoming broadcasts on request', async () => {
+    const response = await getLive({
+      userId: 'user-1',
+      includeUpcoming: 'true',
+      fields: 'liveStatus',
+    });
+
+    expect(response.body.data.videos).toEqual([
+      {videoId: 'alphaVid001', liveStatus: 'live'},
+      {videoId: 'gammaVid002', liveStatus: 'live'},
+      {videoId: 'betaVid0001', liveStatus: 'upcoming'},
+    ]);
+  });
+
+  it('keeps streams published before another channel\'s oldest fetched upload', async () => {
+    // Ten newer uploads leave Alpha Tech with older activity, below gammaVid002's upload
+    const newer = Array.from({length: 10}, (_, index) => ({
+      kind: 'youtube#activity',
+      id: `act_alphaNew${index}`,
+      snippet: {
+        publishedAt: `2024-05-11T${10 + index}:00:00Z`,
+        channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+        title: `New upload ${index}`,
+        channelTitle: 'Alpha Tech',
+        type: 'upload',
+      },
+      contentDetails: {upload: {videoId: `alphaNew000${index}`}},
+    }));
+    youtube = createFakeYoutube({
+      channelActivities: {
+        ...activities,
+        UCa1phaTechXXXXXXXXXXXXX: [...newer, ...activities.UCa1phaTechXXXXXXXXXXXXX],
+      },
+      videos: broadcastVideos({
+        gammaVid002: {liveBroadcastContent: 'live', actualStartTime: '2024-05-06T09:00:00Z'},
+      }),
+    });
+
+    const response = await getLive({userId: 'user-1'});
+
+    expect(response.status).toBe(200);
+    expect(ids(response.body.data.videos)).toEqual(['gammaVid002']);
+  });
+
+  it('rejects an out-of-range maxChannels', async () => {
+    const response = await getLive({userId: 'user-1', maxChannels: '51'});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('maxChannels must be between 1 and 50');
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  detectLiveStatus,
+  liveStatusOf,
+  applyLiveMode,
+} = require('../liveStatus');
+
+const record = (videoId, liveStatus, times = {}) => ({videoId, liveStatus, ...times});
+
+describe('liveStatus', () => {
+  describe('detectLiveStatus', () => {
+    it('reads liveBroadcastContent', () => {
+      expect(detectLiveStatus({snippet: {liveBroadcastContent: 'live'}})).toBe('live');
+      expect(detectLiveStatus({snippet: {liveBroadcastContent: 'upcoming'}})).toBe('upcoming');
+      expect(detectLiveStatus({
+        snippet: {liveBroadcastContent: 'none'},
+        liveStreamingDetails: {actualStartTime: '2024-05-10T15:00:00Z'},
+      })).toBe('vod');
+    });
+
+    it('falls back to liveStreamingDetails', () => {
+      const detect = (liveStreamingDetails) => (
+        detectLiveStatus({snippet: {}, liveStreamingDetails})
+      );
+
+      expect(detect({scheduledStartTime: '2024-05-11T15:00:00Z'})).toBe('upcoming');
+      expect(detect({actualStartTime: '2024-05-10T15:00:00Z'})).toBe('live');
+      expect(detect({
+        actualStartTime: '2024-05-10T15:00:00Z',
+        actualEndTime: '2024-05-10T17:00:00Z',
+      })).toBe('vod');
+      expect(detect(undefined)).toBe('vod');
+    });
+  });
+
+  it('labels records cached before liveStatus was stored', () => {
+    expect(liveStatusOf({liveBroadcastContent: 'upcoming'})).toBe('upcoming');
+    expect(liveStatusOf({liveBroadcastContent: 'none'})).toBe('vod');
+    expect(liveStatusOf({})).toBe('vod');
+  });
+
+  describe('applyLiveMode', () => {
+    const records = [
+      record('vod1', 'vod'),
+      record('soon', 'upcoming', {scheduledStartTime: '2024-05-12T15:00:00Z'}),
+      record('early', 'live', {actualStartTime: '2024-05-10T13:00:00Z'}),
+      record('sooner', 'upcoming', {scheduledStartTime: '2024-05-11T15:00:00Z'}),
+      record('late', 'live', {actualStartTime: '2024-05-10T14:00:00Z'}),
+    ];
+    const ids = (videos) => videos.map((video) => video.videoId);
+
+    it('keeps every record by default', () => {
+      expect(applyLiveMode(records, 'include')).toEqual({videos: records, broadcasts: []});
+    });
+
+    it('drops broadcasts for exclude and keeps only them for only', () => {
+      expect(ids(applyLiveMode(records, 'exclude').videos)).toEqual(['vod1']);
+      expect(ids(applyLiveMode(records, 'only').videos))
+          .toEqual(['soon', 'early', 'sooner', 'late']);
+    });
+
+    it('lists live then upcoming broadcasts on their own for separate', () => {
+      const {videos, broadcasts} = applyLiveMode(records, 'separate');
+
+      expect(ids(videos)).toEqual(['vod1']);
+      expect(ids(broadcasts)).toEqual(['late', 'early', 'sooner', 'soon']);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+process.env.YOUTUBE_RETRY_BASE_DELAY_MS = '1';
+
+const {resetFirestore, readDoc, writeDoc} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {getSubscriptionVideos} = require('../youtubeSubscriptions');
+const {pacificDay} = require('../quotaLedger');
+const {prefetchFeeds} = require('../prefetch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHANNELS = [
+  'UCa1phaTechXXXXXXXXXXXXX', 'UCbetaKitchenXXXXXXXXXXX', 'UCgammaBeatsXXXXXXXXXXXX',
+];
+
+describe('prefetchFeeds', () => {
+  let youtube;
+
+  const seedTokens = (userId) => writeDoc(`userTokens/${userId}`, {
+    accessToken: `${userId}-token`,
+    refreshToken: 'refresh',
+    expiresAt: Date.now() + 3600 * 1000,
+  });
+
+  // Load the user's feed once (fills the feed cache), then mark them active
+  const primeUser = async (userId, lastActiveAt) => {
+    seedTokens(userId);
+    await getSubscriptionVideos('token', {youtube, userId});
+    writeDoc(`feedCache/${userId}`, {...readDoc(`feedCache/${userId}`), lastActiveAt});
+  };
+
+  // Make the user's cached windows older than the default freshness window (moving the last
+  // prefetch back by as much)
+  const ageWindows = (userId, channelIds = CHANNELS) => {
+    channelIds.forEach((channelId) => {
+      const path = `feedCache/${userId}/channels/${channelId}`;
+      writeDoc(path, {...readDoc(path), syncedAt: readDoc(path).syncedAt - DAY_MS});
+    });
+    const state = readDoc(`feedCache/${userId}`);
+    if (state.prefetchedAt) {
+      writeDoc(`feedCache/${userId}`, {...state, prefetchedAt: state.prefetchedAt - DAY_MS});
+    }
+  };
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  it('reports the plan in a dry run without calling YouTube', async () => {
+    const now = Date.now();
+    await primeUser('user-1', now - 60 * 1000);
+    writeDoc('feedCache/user-2', {lastActiveAt: now});
+    await primeUser('user-3', now - 120 * 1000);
+    const state = readDoc('feedCache/user-3');
+    writeDoc('feedCache/user-3', {...state, channelsSyncedAt: state.channelsSyncedAt - DAY_MS});
+    writeDoc('feedCache/user-stale', {lastActiveAt: now - 10 * DAY_MS});
+    const callsBefore = youtube.count();
+
+    const report = await prefetchFeeds({dryRun: true});
+
+    expect(youtube.count()).toBe(callsBefore);
+    expect(report.users).toEqual([
+      // No stored channel list: up to 20 subscriptions.list pages plus up to 15 channels
+      expect.objectContaining({userId: 'user-2', status: 'planned', channelIds: null,
+        projectedQuota: 39}),
+      expect.objectContaining({userId: 'user-1', status: 'planned', channelIds: CHANNELS,
+        projectedQuota: 5}),
+      // A day-old list is still planned from, plus the one page that refetches it
+      expect.objectContaining({userId: 'user-3', status: 'planned', channelIds: CHANNELS,
+        projectedQuota: 6}),
+    ]);
+    expect(report.projectedQuota).toBe(50);
+    expect(readDoc('feedCache/user-1').prefetchedAt).toBeUndefined();
+  });
+
+  it('refreshes active users and charges their quota', async () => {
+    await primeUser('user-1', Date.now());
+    const callsBefore = youtube.count();
+
+    const report = await prefetchFeeds();
+
+    expect(report.users).toEqual([
+      expect.objectContaining({userId: 'user-1', status: 'refreshed', quotaUsed: 3}),
+    ]);
+    // One incremental activities.list per channel, nothing new to fetch details for
+    expect(youtube.count() - callsBefore).toBe(3);
+    expect(readDoc(`quotaLedger/${pacificDay()}/users/user-1`).units).toBe(3);
+    expect(readDoc('feedCache/user-1').prefetchedAt).toEqual(expect.any(Number));
+  });
+
+  it('serves the first visit after a prefetch from the cache', async () => {
+    await primeUser('user-1', Date.now() - DAY_MS);
+    await prefetchFeeds();
+    ageWindows('user-1');
+
+    const first = await getSubscriptionVideos('token', {youtube, userId: 'user-1'});
+    writeDoc('feedCache/user-1', {...readDoc('feedCache/user-1'), lastActiveAt: Date.now()});
+    // Bypass the shared cache, which the prefetch filled as well
+    const second = await getSubscriptionVideos('token', {
+      youtube,
+      userId: 'user-1',
+      sharedCache: false,
+    });
+
+    expect(first.fromCache).toBe(true);
+    expect(first.videos).toHaveLength(12);
+    expect(second.fromCache).toBe(false);
+  });
+
+  it('fetches the channels the prefetch did not refresh', async () => {
+    await primeUser('user-1', Date.now() - DAY_MS);
+    youtube.fail('activities.list', youtubeError(404, 'channelNotFound', 'Channel not found'), {
+      times: 1,
+      where: (params) => params.channelId === 'UCgammaBeatsXXXXXXXXXXXX',
+    });
+    await prefetchFeeds();
+    ageWindows('user-1');
+    const callsBefore = youtube.count();
+
+    const result = await getSubscriptionVideos('token', {
+      youtube,
+      userId: 'user-1',
+      sharedCache: false,
+    });
+
+    expect(result.fromCache).toBe(false);
+    expect(youtube.calls.slice(callsBefore)).toEqual([expect.objectContaining({
+      method: 'activities.list',
+      params: expect.objectContaining({channelId: 'UCgammaBeatsXXXXXXXXXXXX'}),
+    })]);
+  });
+
+  it('skips users whose refresh does not fit their quota', async () => {
+    await primeUser('user-1', Date.now());
+    writeDoc(`quotaLedger/${pacificDay()}/users/user-1`, {units: 498});
+
+    const report = await prefetchFeeds();
+
+    expect(report.users).toEqual([
+      expect.objectContaining({userId: 'user-1', status: 'skipped', reason: 'quota'}),
+    ]);
+    expect(report.quotaUsed).toBe(0);
+  });
+
+  it('carries on after a user fails', async () => {
+    const now = Date.now();
+    await primeUser('user-1', now - 60 * 1000);
+    writeDoc('feedCache/user-2', {lastActiveAt: now}); // no stored OAuth tokens
+
+    const report = await prefetchFeeds();
+
+    expect(report.users).toEqual([
+      expect.objectContaining({userId: 'user-2', status: 'failed', reason: 'AUTH_REQUIRED'}),
+      expect.objectContaining({userId: 'user-1', status: 'refreshed'}),
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, writeDoc} = require('./fakes/firebaseAdmin');
+const {createQuotaBudget, pacificDay} = require('../quotaLedger');
+
+/**
+ * Load quotaLedger with the given environment
+ * @param {Object} env - Variables to set while the module loads
+ * @return {Object} The module's exports
+ */
+function loadWithEnv(env) {
+  const saved = {...process.env};
+  Object.assign(process.env, env);
+  let isolated;
+  jest.isolateModules(() => {
+    isolated = require('../quotaLedger');
+  });
+  process.env = saved;
+  return isolated;
+}
+
+describe('quotaLedger', () => {
+  beforeEach(() => {
+    resetFirestore();
+  });
+
+  it('limits a request to what the user and the project have left', async () => {
+    writeDoc(`quotaLedger/${pacificDay()}`, {units: 8900});
+    writeDoc(`quotaLedger/${pacificDay()}/users/user-1`, {units: 450});
+
+    const budget = await createQuotaBudget('user-1');
+    budget.charge('activities.list', 20);
+
+    expect(budget.remaining()).toBe(30);
+    expect(budget.canAfford('subscriptions.insert')).toBe(false);
+    expect(budget.canAfford('videos.list', 30)).toBe(true);
+  });
+
+  it('takes a budget of 0 as no spending at all', async () => {
+    const {createQuotaBudget: create} = loadWithEnv({
+      QUOTA_USER_DAILY_BUDGET: '0',
+      QUOTA_GLOBAL_DAILY_BUDGET: '0',
+    });
+
+    const budget = await create('user-1');
+
+    expect(budget.remaining()).toBe(0);
+    expect(budget.canAfford('videos.list')).toBe(false);
+  });
+
+  it('falls back to the defaults when the budgets are blank or not numbers', async () => {
+    const {createQuotaBudget: create, GLOBAL_DAILY_BUDGET} = loadWithEnv({
+      QUOTA_USER_DAILY_BUDGET: '',
+      QUOTA_GLOBAL_DAILY_BUDGET: 'lots',
+    });
+
+    const budget = await create('user-1');
+
+    expect(budget.remaining()).toBe(500);
+    expect(GLOBAL_DAILY_BUDGET).toBe(9000);
+  });
+});
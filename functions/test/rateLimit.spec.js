@@ -0,0 +1,109 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+// Small buckets for /videos: 2 requests per user and 3 per IP, refilling 1 per minute
+process.env.RATE_LIMITS = JSON.stringify({
+  videos: {
+    user: {capacity: 2, refillPerMinute: 1},
+    ip: {capacity: 3, refillPerMinute: 1},
+  },
+});
+
+const admin = require('firebase-admin');
+const request = require('supertest');
+const {resetFirestore, readDoc, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {routeLimits, takeToken} = require('../rateLimit');
+const {youtubeSubscriptions} = require('../index');
+
+describe('rateLimit', () => {
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const postVideos = (uid, ip = '203.0.113.7') => request(youtubeSubscriptions)
+      .post('/videos')
+      .set('Authorization', `Bearer ${idToken(uid)}`)
+      .set('X-Forwarded-For', ip)
+      .send({accessToken: 'token', maxResults: 1});
+
+  it('rejects a user past their bucket with Retry-After', async () => {
+    await postVideos('user-1').expect(200);
+    await postVideos('user-1').expect(200);
+    const callsBefore = youtube.count();
+
+    const response = await postVideos('user-1');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('60');
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Too many requests, retry later',
+      code: 'TOO_MANY_REQUESTS',
+      limit: 'user',
+      retryAfter: 60,
+    });
+    expect(youtube.count()).toBe(callsBefore);
+  });
+
+  it('limits every user behind one IP together', async () => {
+    await postVideos('user-1').expect(200);
+    await postVideos('user-2').expect(200);
+    await postVideos('user-3').expect(200);
+
+    const response = await postVideos('user-4');
+    const otherIp = await postVideos('user-4', '198.51.100.2');
+
+    expect(response.status).toBe(429);
+    expect(response.body.limit).toBe('ip');
+    expect(otherIp.status).toBe(200);
+  });
+
+  it('lets requests through when Firestore fails', async () => {
+    jest.spyOn(admin.firestore(), 'runTransaction').mockRejectedValue(new Error('unavailable'));
+
+    await postVideos('user-1').expect(200);
+    await postVideos('user-1').expect(200);
+    await postVideos('user-1').expect(200);
+  });
+
+  describe('takeToken', () => {
+    const limit = {capacity: 2, refillPerMinute: 6};
+
+    it('refills the bucket over time up to its capacity', async () => {
+      const start = Date.now();
+      await takeToken('test:user:a', limit, start);
+      await takeToken('test:user:a', limit, start);
+
+      expect(await takeToken('test:user:a', limit, start + 1000))
+          .toEqual({allowed: false, retryAfterSeconds: 9});
+      expect(await takeToken('test:user:a', limit, start + 10000))
+          .toEqual({allowed: true, remaining: 0});
+      expect(await takeToken('test:user:a', limit, start + 600000))
+          .toEqual({allowed: true, remaining: 1});
+      expect(readDoc('rateLimits/test:user:a')).toMatchObject({
+        tokens: 1,
+        updatedAt: start + 600000,
+      });
+    });
+  });
+
+  it('merges RATE_LIMITS over the route defaults', () => {
+    expect(routeLimits('videos')).toEqual({
+      user: {capacity: 2, refillPerMinute: 1},
+      ip: {capacity: 3, refillPerMinute: 1},
+    });
+    expect(routeLimits('groups')).toEqual(routeLimits('default'));
+  });
+});
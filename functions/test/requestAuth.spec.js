@@ -0,0 +1,83 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, idToken, APP_CHECK_TOKEN} = require('./fakes/firebaseAdmin');
+const {youtubeSubscriptions} = require('../index');
+
+describe('requestAuth', () => {
+  const env = {...process.env};
+
+  // GET /state is a cheap authenticated route (no YouTube calls)
+  const listState = (headers = {}, query = {}) => request(youtubeSubscriptions)
+      .get('/state')
+      .set(headers)
+      .query(query);
+  const bearer = (uid) => ({Authorization: `Bearer ${idToken(uid)}`});
+
+  beforeEach(() => {
+    resetFirestore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = {...env};
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a valid ID token without a userId', async () => {
+    await listState(bearer('user-1')).expect(200);
+  });
+
+  it('rejects a missing or invalid ID token', async () => {
+    const missing = await listState({}, {userId: 'user-1'});
+    const invalid = await listState({Authorization: 'Bearer forged'});
+
+    expect(missing.status).toBe(401);
+    expect(missing.body).toMatchObject({success: false, code: 'UNAUTHENTICATED'});
+    expect(invalid.status).toBe(401);
+  });
+
+  it('rejects a userId that does not match the ID token', async () => {
+    const response = await listState(bearer('user-1'), {userId: 'user-2'});
+
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({
+      success: false,
+      code: 'USER_MISMATCH',
+      error: 'userId does not match the authenticated user',
+    });
+  });
+
+  it('enforces App Check when configured', async () => {
+    process.env.APP_CHECK_MODE = 'enforce';
+
+    const rejected = await listState(bearer('user-1'));
+    const accepted = await listState({...bearer('user-1'), 'X-Firebase-AppCheck': APP_CHECK_TOKEN});
+
+    expect(rejected.status).toBe(401);
+    expect(rejected.body.code).toBe('APP_CHECK_FAILED');
+    expect(accepted.status).toBe(200);
+  });
+
+  it('only logs App Check failures in monitor mode', async () => {
+    process.env.APP_CHECK_MODE = 'monitor';
+
+    await listState(bearer('user-1')).expect(200);
+    expect(console.log).toHaveBeenCalledWith(
+        'App Check verification failed (monitor):', 'Missing App Check token',
+    );
+  });
+
+  it('falls back to the userId in the emulator without the Auth emulator', async () => {
+    process.env.FUNCTIONS_EMULATOR = 'true';
+    process.env.APP_CHECK_MODE = 'enforce';
+    delete process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+    await listState({}, {userId: 'user-1'}).expect(200);
+    await listState({}).expect(400);
+
+    process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+    await listState({}, {userId: 'user-1'}).expect(401);
+  });
+});
@@ -0,0 +1,113 @@
+const {createScheduler} = require('../requestScheduler');
+const {youtubeError} = require('./fakes/youtube');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('requestScheduler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('never runs more calls at once than the concurrency cap', async () => {
+    const scheduler = createScheduler({concurrency: 2});
+    let running = 0;
+    let peak = 0;
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.run('activities.list', async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await wait(5);
+      running -= 1;
+    })));
+
+    expect(peak).toBe(2);
+  });
+
+  it('retries retryable errors and reports every attempt', async () => {
+    const onAttempt = jest.fn();
+    const scheduler = createScheduler({baseDelayMs: 1, onAttempt});
+    const call = jest.fn()
+        .mockRejectedValueOnce(youtubeError(403, 'rateLimitExceeded', 'Rate limit'))
+        .mockRejectedValueOnce(youtubeError(503, 'backendError', 'Backend Error'))
+        .mockResolvedValue('ok');
+
+    await expect(scheduler.run('videos.list', call)).resolves.toBe('ok');
+    expect(onAttempt).toHaveBeenCalledTimes(3);
+    expect(scheduler.attempts()).toEqual({'videos.list': 3});
+  });
+
+  it('does not retry quota or auth errors', async () => {
+    const scheduler = createScheduler({baseDelayMs: 1});
+    const call = jest.fn().mockRejectedValue(youtubeError(403, 'quotaExceeded', 'Quota'));
+
+    await expect(scheduler.run('videos.list', call)).rejects.toMatchObject({code: 403});
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  it('backs off with jitter between attempts', async () => {
+    const scheduler = createScheduler({baseDelayMs: 10, random: () => 0.5});
+    const times = [];
+    const call = jest.fn(async () => {
+      times.push(Date.now());
+      throw youtubeError(503, 'backendError', 'Backend Error');
+    });
+
+    await expect(scheduler.run('videos.list', call)).rejects.toBeDefined();
+
+    // 3 retries waiting 5ms, 10ms and 20ms (half of 10, 20 and 40)
+    expect(call).toHaveBeenCalledTimes(4);
+    expect(times[3] - times[0]).toBeGreaterThanOrEqual(30);
+  });
+
+  it('stops retrying once the budget can\'t cover another attempt', async () => {
+    let units = 2;
+    const scheduler = createScheduler({
+      baseDelayMs: 1,
+      canAttempt: () => units > 0,
+      onAttempt: () => {
+        units -= 1;
+      },
+    });
+    const call = jest.fn().mockRejectedValue(youtubeError(503, 'backendError', 'Backend Error'));
+
+    await expect(scheduler.run('videos.list', call)).rejects.toMatchObject({code: 503});
+    expect(call).toHaveBeenCalledTimes(2);
+    await expect(scheduler.run('videos.list', call))
+        .rejects.toMatchObject({code: 'QUOTA_BUDGET_EXHAUSTED', status: 429});
+    expect(call).toHaveBeenCalledTimes(2);
+  });
+
+  it('takes YOUTUBE_MAX_RETRIES=0 as no retries', async () => {
+    process.env.YOUTUBE_MAX_RETRIES = '0';
+    let isolated;
+    jest.isolateModules(() => {
+      isolated = require('../requestScheduler');
+    });
+    delete process.env.YOUTUBE_MAX_RETRIES;
+    const call = jest.fn().mockRejectedValue(youtubeError(503, 'backendError', 'Backend Error'));
+
+    await expect(isolated.createScheduler().run('videos.list', call)).rejects.toBeDefined();
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails calls that are still running at the deadline', async () => {
+    const scheduler = createScheduler({deadlineMs: 20});
+
+    await expect(scheduler.run('activities.list', () => wait(200)))
+        .rejects.toMatchObject({code: 'DEADLINE_EXCEEDED', status: 504});
+    await expect(scheduler.run('activities.list', () => Promise.resolve('late')))
+        .rejects.toMatchObject({code: 'DEADLINE_EXCEEDED'});
+  });
+
+  it('stops early enough to leave reserveMs for later calls', async () => {
+    const scheduler = createScheduler({deadlineMs: 100});
+
+    await expect(scheduler.run('activities.list', () => wait(80), {reserveMs: 50}))
+        .rejects.toMatchObject({code: 'DEADLINE_EXCEEDED'});
+    await expect(scheduler.run('videos.list', () => Promise.resolve('ok'))).resolves.toBe('ok');
+  });
+});
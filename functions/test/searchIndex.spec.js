@@ -0,0 +1,124 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, readDoc} = require('./fakes/firebaseAdmin');
+const {
+  tokenize,
+  normalizeQuery,
+  scoreRecord,
+  decodeSearchCursor,
+  indexVideos,
+  searchVideos,
+} = require('../searchIndex');
+
+const record = (videoId, fields = {}) => ({
+  videoId,
+  title: '',
+  description: '',
+  channelId: 'UCchannel',
+  channelName: 'Channel',
+  publishedAt: '2024-05-01T00:00:00Z',
+  tags: [],
+  ...fields,
+});
+
+const RECORDS = [
+  record('homeLab', {title: 'Building a home lab', publishedAt: '2024-05-10T00:00:00Z'}),
+  record('labTour', {
+    title: 'Studio tour',
+    description: 'My lab, my desk and my home setup',
+    publishedAt: '2024-05-12T00:00:00Z',
+  }),
+  record('rackTags', {
+    title: 'Rack upgrade',
+    tags: ['home lab', 'server'],
+    channelId: 'UCother',
+    publishedAt: '2024-04-01T00:00:00Z',
+  }),
+  record('cooking', {title: 'Paella en casa', publishedAt: '2024-05-11T00:00:00Z'}),
+];
+
+const ids = (records) => records.map((entry) => entry.videoId);
+
+describe('searchIndex', () => {
+  beforeEach(async () => {
+    resetFirestore();
+    await indexVideos('user-1', RECORDS);
+  });
+
+  it('normalizes words', () => {
+    expect(tokenize('Crème Brûlée: the BEST recipe, 2024!')).toEqual(
+        ['creme', 'brulee', 'best', 'recipe', '2024'],
+    );
+    expect(normalizeQuery('Home home LAB')).toBe('home lab');
+    expect(normalizeQuery('the of')).toBe('');
+  });
+
+  it('weighs title matches above descriptions and phrases above scattered words', () => {
+    const terms = ['home', 'lab'];
+
+    expect(scoreRecord(RECORDS[0], terms)).toBeGreaterThan(scoreRecord(RECORDS[2], terms));
+    expect(scoreRecord(RECORDS[2], terms)).toBeGreaterThan(scoreRecord(RECORDS[1], terms));
+    expect(scoreRecord(RECORDS[3], terms)).toBe(0);
+  });
+
+  it('stores each record with its terms', () => {
+    expect(readDoc('searchIndex/user-1/videos/rackTags')).toMatchObject({
+      terms: ['rack', 'upgrade', 'home', 'lab', 'server', 'channel'],
+      channelId: 'UCother',
+      record: {title: 'Rack upgrade'},
+    });
+  });
+
+  it('ranks every video matching all words', async () => {
+    const result = await searchVideos('user-1', 'Home Lab');
+
+    expect(ids(result.records)).toEqual(['homeLab', 'rackTags', 'labTour']);
+    expect(result.total).toBe(3);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  it('sorts by date and filters by channel and date', async () => {
+    const newest = await searchVideos('user-1', 'home lab', {sort: 'newest'});
+    const channel = await searchVideos('user-1', 'home lab', {channelIds: ['UCother']});
+    const recent = await searchVideos('user-1', 'home lab', {
+      publishedAfter: '2024-05-01T00:00:00Z',
+      publishedBefore: '2024-05-11T00:00:00Z',
+    });
+
+    expect(ids(newest.records)).toEqual(['labTour', 'homeLab', 'rackTags']);
+    expect(ids(channel.records)).toEqual(['rackTags']);
+    expect(ids(recent.records)).toEqual(['homeLab']);
+  });
+
+  it('filters channels and dates before taking the newest candidates', async () => {
+    // More older matches in another channel than a query reads
+    await indexVideos('user-1', Array.from({length: 1000}, (_, index) => record(
+        `aBulk${String(index).padStart(4, '0')}`,
+        {title: 'Lab notes', channelId: 'UCbulk', publishedAt: '2024-03-01T00:00:00Z'},
+    )));
+
+    const channel = await searchVideos('user-1', 'home lab', {channelIds: ['UCother']});
+    const recent = await searchVideos('user-1', 'lab', {publishedAfter: '2024-04-01T00:00:00Z'});
+    const newest = await searchVideos('user-1', 'lab', {sort: 'newest', maxResults: 2});
+
+    expect(ids(channel.records)).toEqual(['rackTags']);
+    expect(ids(recent.records)).toEqual(['homeLab', 'labTour']);
+    expect(ids(newest.records)).toEqual(['labTour', 'homeLab']);
+  });
+
+  it('pages with a cursor', async () => {
+    const first = await searchVideos('user-1', 'home lab', {maxResults: 2});
+    const {offset} = decodeSearchCursor(first.nextCursor);
+    const second = await searchVideos('user-1', 'home lab', {maxResults: 2, offset});
+
+    expect(ids(first.records)).toEqual(['homeLab', 'rackTags']);
+    expect(ids(second.records)).toEqual(['labTour']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('keeps users apart', async () => {
+    const result = await searchVideos('user-2', 'home lab');
+
+    expect(result.records).toEqual([]);
+  });
+});
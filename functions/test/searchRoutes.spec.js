@@ -0,0 +1,112 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {youtubeSubscriptions} = require('../index');
+
+const ids = (videos) => videos.map((video) => video.videoId);
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('GET /search', () => {
+  let youtube;
+
+  beforeEach(async () => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Sync the feed, which indexes every video it fetches
+    await request(youtubeSubscriptions)
+        .post('/videos')
+        .set(AUTH)
+        .send({userId: 'user-1', accessToken: 'token', maxResults: 50})
+        .expect(200);
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const search = (query) => request(youtubeSubscriptions).get('/search').set(AUTH).query(query);
+
+  it('finds synced videos without calling YouTube', async () => {
+    const callsBefore = youtube.count();
+
+    const response = await search({q: 'rust javascript'});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.videos).toEqual([{
+      videoId: 'alphaVid002',
+      title: 'Rust for JavaScript developers',
+      description: 'Rust for JavaScript developers - full description',
+      thumbnailUrl: 'https://i.ytimg.com/vi/alphaVid002/hqdefault.jpg',
+      duration: expect.any(String),
+      channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+      channelName: 'Alpha Tech',
+      publishedAt: '2024-05-08T15:00:00Z',
+      language: expect.any(String),
+      liveStatus: 'vod',
+    }]);
+    expect(response.body.data).toMatchObject({query: 'rust javascript', total: 1, quotaUsed: 0});
+    expect(youtube.count()).toBe(callsBefore);
+  });
+
+  it('matches channel names and pages through the results', async () => {
+    const first = await search({q: 'kitchen', sort: 'newest', maxResults: 3, fields: 'title'});
+    const second = await search({
+      q: 'kitchen',
+      sort: 'newest',
+      maxResults: 3,
+      cursor: first.body.data.nextCursor,
+    });
+
+    expect(ids(first.body.data.videos)).toEqual(['betaVid0001', 'betaVid0002', 'betaVid0003']);
+    expect(first.body.data.videos[0]).toEqual({videoId: 'betaVid0001', title: 'Paella en casa'});
+    expect(ids(second.body.data.videos)).toEqual(['betaVid0004']);
+    expect(second.body.data.nextCursor).toBeNull();
+  });
+
+  it('filters by channel and date', async () => {
+    const response = await search({
+      q: 'full description',
+      channelId: 'UCgammaBeatsXXXXXXXXXXXX',
+      publishedAfter: '2024-05-01T00:00:00Z',
+      sort: 'newest',
+    });
+
+    expect(ids(response.body.data.videos)).toEqual(['gammaVid001', 'gammaVid002']);
+  });
+
+  it.each([
+    [{}, 'q must contain at least one searchable word'],
+    [{q: 'lab', sort: 'popular'}, 'sort must be one of: relevance, newest'],
+    [{q: 'lab', maxResults: 0}, 'maxResults must be between 1 and 50'],
+    [{q: 'lab', publishedAfter: 'yesterday'}, 'publishedAfter must be an ISO 8601 date'],
+    [{q: 'lab', channelId: Array.from({length: 31}, (_, index) => `UC${index}`).join(',')},
+      'channelId accepts at most 30 channel IDs'],
+    [{q: 'lab', fields: 'viewCount'}, 'viewCount, likeCount and commentCount are not ' +
+      'available in search'],
+    [{q: 'lab', cursor: 'nope'}, 'cursor must be a nextCursor value returned by a previous ' +
+      'search'],
+  ])('rejects %j', async (query, error) => {
+    const response = await search(query);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+  });
+
+  it('rejects a cursor from another search', async () => {
+    const first = await search({q: 'full description', maxResults: 1});
+
+    const response = await search({q: 'home lab', cursor: first.body.data.nextCursor});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('cursor was returned for another search');
+  });
+});
@@ -0,0 +1,194 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, readDoc} = require('./fakes/firebaseAdmin');
+const {broadcastVideos, createFakeYoutube} = require('./fakes/youtube');
+const {getSubscriptionVideos} = require('../youtubeSubscriptions');
+const {
+  createCacheStats,
+  describeCacheStats,
+  answerFromEntry,
+  getChannelActivities,
+  getVideoDetails,
+} = require('../sharedCache');
+
+const upload = (videoId, publishedAt) => ({type: 'upload', videoId, publishedAt});
+
+// Newest first, with more activity before the oldest one
+const ENTRY = {
+  activities: [
+    upload('video3', '2024-05-10T00:00:00Z'),
+    {type: 'like', videoId: null, publishedAt: '2024-05-09T00:00:00Z'},
+    upload('video2', '2024-05-08T00:00:00Z'),
+    upload('video1', '2024-05-07T00:00:00Z'),
+  ],
+  hasMore: true,
+};
+
+const ids = (result) => result.activities.map((activity) => activity.videoId);
+
+describe('sharedCache', () => {
+  beforeEach(() => {
+    resetFirestore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('describes hit rates', () => {
+    const stats = createCacheStats();
+    stats.channels.hits = 2;
+    stats.channels.misses = 1;
+
+    expect(describeCacheStats(stats)).toBe('channels 2/3 hits (67%), videos 0/0 hits');
+  });
+
+  describe('answerFromEntry', () => {
+    it('answers a page the entry holds', () => {
+      expect(answerFromEntry(ENTRY, {maxResults: 2})).toEqual({
+        activities: ENTRY.activities.slice(0, 2),
+        hasMore: true,
+      });
+    });
+
+    it('answers an incremental query the entry reaches below', () => {
+      const result = answerFromEntry(ENTRY, {
+        maxResults: 50,
+        publishedAfter: '2024-05-08T00:00:00Z',
+      });
+
+      expect(ids(result)).toEqual(['video3', null]);
+      expect(result.hasMore).toBe(false);
+    });
+
+    it('does not answer queries reaching past the entry', () => {
+      expect(answerFromEntry(ENTRY, {maxResults: 50})).toBeNull();
+      expect(answerFromEntry({...ENTRY, hasMore: false}, {maxResults: 50})).toEqual({
+        activities: ENTRY.activities,
+        hasMore: false,
+      });
+    });
+  });
+
+  describe('getChannelActivities', () => {
+    it('fetches a channel once for concurrent requests', async () => {
+      const stats = createCacheStats();
+      const fetchActivities = jest.fn(() => new Promise((resolve) => {
+        setTimeout(() => resolve(ENTRY), 20);
+      }));
+
+      const results = await Promise.all([0, 1, 2].map(() => (
+        getChannelActivities('UCchannel', {maxResults: 4}, fetchActivities, {stats})
+      )));
+
+      expect(fetchActivities).toHaveBeenCalledTimes(1);
+      results.forEach((result) => expect(ids(result)).toEqual(ids(ENTRY)));
+      expect(stats.channels).toEqual({hits: 2, misses: 1});
+    });
+
+    it('serves later requests from the stored entry until it is too old', async () => {
+      const fetchActivities = jest.fn(async () => ENTRY);
+
+      await getChannelActivities('UCchannel', {maxResults: 4}, fetchActivities);
+      await getChannelActivities('UCchannel', {maxResults: 2}, fetchActivities);
+      await getChannelActivities('UCchannel', {maxResults: 4}, fetchActivities, {maxAgeMs: -1});
+
+      expect(fetchActivities).toHaveBeenCalledTimes(2);
+      expect(readDoc('sharedChannels/UCchannel')).toMatchObject({hasMore: true});
+    });
+
+    it('fetches older pages directly', async () => {
+      const fetchActivities = jest.fn(async () => ({activities: [], hasMore: false}));
+      const params = {maxResults: 4, publishedBefore: '2024-05-07T00:00:00Z'};
+
+      await getChannelActivities('UCchannel', params, fetchActivities);
+
+      expect(fetchActivities).toHaveBeenCalledWith(params);
+      expect(readDoc('sharedChannels/UCchannel')).toBeUndefined();
+    });
+  });
+
+  describe('getVideoDetails', () => {
+    const item = (id, liveBroadcastContent = 'none') => ({id, snippet: {liveBroadcastContent}});
+    const fetchItems = jest.fn(async (videoIds) => ({
+      items: videoIds.map((id) => item(id, id === 'liveVideo' ? 'live' : 'none')),
+      calls: 1,
+      failures: [],
+    }));
+
+    beforeEach(() => {
+      fetchItems.mockClear();
+    });
+
+    it('fetches only the videos not shared yet', async () => {
+      const stats = createCacheStats();
+
+      await getVideoDetails(['video1', 'video2'], fetchItems);
+      const result = await getVideoDetails(['video1', 'video3'], fetchItems, {stats});
+
+      expect(fetchItems).toHaveBeenLastCalledWith(['video3']);
+      expect(result.items.map((entry) => entry.id).sort()).toEqual(['video1', 'video3']);
+      expect(result.calls).toBe(1);
+      expect(stats.videos).toEqual({hits: 1, misses: 1});
+    });
+
+    it('never shares live videos', async () => {
+      await getVideoDetails(['liveVideo', 'video1'], fetchItems);
+
+      expect(readDoc('sharedVideos/video1')).toBeDefined();
+      expect(readDoc('sharedVideos/liveVideo')).toBeUndefined();
+    });
+  });
+
+  describe('with getSubscriptionVideos', () => {
+    let youtube;
+
+    beforeEach(() => {
+      youtube = createFakeYoutube();
+    });
+
+    const fetchFeed = (userId) => getSubscriptionVideos('token', {youtube, userId});
+
+    it('serves a second user from what the first one fetched', async () => {
+      await fetchFeed('user-1');
+      const callsBefore = youtube.count();
+
+      const second = await fetchFeed('user-2');
+
+      // Only the subscription list is per user
+      expect(youtube.calls.slice(callsBefore).map((call) => call.method)).toEqual(
+          ['subscriptions.list', 'subscriptions.list'],
+      );
+      expect(second.videos).toHaveLength(12);
+      expect(second.sharedCache).toEqual({
+        channels: {hits: 3, misses: 0},
+        videos: {hits: 12, misses: 0},
+      });
+      expect(console.log).toHaveBeenCalledWith(
+          'Shared cache: channels 3/3 hits (100%), videos 12/12 hits (100%)',
+      );
+    });
+
+    it('makes one activities.list call per channel for concurrent feeds', async () => {
+      youtube.delay('activities.list', 20);
+
+      await Promise.all([fetchFeed('user-1'), fetchFeed('user-2'), fetchFeed('user-3')]);
+
+      expect(youtube.count('activities.list')).toBe(3);
+    });
+
+    it('fetches live videos again', async () => {
+      youtube = createFakeYoutube({videos: broadcastVideos({
+        alphaVid001: {liveBroadcastContent: 'live', actualStartTime: '2024-05-10T15:05:00Z'},
+      })});
+
+      await fetchFeed('user-1');
+      await fetchFeed('user-2');
+
+      const detailCalls = youtube.calls.filter((call) => call.method === 'videos.list');
+      expect(detailCalls[1].params.id).toBe('alphaVid001');
+    });
+  });
+});
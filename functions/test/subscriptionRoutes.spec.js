@@ -0,0 +1,183 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {pacificDay} = require('../quotaLedger');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+const ALPHA = 'UCa1phaTechXXXXXXXXXXXXX';
+const DELTA = 'UCdeltaNewsXXXXXXXXXXXXX';
+const EPSILON = 'UCepsilonFilmsXXXXXXXXXX';
+
+const ledger = () => readDoc(`quotaLedger/${pacificDay()}/users/user-1`);
+
+describe('/subscriptions', () => {
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    setYoutubeClientFactory(() => youtube);
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const api = () => request(youtubeSubscriptions);
+
+  it('subscribes, charges the insert and drops the cached channel list', async () => {
+    writeDoc('feedCache/user-1', {channels: [], channelsSyncedAt: Date.now()});
+
+    const response = await api().post('/subscriptions').set(AUTH).send({channelId: DELTA});
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      subscriptionId: `sub-${DELTA}`,
+      channelId: DELTA,
+      quotaUsed: 50,
+    });
+    expect(ledger()).toMatchObject({units: 50, calls: {'subscriptions.insert': 1}});
+    expect(readDoc('feedCache/user-1').channelsSyncedAt).toBeNull();
+  });
+
+  it('reports a duplicate subscription', async () => {
+    const response = await api().post('/subscriptions').set(AUTH).send({channelId: ALPHA});
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_SUBSCRIBED');
+    expect(ledger().units).toBe(50);
+  });
+
+  it('unsubscribes', async () => {
+    const response = await api().delete(`/subscriptions/${ALPHA}`).set(AUTH);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({subscriptionId: 'sub0Id', quotaUsed: 51});
+    expect(ledger().calls).toEqual({'subscriptions.list': 1, 'subscriptions.delete': 1});
+    expect(youtube.calls.find((call) => call.method === 'subscriptions.delete').params).toEqual(
+        {id: 'sub0Id'},
+    );
+  });
+
+  it('does not unsubscribe from a channel the user does not follow', async () => {
+    const response = await api().delete(`/subscriptions/${DELTA}`).set(AUTH);
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('NOT_SUBSCRIBED');
+    expect(youtube.count('subscriptions.delete')).toBe(0);
+  });
+
+  it('rejects invalid channel IDs and an exhausted budget without calling YouTube', async () => {
+    const invalid = await api().post('/subscriptions').set(AUTH).send({channelId: '@delta'});
+    writeDoc(`quotaLedger/${pacificDay()}/users/user-1`, {units: 480});
+    const exhausted = await api().post('/subscriptions').set(AUTH).send({channelId: DELTA});
+
+    expect(invalid.status).toBe(400);
+    expect(exhausted.status).toBe(429);
+    expect(exhausted.body.code).toBe('QUOTA_BUDGET_EXHAUSTED');
+    expect(youtube.count()).toBe(0);
+  });
+
+  it('exports OPML and JSON downloads', async () => {
+    const opml = await api().get('/subscriptions/export').set(AUTH);
+    const json = await api().get('/subscriptions/export').set(AUTH).query({format: 'json'});
+
+    expect(opml.status).toBe(200);
+    expect(opml.headers['content-type']).toBe('text/x-opml; charset=utf-8');
+    expect(opml.headers['content-disposition']).toBe(
+        'attachment; filename="youtube-subscriptions.opml"',
+    );
+    expect(opml.text.match(/<outline type="rss"/g)).toHaveLength(3);
+    expect(json.body).toMatchObject({count: 3});
+    expect(json.body.subscriptions[0]).toMatchObject({channelId: ALPHA, title: 'Alpha Tech'});
+    expect(ledger().calls).toEqual({'subscriptions.list': 4});
+  });
+
+  it('reports an import without changing anything on a dry run', async () => {
+    const exported = await api().get('/subscriptions/export').set(AUTH);
+    const opml = exported.text.replace(
+        /<outline type="rss" text="Alpha Tech"[^>]*>/,
+        '<outline text="Delta" ' +
+        `xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=${DELTA}"/>` +
+        '<outline text="Blog" xmlUrl="https://example.com/feed.xml"/>',
+    );
+
+    const response = await api().post('/subscriptions/import').set(AUTH).send({
+      opml,
+      dryRun: true,
+      unsubscribeMissing: true,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      dryRun: true,
+      channels: 3,
+      invalid: [{title: 'Blog', url: 'https://example.com/feed.xml'}],
+      toSubscribe: [{channelId: DELTA, title: 'Delta'}],
+      alreadySubscribed: 2,
+      toUnsubscribe: [{channelId: ALPHA, title: 'Alpha Tech'}],
+      projectedQuota: 100,
+      results: null,
+      quotaUsed: 2,
+    });
+    expect(youtube.count('subscriptions.insert')).toBe(0);
+    expect(youtube.count('subscriptions.delete')).toBe(0);
+  });
+
+  it('imports the channels missing from the subscriptions', async () => {
+    const opml = '<opml version="2.0"><body>' +
+      `<outline text="Alpha" htmlUrl="https://www.youtube.com/channel/${ALPHA}"/>` +
+      `<outline text="Delta" htmlUrl="https://www.youtube.com/channel/${DELTA}"/>` +
+      '</body></opml>';
+
+    const response = await api().post('/subscriptions/import').set(AUTH).send({opml});
+
+    expect(response.body.data).toMatchObject({
+      dryRun: false,
+      results: [{channelId: DELTA, title: 'Delta', action: 'subscribe', status: 'done'}],
+      summary: {done: 1, failed: 0, skipped: 0},
+      quotaUsed: 52,
+    });
+    expect(ledger().calls).toEqual({'subscriptions.list': 2, 'subscriptions.insert': 1});
+  });
+
+  it('reports the changes made before the token was rejected', async () => {
+    writeDoc('feedCache/user-1', {channels: [], channelsSyncedAt: Date.now()});
+    youtube.fail('subscriptions.insert', youtubeError(401, 'authError', 'Invalid Credentials'), {
+      where: (params) => params.requestBody.snippet.resourceId.channelId === EPSILON,
+    });
+    const opml = '<opml version="2.0"><body>' +
+      `<outline text="Delta" htmlUrl="https://www.youtube.com/channel/${DELTA}"/>` +
+      `<outline text="Epsilon" htmlUrl="https://www.youtube.com/channel/${EPSILON}"/>` +
+      '</body></opml>';
+
+    const response = await api().post('/subscriptions/import').set(AUTH).send({opml});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      summary: {done: 1, failed: 1, skipped: 0},
+      stoppedBy: {code: 'AUTH_REQUIRED', status: 401},
+    });
+    expect(readDoc('feedCache/user-1').channelsSyncedAt).toBeNull();
+  });
+
+  it('rejects a file that is not OPML', async () => {
+    const response = await api().post('/subscriptions/import').set(AUTH).send({opml: '<rss/>'});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('opml must be an OPML document');
+  });
+});
@@ -0,0 +1,193 @@
+const {createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {
+  isChannelId,
+  listSubscriptions,
+  unsubscribeChannel,
+  renderOpml,
+  toJsonExport,
+  parseOpml,
+  planImport,
+  applyImport,
+} = require('../subscriptions');
+
+const ALPHA = 'UCa1phaTechXXXXXXXXXXXXX';
+const BETA = 'UCbetaKitchenXXXXXXXXXXX';
+const GAMMA = 'UCgammaBeatsXXXXXXXXXXXX';
+const DELTA = 'UCdeltaNewsXXXXXXXXXXXXX';
+
+describe('subscriptions', () => {
+  it('recognizes channel IDs', () => {
+    expect(isChannelId(ALPHA)).toBe(true);
+    expect(isChannelId('@alphatech')).toBe(false);
+    expect(isChannelId(undefined)).toBe(false);
+  });
+
+  it('lists every page of subscriptions', async () => {
+    const subscriptions = await listSubscriptions(createFakeYoutube());
+
+    expect(subscriptions).toEqual([
+      {subscriptionId: 'sub0Id', channelId: ALPHA, title: 'Alpha Tech'},
+      {subscriptionId: 'sub1Id', channelId: BETA, title: 'Beta Kitchen'},
+      {subscriptionId: 'sub2Id', channelId: GAMMA, title: 'Gamma Beats'},
+    ]);
+  });
+
+  it('exports OPML that imports back to the same channels', async () => {
+    const subscriptions = await listSubscriptions(createFakeYoutube());
+    subscriptions[0].title = 'Alpha & "Tech"';
+
+    const opml = renderOpml(subscriptions, {exportedAt: new Date('2024-05-01T00:00:00Z')});
+
+    expect(opml).toContain('<dateCreated>Wed, 01 May 2024 00:00:00 GMT</dateCreated>');
+    expect(opml).toContain(
+        `xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=${ALPHA}"`,
+    );
+    expect(parseOpml(opml)).toEqual({
+      channels: [
+        {channelId: ALPHA, title: 'Alpha & "Tech"'},
+        {channelId: BETA, title: 'Beta Kitchen'},
+        {channelId: GAMMA, title: 'Gamma Beats'},
+      ],
+      invalid: [],
+    });
+  });
+
+  it('exports JSON', () => {
+    const json = toJsonExport(
+        [{subscriptionId: 'sub0Id', channelId: ALPHA, title: 'Alpha Tech'}],
+        {exportedAt: new Date('2024-05-01T00:00:00Z')},
+    );
+
+    expect(json).toEqual({
+      exportedAt: '2024-05-01T00:00:00.000Z',
+      count: 1,
+      subscriptions: [{
+        channelId: ALPHA,
+        title: 'Alpha Tech',
+        url: `https://www.youtube.com/channel/${ALPHA}`,
+        feedUrl: `https://www.youtube.com/feeds/videos.xml?channel_id=${ALPHA}`,
+      }],
+    });
+  });
+
+  it('reads channel feeds and pages from OPML and reports other outlines', () => {
+    const opml = `<?xml version="1.0"?>
+      <opml version="1.0"><body>
+        <outline text="Video">
+          <outline text="Beta"
+            xmlUrl='https://www.youtube.com/feeds/videos.xml?channel_id=${BETA}'/>
+          <outline title="Delta" htmlUrl="https://www.youtube.com/channel/${DELTA}"></outline>
+          <outline text="Beta again" htmlUrl="https://youtube.com/channel/${BETA}/videos"/>
+          <outline text="Handle" htmlUrl="https://www.youtube.com/@somebody"/>
+        </outline>
+        <outline text="Blog" type="rss" xmlUrl="https://example.com/feed.xml"/>
+      </body></opml>`;
+
+    expect(parseOpml(opml)).toEqual({
+      channels: [{channelId: BETA, title: 'Beta'}, {channelId: DELTA, title: 'Delta'}],
+      invalid: [
+        {title: 'Handle', url: 'https://www.youtube.com/@somebody'},
+        {title: 'Blog', url: 'https://example.com/feed.xml'},
+      ],
+    });
+    expect(() => parseOpml('<rss/>')).toThrow('opml must be an OPML document');
+  });
+
+  it('plans only the changes and their quota', () => {
+    const current = [
+      {subscriptionId: 'sub0Id', channelId: ALPHA, title: 'Alpha Tech'},
+      {subscriptionId: 'sub1Id', channelId: BETA, title: 'Beta Kitchen'},
+    ];
+    const imported = [{channelId: BETA, title: 'Beta'}, {channelId: DELTA, title: 'Delta'}];
+
+    expect(planImport(imported, current)).toEqual({
+      toSubscribe: [{channelId: DELTA, title: 'Delta'}],
+      alreadySubscribed: [{channelId: BETA, title: 'Beta'}],
+      toUnsubscribe: [],
+      projectedQuota: 50,
+    });
+    expect(planImport(imported, current, {unsubscribeMissing: true})).toMatchObject({
+      toUnsubscribe: [current[0]],
+      projectedQuota: 100,
+    });
+  });
+
+  it('applies a plan, reporting each change', async () => {
+    const youtube = createFakeYoutube();
+    youtube.fail('subscriptions.insert', youtubeError(404, 'publisherNotFound', 'Not found'), {
+      where: (params) => params.requestBody.snippet.resourceId.channelId === GAMMA,
+    });
+    const plan = {
+      toSubscribe: [{channelId: DELTA, title: 'Delta'}, {channelId: GAMMA, title: 'Gamma'}],
+      toUnsubscribe: [{subscriptionId: 'sub0Id', channelId: ALPHA, title: 'Alpha Tech'}],
+    };
+
+    const {results, stoppedBy} = await applyImport(youtube, plan);
+
+    expect(stoppedBy).toBeNull();
+    expect(results).toEqual([
+      {channelId: DELTA, title: 'Delta', action: 'subscribe', status: 'done'},
+      {channelId: GAMMA, title: 'Gamma', action: 'subscribe', status: 'failed', code: 'NOT_FOUND'},
+      {channelId: ALPHA, title: 'Alpha Tech', action: 'unsubscribe', status: 'done'},
+    ]);
+    expect((await listSubscriptions(youtube)).map((entry) => entry.channelId)).toEqual(
+        [BETA, GAMMA, DELTA],
+    );
+  });
+
+  it('skips changes the quota budget cannot cover', async () => {
+    const youtube = createFakeYoutube();
+    let remaining = 60;
+    const quotaBudget = {canAfford: () => remaining >= 50};
+    const plan = {
+      toSubscribe: [{channelId: DELTA, title: 'Delta'}, {channelId: GAMMA, title: 'Gamma'}],
+      toUnsubscribe: [],
+    };
+    const scheduler = {
+      run: (method, fn) => {
+        remaining -= 50;
+        return fn();
+      },
+    };
+
+    const {results} = await applyImport(youtube, plan, {scheduler, quotaBudget});
+
+    expect(results.map((result) => result.status)).toEqual(['done', 'skipped']);
+    expect(results[1].code).toBe('QUOTA_BUDGET_EXHAUSTED');
+    expect(youtube.count('subscriptions.insert')).toBe(1);
+  });
+
+  it('stops an import when the token is rejected, keeping the changes already made', async () => {
+    const youtube = createFakeYoutube();
+    youtube.fail('subscriptions.insert', youtubeError(401, 'authError', 'Invalid Credentials'), {
+      where: (params) => params.requestBody.snippet.resourceId.channelId === GAMMA,
+    });
+
+    const {results, stoppedBy} = await applyImport(youtube, {
+      toSubscribe: [{channelId: DELTA, title: 'Delta'}, {channelId: GAMMA, title: 'Gamma'}],
+      toUnsubscribe: [{subscriptionId: 'sub0Id', channelId: ALPHA, title: 'Alpha Tech'}],
+    });
+
+    expect(results.map(({status, code}) => [status, code])).toEqual([
+      ['done', undefined],
+      ['failed', 'AUTH_REQUIRED'],
+      ['skipped', 'AUTH_REQUIRED'],
+    ]);
+    expect(stoppedBy).toEqual({
+      code: 'AUTH_REQUIRED',
+      status: 401,
+      message: 'Invalid or expired access token',
+    });
+    expect(youtube.count('subscriptions.delete')).toBe(0);
+  });
+
+  it('refuses to unsubscribe from a channel the user does not follow', async () => {
+    const youtube = createFakeYoutube();
+
+    await expect(unsubscribeChannel(youtube, DELTA)).rejects.toMatchObject({
+      code: 'NOT_SUBSCRIBED',
+      status: 404,
+    });
+    expect(youtube.count('subscriptions.delete')).toBe(0);
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore, readDoc, writeDoc} = require('./fakes/firebaseAdmin');
+const {youtubeError} = require('./fakes/youtube');
+const {toApiError} = require('../apiErrors');
+const {
+  refreshAccessToken,
+  getValidAccessToken,
+  withUserAccessToken,
+} = require('../userTokens');
+
+const OAUTH_SERVICE_URL = 'https://oauth.example.com/refresh';
+
+/**
+ * Build a fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @return {Object} Response with status, ok and json()
+ */
+function fetchResponse(status, body = {}) {
+  return {status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body)};
+}
+
+describe('userTokens', () => {
+  const originalFetch = global.fetch;
+
+  // A user whose stored access token expired a minute ago
+  const seedTokens = (fields = {}) => writeDoc('userTokens/user-1', {
+    accessToken: 'stored-token',
+    refreshToken: 'refresh',
+    expiresAt: Date.now() - 60 * 1000,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    resetFirestore();
+    process.env.OAUTH_SERVICE_URL = OAUTH_SERVICE_URL;
+    global.fetch = jest.fn().mockResolvedValue(fetchResponse(200, {
+      accessToken: 'fresh-token',
+      expiresIn: 3600,
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.OAUTH_SERVICE_URL;
+    jest.restoreAllMocks();
+  });
+
+  it('uses the stored token while it is valid', async () => {
+    seedTokens({expiresAt: Date.now() + 3600 * 1000});
+
+    expect(await getValidAccessToken('user-1')).toBe('stored-token');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('refreshes an expired token through the OAuth service and stores it', async () => {
+    seedTokens();
+    const before = Date.now();
+
+    const token = await getValidAccessToken('user-1');
+
+    expect(token).toBe('fresh-token');
+    expect(global.fetch).toHaveBeenCalledWith(OAUTH_SERVICE_URL, expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({userId: 'user-1'}),
+    }));
+    const stored = readDoc('userTokens/user-1');
+    expect(stored).toMatchObject({accessToken: 'fresh-token', refreshToken: 'refresh'});
+    expect(stored.expiresAt).toBeGreaterThanOrEqual(before + 3600 * 1000);
+
+    // The next request uses the stored copy
+    expect(await getValidAccessToken('user-1')).toBe('fresh-token');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes a token that expires within the next minute', async () => {
+    seedTokens({expiresAt: Date.now() + 30 * 1000});
+
+    expect(await getValidAccessToken('user-1')).toBe('fresh-token');
+  });
+
+  it('reads the googleOauth field names too', async () => {
+    global.fetch.mockResolvedValue(fetchResponse(200, {
+      access_token: 'snake-token',
+      expiry_date: '2030-01-01T00:00:00Z',
+    }));
+
+    expect(await refreshAccessToken('user-1')).toBe('snake-token');
+    expect(readDoc('userTokens/user-1').expiresAt).toBe(Date.parse('2030-01-01T00:00:00Z'));
+  });
+
+  it('reports a rejected refresh as AUTH_REQUIRED', async () => {
+    seedTokens();
+    global.fetch.mockResolvedValue(fetchResponse(400, {error: 'invalid_grant'}));
+
+    await expect(getValidAccessToken('user-1')).rejects.toMatchObject({
+      code: 'AUTH_REQUIRED',
+      status: 401,
+      authRequired: true,
+      message: 'Token refresh rejected for user user-1: invalid_grant',
+    });
+    expect(readDoc('userTokens/user-1').accessToken).toBe('stored-token');
+  });
+
+  it('reports missing tokens as AUTH_REQUIRED without calling the service', async () => {
+    await expect(getValidAccessToken('user-1')).rejects.toMatchObject({code: 'AUTH_REQUIRED'});
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('keeps other refresh failures apart from AUTH_REQUIRED', async () => {
+    global.fetch.mockResolvedValueOnce(fetchResponse(503));
+    await expect(refreshAccessToken('user-1')).rejects.toThrow(
+        'Token refresh failed with status 503',
+    );
+
+    global.fetch.mockResolvedValueOnce(fetchResponse(200, {}));
+    await expect(refreshAccessToken('user-1')).rejects.toThrow(
+        'Token refresh response did not include an access token',
+    );
+
+    delete process.env.OAUTH_SERVICE_URL;
+    await expect(refreshAccessToken('user-1')).rejects.toThrow(
+        'OAUTH_SERVICE_URL is not configured',
+    );
+  });
+
+  describe('withUserAccessToken', () => {
+    beforeEach(() => {
+      seedTokens({expiresAt: Date.now() + 3600 * 1000});
+    });
+
+    it('calls with the stored token', async () => {
+      const call = jest.fn().mockResolvedValue('result');
+
+      expect(await withUserAccessToken('user-1', call)).toBe('result');
+      expect(call).toHaveBeenCalledWith('stored-token');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('refreshes and retries once when Google rejects the token', async () => {
+      const call = jest.fn()
+          .mockRejectedValueOnce(youtubeError(401, 'authError', 'Invalid Credentials'))
+          .mockResolvedValueOnce('result');
+
+      expect(await withUserAccessToken('user-1', call)).toBe('result');
+      expect(call.mock.calls).toEqual([['stored-token'], ['fresh-token']]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up with AUTH_REQUIRED when the refreshed token is rejected too', async () => {
+      const call = jest.fn()
+          .mockRejectedValue(youtubeError(401, 'authError', 'Invalid Credentials'));
+
+      const error = await withUserAccessToken('user-1', call).catch((thrown) => thrown);
+
+      expect(toApiError(error).code).toBe('AUTH_REQUIRED');
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not refresh for other errors', async () => {
+      const call = jest.fn().mockRejectedValue(youtubeError(403, 'forbidden', 'Forbidden'));
+
+      const error = await withUserAccessToken('user-1', call).catch((thrown) => thrown);
+
+      expect(toApiError(error).code).toBe('FORBIDDEN');
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('reports a rejected refresh after a 401 as AUTH_REQUIRED', async () => {
+      global.fetch.mockResolvedValue(fetchResponse(401, {error: 'invalid_grant'}));
+      const call = jest.fn()
+          .mockRejectedValue(youtubeError(401, 'authError', 'Invalid Credentials'));
+
+      await expect(withUserAccessToken('user-1', call)).rejects.toMatchObject({
+        code: 'AUTH_REQUIRED',
+        authRequired: true,
+      });
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const {resolveFields, projectVideo} = require('../videoFields');
+
+const RECORD = {
+  videoId: 'alphaVid001',
+  title: 'Building a home lab',
+  description: 'Building a home lab - full description',
+  thumbnaillUrl: 'https://i.ytimg.com/vi/alphaVid001/hqdefault.jpg',
+  duration: 'PT18M2S',
+  channelName: 'Alpha Tech',
+  publishedAt: '2024-05-10T15:00:00Z',
+  language: 'en',
+  channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+  tags: ['homelab'],
+  liveBroadcastContent: 'none',
+  hasCaptions: false,
+  statistics: {viewCount: 21000, likeCount: null, commentCount: 6},
+};
+
+describe('videoFields', () => {
+  describe('resolveFields', () => {
+    it('defaults to the v1 shape without extra parts', () => {
+      expect(resolveFields()).toEqual({
+        projection: {
+          schema: 'v1',
+          fields: [
+            'videoId', 'title', 'description', 'thumbnaillUrl', 'duration', 'channelName',
+            'publishedAt', 'language',
+          ],
+        },
+        parts: [],
+      });
+    });
+
+    it('always includes videoId and asks for statistics only for count fields', () => {
+      expect(resolveFields({schema: 'v2', fields: 'title, viewCount,likeCount'})).toEqual({
+        projection: {schema: 'v2', fields: ['videoId', 'title', 'viewCount', 'likeCount']},
+        parts: ['statistics'],
+      });
+      expect(resolveFields({schema: 'v2', fields: ['tags']}).parts).toEqual([]);
+    });
+
+    it('rejects unknown schemas and fields', () => {
+      expect(resolveFields({schema: 'v3'}).error).toBe('schema must be one of: v1, v2');
+      expect(resolveFields({fields: ['viewCount']}).error).toMatch(/^fields must be v1 fields/);
+      expect(resolveFields({schema: 'v2', fields: ['thumbnaillUrl']}).error)
+          .toMatch(/^fields must be v2 fields/);
+      expect(resolveFields({schema: 'v2', fields: []}).error).toMatch(/^fields must be/);
+    });
+  });
+
+  describe('projectVideo', () => {
+    it('keeps the v1 thumbnail key', () => {
+      const video = projectVideo(RECORD, resolveFields().projection);
+
+      expect(video.thumbnaillUrl).toBe(RECORD.thumbnaillUrl);
+      expect(video).not.toHaveProperty('thumbnailUrl');
+      expect(video).not.toHaveProperty('channelId');
+    });
+
+    it('projects v2 fields and nulls what a record lacks', () => {
+      const {projection} = resolveFields({
+        schema: 'v2',
+        fields: ['thumbnailUrl', 'viewCount', 'likeCount', 'thumbnails'],
+      });
+
+      expect(projectVideo(RECORD, projection)).toEqual({
+        videoId: 'alphaVid001',
+        thumbnailUrl: RECORD.thumbnaillUrl,
+        viewCount: 21000,
+        likeCount: null,
+        thumbnails: null,
+      });
+    });
+  });
+});
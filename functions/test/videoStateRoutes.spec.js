@@ -0,0 +1,96 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const request = require('supertest');
+const {resetFirestore, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {youtubeSubscriptions} = require('../index');
+
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+describe('/state', () => {
+  beforeEach(() => {
+    resetFirestore();
+    // Five states; video-b and video-c were marked at the same time
+    [
+      ['video-a', 'watched', 5],
+      ['video-b', 'saved', 4],
+      ['video-c', 'saved', 4],
+      ['video-d', 'dismissed', 2],
+      ['video-e', 'saved', 1],
+    ].forEach(([videoId, state, updatedAt]) => {
+      writeDoc(`videoState/user-1/videos/${videoId}`, {state, channelId: null, updatedAt});
+    });
+    writeDoc('videoState/user-2/videos/video-z', {state: 'saved', channelId: null, updatedAt: 9});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const listState = (query = {}) => request(youtubeSubscriptions)
+      .get('/state')
+      .set(AUTH)
+      .query(query);
+  const ids = (videos) => videos.map((video) => video.videoId);
+
+  it('lists the user\'s states newest first', async () => {
+    const response = await listState();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({count: 5, nextCursor: null});
+    expect(ids(response.body.data.videos))
+        .toEqual(['video-a', 'video-c', 'video-b', 'video-d', 'video-e']);
+  });
+
+  it('pages with limit and cursor without skipping or repeating states', async () => {
+    const pages = [];
+    let cursor;
+    do {
+      const response = await listState(cursor ? {limit: 2, cursor} : {limit: 2});
+      expect(response.status).toBe(200);
+      pages.push(ids(response.body.data.videos));
+      cursor = response.body.data.nextCursor;
+    } while (cursor);
+
+    // The page break falls between the two states marked at the same time
+    expect(pages).toEqual([['video-a', 'video-c'], ['video-b', 'video-d'], ['video-e']]);
+  });
+
+  it('pages within a state', async () => {
+    const first = await listState({state: 'saved', limit: 2});
+    expect(ids(first.body.data.videos)).toEqual(['video-c', 'video-b']);
+
+    const second = await listState({
+      state: 'saved',
+      limit: 2,
+      cursor: first.body.data.nextCursor,
+    });
+    expect(ids(second.body.data.videos)).toEqual(['video-e']);
+    expect(second.body.data.nextCursor).toBeNull();
+  });
+
+  it('returns no cursor when the last page is exactly full', async () => {
+    const response = await listState({limit: 5});
+
+    expect(response.body.data.count).toBe(5);
+    expect(response.body.data.nextCursor).toBeNull();
+  });
+
+  it('rejects an invalid limit', async () => {
+    for (const limit of ['0', '501', '2.5', 'ten']) {
+      const response = await listState({limit});
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('limit must be an integer from 1 to 500');
+    }
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('{"videoId":1}').toString('base64url')]) {
+      const response = await listState({cursor});
+      expect(response.status).toBe(400);
+      expect(response.body.error)
+          .toBe('cursor must be a nextCursor value returned by a previous page');
+    }
+  });
+});
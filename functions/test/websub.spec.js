@@ -0,0 +1,268 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+process.env.YOUTUBE_RETRY_BASE_DELAY_MS = '1';
+process.env.WEBSUB_CALLBACK_URL = 'https://api.example.test/websub/callback/';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const {resetFirestore, readDoc, writeDoc, idToken} = require('./fakes/firebaseAdmin');
+const {createFakeYoutube} = require('./fakes/youtube');
+const {createStubHub} = require('./fakes/hub');
+const videoList = require('./fixtures/videos.list.json');
+const {setYoutubeClientFactory} = require('../youtubeClient');
+const {setHubClient} = require('../websubHub');
+const {
+  topicUrl,
+  subscribeChannels,
+  verifySignature,
+  parseNotification,
+  renewLeases,
+} = require('../websub');
+const {youtubeSubscriptions} = require('../index');
+
+const ALPHA = 'UCa1phaTechXXXXXXXXXXXXX';
+const NOTIFICATION = fs.readFileSync(
+    path.join(__dirname, 'fixtures/websub.notification.xml'), 'utf8',
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUTH = {Authorization: `Bearer ${idToken('user-1')}`};
+
+// videos.list record for the upload announced in the notification fixture
+const ALPHA_VID_006 = {
+  ...videoList.items[0],
+  id: 'alphaVid006',
+  snippet: {
+    ...videoList.items[0].snippet,
+    publishedAt: '2024-05-11T15:00:00Z',
+    title: 'Racks & rails: mounting the lab',
+  },
+};
+
+const sign = (body, secret) => (
+  `sha1=${crypto.createHmac('sha1', secret).update(body).digest('hex')}`
+);
+
+describe('WebSub', () => {
+  let hub;
+  let youtube;
+
+  beforeEach(() => {
+    resetFirestore();
+    hub = createStubHub();
+    setHubClient(hub);
+    youtube = createFakeYoutube({videos: [...videoList.items, ALPHA_VID_006]});
+    setYoutubeClientFactory(() => youtube);
+    writeDoc('userTokens/user-1', {
+      accessToken: 'stored-token',
+      refreshToken: 'refresh',
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setHubClient();
+    setYoutubeClientFactory();
+    jest.restoreAllMocks();
+  });
+
+  const app = () => request(youtubeSubscriptions);
+
+  // Play the hub: confirm a pending subscription through the callback
+  const verify = (channelId, query = {}) => app()
+      .get(`/websub/callback/${channelId}`)
+      .query({
+        'hub.mode': 'subscribe',
+        'hub.topic': topicUrl(channelId),
+        'hub.challenge': 'challenge-123',
+        'hub.lease_seconds': '432000',
+        ...query,
+      });
+
+  const notify = (channelId, body, signature) => app()
+      .post(`/websub/callback/${channelId}`)
+      .set('Content-Type', 'application/atom+xml')
+      .set('X-Hub-Signature', signature)
+      .send(body);
+
+  const secretOf = (channelId) => readDoc(`channelVideos/${channelId}`).websub.secret;
+
+  describe('parseNotification', () => {
+    it('reads uploads from the Atom entries', () => {
+      expect(parseNotification(NOTIFICATION)).toEqual({
+        videos: [{
+          videoId: 'alphaVid006',
+          channelId: ALPHA,
+          title: 'Racks & rails: mounting the lab',
+          publishedAt: '2024-05-11T15:00:00.000Z',
+        }],
+        deletedVideoIds: [],
+      });
+    });
+
+    it('reads deleted entries', () => {
+      const xml = '<feed xmlns:at="http://purl.org/atompub/tombstones/1.0">' +
+        '<at:deleted-entry ref="yt:video:alphaVid002" when="2024-05-12T00:00:00+00:00"/>' +
+        '</feed>';
+
+      expect(parseNotification(xml)).toEqual({videos: [], deletedVideoIds: ['alphaVid002']});
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('accepts a matching HMAC and rejects anything else', () => {
+      const body = Buffer.from(NOTIFICATION);
+
+      expect(verifySignature(body, sign(body, 'secret'), 'secret')).toBe(true);
+      expect(verifySignature(body, sign(body, 'other'), 'secret')).toBe(false);
+      expect(verifySignature(body, 'sha1=abc', 'secret')).toBe(false);
+      expect(verifySignature(body, undefined, 'secret')).toBe(false);
+    });
+  });
+
+  describe('subscription lifecycle', () => {
+    it('subscribes every channel the user follows', async () => {
+      const response = await app().post('/websub/subscribe').set(AUTH).send({userId: 'user-1'});
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({channelCount: 3, requested: 3, skipped: 0});
+      expect(hub.requests[0]).toMatchObject({
+        mode: 'subscribe',
+        topic: `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${ALPHA}`,
+        callback: `https://api.example.test/websub/callback/${ALPHA}`,
+        secret: expect.any(String),
+      });
+      expect(readDoc(`channelVideos/${ALPHA}`).websub.state).toBe('pending');
+    });
+
+    it('activates the subscription when the hub verifies it', async () => {
+      await subscribeChannels([ALPHA]);
+
+      const response = await verify(ALPHA);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('challenge-123');
+      expect(readDoc(`channelVideos/${ALPHA}`).websub).toMatchObject({
+        state: 'active',
+        leaseExpiresAt: expect.any(Number),
+      });
+    });
+
+    it('refuses verifications it did not ask for', async () => {
+      await subscribeChannels([ALPHA]);
+
+      await verify('UCunknownXXXXXXXXXXXXXXX').expect(404);
+      await verify(ALPHA, {'hub.topic': topicUrl('UCother')}).expect(404);
+      await verify(ALPHA, {'hub.mode': 'unsubscribe'}).expect(404);
+    });
+
+    it('records a denied subscription', async () => {
+      await subscribeChannels([ALPHA]);
+
+      await verify(ALPHA, {'hub.mode': 'denied', 'hub.reason': 'topic not found'}).expect(200);
+
+      expect(readDoc(`channelVideos/${ALPHA}`).websub).toMatchObject({
+        state: 'denied',
+        deniedReason: 'topic not found',
+      });
+    });
+
+    it('skips channels that are already covered', async () => {
+      await subscribeChannels([ALPHA]);
+      await verify(ALPHA);
+
+      const result = await subscribeChannels([ALPHA, 'UCbetaKitchenXXXXXXXXXXX']);
+
+      expect(result).toEqual({requested: 1, skipped: 1, failed: []});
+      expect(hub.requests).toHaveLength(2);
+    });
+
+    it('reports channels the hub rejects', async () => {
+      hub.fail(new Error('Hub rejected subscribe with status 400'));
+
+      const result = await subscribeChannels([ALPHA]);
+
+      expect(result.failed).toEqual([
+        {channelId: ALPHA, error: 'Hub rejected subscribe with status 400'},
+      ]);
+    });
+  });
+
+  describe('notifications', () => {
+    beforeEach(async () => {
+      await subscribeChannels([ALPHA]);
+      await verify(ALPHA);
+    });
+
+    it('stores uploads from a signed notification', async () => {
+      await notify(ALPHA, NOTIFICATION, sign(NOTIFICATION, secretOf(ALPHA))).expect(204);
+
+      expect(readDoc(`channelVideos/${ALPHA}/videos/alphaVid006`)).toMatchObject({
+        videoId: 'alphaVid006',
+        title: 'Racks & rails: mounting the lab',
+        publishedAt: '2024-05-11T15:00:00.000Z',
+        deleted: false,
+      });
+    });
+
+    it('acknowledges but ignores a notification with a bad signature', async () => {
+      await notify(ALPHA, NOTIFICATION, sign(NOTIFICATION, 'wrong-secret')).expect(202);
+
+      expect(readDoc(`channelVideos/${ALPHA}/videos/alphaVid006`)).toBeUndefined();
+    });
+
+    it('ignores entries for another channel', async () => {
+      const body = NOTIFICATION.replace(/UCa1phaTechXXXXXXXXXXXXX/g, 'UCotherXXXXXXXXXXXXXXXXX');
+
+      await notify(ALPHA, body, sign(body, secretOf(ALPHA))).expect(204);
+
+      expect(readDoc(`channelVideos/${ALPHA}/videos/alphaVid006`)).toBeUndefined();
+    });
+
+    it('serves new uploads from the store instead of activities.list', async () => {
+      await app().post('/videos').set(AUTH).send({userId: 'user-1'}).expect(200);
+      await notify(ALPHA, NOTIFICATION, sign(NOTIFICATION, secretOf(ALPHA))).expect(204);
+      const activitiesBefore = youtube.calls.filter((call) => call.method === 'activities.list');
+
+      const response = await app()
+          .post('/videos').set(AUTH)
+          .send({userId: 'user-1', cacheMaxAgeSeconds: 0})
+          .expect(200);
+
+      const activitiesAfter = youtube.calls.filter((call) => call.method === 'activities.list');
+      const synced = activitiesAfter.slice(activitiesBefore.length);
+      expect(synced.map((call) => call.params.channelId)).not.toContain(ALPHA);
+      expect(synced).toHaveLength(2);
+      expect(response.body.data.videos[0]).toMatchObject({
+        videoId: 'alphaVid006',
+        channelName: 'Alpha Tech',
+      });
+    });
+  });
+
+  describe('renewLeases', () => {
+    const seed = (channelId, websub) => writeDoc(`channelVideos/${channelId}`, {
+      channelId,
+      websub: {state: 'active', secret: 's', activeSince: 1, ...websub},
+    });
+
+    it('resubscribes followed channels whose lease is about to end', async () => {
+      const now = Date.now();
+      seed(ALPHA, {leaseExpiresAt: now + DAY_MS / 2, wantedAt: now});
+      seed('UClaterXXXXXXXXXXXXXXXXX', {leaseExpiresAt: now + 3 * DAY_MS, wantedAt: now});
+      seed('UCunfollowedXXXXXXXXXXXX', {leaseExpiresAt: now + DAY_MS / 2, wantedAt: 0});
+
+      const result = await renewLeases();
+
+      expect(result).toEqual({renewed: 1, dropped: 1, failed: 0});
+      expect(hub.requests.map((req) => req.topic)).toEqual([topicUrl(ALPHA)]);
+      expect(readDoc(`channelVideos/${ALPHA}`).websub).toMatchObject({
+        state: 'active',
+        secret: 's',
+      });
+    });
+  });
+});
@@ -0,0 +1,372 @@
+jest.mock('firebase-admin', () => require('./fakes/firebaseAdmin').admin);
+
+const {resetFirestore} = require('./fakes/firebaseAdmin');
+const {broadcastVideos, createFakeYoutube, youtubeError} = require('./fakes/youtube');
+const {
+  getSubscriptionVideos,
+  fetchAllSubscriptions,
+  fetchChannelUploads,
+} = require('../youtubeSubscriptions');
+const {decodeCursor} = require('../cursor');
+const {createQuotaBudget} = require('../quotaLedger');
+const videoList = require('./fixtures/videos.list.json');
+
+// Every fixture upload in feed order (newest first, videoId breaks the 2024-05-06 tie)
+const FEED_ORDER = [
+  'gammaVid001', 'alphaVid001', 'betaVid0001', 'alphaVid002', 'betaVid0002', 'betaVid0003',
+  'alphaVid003', 'gammaVid002', 'alphaVid004', 'alphaVid005', 'betaVid0004', 'gammaVid003',
+];
+
+const ids = (videos) => videos.map((video) => video.videoId);
+
+// alphaVid001 is streaming, betaVid0001 is a premiere that hasn't started
+const BROADCASTS = {
+  alphaVid001: {liveBroadcastContent: 'live', actualStartTime: '2024-05-10T15:05:00Z',
+    concurrentViewers: '812'},
+  betaVid0001: {liveBroadcastContent: 'upcoming', scheduledStartTime: '2024-05-12T18:00:00Z'},
+};
+
+describe('youtubeSubscriptions', () => {
+  let youtube;
+
+  // Fetch through the fake client with a short retry backoff
+  const fetchFeed = (options = {}) => getSubscriptionVideos('token', {
+    youtube,
+    schedulerOptions: {baseDelayMs: 1},
+    ...options,
+  });
+
+  beforeEach(() => {
+    resetFirestore();
+    youtube = createFakeYoutube();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('fetchAllSubscriptions', () => {
+    it('follows nextPageToken and counts pages', async () => {
+      const {items, pages} = await fetchAllSubscriptions(youtube);
+
+      expect(pages).toBe(2);
+      expect(items).toHaveLength(3);
+      expect(youtube.calls[1].params.pageToken).toBe('CAIQAA');
+    });
+
+    it('stops at maxPages', async () => {
+      const {items, pages} = await fetchAllSubscriptions(youtube, {maxPages: 1});
+
+      expect(pages).toBe(1);
+      expect(items).toHaveLength(2);
+    });
+  });
+
+  describe('fetchChannelUploads', () => {
+    it('keeps only upload activities and reports the fetched range', async () => {
+      const result = await fetchChannelUploads(youtube, 'UCa1phaTechXXXXXXXXXXXXX', {
+        maxResults: 3,
+      });
+
+      expect(ids(result.uploads)).toEqual(['alphaVid001', 'alphaVid002']);
+      expect(result.newestActivityAt).toBe('2024-05-10T15:00:00Z');
+      expect(result.oldestActivityAt).toBe('2024-05-08T15:00:00Z');
+      expect(result.hasMore).toBe(true);
+    });
+  });
+
+  describe('getSubscriptionVideos', () => {
+    it('returns videos from every channel sorted newest first', async () => {
+      const result = await fetchFeed();
+
+      expect(ids(result.videos)).toEqual(FEED_ORDER);
+      expect(result.nextCursor).toBeNull();
+      expect(result.videos[0]).toMatchObject({
+        videoId: 'gammaVid001',
+        channelName: 'Gamma Beats',
+        duration: 'PT42S',
+        thumbnaillUrl: 'https://i.ytimg.com/vi/gammaVid001/hqdefault.jpg',
+        language: 'en',
+      });
+    });
+
+    it('pages through the whole feed with the cursor', async () => {
+      const seen = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const result = await fetchFeed({maxResults: 4, cursor});
+        seen.push(...ids(result.videos));
+        cursor = result.nextCursor ? decodeCursor(result.nextCursor) : null;
+        pages += 1;
+      } while (cursor && pages < 20);
+
+      expect(seen).toEqual(FEED_ORDER);
+    });
+
+    it('leaves out excluded videos', async () => {
+      const result = await fetchFeed({excludeList: new Set(['gammaVid001', 'alphaVid003'])});
+
+      expect(ids(result.videos)).toEqual(
+          FEED_ORDER.filter((videoId) => !['gammaVid001', 'alphaVid003'].includes(videoId)),
+      );
+    });
+
+    it('applies filters before slicing the page', async () => {
+      // A 2:30 upload is a Short too (gammaVid001 runs 42 seconds)
+      youtube = createFakeYoutube({
+        videos: videoList.items.map((video) => (video.id === 'alphaVid001' ?
+          {...video, contentDetails: {...video.contentDetails, duration: 'PT2M30S'}} :
+          video)),
+      });
+
+      const result = await fetchFeed({maxResults: 3, filters: {excludeShorts: true}});
+
+      expect(ids(result.videos)).toEqual(['betaVid0001', 'alphaVid002']);
+    });
+
+    it('only queries activities for the first maxChannels channels', async () => {
+      const result = await fetchFeed({maxChannels: 1});
+
+      expect(youtube.count('activities.list')).toBe(1);
+      expect(ids(result.videos)).toEqual(
+          ['alphaVid001', 'alphaVid002', 'alphaVid003', 'alphaVid004', 'alphaVid005'],
+      );
+    });
+
+    it('counts every call in quotaUsed and charges the budget', async () => {
+      const quotaBudget = await createQuotaBudget('user-1');
+      const result = await fetchFeed({quotaBudget});
+
+      // 2 subscriptions pages + 3 activities.list + 1 videos.list
+      expect(result.quotaUsed).toBe(6);
+      expect(youtube.count()).toBe(6);
+      expect(quotaBudget.used()).toBe(6);
+      expect(result.degraded).toBe(false);
+    });
+
+    it('serves a repeat request from the feed cache without quota', async () => {
+      await fetchFeed({userId: 'user-1'});
+      const callsBefore = youtube.count();
+
+      const result = await fetchFeed({userId: 'user-1'});
+
+      expect(youtube.count()).toBe(callsBefore);
+      expect(result.fromCache).toBe(true);
+      expect(result.quotaUsed).toBe(0);
+      expect(ids(result.videos)).toEqual(FEED_ORDER);
+    });
+
+    it('keeps the other channels when one channel fails', async () => {
+      youtube.fail('activities.list', youtubeError(404, 'channelNotFound', 'Channel not found'), {
+        where: (params) => params.channelId === 'UCbetaKitchenXXXXXXXXXXX',
+      });
+
+      const result = await fetchFeed();
+
+      expect(ids(result.videos)).toEqual(
+          FEED_ORDER.filter((videoId) => !videoId.startsWith('beta')),
+      );
+      expect(result.partialFailures).toEqual([expect.objectContaining({
+        channelId: 'UCbetaKitchenXXXXXXXXXXX',
+        method: 'activities.list',
+        code: 'NOT_FOUND',
+        reason: 'channelNotFound',
+      })]);
+    });
+
+    it('keeps the HTTP status when YouTube rejects the token', async () => {
+      youtube.fail('subscriptions.list', youtubeError(401, 'authError', 'Invalid Credentials'));
+
+      await expect(fetchFeed()).rejects.toMatchObject({
+        code: 'AUTH_REQUIRED',
+        status: 401,
+        reason: 'authError',
+      });
+    });
+
+    it('aborts when YouTube rejects the token for a channel', async () => {
+      youtube.fail('activities.list', youtubeError(401, 'authError', 'Invalid Credentials'));
+
+      await expect(fetchFeed()).rejects.toMatchObject({
+        code: 'AUTH_REQUIRED',
+      });
+    });
+
+    it('reports failed video details against their channels', async () => {
+      youtube.fail('videos.list', youtubeError(503, 'backendError', 'Backend Error'));
+
+      const result = await fetchFeed({maxChannels: 1});
+
+      expect(result.videos).toEqual([]);
+      expect(result.partialFailures).toEqual([expect.objectContaining({
+        channelId: 'UCa1phaTechXXXXXXXXXXXXX',
+        method: 'videos.list',
+        code: 'YOUTUBE_UNAVAILABLE',
+      })]);
+    });
+
+    it('retries a rate-limited channel and charges every attempt', async () => {
+      youtube.fail('activities.list', youtubeError(403, 'rateLimitExceeded', 'Rate limit'), {
+        times: 2,
+        where: (params) => params.channelId === 'UCbetaKitchenXXXXXXXXXXX',
+      });
+
+      const result = await fetchFeed();
+
+      expect(ids(result.videos)).toEqual(FEED_ORDER);
+      expect(result.partialFailures).toEqual([]);
+      expect(youtube.count('activities.list')).toBe(5);
+      // 2 subscriptions pages + 5 activities.list attempts + 1 videos.list
+      expect(result.quotaUsed).toBe(8);
+    });
+
+    it('gives up on a channel after the retries run out', async () => {
+      youtube.fail('activities.list', youtubeError(503, 'backendError', 'Backend Error'), {
+        where: (params) => params.channelId === 'UCbetaKitchenXXXXXXXXXXX',
+      });
+
+      const result = await fetchFeed({schedulerOptions: {baseDelayMs: 1, maxRetries: 2}});
+
+      expect(youtube.calls.filter((call) => (
+        call.params.channelId === 'UCbetaKitchenXXXXXXXXXXX'
+      ))).toHaveLength(3);
+      expect(result.partialFailures).toEqual([expect.objectContaining({
+        channelId: 'UCbetaKitchenXXXXXXXXXXX',
+        code: 'YOUTUBE_UNAVAILABLE',
+      })]);
+    });
+
+    it('ranks popular videos by view count', async () => {
+      const result = await fetchFeed({sort: 'popular'});
+
+      expect(result.ranking).toBe('popular');
+      expect(ids(result.videos)).toEqual([
+        'gammaVid002', 'gammaVid003', 'betaVid0001', 'betaVid0002', 'betaVid0003', 'betaVid0004',
+        'gammaVid001', 'alphaVid003', 'alphaVid002', 'alphaVid004', 'alphaVid001', 'alphaVid005',
+      ]);
+      expect(youtube.calls.filter((call) => call.params.part === 'statistics')).toHaveLength(1);
+    });
+
+    it('falls back to newest when statistics are unavailable', async () => {
+      youtube.fail('videos.list', youtubeError(503, 'backendError', 'Backend Error'), {
+        where: (params) => params.part === 'statistics',
+      });
+
+      const result = await fetchFeed({sort: 'popular', schedulerOptions: {maxRetries: 0}});
+
+      expect(result.ranking).toBe('newest');
+      expect(result.degraded).toBe(true);
+      expect(ids(result.videos)).toEqual(FEED_ORDER);
+    });
+
+    it('boosts channels with watch history for personal', async () => {
+      const result = await fetchFeed({
+        sort: 'personal',
+        channelWeights: new Map([['UCbetaKitchenXXXXXXXXXXX', 3]]),
+      });
+
+      expect(result.ranking).toBe('personal');
+      expect(ids(result.videos).slice(0, 5)).toEqual(
+          ['betaVid0001', 'betaVid0002', 'betaVid0003', 'betaVid0004', 'gammaVid001'],
+      );
+    });
+
+    it('reports newest for personal without history', async () => {
+      const result = await fetchFeed({sort: 'personal', channelWeights: new Map()});
+
+      expect(result.ranking).toBe('newest');
+      expect(ids(result.videos)).toEqual(FEED_ORDER);
+    });
+
+    it('pages through a ranked feed without repeating or skipping videos', async () => {
+      const seen = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const result = await fetchFeed({sort: 'channelInterleave', maxResults: 4, cursor});
+        seen.push(...ids(result.videos));
+        cursor = result.nextCursor ? decodeCursor(result.nextCursor) : null;
+        pages += 1;
+      } while (cursor && pages < 20);
+
+      expect(seen.slice(0, 3)).toEqual(['gammaVid001', 'alphaVid001', 'betaVid0001']);
+      expect([...seen].sort()).toEqual([...FEED_ORDER].sort());
+    });
+
+    it('returns the channels fetched so far when the deadline runs out', async () => {
+      youtube.delay('activities.list', 400, {
+        where: (params) => params.channelId === 'UCgammaBeatsXXXXXXXXXXXX',
+      });
+
+      const result = await fetchFeed({schedulerOptions: {deadlineMs: 200}});
+
+      expect(ids(result.videos)).toEqual(
+          FEED_ORDER.filter((videoId) => !videoId.startsWith('gamma')),
+      );
+      expect(result.partialFailures).toEqual([expect.objectContaining({
+        channelId: 'UCgammaBeatsXXXXXXXXXXXX',
+        code: 'DEADLINE_EXCEEDED',
+      })]);
+      expect(result.degraded).toBe(true);
+    });
+
+    it('labels live, upcoming and on-demand videos', async () => {
+      youtube = createFakeYoutube({videos: broadcastVideos(BROADCASTS)});
+
+      const result = await fetchFeed({maxResults: 3});
+
+      expect(result.videos).toEqual([
+        expect.objectContaining({videoId: 'gammaVid001', liveStatus: 'vod', duration: 'PT42S'}),
+        expect.objectContaining({videoId: 'alphaVid001', liveStatus: 'live', duration: null,
+          actualStartTime: '2024-05-10T15:05:00Z', concurrentViewers: 812}),
+        expect.objectContaining({videoId: 'betaVid0001', liveStatus: 'upcoming', duration: null,
+          scheduledStartTime: '2024-05-12T18:00:00Z'}),
+      ]);
+    });
+
+    it('excludes broadcasts or lists them separately', async () => {
+      youtube = createFakeYoutube({videos: broadcastVideos(BROADCASTS)});
+      const broadcastIds = Object.keys(BROADCASTS);
+
+      const excluded = await fetchFeed({live: 'exclude'});
+      const separate = await fetchFeed({live: 'separate'});
+      const only = await fetchFeed({live: 'only'});
+
+      expect(ids(excluded.videos)).toEqual(
+          FEED_ORDER.filter((videoId) => !broadcastIds.includes(videoId)),
+      );
+      expect(excluded.liveVideos).toEqual([]);
+      expect(ids(separate.videos)).toEqual(ids(excluded.videos));
+      expect(ids(separate.liveVideos)).toEqual(['alphaVid001', 'betaVid0001']);
+      expect(ids(only.videos)).toEqual(['alphaVid001', 'betaVid0001']);
+    });
+
+    it('re-checks cached broadcasts on every request', async () => {
+      youtube = createFakeYoutube({videos: broadcastVideos(BROADCASTS)});
+      await fetchFeed({userId: 'user-1'});
+
+      // The premiere has aired and the stream ended since the feed was cached
+      youtube = createFakeYoutube({videos: broadcastVideos({
+        alphaVid001: {actualStartTime: '2024-05-10T15:05:00Z',
+          actualEndTime: '2024-05-10T16:00:00Z'},
+        betaVid0001: {scheduledStartTime: '2024-05-12T18:00:00Z',
+          actualStartTime: '2024-05-12T18:00:00Z', actualEndTime: '2024-05-12T18:20:00Z'},
+      })});
+      const result = await fetchFeed({userId: 'user-1', maxResults: 3});
+
+      expect(youtube.calls).toEqual([expect.objectContaining({
+        method: 'videos.list',
+        params: expect.objectContaining({id: 'alphaVid001,betaVid0001'}),
+      })]);
+      expect(result.videos.map((video) => [video.videoId, video.liveStatus])).toEqual([
+        ['gammaVid001', 'vod'], ['alphaVid001', 'vod'], ['betaVid0001', 'vod'],
+      ]);
+      expect(result.videos[1].duration).toBe('PT18M2S');
+    });
+  });
+});
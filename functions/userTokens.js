@@ -0,0 +1,166 @@
+const admin = require('firebase-admin');
+const {ApiError, toApiError} = require('./apiErrors');
+
+/**
+ * Server-side OAuth token management
+ * Tokens are written to Firestore by the googleOauth service; this module reads them,
+ * refreshes expired access tokens through the googleOauth refresh endpoint and retries
+ * a YouTube call once if Google rejects the access token.
+ */
+
+// Firestore collection holding one token document per userId
+const TOKENS_COLLECTION = process.env.TOKENS_COLLECTION || 'userTokens';
+
+// Refresh a little before the real expiry so in-flight requests don't race it
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+/**
+ * Create an error that the API reports as 401 / authRequired
+ * @param {string} message - Error message
+ * @return {ApiError} AUTH_REQUIRED error (also flagged with authRequired)
+ */
+function authRequiredError(message) {
+  const error = new ApiError('AUTH_REQUIRED', message);
+  error.authRequired = true;
+  return error;
+}
+
+/**
+ * Convert a stored expiry (Firestore Timestamp, epoch ms or ISO string) to epoch ms
+ * @param {*} value - Stored expiry value
+ * @return {number|null} Expiry in epoch milliseconds, or null if unknown
+ */
+function toMillis(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  const millis = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+/**
+ * Read the stored tokens for a user
+ * @param {string} userId - User ID used with the googleOauth service
+ * @return {Promise<Object>} Stored token document ({accessToken, refreshToken, expiresAt})
+ */
+async function getStoredTokens(userId) {
+  const doc = await admin.firestore().collection(TOKENS_COLLECTION).doc(userId).get();
+
+  if (!doc.exists) {
+    throw authRequiredError(`No stored tokens for user ${userId} - authenticate via googleOauth`);
+  }
+
+  return doc.data();
+}
+
+/**
+ * Refresh the user's access token through the googleOauth refresh endpoint
+ * @param {string} userId - User ID used with the googleOauth service
+ * @return {Promise<string>} Fresh access token
+ */
+async function refreshAccessToken(userId) {
+  const refreshUrl = process.env.OAUTH_SERVICE_URL;
+  if (!refreshUrl) {
+    throw new Error('OAUTH_SERVICE_URL is not configured');
+  }
+
+  const response = await fetch(refreshUrl, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({userId}),
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 400 || response.status === 401 || response.status === 404) {
+    // Refresh token revoked or missing (invalid_grant) - the user must sign in again
+    const reason = body.error || response.status;
+    throw authRequiredError(`Token refresh rejected for user ${userId}: ${reason}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Token refresh failed with status ${response.status}`);
+  }
+
+  const accessToken = body.accessToken || body.access_token;
+  if (!accessToken) {
+    throw new Error('Token refresh response did not include an access token');
+  }
+
+  const expiresIn = body.expiresIn || body.expires_in;
+  const expiresAt = toMillis(body.expiresAt || body.expiry_date) ||
+    (expiresIn ? Date.now() + expiresIn * 1000 : null);
+
+  // Keep our copy current so the next request doesn't refresh again
+  await admin.firestore().collection(TOKENS_COLLECTION).doc(userId).set({
+    accessToken,
+    expiresAt,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+
+  console.log(`Refreshed access token for user ${userId}`);
+
+  return accessToken;
+}
+
+/**
+ * Get a usable access token for a user, refreshing it if it has expired
+ * @param {string} userId - User ID used with the googleOauth service
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.forceRefresh - Skip the stored token and refresh immediately
+ * @return {Promise<string>} Access token
+ */
+async function getValidAccessToken(userId, options = {}) {
+  const {forceRefresh = false} = options;
+
+  const tokens = await getStoredTokens(userId);
+  const expiresAt = toMillis(tokens.expiresAt);
+  const expired = !expiresAt || expiresAt - EXPIRY_SKEW_MS <= Date.now();
+
+  if (tokens.accessToken && !expired && !forceRefresh) {
+    return tokens.accessToken;
+  }
+
+  return refreshAccessToken(userId);
+}
+
+/**
+ * Check whether an error means Google rejected the access token
+ * @param {Error} error - Error thrown by a YouTube call
+ * @return {boolean} True for 401 / invalid credentials
+ */
+function isUnauthorizedError(error) {
+  return toApiError(error).code === 'AUTH_REQUIRED';
+}
+
+/**
+ * Run a YouTube call with the user's stored access token, refreshing and retrying once on 401
+ * @param {string} userId - User ID used with the googleOauth service
+ * @param {Function} call - Async function receiving the access token
+ * @return {Promise<*>} Result of the call
+ */
+async function withUserAccessToken(userId, call) {
+  const accessToken = await getValidAccessToken(userId);
+
+  try {
+    return await call(accessToken);
+  } catch (error) {
+    if (!isUnauthorizedError(error)) {
+      throw error;
+    }
+
+    console.log(`Access token rejected for user ${userId}, refreshing and retrying once`);
+    const refreshedToken = await getValidAccessToken(userId, {forceRefresh: true});
+    return call(refreshedToken);
+  }
+}
+
+module.exports = {
+  getStoredTokens,
+  refreshAccessToken,
+  getValidAccessToken,
+  withUserAccessToken,
+};
@@ -0,0 +1,134 @@
+const {liveStatusOf} = require('./liveStatus');
+
+/**
+ * Response schemas and field projection for POST /videos
+ *
+ * Videos are kept internally as normalized records (see youtubeSubscriptions.formatVideo).
+ * A response schema decides what a client sees:
+ * - v1 (default) is the original fixed shape, including its misspelled `thumbnaillUrl` key
+ * - v2 spells `thumbnailUrl` correctly and adds channel, tag, statistics, live status,
+ *   caption and thumbnail size fields
+ * `fields` picks a subset of the schema's fields; videoId is always returned.
+ */
+
+// Field name -> how to read it from a normalized record
+const FIELD_READERS = {
+  videoId: (record) => record.videoId,
+  title: (record) => record.title,
+  description: (record) => record.description,
+  thumbnailUrl: (record) => record.thumbnaillUrl,
+  thumbnails: (record) => record.thumbnails,
+  duration: (record) => record.duration,
+  channelId: (record) => record.channelId,
+  channelName: (record) => record.channelName,
+  publishedAt: (record) => record.publishedAt,
+  language: (record) => record.language,
+  tags: (record) => record.tags,
+  viewCount: (record) => record.statistics?.viewCount,
+  likeCount: (record) => record.statistics?.likeCount,
+  commentCount: (record) => record.statistics?.commentCount,
+  liveBroadcastContent: (record) => record.liveBroadcastContent,
+  liveStatus: (record) => liveStatusOf(record),
+  scheduledStartTime: (record) => record.scheduledStartTime,
+  actualStartTime: (record) => record.actualStartTime,
+  actualEndTime: (record) => record.actualEndTime,
+  concurrentViewers: (record) => record.concurrentViewers,
+  hasCaptions: (record) => record.hasCaptions,
+};
+
+// The original response shape
+const V1_FIELDS = [
+  'videoId', 'title', 'description', 'thumbnaillUrl', 'duration', 'channelName',
+  'publishedAt', 'language',
+];
+
+const SCHEMAS = {
+  v1: {
+    fields: V1_FIELDS,
+    defaults: V1_FIELDS,
+    // v1 keeps the original key for the thumbnail
+    aliases: {thumbnaillUrl: 'thumbnailUrl'},
+  },
+  v2: {
+    fields: Object.keys(FIELD_READERS),
+    defaults: [
+      'videoId', 'title', 'description', 'thumbnailUrl', 'duration', 'channelId',
+      'channelName', 'publishedAt', 'language', 'liveStatus',
+    ],
+    aliases: {},
+  },
+};
+
+const SCHEMA_VERSIONS = Object.keys(SCHEMAS);
+const DEFAULT_SCHEMA = 'v1';
+
+// videos.list parts beyond snippet,contentDetails,liveStreamingDetails (always fetched for
+// records) by field
+const FIELD_PARTS = {
+  viewCount: 'statistics',
+  likeCount: 'statistics',
+  commentCount: 'statistics',
+};
+
+/**
+ * Resolve the `schema` and `fields` request options
+ * @param {Object} options - Request options
+ * @param {string} options.schema - One of SCHEMA_VERSIONS (default: v1)
+ * @param {string|Array<string>} options.fields - Field names ('title,duration' or an array;
+ *   default: the schema's default fields)
+ * @return {Object} {projection: {schema, fields}, parts: extra videos.list parts} or
+ *   {error} if the options are invalid
+ */
+function resolveFields(options = {}) {
+  const {schema = DEFAULT_SCHEMA, fields} = options;
+  if (!SCHEMA_VERSIONS.includes(schema)) {
+    return {error: `schema must be one of: ${SCHEMA_VERSIONS.join(', ')}`};
+  }
+
+  const definition = SCHEMAS[schema];
+  let selected = definition.defaults;
+  if (fields !== undefined) {
+    const names = Array.isArray(fields) ? fields : String(fields).split(',');
+    selected = names.map((name) => String(name).trim()).filter(Boolean);
+
+    const unknown = selected.filter((name) => !definition.fields.includes(name));
+    if (unknown.length > 0 || selected.length === 0) {
+      return {
+        error: `fields must be ${schema} fields: ${definition.fields.join(', ')}`,
+      };
+    }
+  }
+
+  const projected = ['videoId', ...selected.filter((name) => name !== 'videoId')];
+  const parts = [...new Set(projected
+      .map((name) => FIELD_PARTS[definition.aliases[name] || name])
+      .filter(Boolean))];
+
+  return {projection: {schema, fields: projected}, parts};
+}
+
+/**
+ * Project a normalized record onto the requested fields
+ * In v2, fields a record doesn't have (e.g. metadata missing from records cached before it
+ * was stored) are null; v1 leaves them out, as it always has.
+ * @param {Object} record - Normalized video record
+ * @param {Object} projection - From resolveFields ({schema, fields})
+ * @return {Object} Video in the response schema
+ */
+function projectVideo(record, projection) {
+  const {aliases} = SCHEMAS[projection.schema];
+  const video = {};
+  projection.fields.forEach((name) => {
+    const value = FIELD_READERS[aliases[name] || name](record);
+    if (value !== undefined || projection.schema !== 'v1') {
+      video[name] = value === undefined ? null : value;
+    }
+  });
+  return video;
+}
+
+module.exports = {
+  SCHEMA_VERSIONS,
+  resolveFields,
+  projectVideo,
+};
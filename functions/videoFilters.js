@@ -0,0 +1,168 @@
+/**
+ * Request filters for POST /videos
+ * Filters run on normalized video records before the page is sliced to maxResults,
+ * so a filtered page is still full whenever enough matching videos exist.
+ */
+
+// Shorts have no API flag: treat very short videos and #shorts uploads as Shorts (Shorts
+// can run up to three minutes)
+const SHORTS_MAX_DURATION_SECONDS = 180;
+const SHORTS_HASHTAG = '#shorts';
+
+/**
+ * Parse an ISO 8601 duration (as returned by videos.list) into seconds
+ * @param {string} duration - ISO 8601 duration, e.g. PT1H2M3S or P1DT2H
+ * @return {number|null} Duration in seconds, or null if it cannot be parsed
+ */
+function parseDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+      duration || '',
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Check whether a video looks like a YouTube Short
+ * @param {Object} video - Normalized video record
+ * @return {boolean} True if the video is treated as a Short
+ */
+function isShort(video) {
+  const seconds = parseDuration(video.duration);
+  const text = `${video.title || ''} ${video.description || ''}`.toLowerCase();
+  return (seconds !== null && seconds > 0 && seconds <= SHORTS_MAX_DURATION_SECONDS) ||
+    text.includes(SHORTS_HASHTAG);
+}
+
+/**
+ * Reduce a language tag to its lowercase primary subtag ('en-US' -> 'en')
+ * @param {string} language - BCP-47 language tag or 'unknown'
+ * @return {string} Primary language subtag
+ */
+function primaryLanguage(language) {
+  return String(language || 'unknown').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Build a predicate for the filter options of a request
+ * @param {Object} filters - Filter options
+ * @param {number} filters.minDuration - Minimum duration in seconds
+ * @param {number} filters.maxDuration - Maximum duration in seconds
+ * @param {boolean} filters.excludeShorts - Drop YouTube Shorts
+ * @param {Array<string>} filters.includeLanguages - Only these languages ('unknown' allowed)
+ * @param {Array<string>} filters.excludeLanguages - Drop these languages
+ * @param {string} filters.publishedAfter - Earliest date filter (ISO 8601 format)
+ * @param {Array<string>} filters.includeKeywords - Title/description must contain one of these
+ * @param {Array<string>} filters.excludeKeywords - Title/description must contain none of these
+ * @return {Function} Predicate receiving a normalized video record
+ */
+function buildVideoFilter(filters = {}) {
+  const {
+    minDuration,
+    maxDuration,
+    excludeShorts = false,
+    includeLanguages = [],
+    excludeLanguages = [],
+    publishedAfter,
+    includeKeywords = [],
+    excludeKeywords = [],
+  } = filters;
+
+  const included = new Set(includeLanguages.map(primaryLanguage));
+  const excluded = new Set(excludeLanguages.map(primaryLanguage));
+  const includeTerms = includeKeywords.map((keyword) => keyword.toLowerCase());
+  const excludeTerms = excludeKeywords.map((keyword) => keyword.toLowerCase());
+  const publishedAfterTime = publishedAfter ? new Date(publishedAfter).getTime() : null;
+
+  return (video) => {
+    if (publishedAfterTime !== null &&
+        new Date(video.publishedAt).getTime() <= publishedAfterTime) {
+      return false;
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+      const seconds = parseDuration(video.duration);
+      if (seconds === null ||
+          (minDuration !== undefined && seconds < minDuration) ||
+          (maxDuration !== undefined && seconds > maxDuration)) {
+        return false;
+      }
+    }
+
+    if (excludeShorts && isShort(video)) {
+      return false;
+    }
+
+    const language = primaryLanguage(video.language);
+    if ((included.size > 0 && !included.has(language)) || excluded.has(language)) {
+      return false;
+    }
+
+    if (includeTerms.length > 0 || excludeTerms.length > 0) {
+      const text = `${video.title || ''}\n${video.description || ''}`.toLowerCase();
+      if (includeTerms.length > 0 && !includeTerms.some((term) => text.includes(term))) {
+        return false;
+      }
+      if (excludeTerms.some((term) => text.includes(term))) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Validate filter options from a request body
+ * @param {Object} filters - Filter options (see buildVideoFilter)
+ * @return {string|null} Error message, or null if the filters are valid
+ */
+function validateFilters(filters) {
+  const {minDuration, maxDuration, excludeShorts, publishedAfter} = filters;
+
+  for (const [name, value] of Object.entries({minDuration, maxDuration})) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+      return `${name} must be a non-negative number of seconds`;
+    }
+  }
+
+  if (minDuration !== undefined && maxDuration !== undefined && minDuration > maxDuration) {
+    return 'minDuration must not be greater than maxDuration';
+  }
+
+  if (excludeShorts !== undefined && typeof excludeShorts !== 'boolean') {
+    return 'excludeShorts must be a boolean';
+  }
+
+  if (publishedAfter !== undefined && isNaN(new Date(publishedAfter).getTime())) {
+    return 'publishedAfter must be a valid ISO 8601 date string';
+  }
+
+  const listOptions = [
+    'includeLanguages',
+    'excludeLanguages',
+    'includeKeywords',
+    'excludeKeywords',
+  ];
+  for (const name of listOptions) {
+    const value = filters[name];
+    if (value !== undefined &&
+        (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && item))) {
+      return `${name} must be an array of non-empty strings`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SHORTS_MAX_DURATION_SECONDS,
+  parseDuration,
+  isShort,
+  buildVideoFilter,
+  validateFilters,
+};
@@ -0,0 +1,219 @@
+const admin = require('firebase-admin');
+
+/**
+ * Per-user video state (watched, dismissed, saved for later)
+ * videoState/{userId}/videos/{videoId} - {state, channelId, updatedAt}
+ *
+ * Videos with any state are left out of POST /videos unless the request asks for that
+ * state back with `include`. Feeds read every state, a page at a time (see
+ * getFeedVideoStates), so a marked video never comes back however long the history grows.
+ * GET /state lists them newest first, one page per request.
+ */
+
+const VIDEO_STATE_COLLECTION = 'videoState';
+const VIDEO_STATES = ['watched', 'dismissed', 'saved'];
+
+// Documents per read when a feed loads every state
+const FEED_STATE_PAGE_SIZE = 1000;
+
+// Page sizes for GET /state
+const DEFAULT_STATE_PAGE_SIZE = 100;
+const MAX_STATE_PAGE_SIZE = 500;
+
+/**
+ * Get the video state collection for a user
+ * @param {string} userId - User ID
+ * @return {Object} Firestore CollectionReference
+ */
+function statesRef(userId) {
+  return admin.firestore()
+      .collection(VIDEO_STATE_COLLECTION)
+      .doc(userId)
+      .collection('videos');
+}
+
+/**
+ * Normalize the `include` request option into a list of states
+ * @param {string|Array<string>} include - 'watched', 'watched,saved' or ['watched', 'saved']
+ * @return {Array<string>|null} States to include, or null if the option is invalid
+ */
+function parseIncludeStates(include) {
+  if (include === undefined) {
+    return [];
+  }
+
+  const states = Array.isArray(include) ? include : String(include).split(',');
+  const trimmed = states.map((state) => String(state).trim()).filter(Boolean);
+  return trimmed.every((state) => VIDEO_STATES.includes(state)) ? trimmed : null;
+}
+
+/**
+ * Set a video's state
+ * @param {string} userId - User ID
+ * @param {string} videoId - Video ID
+ * @param {string} state - One of VIDEO_STATES
+ * @param {Object} details - Optional details
+ * @param {string} details.channelId - Channel the video belongs to
+ * @return {Promise<Object>} Stored entry
+ */
+async function setVideoState(userId, videoId, state, details = {}) {
+  const entry = {
+    state,
+    channelId: details.channelId || null,
+    updatedAt: Date.now(),
+  };
+  await statesRef(userId).doc(videoId).set(entry);
+  return {videoId, ...entry};
+}
+
+/**
+ * Clear a video's state
+ * @param {string} userId - User ID
+ * @param {string} videoId - Video ID
+ * @return {Promise<boolean>} True if the video had a state
+ */
+async function clearVideoState(userId, videoId) {
+  const ref = statesRef(userId).doc(videoId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+
+  await ref.delete();
+  return true;
+}
+
+/**
+ * Encode a GET /state cursor
+ * @param {Object} entry - Last entry of the page ({videoId, updatedAt})
+ * @return {string} base64url encoded cursor
+ */
+function encodeStateCursor({videoId, updatedAt}) {
+  return Buffer.from(JSON.stringify({videoId, updatedAt})).toString('base64url');
+}
+
+/**
+ * Decode a GET /state cursor
+ * @param {string} value - Cursor returned as nextCursor by a previous page
+ * @return {Object} {videoId, updatedAt}
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeStateCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!cursor || typeof cursor.videoId !== 'string' || !Number.isFinite(cursor.updatedAt)) {
+    throw new Error('Invalid cursor');
+  }
+  return cursor;
+}
+
+/**
+ * Read one page of the user's states, newest first (the video ID breaks ties)
+ * @param {string} userId - User ID
+ * @param {Object} options - Page options
+ * @param {string} options.state - One of VIDEO_STATES (omit for all)
+ * @param {number} options.limit - Page size
+ * @param {Object} options.after - Last entry of the previous page ({videoId, updatedAt})
+ * @return {Promise<Array<Object>>} Entries ({videoId, state, channelId, updatedAt})
+ */
+async function readStatePage(userId, {state, limit, after}) {
+  let query = statesRef(userId);
+  if (state) {
+    query = query.where('state', '==', state);
+  }
+  query = query
+      .orderBy('updatedAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  if (after) {
+    query = query.startAfter(after.updatedAt, after.videoId);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map((doc) => ({videoId: doc.id, ...doc.data()}));
+}
+
+/**
+ * List one page of the user's videos in a state (or all states)
+ * @param {string} userId - User ID
+ * @param {Object} options - Page options
+ * @param {string} options.state - One of VIDEO_STATES (omit for all)
+ * @param {number} options.limit - Page size (default: 100, at most 500)
+ * @param {Object} options.cursor - Decoded nextCursor of the previous page
+ * @return {Promise<Object>} {videos: entries ({videoId, state, channelId, updatedAt}) newest
+ *   first, nextCursor (null on the last page)}
+ */
+async function listVideoStates(userId, options = {}) {
+  const {state, limit = DEFAULT_STATE_PAGE_SIZE, cursor} = options;
+  const pageSize = Math.min(Math.max(limit, 1), MAX_STATE_PAGE_SIZE);
+
+  // One extra entry tells whether another page follows
+  const entries = await readStatePage(userId, {state, limit: pageSize + 1, after: cursor});
+  const videos = entries.slice(0, pageSize);
+
+  return {
+    videos,
+    nextCursor: entries.length > pageSize ? encodeStateCursor(videos[videos.length - 1]) : null,
+  };
+}
+
+/**
+ * Read all of the user's video states, for building a feed
+ * One read serves both the feed's exclusions and the personal ranking (see
+ * feedRanking.channelWeights).
+ * @param {string} userId - User ID
+ * @return {Promise<Array<Object>>} Entries ({videoId, state, channelId, updatedAt}), newest
+ *   first
+ */
+async function getFeedVideoStates(userId) {
+  const entries = [];
+  let page;
+  do {
+    page = await readStatePage(userId, {
+      limit: FEED_STATE_PAGE_SIZE,
+      after: entries[entries.length - 1],
+    });
+    entries.push(...page);
+  } while (page.length === FEED_STATE_PAGE_SIZE);
+  return entries;
+}
+
+/**
+ * Pick the videos to leave out of a feed
+ * @param {Array<Object>} entries - From getFeedVideoStates
+ * @param {Array<string>} includeStates - States the request wants back in the feed
+ * @return {Set<string>} Video IDs to exclude
+ */
+function toExcludedVideoIds(entries, includeStates = []) {
+  return new Set(
+      entries
+          .filter((entry) => !includeStates.includes(entry.state))
+          .map((entry) => entry.videoId),
+  );
+}
+
+/**
+ * Get the IDs of videos to leave out of the user's feed
+ * @param {string} userId - User ID
+ * @param {Array<string>} includeStates - States the request wants back in the feed
+ * @return {Promise<Set<string>>} Video IDs to exclude
+ */
+async function getExcludedVideoIds(userId, includeStates = []) {
+  return toExcludedVideoIds(await getFeedVideoStates(userId), includeStates);
+}
+
+module.exports = {
+  VIDEO_STATES,
+  MAX_STATE_PAGE_SIZE,
+  decodeStateCursor,
+  parseIncludeStates,
+  setVideoState,
+  clearVideoState,
+  listVideoStates,
+  getFeedVideoStates,
+  toExcludedVideoIds,
+  getExcludedVideoIds,
+};
@@ -0,0 +1,111 @@
+const express = require('express');
+const videoState = require('./videoState');
+const {requestUserId, requireUserId, sendServerError} = require('./httpHelpers');
+
+/**
+ * Watched / dismissed / saved-for-later routes, mounted at /state
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// Validate userId on every state route
+router.use(requireUserId);
+
+// List videos with a state (?state=saved for the saved-for-later list), a page at a time
+router.get('/', async (req, res) => {
+  try {
+    const {state, cursor} = req.query;
+    if (state !== undefined && !videoState.VIDEO_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        error: `state must be one of: ${videoState.VIDEO_STATES.join(', ')}`,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined &&
+        (!Number.isInteger(limit) || limit < 1 || limit > videoState.MAX_STATE_PAGE_SIZE)) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer from 1 to ${videoState.MAX_STATE_PAGE_SIZE}`,
+      });
+    }
+
+    let decoded;
+    if (cursor !== undefined) {
+      try {
+        decoded = videoState.decodeStateCursor(cursor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor must be a nextCursor value returned by a previous page',
+        });
+      }
+    }
+
+    const {videos, nextCursor} = await videoState.listVideoStates(requestUserId(req), {
+      state,
+      limit,
+      cursor: decoded,
+    });
+    res.json({
+      success: true,
+      data: {videos, count: videos.length, nextCursor},
+    });
+  } catch (error) {
+    sendServerError(res, 'list video states', error);
+  }
+});
+
+// Mark a video as watched, dismissed or saved
+router.put('/:videoId', async (req, res) => {
+  try {
+    const {state, channelId} = req.body;
+    if (!videoState.VIDEO_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        error: `state must be one of: ${videoState.VIDEO_STATES.join(', ')}`,
+      });
+    }
+
+    if (channelId !== undefined && typeof channelId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'channelId must be a string',
+      });
+    }
+
+    const entry = await videoState.setVideoState(
+        requestUserId(req), req.params.videoId, state, {channelId},
+    );
+
+    res.json({
+      success: true,
+      data: {video: entry},
+    });
+  } catch (error) {
+    sendServerError(res, 'set video state', error);
+  }
+});
+
+// Clear a video's state so it shows up in the feed again
+router.delete('/:videoId', async (req, res) => {
+  try {
+    const cleared = await videoState.clearVideoState(requestUserId(req), req.params.videoId);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video has no stored state',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {videoId: req.params.videoId, cleared: true},
+    });
+  } catch (error) {
+    sendServerError(res, 'clear video state', error);
+  }
+});
+
+module.exports = router;
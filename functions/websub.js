@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const channelStore = require('./channelStore');
+const {getHubClient} = require('./websubHub');
+const {createScheduler} = require('./requestScheduler');
+
+/**
+ * Push-based upload ingestion through YouTube's WebSub (PubSubHubbub) hub
+ *
+ * 1. subscribeChannels asks the hub to push a channel's upload feed to
+ *    WEBSUB_CALLBACK_URL/{channelId}, with a per-channel secret for signatures.
+ * 2. The hub verifies the intent with a GET to the callback (verifyIntent), which activates
+ *    the subscription for the granted lease.
+ * 3. Each notification is an Atom document POSTed to the callback (handleNotification);
+ *    its uploads are written to the shared channel store.
+ * 4. renewLeases resubscribes channels before their lease runs out.
+ */
+
+const TOPIC_URL = 'https://www.youtube.com/xml/feeds/videos.xml?channel_id=';
+
+// Requested lease (the hub may grant less); renew a day before it ends
+const LEASE_SECONDS = Number(process.env.WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60;
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+// Re-send a subscription the hub never verified after an hour
+const PENDING_RETRY_MS = 60 * 60 * 1000;
+
+// Stop renewing channels no user has asked for in 30 days
+const FOLLOW_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const FOLLOW_REFRESH_MS = 24 * 60 * 60 * 1000;
+
+// Hub requests share the scheduler's concurrency cap, with room for a full renewal run
+const HUB_CONCURRENCY = 10;
+const HUB_DEADLINE_MS = 5 * 60 * 1000;
+
+/**
+ * Get the hub topic (YouTube upload feed URL) for a channel
+ * @param {string} channelId - Channel ID
+ * @return {string} Topic URL
+ */
+function topicUrl(channelId) {
+  return `${TOPIC_URL}${encodeURIComponent(channelId)}`;
+}
+
+/**
+ * Get the callback URL the hub delivers a channel's notifications to
+ * @param {string} channelId - Channel ID
+ * @return {string} Callback URL
+ */
+function callbackUrl(channelId) {
+  const base = process.env.WEBSUB_CALLBACK_URL;
+  if (!base) {
+    throw new Error('WEBSUB_CALLBACK_URL is not configured');
+  }
+  return `${base.replace(/\/+$/, '')}/${encodeURIComponent(channelId)}`;
+}
+
+/**
+ * Check whether a channel needs a (new) subscription request
+ * @param {Object|undefined} websub - Stored websub state
+ * @param {number} now - Epoch ms
+ * @return {boolean} True if the hub should be asked again
+ */
+function needsSubscription(websub, now) {
+  if (!websub) {
+    return true;
+  }
+  if (websub.state === 'active') {
+    return websub.leaseExpiresAt - now < RENEW_BEFORE_MS;
+  }
+  if (websub.state === 'pending') {
+    return now - websub.requestedAt > PENDING_RETRY_MS;
+  }
+  return true;
+}
+
+/**
+ * Ask the hub to push channels' uploads to us (skipping channels that are already covered)
+ * @param {Array<string>} channelIds - Channels to subscribe
+ * @param {Object} options - Subscribe options
+ * @param {boolean} options.renewal - Lease renewal: resubscribe every channel given and
+ *   don't count it as followed
+ * @return {Promise<Object>} {requested, skipped, failed: [{channelId, error}]}
+ */
+async function subscribeChannels(channelIds, options = {}) {
+  const {renewal = false} = options;
+  const now = Date.now();
+  const existing = await channelStore.getSubscriptions(channelIds);
+  const hub = getHubClient();
+  const scheduler = createScheduler({
+    concurrency: HUB_CONCURRENCY,
+    maxRetries: 0,
+    deadlineMs: HUB_DEADLINE_MS,
+  });
+
+  const toSubscribe = renewal ?
+    channelIds :
+    channelIds.filter((channelId) => needsSubscription(existing.get(channelId), now));
+
+  // Remember that users still follow the channels that are already covered
+  if (!renewal) {
+    const followed = channelIds.filter((channelId) => (
+      !toSubscribe.includes(channelId) &&
+      now - (existing.get(channelId).wantedAt || 0) > FOLLOW_REFRESH_MS
+    ));
+    await Promise.all(followed.map((channelId) => (
+      channelStore.saveSubscription(channelId, {wantedAt: now})
+    )));
+  }
+
+  const failed = [];
+  await Promise.all(toSubscribe.map(async (channelId) => {
+    const current = existing.get(channelId);
+    const secret = current?.secret || crypto.randomBytes(24).toString('hex');
+
+    // Record the request first - the hub's verification GET can arrive before it returns
+    const request = {
+      state: current?.state === 'active' ? 'active' : 'pending',
+      secret,
+      requestedAt: now,
+    };
+    if (!renewal) {
+      request.wantedAt = now;
+    }
+    await channelStore.saveSubscription(channelId, request);
+
+    try {
+      await scheduler.run('websub.subscribe', () => hub.subscribe({
+        topic: topicUrl(channelId),
+        callback: callbackUrl(channelId),
+        leaseSeconds: LEASE_SECONDS,
+        secret,
+      }));
+    } catch (error) {
+      console.error(`WebSub subscribe failed for channel ${channelId}:`, error);
+      failed.push({channelId, error: error.message});
+    }
+  }));
+
+  console.log(`WebSub: requested ${toSubscribe.length} subscriptions ` +
+    `(${channelIds.length - toSubscribe.length} already covered, ${failed.length} failed)`);
+
+  return {
+    requested: toSubscribe.length - failed.length,
+    skipped: channelIds.length - toSubscribe.length,
+    failed,
+  };
+}
+
+/**
+ * Answer the hub's verification of a subscription intent (GET on the callback)
+ * @param {string} channelId - Channel from the callback URL
+ * @param {Object} query - Request query (hub.mode, hub.topic, hub.challenge,
+ *   hub.lease_seconds, hub.reason)
+ * @return {Promise<Object>} Response ({status, body})
+ */
+async function verifyIntent(channelId, query) {
+  const mode = query['hub.mode'];
+  if (query['hub.topic'] !== topicUrl(channelId)) {
+    return {status: 404, body: 'Unknown topic'};
+  }
+
+  const websub = (await channelStore.getSubscriptions([channelId])).get(channelId);
+  const now = Date.now();
+
+  if (mode === 'denied') {
+    if (websub) {
+      await channelStore.saveSubscription(channelId, {
+        state: 'denied',
+        deniedReason: query['hub.reason'] || null,
+      });
+    }
+    console.log(`WebSub: hub denied channel ${channelId}: ${query['hub.reason']}`);
+    return {status: 200, body: ''};
+  }
+
+  // Only confirm subscriptions we asked for; refuse everything else (including unsubscribes)
+  if (mode !== 'subscribe' || !websub || !['pending', 'active'].includes(websub.state)) {
+    return {status: 404, body: 'No matching subscription request'};
+  }
+
+  const leaseSeconds = Number(query['hub.lease_seconds']) || LEASE_SECONDS;
+  const stillActive = websub.state === 'active' && websub.leaseExpiresAt > now;
+  await channelStore.saveSubscription(channelId, {
+    state: 'active',
+    leaseExpiresAt: now + leaseSeconds * 1000,
+    // Coverage only continues if the previous lease never lapsed
+    activeSince: stillActive ? websub.activeSince : now,
+    verifiedAt: now,
+  });
+
+  console.log(`WebSub: channel ${channelId} verified for ${leaseSeconds}s`);
+  return {status: 200, body: String(query['hub.challenge'] || '')};
+}
+
+/**
+ * Check a notification's X-Hub-Signature against the channel's secret
+ * @param {Buffer} rawBody - Notification body as received
+ * @param {string} signature - X-Hub-Signature header ("sha1=<hex>")
+ * @param {string} secret - Channel secret
+ * @return {boolean} True if the signature matches
+ */
+function verifySignature(rawBody, signature, secret) {
+  const match = /^(sha1|sha256|sha384|sha512)=([0-9a-f]+)$/i.exec(signature || '');
+  if (!match) {
+    return false;
+  }
+
+  const expected = crypto.createHmac(match[1].toLowerCase(), secret).update(rawBody).digest();
+  const actual = Buffer.from(match[2], 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Decode XML character references and CDATA in element text
+ * @param {string} text - Raw element text
+ * @return {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(Number(decimal)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the text of the first matching element in an XML fragment
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name (with prefix, e.g. yt:videoId)
+ * @return {string|null} Decoded text
+ */
+function elementText(xml, tag) {
+  const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Parse a YouTube WebSub notification
+ * @param {string} xml - Atom document from the hub
+ * @return {Object} {videos: [{videoId, channelId, title, publishedAt}], deletedVideoIds}
+ */
+function parseNotification(xml) {
+  const videos = [...xml.matchAll(/<entry\b[^>]*>([\s\S]*?)<\/entry>/g)]
+      .map(([, entry]) => {
+        const published = elementText(entry, 'published');
+        const publishedAt = published ? new Date(published) : null;
+        return {
+          videoId: elementText(entry, 'yt:videoId'),
+          channelId: elementText(entry, 'yt:channelId'),
+          title: elementText(entry, 'title'),
+          publishedAt: publishedAt && !isNaN(publishedAt.getTime()) ?
+            publishedAt.toISOString() :
+            null,
+        };
+      })
+      .filter((video) => video.videoId);
+
+  const deletedVideoIds = [...xml.matchAll(/<at:deleted-entry\b[^>]*\bref="yt:video:([^"]+)"/g)]
+      .map(([, videoId]) => decodeXml(videoId));
+
+  return {videos, deletedVideoIds};
+}
+
+/**
+ * Store the uploads from a notification (POST on the callback)
+ * @param {string} channelId - Channel from the callback URL
+ * @param {Buffer} rawBody - Notification body as received
+ * @param {string} signature - X-Hub-Signature header
+ * @return {Promise<Object>} Response ({status}) plus what was stored ({stored, deleted})
+ */
+async function handleNotification(channelId, rawBody, signature) {
+  const websub = (await channelStore.getSubscriptions([channelId])).get(channelId);
+  if (!websub) {
+    return {status: 404, stored: 0, deleted: 0};
+  }
+
+  // WebSub: acknowledge, but ignore, notifications that fail the signature check
+  if (!verifySignature(rawBody, signature, websub.secret)) {
+    console.log(`WebSub: ignoring notification for ${channelId} with a bad signature`);
+    return {status: 202, stored: 0, deleted: 0};
+  }
+
+  const {videos, deletedVideoIds} = parseNotification(rawBody.toString('utf8'));
+  const uploads = videos.filter((video) => video.channelId === channelId && video.publishedAt);
+
+  await channelStore.saveVideos(channelId, uploads);
+  await channelStore.markVideosDeleted(channelId, deletedVideoIds);
+
+  console.log(`WebSub: channel ${channelId} notified ${uploads.length} uploads, ` +
+    `${deletedVideoIds.length} deletions`);
+  return {status: 204, stored: uploads.length, deleted: deletedVideoIds.length};
+}
+
+/**
+ * Resubscribe followed channels whose lease ends within RENEW_BEFORE_MS
+ * @return {Promise<Object>} {renewed, dropped, failed} counts
+ */
+async function renewLeases() {
+  const now = Date.now();
+  const expiring = await channelStore.listExpiringSubscriptions(now + RENEW_BEFORE_MS);
+
+  const renewable = expiring.filter(({websub}) => (
+    websub.state === 'active' && now - (websub.wantedAt || 0) <= FOLLOW_TTL_MS
+  ));
+  const result = await subscribeChannels(
+      renewable.map(({channelId}) => channelId), {renewal: true},
+  );
+
+  const summary = {
+    renewed: result.requested,
+    dropped: expiring.length - renewable.length,
+    failed: result.failed.length,
+  };
+  console.log('WebSub lease renewal:', summary);
+  return summary;
+}
+
+/**
+ * Get the channels whose uploads the store currently covers
+ * @param {Array<string>} channelIds - Channels to check
+ * @return {Promise<Map<string, number>>} Epoch ms since which every upload of the channel is
+ *   in the store, keyed by channel ID (channels without an active lease are left out)
+ */
+async function getPushCoverage(channelIds) {
+  const now = Date.now();
+  const subscriptions = await channelStore.getSubscriptions(channelIds);
+  const coverage = new Map();
+
+  subscriptions.forEach((websub, channelId) => {
+    if (websub.state === 'active' && websub.leaseExpiresAt > now && websub.activeSince) {
+      coverage.set(channelId, websub.activeSince);
+    }
+  });
+
+  return coverage;
+}
+
+module.exports = {
+  topicUrl,
+  subscribeChannels,
+  verifyIntent,
+  verifySignature,
+  decodeXml,
+  parseNotification,
+  handleNotification,
+  renewLeases,
+  getPushCoverage,
+};
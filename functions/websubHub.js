@@ -0,0 +1,90 @@
+/**
+ * WebSub (PubSubHubbub) hub client
+ * YouTube publishes upload notifications through Google's public hub. The client can be
+ * pointed at another hub with WEBSUB_HUB_URL (e.g. a local stub) or replaced entirely with
+ * setHubClient, the same way youtubeClient swaps the YouTube client.
+ */
+
+const DEFAULT_HUB_URL = 'https://pubsubhubbub.appspot.com/subscribe';
+
+/**
+ * Create a client for a hub's subscribe endpoint
+ * @param {Object} options - Client options
+ * @param {string} options.hubUrl - Hub endpoint (default: WEBSUB_HUB_URL or Google's hub)
+ * @return {Object} Hub client with subscribe() and unsubscribe()
+ */
+function createHubClient(options = {}) {
+  const {hubUrl = process.env.WEBSUB_HUB_URL || DEFAULT_HUB_URL} = options;
+
+  const send = async (mode, {topic, callback, leaseSeconds, secret}) => {
+    const form = new URLSearchParams({
+      'hub.mode': mode,
+      'hub.topic': topic,
+      'hub.callback': callback,
+      'hub.verify': 'async',
+    });
+    if (leaseSeconds) {
+      form.set('hub.lease_seconds', String(leaseSeconds));
+    }
+    if (secret) {
+      form.set('hub.secret', secret);
+    }
+
+    const response = await fetch(hubUrl, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+      body: form.toString(),
+    });
+
+    // The hub answers 202 Accepted and verifies the intent with a GET to the callback
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Hub rejected ${mode} for ${topic} with status ${response.status}: ${body}`);
+    }
+  };
+
+  return {
+    hubUrl,
+
+    /**
+     * Ask the hub to deliver a topic's notifications to a callback
+     * @param {Object} request - {topic, callback, leaseSeconds, secret}
+     * @return {Promise<void>}
+     */
+    subscribe: (request) => send('subscribe', request),
+
+    /**
+     * Ask the hub to stop delivering a topic
+     * @param {Object} request - {topic, callback}
+     * @return {Promise<void>}
+     */
+    unsubscribe: (request) => send('unsubscribe', request),
+  };
+}
+
+let hubClient = null;
+
+/**
+ * Get the hub client in use
+ * @return {Object} Hub client
+ */
+function getHubClient() {
+  if (!hubClient) {
+    hubClient = createHubClient();
+  }
+  return hubClient;
+}
+
+/**
+ * Replace the hub client (pass nothing to restore the default)
+ * @param {Object} client - Object with subscribe() and unsubscribe()
+ */
+function setHubClient(client) {
+  hubClient = client || null;
+}
+
+module.exports = {
+  createHubClient,
+  getHubClient,
+  setHubClient,
+};
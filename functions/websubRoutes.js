@@ -0,0 +1,120 @@
+const express = require('express');
+const {fetchAllSubscriptions} = require('./youtubeSubscriptions');
+const {createYoutubeClient} = require('./youtubeClient');
+const {withUserAccessToken} = require('./userTokens');
+const {QUOTA_COSTS, createQuotaBudget, quotaBudgetError} = require('./quotaLedger');
+const {createScheduler} = require('./requestScheduler');
+const {toChannelEntry} = require('./channelSelection');
+const feedCache = require('./feedCache');
+const {subscribeChannels, verifyIntent, handleNotification} = require('./websub');
+const {requestUserId, requireUserId, sendServerError, sendApiError} = require('./httpHelpers');
+const {authenticate} = require('./requestAuth');
+const {rateLimit} = require('./rateLimit');
+
+/**
+ * WebSub routes, mounted at /websub
+ * POST /websub/subscribe subscribes the channels a user follows to the hub; the hub then calls
+ * /websub/callback/{channelId} to verify the subscription (GET) and deliver uploads (POST).
+ * Only /subscribe is called by users (with their ID token, see requestAuth).
+ */
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// Same bound on subscriptions.list pages as POST /videos
+const MAX_SUBSCRIPTION_PAGES = 20;
+
+// Keep the raw notification body - its HMAC is checked against X-Hub-Signature. Cloud
+// Functions already provides req.rawBody; the verify hook covers the local server.
+const atomBody = express.text({
+  type: ['application/atom+xml', 'application/xml', 'text/xml'],
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+});
+
+/**
+ * Read the user's subscribed channels (cached list, or subscriptions.list charged to the
+ * user's quota budget)
+ * @param {string} userId - User ID
+ * @return {Promise<Array<string>>} Channel IDs
+ */
+async function getSubscribedChannelIds(userId) {
+  let {channels} = await feedCache.getUserFeedState(userId);
+
+  if (!channels) {
+    const quotaBudget = await createQuotaBudget(userId);
+    if (!quotaBudget.canAfford('subscriptions.list')) {
+      throw quotaBudgetError('Daily quota budget exhausted');
+    }
+
+    const scheduler = createScheduler({
+      canAttempt: (method) => quotaBudget.canAfford(method),
+      onAttempt: (method) => quotaBudget.charge(method),
+    });
+    try {
+      const subscriptions = await withUserAccessToken(userId, (token) => fetchAllSubscriptions(
+          createYoutubeClient(token), {
+            maxPages: Math.min(MAX_SUBSCRIPTION_PAGES,
+                Math.floor(quotaBudget.remaining() / QUOTA_COSTS['subscriptions.list'])),
+            scheduler,
+          },
+      ));
+      channels = subscriptions.items.map(toChannelEntry);
+      await feedCache.saveChannelList(userId, channels);
+    } finally {
+      await quotaBudget.flush();
+    }
+  }
+
+  return channels.map((channel) => channel.channelId);
+}
+
+// Each subscribe request can fan out to every channel the user follows
+const subscribeRateLimit = rateLimit('websubSubscribe');
+
+// Subscribe every channel the user follows (channels already covered are skipped)
+router.post('/subscribe', authenticate, subscribeRateLimit, requireUserId, async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const channelIds = await getSubscribedChannelIds(userId);
+    const result = await subscribeChannels(channelIds);
+
+    console.log('WebSub subscribe request completed:', {userId, ...result});
+    res.status(202).json({
+      success: true,
+      data: {
+        channelCount: channelIds.length,
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error('Error subscribing channels to WebSub:', error);
+    sendApiError(res, error);
+  }
+});
+
+// Hub verification of a subscribe request (echo hub.challenge to confirm)
+router.get('/callback/:channelId', async (req, res) => {
+  try {
+    const {status, body} = await verifyIntent(req.params.channelId, req.query);
+    res.status(status).type('text/plain').send(body);
+  } catch (error) {
+    sendServerError(res, 'verify WebSub subscription', error);
+  }
+});
+
+// Hub notification: new or updated uploads (and deletions) as an Atom document
+router.post('/callback/:channelId', atomBody, async (req, res) => {
+  try {
+    const rawBody = req.rawBody || Buffer.from(typeof req.body === 'string' ? req.body : '');
+    const {status} = await handleNotification(
+        req.params.channelId, rawBody, req.get('X-Hub-Signature'),
+    );
+    res.status(status).end();
+  } catch (error) {
+    sendServerError(res, 'store WebSub notification', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const {google} = require('googleapis');
+
+/**
+ * YouTube Data API client factory
+ * Every module gets its client through createYoutubeClient, so tests (or another transport)
+ * can swap the googleapis client for a fake with setYoutubeClientFactory.
+ */
+
+/**
+ * Build a googleapis YouTube client authenticated with an access token
+ * @param {string} accessToken - OAuth access token
+ * @return {Object} YouTube Data API v3 client
+ */
+function googleYoutubeClient(accessToken) {
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({access_token: accessToken});
+  return google.youtube({version: 'v3', auth});
+}
+
+let clientFactory = googleYoutubeClient;
+
+/**
+ * Create a YouTube client for an access token
+ * @param {string} accessToken - OAuth access token
+ * @return {Object} YouTube client exposing subscriptions, activities, videos, ...
+ */
+function createYoutubeClient(accessToken) {
+  return clientFactory(accessToken);
+}
+
+/**
+ * Replace the client factory (pass nothing to restore the googleapis client)
+ * @param {Function} factory - Function receiving an access token and returning a client
+ */
+function setYoutubeClientFactory(factory) {
+  clientFactory = factory || googleYoutubeClient;
+}
+
+module.exports = {
+  createYoutubeClient,
+  setYoutubeClientFactory,
+};
@@ -1,15 +1,337 @@
-const {google} = require('googleapis');
+const {createYoutubeClient} = require('./youtubeClient');
+const {compareFeedOrder, isAfterCursor, encodeCursor} = require('./cursor');
+const feedCache = require('./feedCache');
+const {QUOTA_COSTS, quotaBudgetError} = require('./quotaLedger');
+const {buildVideoFilter} = require('./videoFilters');
+const {toChannelEntry, selectChannels} = require('./channelSelection');
+const {toApiError, partialFailure} = require('./apiErrors');
+const {createScheduler, directScheduler} = require('./requestScheduler');
+const channelStore = require('./channelStore');
+const {getPushCoverage} = require('./websub');
+const {rankVideos} = require('./feedRanking');
+const {detectLiveStatus, isBroadcast, applyLiveMode} = require('./liveStatus');
+const {indexVideos} = require('./searchIndex');
+const {
+  createCacheStats,
+  describeCacheStats,
+  getChannelActivities,
+  getVideoDetails,
+} = require('./sharedCache');
+
+// subscriptions.list returns at most 50 items per page
+const SUBSCRIPTIONS_PAGE_SIZE = 50;
+
+// Default upper bound on subscriptions.list pages (20 pages = 1,000 subscriptions)
+const DEFAULT_MAX_SUBSCRIPTION_PAGES = 20;
+
+// Default freshness window for cached channel uploads
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 300;
+
+// Share of the request deadline kept back from channel fetches for the videos.list calls
+const DETAILS_DEADLINE_SHARE = 0.2;
+
+// videos.list parts normalized records are built from
+const DETAIL_PARTS = 'snippet,contentDetails,liveStreamingDetails';
+
+/**
+ * Fetch the user's full subscription list by following nextPageToken
+ * Each subscriptions.list page costs 1 quota unit
+ * @param {Object} youtube - Authenticated YouTube Data API client
+ * @param {Object} options - Pagination options
+ * @param {number} options.maxPages - Maximum number of pages to fetch
+ * @param {Object} options.scheduler - Request scheduler (see requestScheduler)
+ * @return {Promise<Object>} Subscription items and pages fetched
+ */
+async function fetchAllSubscriptions(youtube, options = {}) {
+  const {maxPages = DEFAULT_MAX_SUBSCRIPTION_PAGES, scheduler = directScheduler} = options;
+
+  const items = [];
+  let pageToken;
+  let pages = 0;
+
+  do {
+    const params = {
+      part: 'snippet,contentDetails', // contentDetails carries newItemCount (no extra cost)
+      mine: true,
+      maxResults: SUBSCRIPTIONS_PAGE_SIZE,
+    };
+
+    if (pageToken) {
+      params.pageToken = pageToken;
+    }
+
+    const response = await scheduler.run(
+        'subscriptions.list', () => youtube.subscriptions.list(params),
+    );
+    pages += 1; // subscriptions.list = 1 quota unit per page
+
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && pages < maxPages);
+
+  if (pageToken) {
+    console.log(`Stopped subscription pagination at ${pages} pages (maxPages reached)`);
+  }
+
+  return {items, pages};
+}
+
+/**
+ * Fetch a channel's upload activities (1 quota unit, none when the shared cache has them)
+ * @param {Object} youtube - Authenticated YouTube Data API client
+ * @param {string} channelId - Channel to fetch
+ * @param {Object} params - activities.list filters
+ * @param {number} params.maxResults - Maximum activities to fetch
+ * @param {string} params.publishedBefore - Only activities before this time (ISO 8601)
+ * @param {string} params.publishedAfter - Only activities after this time (ISO 8601)
+ * @param {Object} options - Fetch options
+ * @param {Object} options.scheduler - Request scheduler (see requestScheduler)
+ * @param {number} options.reserveMs - Give up this long before the scheduler's deadline
+ * @param {Object} options.cache - Go through the cross-user cache with these options
+ *   ({maxAgeMs, stats}, see sharedCache.getChannelActivities)
+ * @return {Promise<Object>} Upload candidates ({videoId, publishedAt}) and activity bounds
+ */
+async function fetchChannelUploads(youtube, channelId, params, options = {}) {
+  const {scheduler = directScheduler, reserveMs, cache} = options;
+
+  const fetchActivities = async (query) => {
+    const activityParams = {
+      part: 'snippet,contentDetails',
+      channelId: channelId,
+      maxResults: query.maxResults,
+    };
+
+    if (query.publishedBefore) {
+      activityParams.publishedBefore = query.publishedBefore;
+    }
+
+    if (query.publishedAfter) {
+      activityParams.publishedAfter = query.publishedAfter;
+    }
+
+    // Use activities.list instead of search.list (1 quota unit vs 100!)
+    const activitiesResponse = await scheduler.run(
+        'activities.list', () => youtube.activities.list(activityParams), {reserveMs},
+    );
+
+    return {
+      activities: (activitiesResponse.data.items || []).map((activity) => ({
+        type: activity.snippet.type,
+        videoId: activity.contentDetails?.upload?.videoId || null,
+        publishedAt: activity.snippet.publishedAt,
+      })),
+      hasMore: Boolean(activitiesResponse.data.nextPageToken),
+    };
+  };
+
+  const {activities, hasMore} = cache ?
+    await getChannelActivities(channelId, params, fetchActivities, cache) :
+    await fetchActivities(params);
+
+  // Filter for upload activities only
+  const uploads = activities
+      .filter((activity) => activity.type === 'upload')
+      .map((activity) => ({
+        videoId: activity.videoId,
+        publishedAt: activity.publishedAt,
+      }));
+
+  return {
+    uploads,
+    newestActivityAt: activities.length > 0 ? activities[0].publishedAt : null,
+    // Oldest activity fetched - everything newer than this is complete for the channel
+    oldestActivityAt: activities.length > 0 ?
+      activities[activities.length - 1].publishedAt :
+      null,
+    hasMore,
+  };
+}
+
+/**
+ * Fetch video details in batches (API allows up to 50 IDs per request, 1 quota unit each)
+ * @param {Object} youtube - Authenticated YouTube Data API client
+ * @param {Array<string>} videoIds - Videos to fetch
+ * @param {Object} options - Fetch options
+ * @param {number} options.maxCalls - Stop after this many videos.list calls (quota budget)
+ * @param {Object} options.scheduler - Request scheduler (see requestScheduler)
+ * @param {string} options.part - Parts to request (default: DETAIL_PARTS; the quota cost is
+ *   the same for any parts)
+ * @param {Object} options.cache - Go through the cross-user cache ({stats}, see
+ *   sharedCache.getVideoDetails; default parts only)
+ * @return {Promise<Object>} videos.list items, number of calls made and failed batches
+ *   ({videoIds, error} with error an ApiError)
+ */
+async function fetchVideoDetails(youtube, videoIds, options = {}) {
+  const {
+    maxCalls = Infinity,
+    scheduler = directScheduler,
+    part = DETAIL_PARTS,
+    cache,
+  } = options;
+
+  if (cache && part === DETAIL_PARTS) {
+    return getVideoDetails(videoIds, (missing) => fetchVideoDetails(youtube, missing, {
+      ...options,
+      cache: undefined,
+    }), cache);
+  }
+
+  const items = [];
+  const failures = [];
+  let calls = 0;
+  const detailBatchSize = 50;
+
+  for (let i = 0; i < videoIds.length && calls < maxCalls; i += detailBatchSize) {
+    const batch = videoIds.slice(i, i + detailBatchSize);
+
+    try {
+      const videosResponse = await scheduler.run('videos.list', () => youtube.videos.list({
+        part,
+        id: batch.join(','),
+      }));
+
+      calls += 1; // videos.list = 1 quota unit per call
+
+      if (videosResponse.data.items) {
+        items.push(...videosResponse.data.items);
+      }
+    } catch (error) {
+      console.error('Error fetching video details:', error);
+      failures.push({videoIds: batch, error: toApiError(error)});
+    }
+  }
+
+  return {items, calls, failures};
+}
+
+/**
+ * Format a videos.list item into a normalized video record
+ * Records are cached as they are; responses project them onto a schema (see videoFields).
+ * Live and upcoming videos have no duration yet (videos.list reports P0D).
+ * @param {Object} video - videos.list item (snippet, contentDetails, liveStreamingDetails)
+ * @return {Object} Normalized video record
+ */
+function formatVideo(video) {
+  const liveStatus = detectLiveStatus(video);
+  const liveDetails = video.liveStreamingDetails || {};
+  return {
+    videoId: video.id,
+    title: video.snippet.title,
+    description: video.snippet.description,
+    thumbnaillUrl: video.snippet.thumbnails?.high?.url ||
+                 video.snippet.thumbnails?.medium?.url ||
+                 video.snippet.thumbnails?.default?.url,
+    duration: liveStatus === 'vod' ? video.contentDetails.duration : null,
+    channelName: video.snippet.channelTitle,
+    publishedAt: video.snippet.publishedAt,
+    language: video.snippet.defaultLanguage ||
+             video.snippet.defaultAudioLanguage || 'unknown',
+    channelId: video.snippet.channelId,
+    tags: video.snippet.tags || [],
+    thumbnails: video.snippet.thumbnails || {},
+    liveBroadcastContent: video.snippet.liveBroadcastContent || 'none',
+    hasCaptions: video.contentDetails.caption === 'true',
+    liveStatus,
+    scheduledStartTime: liveDetails.scheduledStartTime || null,
+    actualStartTime: liveDetails.actualStartTime || null,
+    actualEndTime: liveDetails.actualEndTime || null,
+    concurrentViewers: liveDetails.concurrentViewers === undefined ?
+      null :
+      Number(liveDetails.concurrentViewers),
+  };
+}
+
+/**
+ * Read the counts from videos.list statistics (likes can be hidden)
+ * @param {Object} statistics - videos.list item statistics
+ * @return {Object} {viewCount, likeCount, commentCount} as numbers or null
+ */
+function formatStatistics(statistics = {}) {
+  const count = (value) => (value === undefined ? null : Number(value));
+  return {
+    viewCount: count(statistics.viewCount),
+    likeCount: count(statistics.likeCount),
+    commentCount: count(statistics.commentCount),
+  };
+}
+
+/**
+ * Build a channel result from a cached channel window
+ * @param {string} channelId - Channel ID
+ * @param {Object} window - Cached channel window
+ * @return {Object} Channel result ({channelId, candidates, oldestActivityAt, drained})
+ */
+function cachedChannelResult(channelId, window) {
+  return {
+    channelId,
+    // Cached records already carry full details
+    candidates: window.videos.map((record) => ({
+      videoId: record.videoId,
+      publishedAt: record.publishedAt,
+      record,
+    })),
+    oldestActivityAt: window.oldestActivityAt,
+    drained: window.drained,
+  };
+}
 
 /**
  * Get videos from user's YouTube subscriptions using Activities API (quota optimized)
  * Uses activities.list (1 quota unit) instead of search.list (100 quota units) per channel
+ *
+ * With a userId the per-user feed cache is used: the channel list and each channel's recent
+ * uploads are read from Firestore, and only uploads newer than the last sync are fetched
+ * once a channel is older than cacheMaxAgeSeconds. Channels with an active WebSub
+ * subscription (see websub) take those newer uploads from the push store at no quota cost.
+ * The first request after a scheduled prefetch (see prefetch) is served from the cache as is.
+ *
+ * With a quotaBudget every call is checked against the budget before it goes out. When the
+ * budget is tight fewer channels are fetched (stale cached windows are served instead) and
+ * the result is flagged as degraded.
+ *
+ * All YouTube calls share one request scheduler: transient failures are retried (and every
+ * attempt is charged), and once the deadline passes the page is built from what was fetched
+ * so far, with the unfinished channels in partialFailures.
  * @param {string} accessToken - OAuth access token
  * @param {Object} options - Query options
  * @param {number} options.maxResults - Number of videos to return (default: 25)
- * @param {number} options.maxChannels - Maximum number of channels to process (default: 15, max: 50)
+ * @param {number} options.maxChannels - Maximum number of channels to process (default: 15,
+ *   max: 50)
  * @param {string} options.publishedBefore - Latest date filter (ISO 8601 format)
- * @param {Array<string>} options.excludeList - List of video IDs to exclude
- * @return {Promise<Array>} Array of video objects
+ * @param {Array<string>|Set<string>} options.excludeList - List of video IDs to exclude
+ * @param {number} options.maxSubscriptionPages - Maximum subscriptions.list pages to fetch
+ * @param {Object} options.cursor - Decoded pagination cursor from a previous page
+ * @param {string} options.userId - User whose feed cache to use (omit to bypass the cache)
+ * @param {number} options.cacheMaxAgeSeconds - Freshness window for cached uploads (default: 300)
+ * @param {Object} options.quotaBudget - Budget from quotaLedger.createQuotaBudget (optional)
+ * @param {Object} options.filters - Duration, Shorts, language, date and keyword filters
+ *   (see videoFilters.buildVideoFilter), applied before the page is sliced to maxResults
+ * @param {string} options.channelStrategy - How maxChannels channels are chosen
+ *   (see channelSelection.CHANNEL_STRATEGIES, default: subscriptionOrder)
+ * @param {number} options.rotationOffset - Where a first roundRobin page starts, for callers
+ *   keeping their own rotation (default: the feed cache's, which is then advanced)
+ * @param {Array<string>} options.channelIds - Only process these subscribed channels
+ * @param {Object} options.youtube - YouTube client to use instead of one built from accessToken
+ * @param {Object} options.schedulerOptions - Concurrency, retry and deadline settings
+ *   (see requestScheduler.createScheduler)
+ * @param {string} options.sort - Ranking (see feedRanking.SORT_MODES, default: newest)
+ * @param {Map<string, number>} options.channelWeights - Channel weights for the personal
+ *   ranking (see feedRanking.channelWeights)
+ * @param {Array<string>} options.parts - videos.list parts the response needs beyond the
+ *   cached snippet and contentDetails (see videoFields.resolveFields); `statistics` adds
+ *   live counts to the page's records
+ * @param {string} options.live - How live and upcoming videos are treated (see
+ *   liveStatus.LIVE_MODES, default: include)
+ * @param {boolean} options.sharedCache - Check the cross-user channel and video cache before
+ *   calling YouTube (see sharedCache, default: true)
+ * @return {Promise<Object>} Video objects ({videos}), the cursor for the next page (nextCursor),
+ *   whether the page was served without any YouTube calls (fromCache), the units spent
+ *   (quotaUsed), whether channels were skipped to stay within budget (degraded) and the
+ *   channels whose calls failed (partialFailures, see apiErrors.partialFailure), the ranking
+ *   applied (ranking), with live: separate, the live and upcoming videos (liveVideos), the
+ *   shared cache's hits and misses (sharedCache, see sharedCache.createCacheStats) and where
+ *   the next roundRobin feed starts (nextRotationOffset, null for other strategies and pages)
+ * @throws {ApiError} If the whole request fails (including a rejected access token)
  */
 async function getSubscriptionVideos(accessToken, options = {}) {
   try {
@@ -18,158 +340,548 @@ async function getSubscriptionVideos(accessToken, options = {}) {
       maxChannels = 15, // Emergency quota protection: limit channels processed
       publishedBefore,
       excludeList = [],
+      maxSubscriptionPages = DEFAULT_MAX_SUBSCRIPTION_PAGES,
+      cursor,
+      userId,
+      cacheMaxAgeSeconds = DEFAULT_CACHE_MAX_AGE_SECONDS,
+      quotaBudget,
+      filters = {},
+      channelStrategy = 'subscriptionOrder',
+      rotationOffset,
+      channelIds: allowedChannelIds,
+      youtube = createYoutubeClient(accessToken),
+      schedulerOptions = {},
+      sort = 'newest',
+      channelWeights,
+      parts = [],
+      live = 'include',
+      sharedCache = true,
     } = options;
 
     // Validate maxChannels to prevent quota abuse
     const channelLimit = Math.min(Math.max(maxChannels, 1), 50);
+    const useCache = Boolean(userId);
+    const excludedVideoIds = new Set(excludeList);
+    const matchesFilters = buildVideoFilter(filters);
+    const publishedAfterTime = filters.publishedAfter ?
+      new Date(filters.publishedAfter).getTime() :
+      null;
 
-    // Create authenticated client directly with access token
-    const auth = new google.auth.OAuth2();
-    auth.setCredentials({access_token: accessToken});
-    const youtube = google.youtube({version: 'v3', auth});
+    // Track quota usage for monitoring (and charge the budget, if any)
+    let quotaUsed = 0;
+    let degraded = false;
+    const partialFailures = [];
+    const spend = (method, count = 1) => {
+      quotaUsed += QUOTA_COSTS[method] * count;
+      if (quotaBudget) {
+        quotaBudget.charge(method, count);
+      }
+    };
+    const remainingBudget = () => (quotaBudget ? quotaBudget.remaining() : Infinity);
+    // Every attempt is checked against the budget and charged as it goes out, retries included
+    const scheduler = createScheduler({
+      ...schedulerOptions,
+      canAttempt: (method) => !quotaBudget || quotaBudget.canAfford(method),
+      onAttempt: (method) => spend(method),
+    });
+    // Report failed videos.list batches against the channels the videos came from
+    const videoChannelIds = new Map();
+    const recordDetailFailures = (failures) => {
+      failures.forEach(({videoIds, error}) => {
+        new Set(videoIds.map((videoId) => videoChannelIds.get(videoId))).forEach((channelId) => {
+          partialFailures.push(partialFailure(channelId, 'videos.list', error));
+        });
+      });
+    };
+    // Cross-user cache lookups (channels answer only from entries within cacheMaxAgeSeconds)
+    const cacheStats = createCacheStats();
+    const channelCache = sharedCache ?
+      {maxAgeMs: cacheMaxAgeSeconds * 1000, stats: cacheStats} :
+      undefined;
+    const videoCache = sharedCache ? {stats: cacheStats} : undefined;
 
-    // First, get user's subscriptions
-    const subscriptionsResponse = await youtube.subscriptions.list({
-      part: 'snippet',
-      mine: true,
-      maxResults: Math.min(channelLimit * 2, 50), // Get more than needed to allow selection
+    // Ranking actually applied (popular and personal fall back to newest without their inputs)
+    let ranking = sort;
+    let liveVideos = [];
+    let nextRotationOffset = null;
+    const buildResult = (videos, nextCursor) => ({
+      videos,
+      nextCursor,
+      ranking,
+      liveVideos,
+      sharedCache: cacheStats,
+      nextRotationOffset,
+      fromCache: quotaUsed === 0,
+      quotaUsed,
+      // Channels cut off by the request deadline are missing from the page
+      degraded: degraded || partialFailures.some((failure) => failure.code === 'DEADLINE_EXCEEDED'),
+      partialFailures,
+    });
+
+    // First, get user's subscriptions (cached list, or all pages bounded by maxSubscriptionPages)
+    const feedState = useCache ?
+      await feedCache.getUserFeedState(userId) :
+      {channels: null, rotationOffset: 0};
+    let allChannels = feedState.channels;
+
+    if (!allChannels) {
+      if (remainingBudget() < QUOTA_COSTS['subscriptions.list']) {
+        throw quotaBudgetError('Daily quota budget exhausted');
+      }
+
+      const subscriptions = await fetchAllSubscriptions(youtube, {
+        maxPages: Math.min(Math.max(maxSubscriptionPages, 1), remainingBudget()),
+        scheduler,
+      });
+
+      // Extract channel IDs (plus title and activity used for selection) from subscriptions
+      allChannels = subscriptions.items.map(toChannelEntry);
+
+      if (useCache) {
+        await feedCache.saveChannelList(userId, allChannels);
+      }
+    }
+
+    if (allChannels.length === 0) {
+      return buildResult([], null);
+    }
+
+    // QUOTA PROTECTION: Limit channels processed to prevent quota exhaustion. Later pages
+    // reuse the rotation the first page was built from so the channel set stays stable.
+    const roundRobin = channelStrategy === 'roundRobin';
+    let channelOffset = rotationOffset === undefined ? feedState.rotationOffset : rotationOffset;
+    if (cursor && cursor.channelOffset !== undefined) {
+      channelOffset = cursor.channelOffset;
+    }
+    const selection = selectChannels(allChannels, {
+      strategy: channelStrategy,
+      limit: channelLimit,
+      allowList: allowedChannelIds,
+      offset: channelOffset,
     });
+    const selectedChannelIds = selection.channelIds;
+    if (roundRobin && !cursor) {
+      nextRotationOffset = selection.nextOffset;
+    }
+
+    // Channels drained on earlier pages have nothing older to offer - skip them
+    const drainedChannels = new Set(cursor ? cursor.drainedChannels : []);
+    const channelIds = selectedChannelIds.filter((channelId) => !drainedChannels.has(channelId));
 
-    if (!subscriptionsResponse.data.items || subscriptionsResponse.data.items.length === 0) {
-      return [];
+    // Everything on this page sorts after the boundary. A cursor replaces publishedBefore.
+    let boundary = null;
+    if (cursor) {
+      boundary = {publishedAt: cursor.publishedAt, videoId: cursor.videoId};
+    } else if (publishedBefore) {
+      boundary = {publishedAt: new Date(publishedBefore).toISOString(), videoId: ''};
     }
 
-    // Extract channel IDs from subscriptions and limit to prevent quota abuse
-    const allChannelIds = subscriptionsResponse.data.items.map(
-      (subscription) => subscription.snippet.resourceId.channelId
+    // Query one second past the boundary so videos sharing its timestamp are fetched
+    // again and split by videoId below.
+    const activitiesPublishedBefore = boundary ?
+      new Date(new Date(boundary.publishedAt).getTime() + 1000).toISOString() :
+      undefined;
+
+    console.log(`Processing ${channelIds.length} channels out of ${allChannels.length} ` +
+      `subscriptions (quota protection, ${channelStrategy})`);
+
+    // Decide per channel: serve from cache, fetch only newer uploads, or fetch live
+    const cachedChannels = useCache ?
+      await feedCache.getCachedChannels(userId, channelIds) :
+      new Map();
+
+    // The first visit after a prefetch is served from the prefetched windows, however old
+    // (unless the client forces a sync with cacheMaxAgeSeconds: 0). Only windows the prefetch
+    // synced count: channels it didn't select or failed to fetch go through the usual check.
+    const servePrefetched = Boolean(feedState.prefetchedAt) && cacheMaxAgeSeconds > 0 &&
+      (!feedState.lastActiveAt || feedState.lastActiveAt < feedState.prefetchedAt);
+    const isFresh = (cached) => (
+      (servePrefetched && cached.syncedAt >= feedState.prefetchedAt) ||
+      feedCache.isChannelFresh(cached, cacheMaxAgeSeconds)
+    );
+
+    const channelResults = [];
+    const channelsToFetch = [];
+
+    channelIds.forEach((channelId) => {
+      const cached = cachedChannels.get(channelId);
+      // The window can serve a page only if the boundary lies strictly inside it
+      const coversBoundary = cached && (!boundary || cached.drained ||
+        (cached.oldestActivityAt &&
+          new Date(boundary.publishedAt) > new Date(cached.oldestActivityAt)));
+
+      // New uploads only matter at the top of the feed, so older pages never re-sync
+      if (coversBoundary && (boundary || isFresh(cached))) {
+        channelResults.push(cachedChannelResult(channelId, cached));
+      } else {
+        channelsToFetch.push({
+          channelId,
+          cached: coversBoundary ? cached : undefined,
+          // Only top-of-feed fetches are written back to the cache
+          syncCache: useCache && !boundary,
+        });
+      }
+    });
+
+    // Channels whose WebSub lease has covered every upload since their last sync read new
+    // uploads from the push store instead of activities.list
+    const syncingChannels = channelsToFetch.filter(
+        (channel) => channel.syncCache && channel.cached,
     );
+    const pushCoverage = syncingChannels.length > 0 ?
+      await getPushCoverage(syncingChannels.map((channel) => channel.channelId)) :
+      new Map();
+    syncingChannels.forEach((channel) => {
+      const activeSince = pushCoverage.get(channel.channelId);
+      channel.fromStore = Boolean(activeSince) && activeSince <= channel.cached.syncedAt;
+    });
+
+    // QUOTA BUDGET: only fetch as many channels as the remaining budget covers - one
+    // activities.list each, the videos.list calls their uploads need, and one for the page
+    const perChannelResults = Math.min(maxResults, 10);
+    const fetchCost = (count) => count + Math.ceil(count * perChannelResults / 50) + 1;
+    let affordableChannels = channelsToFetch.length;
+    while (affordableChannels > 0 && fetchCost(affordableChannels) > remainingBudget()) {
+      affordableChannels -= 1;
+    }
+
+    if (affordableChannels < channelsToFetch.length) {
+      const deferred = channelsToFetch.splice(affordableChannels);
+      degraded = true;
+      console.log(`Quota budget tight: fetching ${affordableChannels} channels, ` +
+        `deferring ${deferred.length}`);
+
+      // Degrade to stale cached windows where we have them
+      deferred
+          .filter((channel) => channel.cached)
+          .forEach((channel) => {
+            channelResults.push(cachedChannelResult(channel.channelId, channel.cached));
+          });
+    }
+
+    if (channelsToFetch.length === 0 && channelResults.length === 0 && channelIds.length > 0) {
+      throw quotaBudgetError('Daily quota budget exhausted');
+    }
+
+    // Fetch every channel at once - the scheduler caps concurrency and retries transient errors
+    const fetchedChannels = await Promise.all(channelsToFetch.map(async (channel) => {
+      try {
+        if (channel.fromStore) {
+          const fetched = await channelStore.listUploads(channel.channelId, {
+            publishedAfter: channel.cached.lastSeenPublishedAt,
+            maxResults: Math.min(maxResults, 10),
+          }); // No quota - the hub pushed these
+          return {...channel, fetched};
+        }
+
+        const fetched = await fetchChannelUploads(youtube, channel.channelId, {
+          maxResults: Math.min(maxResults, 10), // Limit per channel
+          publishedBefore: activitiesPublishedBefore,
+          publishedAfter: channel.cached ? channel.cached.lastSeenPublishedAt : undefined,
+        }, {
+          scheduler,
+          reserveMs: scheduler.deadlineMs * DETAILS_DEADLINE_SHARE,
+          cache: channelCache,
+        }); // 1 quota unit per attempt (vs 100 for search.list!)
 
-    // QUOTA PROTECTION: Limit channels processed to prevent quota exhaustion
-    const channelIds = allChannelIds.slice(0, channelLimit);
-
-    console.log(`Processing ${channelIds.length} channels out of ${allChannelIds.length} subscriptions (quota protection)`);
-
-    // Track quota usage for monitoring
-    let quotaUsed = 1; // subscriptions.list = 1 quota unit
-
-    // Get recent videos from subscribed channels
-    const allVideos = [];
-    
-    // Process channels in batches to avoid API limits
-    const batchSize = 10;
-    for (let i = 0; i < channelIds.length; i += batchSize) {
-      const batch = channelIds.slice(i, i + batchSize);
-      
-      const activityPromises = batch.map(async (channelId) => {
-        try {
-          const activityParams = {
-            part: 'snippet,contentDetails',
-            channelId: channelId,
-            maxResults: Math.min(maxResults, 10), // Limit per channel
-          };
-
-          if (publishedBefore) {
-            activityParams.publishedBefore = publishedBefore;
-          }
-
-          // Use activities.list instead of search.list (1 quota unit vs 100!)
-          const activitiesResponse = await youtube.activities.list(activityParams);
-          quotaUsed += 1; // activities.list = 1 quota unit (vs 100 for search.list!)
-
-          // Filter for upload activities only and convert to search-like format
-          const uploadActivities = (activitiesResponse.data.items || []).filter(
-            activity => activity.snippet.type === 'upload'
-          );
-
-          // Convert activities format to match expected video format
-          return uploadActivities.map(activity => ({
-            id: { videoId: activity.contentDetails.upload.videoId },
-            snippet: {
-              title: activity.snippet.title,
-              description: activity.snippet.description,
-              channelTitle: activity.snippet.channelTitle,
-              publishedAt: activity.snippet.publishedAt,
-              thumbnails: activity.snippet.thumbnails,
-            }
-          }));
-        } catch (error) {
-          console.error(`Error fetching activities for channel ${channelId}:`, error);
-          return [];
+        return {...channel, fetched};
+      } catch (error) {
+        console.error(`Error fetching activities for channel ${channel.channelId}:`, error);
+        const apiError = toApiError(error);
+        if (apiError.code === 'AUTH_REQUIRED') {
+          throw apiError; // Every other call would fail too - let the caller refresh the token
         }
+        partialFailures.push(partialFailure(
+            channel.channelId, channel.fromStore ? 'channelStore' : 'activities.list', apiError,
+        ));
+        return {...channel, failed: true};
+      }
+    }));
+
+    // Cached channels need full records, so fetch details for every new upload up front
+    const syncedChannels = fetchedChannels.filter(
+        (channel) => channel.syncCache && !channel.failed,
+    );
+    const syncRecords = new Map();
+
+    if (syncedChannels.length > 0) {
+      const syncVideoIds = syncedChannels.flatMap(
+          (channel) => channel.fetched.uploads.map((upload) => {
+            videoChannelIds.set(upload.videoId, channel.channelId);
+            return upload.videoId;
+          }),
+      );
+      const details = await fetchVideoDetails(youtube, syncVideoIds, {
+        maxCalls: remainingBudget(),
+        scheduler,
+        cache: videoCache,
       });
+      recordDetailFailures(details.failures);
+      details.items.forEach((video) => syncRecords.set(video.id, formatVideo(video)));
+    }
+
+    const channelWindows = [];
+
+    fetchedChannels.forEach((channel) => {
+      const {channelId, fetched} = channel;
 
-      const batchResults = await Promise.all(activityPromises);
-      batchResults.forEach((videos) => {
-        allVideos.push(...videos);
+      if (channel.failed) {
+        // Fall back to the (stale) cached window rather than dropping the channel
+        channelResults.push(channel.cached ?
+          cachedChannelResult(channelId, channel.cached) :
+          {channelId, candidates: [], oldestActivityAt: null, drained: false});
+        return;
+      }
+
+      if (channel.syncCache) {
+        const window = feedCache.mergeChannelWindow(channel.cached, {
+          videos: fetched.uploads
+              .map((upload) => syncRecords.get(upload.videoId))
+              .filter(Boolean),
+          newestActivityAt: fetched.newestActivityAt,
+          oldestActivityAt: fetched.oldestActivityAt,
+          hasMore: fetched.hasMore,
+        });
+        channelWindows.push({channelId, ...window});
+        channelResults.push(cachedChannelResult(channelId, window));
+        return;
+      }
+
+      channelResults.push({
+        channelId,
+        candidates: fetched.uploads,
+        oldestActivityAt: fetched.oldestActivityAt,
+        // No further page means the channel has nothing older than what we fetched
+        drained: !fetched.hasMore,
       });
+    });
+
+    if (useCache) {
+      await feedCache.saveChannels(userId, channelWindows);
+      await indexVideos(userId, [...syncRecords.values()]);
+
+      // Advance the rotation once per fresh feed (first page), not on every page, unless the
+      // caller keeps its own
+      if (roundRobin && !cursor && rotationOffset === undefined) {
+        await feedCache.saveRotationOffset(userId, selection.nextOffset);
+      }
     }
 
-    // Filter out excluded videos
-    const filteredVideos = allVideos.filter(
-      (video) => !excludeList.includes(video.id.videoId)
+    // The merged feed is only complete down to the newest "oldest activity" of any channel
+    // that still has older uploads. Anything below that horizon waits for the next page,
+    // otherwise the undrained channel's older uploads would be skipped. live: only lists
+    // what is live now, which can be an upload older than the horizon, so it keeps them all.
+    const horizon = live === 'only' ? null : channelResults
+        .filter((result) => !result.drained && result.oldestActivityAt)
+        .map((result) => result.oldestActivityAt)
+        .reduce((latest, publishedAt) => (
+          !latest || new Date(publishedAt) > new Date(latest) ? publishedAt : latest
+        ), null);
+
+    // Filter out excluded videos, videos already paged past, videos below the horizon and
+    // videos older than publishedAfter (skips their videos.list details entirely)
+    const isCandidate = (candidate) => (
+      !excludedVideoIds.has(candidate.videoId) &&
+      (!boundary || isAfterCursor(candidate, boundary)) &&
+      (!horizon || new Date(candidate.publishedAt) >= new Date(horizon)) &&
+      (publishedAfterTime === null || new Date(candidate.publishedAt) > publishedAfterTime)
     );
 
-    // Get detailed video information including duration
-    const videoIds = filteredVideos.map((video) => video.id.videoId);
-    
-    if (videoIds.length === 0) {
-      return [];
+    const filteredVideos = channelResults.flatMap((result) => {
+      const candidates = result.candidates.filter(isCandidate);
+      candidates.forEach((candidate) => videoChannelIds.set(candidate.videoId, result.channelId));
+      return candidates;
+    });
+
+    // Encode the next cursor. A channel is only skipped from then on once it has no older
+    // activity and every upload fetched from it sorts at or before the new boundary.
+    // Ranked feeds also record how far into the ranked pool below nextBoundary the client is.
+    const buildNextCursor = (nextBoundary, rankOffset = 0) => {
+      // Nothing past publishedAfter can match, so the feed ends here
+      if (publishedAfterTime !== null &&
+          new Date(nextBoundary.publishedAt).getTime() <= publishedAfterTime) {
+        return null;
+      }
+
+      channelResults
+          .filter((result) => result.drained && result.candidates.every((candidate) => (
+            excludedVideoIds.has(candidate.videoId) || !isAfterCursor(candidate, nextBoundary)
+          )))
+          .forEach((result) => drainedChannels.add(result.channelId));
+
+      return encodeCursor({
+        ...nextBoundary,
+        drainedChannels: [...drainedChannels],
+        channelOffset: roundRobin ? channelOffset : undefined,
+        sort: sort === 'newest' ? undefined : sort,
+        rankOffset,
+      });
+    };
+
+    // Cursor for the page after this one when nothing in it reaches the client
+    const buildHorizonCursor = () => (
+      horizon ? buildNextCursor({publishedAt: horizon, videoId: ''}) : null
+    );
+
+    if (filteredVideos.length === 0) {
+      return buildResult([], buildHorizonCursor());
     }
 
-    // Get video details in batches (API allows up to 50 IDs per request)
-    const detailedVideos = [];
-    const detailBatchSize = 50;
-    
-    for (let i = 0; i < videoIds.length; i += detailBatchSize) {
-      const batch = videoIds.slice(i, i + detailBatchSize);
-      
-      try {
-        const videosResponse = await youtube.videos.list({
-          part: 'snippet,contentDetails',
-          id: batch.join(','),
-        });
+    // Get detailed video information including duration (cached records already have it).
+    // Cached live and upcoming records are fetched again: they may have started or ended.
+    const isStaleRecord = (video) => Boolean(video.record) && isBroadcast(video.record);
+    const uncachedVideoIds = filteredVideos
+        .filter((video) => !video.record || isStaleRecord(video))
+        .map((video) => video.videoId);
+    const details = await fetchVideoDetails(youtube, uncachedVideoIds, {
+      maxCalls: remainingBudget(),
+      scheduler,
+      cache: videoCache,
+    });
+    recordDetailFailures(details.failures);
 
-        quotaUsed += 1; // videos.list = 1 quota unit per call
+    if (details.calls + details.failures.length < Math.ceil(uncachedVideoIds.length / 50)) {
+      degraded = true; // quota budget ran out before every video's details were fetched
+    }
 
-        if (videosResponse.data.items) {
-          detailedVideos.push(...videosResponse.data.items);
-        }
-      } catch (error) {
-        console.error('Error fetching video details:', error);
-      }
+    // Videos fetched outside the feed cache (older pages) are searchable too
+    const fetchedRecords = details.items.map(formatVideo);
+    if (useCache) {
+      await indexVideos(userId, fetchedRecords);
     }
 
-    // Format the response
-    const formattedVideos = detailedVideos.map((video) => ({
-      videoId: video.id,
-      title: video.snippet.title,
-      description: video.snippet.description,
-      thumbnaillUrl: video.snippet.thumbnails?.high?.url || 
-                   video.snippet.thumbnails?.medium?.url || 
-                   video.snippet.thumbnails?.default?.url,
-      duration: video.contentDetails.duration,
-      channelName: video.snippet.channelTitle,
-      publishedAt: video.snippet.publishedAt,
-      language: video.snippet.defaultLanguage || 
-               video.snippet.defaultAudioLanguage || 'unknown',
-    }));
+    // Format the response, then apply the request filters before slicing the page. Stale
+    // live records whose refresh failed are served as cached.
+    const refreshedVideoIds = new Set(details.items.map((video) => video.id));
+    const liveSplit = applyLiveMode([
+      ...filteredVideos
+          .filter((video) => video.record && !refreshedVideoIds.has(video.videoId))
+          .map((video) => video.record),
+      ...fetchedRecords,
+    ].filter(matchesFilters), live);
+    const formattedVideos = liveSplit.videos;
+
+    // Live and upcoming videos are listed on their own once, above the first page
+    if (!cursor) {
+      liveVideos = liveSplit.broadcasts.slice(0, maxResults);
+    }
 
-    // Sort by published date (descending - most recent first)
-    formattedVideos.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    // Sort by published date (descending - most recent first, videoId breaks ties)
+    formattedVideos.sort(compareFeedOrder);
 
     // Log quota usage for monitoring
-    console.log(`OPTIMIZED quota usage: ${quotaUsed} units (channels: ${channelIds.length}, videos: ${formattedVideos.length})`);
-    console.log(`Using Activities API - saved ~${(channelIds.length * 99)} quota units vs Search API!`);
+    console.log(`OPTIMIZED quota usage: ${quotaUsed} units (channels: ${channelIds.length}, ` +
+      `videos: ${formattedVideos.length})`);
+    console.log(`Feed cache: ${channelResults.length - fetchedChannels.length} channels ` +
+      `served from cache, ${fetchedChannels.length} fetched ` +
+      `(${fetchedChannels.filter((channel) => channel.fromStore).length} from WebSub pushes)`);
+    console.log(`Using Activities API - saved ~${(channelIds.length * 99)} quota units ` +
+      'vs Search API!');
+    console.log(`Shared cache: ${describeCacheStats(cacheStats)}`);
+
+    const feedVideos = formattedVideos.filter(
+        (video) => !boundary || isAfterCursor(video, boundary),
+    );
 
-    // Return only the requested number of videos
-    return formattedVideos.slice(0, maxResults);
+    // Live view/like/comment counts for the page, only when the response asks for them.
+    // Statistics already fetched for ranking are reused.
+    const withStatistics = async (videos, known = new Map()) => {
+      if (!parts.includes('statistics') || videos.length === 0) {
+        return videos;
+      }
+
+      const missing = videos.filter((video) => !known.has(video.videoId));
+      const stats = await fetchVideoDetails(youtube, missing.map((video) => video.videoId), {
+        maxCalls: remainingBudget(),
+        scheduler,
+        part: 'statistics',
+      });
+      recordDetailFailures(stats.failures);
+      const statistics = new Map([
+        ...known,
+        ...stats.items.map((item) => [item.id, item.statistics]),
+      ]);
+
+      return videos.map((video) => (statistics.has(video.videoId) ?
+        {...video, statistics: formatStatistics(statistics.get(video.videoId))} :
+        video));
+    };
+
+    if (sort === 'newest') {
+      // Return only the requested number of videos
+      const pageVideos = feedVideos.slice(0, maxResults);
+
+      // A full page continues from its last video. A short page has used up (returned or
+      // filtered out) everything down to the horizon, so continue from there - or stop.
+      let nextCursor;
+      if (pageVideos.length === maxResults) {
+        const lastVideo = pageVideos[pageVideos.length - 1];
+        nextCursor = buildNextCursor({
+          publishedAt: lastVideo.publishedAt,
+          videoId: lastVideo.videoId,
+        });
+      } else {
+        nextCursor = buildHorizonCursor();
+      }
+
+      return buildResult(await withStatistics(pageVideos), nextCursor);
+    }
+
+    // Ranked feeds rank the whole pool (everything down to the horizon) and page through it
+    let statistics = new Map();
+    if (sort === 'popular' && feedVideos.length > 0) {
+      const stats = await fetchVideoDetails(youtube, feedVideos.map((video) => video.videoId), {
+        maxCalls: remainingBudget(),
+        scheduler,
+        part: 'statistics',
+      });
+      recordDetailFailures(stats.failures);
+      statistics = new Map(stats.items.map((item) => [item.id, item.statistics]));
+
+      if (stats.items.length === 0) {
+        ranking = 'newest';
+        degraded = true;
+      }
+    }
+    if (sort === 'personal' && !(channelWeights && channelWeights.size > 0)) {
+      ranking = 'newest'; // No watch/dismiss history to weigh channels by yet
+    }
+
+    const ranked = rankVideos(feedVideos, ranking, {
+      channelIdOf: (video) => videoChannelIds.get(video.videoId),
+      statistics,
+      channelWeights,
+    });
+    const rankOffset = cursor && cursor.sort === sort ? cursor.rankOffset : 0;
+    const pageVideos = ranked.slice(rankOffset, rankOffset + maxResults);
+
+    // The rest of the pool comes next, then the pool below the horizon. At the top of the
+    // feed the pool is pinned just above its newest video so later uploads can't shift it.
+    let nextCursor;
+    if (rankOffset + maxResults < ranked.length) {
+      const poolBoundary = boundary || {
+        publishedAt: new Date(new Date(feedVideos[0].publishedAt).getTime() + 1).toISOString(),
+        videoId: '',
+      };
+      nextCursor = buildNextCursor(poolBoundary, rankOffset + maxResults);
+    } else {
+      nextCursor = buildHorizonCursor();
+    }
 
+    return buildResult(await withStatistics(pageVideos, statistics), nextCursor);
   } catch (error) {
     console.error('Error getting subscription videos:', error);
-    throw new Error(`Failed to get subscription videos: ${error.message}`);
+    // Classify googleapis errors by reason so callers get a code and HTTP status
+    throw toApiError(error);
   }
 }
 
 module.exports = {
+  SUBSCRIPTIONS_PAGE_SIZE,
+  DEFAULT_MAX_SUBSCRIPTION_PAGES,
   getSubscriptionVideos,
+  fetchAllSubscriptions,
+  fetchChannelUploads,
+  fetchVideoDetails,
+  formatVideo,
 };